@@ -0,0 +1,281 @@
+"""
+Alert rules: checked against every new prediction run, delivered by
+webhook (Slack-compatible JSON) and SMTP email.
+
+A rule is a dict (AlertRuleIn in main.py). Two kinds:
+    item_status   an item moves into `status`, e.g. any SKU in store
+                  MUM_01 goes Critical
+    status_count  more than `threshold` items have `status`, e.g. over
+                  10 Critical SKUs in Mumbai
+Either kind can be scoped by store_id, city and/or category; unset means
+every item.
+
+Dedupe: every alert carries keys ("TS_RED_M|MUM_01" per item, "count" for
+a count rule). A key the rule already alerted on within dedupe_minutes is
+not alerted again. Quiet hours: alerts raised between quiet_start and
+quiet_end (HH:MM in the rule's timezone) are held, and delivered once
+the quiet period is over.
+
+Email uses SMTP_HOST and SMTP_PORT (default 25), plus optional
+SMTP_USERNAME / SMTP_PASSWORD, SMTP_FROM and SMTP_STARTTLS=true
+(send_email also delivers the daily digests, see digest.py).
+
+Webhooks only go to public addresses: a URL whose host resolves to a
+loopback, private, link-local or otherwise reserved address is refused
+when the rule is saved and again when sending (the name may resolve
+differently by then), and redirects are not followed. Set
+ALERT_WEBHOOK_ALLOW_PRIVATE=true for receivers on the internal network.
+
+Example:
+    alert = evaluate_rule(rule, previous_rows, current_rows, already_alerted=set())
+    # {"keys": ["TS_RED_M|MUM_01"], "subject": "[Critical] TS_RED_M ...", "text": ..., "items": [...]}
+    if alert and not in_quiet_hours(rule, datetime.utcnow()):
+        errors = deliver(rule, alert, tenant="acme")   # [] when every channel took it
+"""
+
+import ipaddress
+import json
+import math
+import os
+import smtplib
+import socket
+import urllib.error
+import urllib.request
+from datetime import datetime, time, timezone
+from email.message import EmailMessage
+from typing import Any, Dict, List, Optional, Set, Tuple
+from urllib.parse import urlsplit
+from zoneinfo import ZoneInfo
+
+SCOPE_FIELDS = ("store_id", "city", "category")
+MAX_LISTED_ITEMS = 20        # items spelled out in one message; the rest are counted
+WEBHOOK_TIMEOUT_SECONDS = 10
+SMTP_TIMEOUT_SECONDS = 10
+
+
+def item_key(row: Dict[str, Any]) -> str:
+    return f"{row['sku_id']}|{row['store_id']}"
+
+
+def in_scope(rule: Dict[str, Any], row: Dict[str, Any]) -> bool:
+    return all(not rule.get(f) or row.get(f) == rule[f] for f in SCOPE_FIELDS)
+
+
+def scope_label(rule: Dict[str, Any]) -> str:
+    """ "store MUM_01, category T-Shirts", or "all stores" for an unscoped rule."""
+    parts = [
+        f"{field.replace('_id', '')} {rule[field]}" for field in SCOPE_FIELDS if rule.get(field)
+    ]
+    return ", ".join(parts) or "all stores"
+
+
+def _summary(row: Dict[str, Any], previous_status: Optional[str] = None) -> Dict[str, Any]:
+    """The fields of a prediction an alert reports (JSON-safe: no Infinity)."""
+    days = row.get("days_to_stockout")
+    return {
+        "sku_id": row["sku_id"],
+        "sku_name": row.get("sku_name"),
+        "store_id": row["store_id"],
+        "city": row.get("city"),
+        "category": row.get("category"),
+        "status": row["status"],
+        "previous_status": previous_status,
+        "current_stock": row.get("current_stock"),
+        "days_to_stockout": days if isinstance(days, (int, float)) and math.isfinite(days) else None,
+    }
+
+
+def _item_line(item: Dict[str, Any]) -> str:
+    line = f"- {item['sku_id']} @ {item['store_id']}: "
+    if item["previous_status"]:
+        line += f"{item['previous_status']} -> "
+    line += f"{item['status']}, {item['current_stock']} in stock"
+    if item["days_to_stockout"] is not None:
+        line += f", {item['days_to_stockout']:.1f} days to stockout"
+    return line
+
+
+def _item_lines(items: List[Dict[str, Any]]) -> List[str]:
+    lines = [_item_line(item) for item in items[:MAX_LISTED_ITEMS]]
+    if len(items) > MAX_LISTED_ITEMS:
+        lines.append(f"... and {len(items) - MAX_LISTED_ITEMS} more")
+    return lines
+
+
+def evaluate_rule(
+    rule: Dict[str, Any],
+    previous: List[Dict[str, Any]],
+    current: List[Dict[str, Any]],
+    already_alerted: Set[str],
+) -> Optional[Dict[str, Any]]:
+    """
+    The alert `rule` raises for the change from the `previous` run's
+    predictions to the `current` run's, or None. Keys in `already_alerted`
+    (recent alerts of this rule) are left out.
+    """
+    status = rule["status"]
+    scoped = [row for row in current if in_scope(rule, row)]
+
+    if rule["kind"] == "item_status":
+        before = {item_key(row): row["status"] for row in previous}
+        items = [
+            _summary(row, before.get(item_key(row)))
+            for row in scoped
+            if row["status"] == status
+            and before.get(item_key(row)) != status
+            and item_key(row) not in already_alerted
+        ]
+        if not items:
+            return None
+        if len(items) == 1:
+            subject = f"[{status}] {items[0]['sku_id']} at {items[0]['store_id']} is now {status}"
+        else:
+            subject = f"[{status}] {len(items)} SKUs went {status} ({scope_label(rule)})"
+        return {
+            "keys": [f"{i['sku_id']}|{i['store_id']}" for i in items],
+            "subject": subject,
+            "text": "\n".join([subject, ""] + _item_lines(items)),
+            "items": items,
+        }
+
+    matching = [_summary(row) for row in scoped if row["status"] == status]
+    if len(matching) <= rule["threshold"] or "count" in already_alerted:
+        return None
+    subject = (
+        f"[{status}] {len(matching)} {status} SKUs in {scope_label(rule)} "
+        f"(alert above {rule['threshold']})"
+    )
+    return {
+        "keys": ["count"],
+        "subject": subject,
+        "text": "\n".join([subject, ""] + _item_lines(matching)),
+        "items": matching,
+        "count": len(matching),
+    }
+
+
+def _clock(value: str) -> time:
+    hours, minutes = value.split(":")
+    return time(int(hours), int(minutes))
+
+
+def in_quiet_hours(rule: Dict[str, Any], now: datetime) -> bool:
+    """
+    True when `now` (naive UTC) falls in the rule's quiet hours. A period
+    whose end is before its start runs past midnight (22:00-07:00).
+    """
+    if not rule.get("quiet_start") or not rule.get("quiet_end"):
+        return False
+    start, end = _clock(rule["quiet_start"]), _clock(rule["quiet_end"])
+    local = now.replace(tzinfo=timezone.utc).astimezone(ZoneInfo(rule.get("timezone") or "UTC"))
+    clock = local.time().replace(second=0, microsecond=0)
+    if start <= end:
+        return start <= clock < end
+    return clock >= start or clock < end
+
+
+def webhook_payload(rule: Dict[str, Any], alert: Dict[str, Any], tenant: str) -> Dict[str, Any]:
+    """What the webhook receives; Slack incoming webhooks show `text`."""
+    return {
+        "text": alert["text"],
+        "subject": alert["subject"],
+        "tenant": tenant,
+        "rule": {"rule_id": rule.get("rule_id"), "name": rule["name"], "kind": rule["kind"]},
+        "items": alert["items"],
+    }
+
+
+def webhook_url_problem(url: str) -> Optional[str]:
+    """
+    Why the webhook must not be called, or None. Refuses hosts that do not
+    resolve or resolve to a non-public address, e.g.
+    "webhook_url host 169.254.169.254 is not a public address".
+    """
+    host = urlsplit(url).hostname
+    if not host:
+        return "webhook_url has no host"
+    if os.environ.get("ALERT_WEBHOOK_ALLOW_PRIVATE", "").lower() in ("1", "true", "yes"):
+        return None
+    try:
+        addresses = {info[4][0] for info in socket.getaddrinfo(host, None)}
+    except (OSError, UnicodeError):
+        return f"webhook_url host {host} does not resolve"
+    for address in addresses:
+        ip = ipaddress.ip_address(address.split("%")[0])
+        if not ip.is_global or ip.is_multicast:
+            return f"webhook_url host {host} is not a public address"
+    return None
+
+
+class _NoRedirects(urllib.request.HTTPRedirectHandler):
+    """A 3xx answer fails the delivery instead of sending the alert elsewhere."""
+
+    def redirect_request(self, *args, **kwargs):
+        return None
+
+
+def send_webhook(url: str, payload: Dict[str, Any]) -> None:
+    """POST the payload as JSON; raises on a refused host, a network error or non-2xx answer."""
+    problem = webhook_url_problem(url)
+    if problem:
+        raise ValueError(problem)
+    request = urllib.request.Request(
+        url,
+        data=json.dumps(payload).encode("utf-8"),
+        headers={"Content-Type": "application/json"},
+        method="POST",
+    )
+    opener = urllib.request.build_opener(_NoRedirects)
+    with opener.open(request, timeout=WEBHOOK_TIMEOUT_SECONDS):
+        pass
+
+
+def send_email(
+    recipients: List[str],
+    subject: str,
+    text: str,
+    html: Optional[str] = None,
+    attachments: List[Tuple[str, bytes]] = (),
+) -> None:
+    """
+    Send an email through the SMTP_* server; raises when it fails. `html`
+    is an alternative to the plain text; attachments are (filename, PDF bytes).
+    """
+    host = os.environ.get("SMTP_HOST")
+    if not host:
+        raise RuntimeError("SMTP_HOST is not set")
+    message = EmailMessage()
+    message["From"] = os.environ.get("SMTP_FROM", "inventory-alerts@localhost")
+    message["To"] = ", ".join(recipients)
+    message["Subject"] = subject
+    message.set_content(text)
+    if html:
+        message.add_alternative(html, subtype="html")
+    for filename, data in attachments:
+        message.add_attachment(data, maintype="application", subtype="pdf", filename=filename)
+
+    port = int(os.environ.get("SMTP_PORT", "25"))
+    with smtplib.SMTP(host, port, timeout=SMTP_TIMEOUT_SECONDS) as smtp:
+        if os.environ.get("SMTP_STARTTLS", "").lower() in ("1", "true", "yes"):
+            smtp.starttls()
+        if os.environ.get("SMTP_USERNAME"):
+            smtp.login(os.environ["SMTP_USERNAME"], os.environ.get("SMTP_PASSWORD", ""))
+        smtp.send_message(message)
+
+
+def deliver(rule: Dict[str, Any], alert: Dict[str, Any], tenant: str) -> List[str]:
+    """Send the alert on every channel of the rule; one error message per channel that failed."""
+    errors = []
+    if rule.get("webhook_url"):
+        try:
+            send_webhook(rule["webhook_url"], webhook_payload(rule, alert, tenant))
+        except urllib.error.HTTPError as exc:
+            errors.append(f"webhook: HTTP {exc.code}")
+        except (OSError, ValueError) as exc:
+            errors.append(f"webhook: {exc}")
+    if rule.get("email_to"):
+        try:
+            send_email(rule["email_to"], alert["subject"], alert["text"])
+        except (OSError, RuntimeError, smtplib.SMTPException) as exc:
+            errors.append(f"email: {exc}")
+    return errors
@@ -0,0 +1,58 @@
+"""
+Credentials and roles for the API.
+
+Two kinds of caller:
+- Machine clients (the Boltic workflow, scripts) send an API key in the
+  X-API-Key header. Keys are created by admins and stored only as a hash.
+- Dashboard users log in with a username and password (POST /auth/login)
+  and send the returned session token as "Authorization: Bearer <token>".
+
+Roles are ordered; each includes everything the ones before it may do:
+    viewer  read predictions, history, orders and policy
+    buyer   + upload/ingest predictions, edit thresholds, create POs and transfers
+    admin   + manage users and API keys
+
+Example:
+    stored = hash_password("s3cret")
+    verify_password("s3cret", stored)       # True
+    key = new_token("sk")                    # "sk_..." shown to the admin once
+    role_allows("buyer", "viewer")           # True
+"""
+
+import hashlib
+import hmac
+import secrets
+
+ROLES = ("viewer", "buyer", "admin")
+
+PBKDF2_ITERATIONS = 200_000
+
+
+def role_allows(role: str, required: str) -> bool:
+    """True when `role` may do what `required` may."""
+    return ROLES.index(role) >= ROLES.index(required)
+
+
+def hash_password(password: str) -> str:
+    salt = secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), PBKDF2_ITERATIONS)
+    return f"pbkdf2_sha256${PBKDF2_ITERATIONS}${salt}${digest.hex()}"
+
+
+def verify_password(password: str, stored: str) -> bool:
+    try:
+        _, iterations, salt, expected = stored.split("$")
+    except ValueError:
+        return False
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), int(iterations))
+    return hmac.compare_digest(digest.hex(), expected)
+
+
+def new_token(prefix: str) -> str:
+    """Random bearer secret such as "sk_3q2...". Only its hash is stored."""
+    return f"{prefix}_{secrets.token_urlsafe(32)}"
+
+
+def token_hash(token: str) -> str:
+    """Lookup key for an API key or session token (tokens are high-entropy, no salt needed)."""
+    return hashlib.sha256(token.encode()).hexdigest()
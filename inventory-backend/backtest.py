@@ -0,0 +1,107 @@
+"""
+Backtest the forecasting methods on daily sales history and report, per
+category, how far off each would have been (MAPE) and in which direction
+(bias). The best method per category can go straight into PUT /policy as
+a forecast_method category override.
+
+Input: a CSV with one row per SKU, store and day - the POST /sales
+columns plus category (a `date` column works too):
+    sales_date,sku_id,store_id,category,units
+    2025-11-01,SKU_001,MUM_01,Dairy,12
+Days missing for an item (between its first row and the last date in the
+file) count as 0 units sold.
+
+Usage (from inventory-backend/):
+    python backtest.py daily_sales.csv
+    python backtest.py daily_sales.csv --horizon 7 --origins 8 --methods holt holt_winters
+    python backtest.py daily_sales.csv --policy      # also print the overrides as JSON
+"""
+
+import argparse
+import csv
+import json
+import sys
+from collections import defaultdict
+from datetime import date, timedelta
+from typing import Dict, List, TextIO, Tuple
+
+from forecasting import METHODS, backtest, best_methods
+
+
+def read_daily_sales(file: TextIO) -> Dict[str, List[List[float]]]:
+    """Daily series (oldest first) per category, one per SKU/store."""
+    units: Dict[Tuple[str, str], Dict[date, float]] = defaultdict(dict)
+    categories: Dict[Tuple[str, str], str] = {}
+
+    for line, row in enumerate(csv.DictReader(file), start=2):
+        try:
+            key = (row["sku_id"], row["store_id"])
+            day = date.fromisoformat((row.get("sales_date") or row["date"]).strip())
+            sold = float(row["units"] or 0)
+        except (KeyError, ValueError) as e:
+            raise ValueError(f"line {line}: {e}") from None
+        units[key][day] = units[key].get(day, 0.0) + sold
+        categories[key] = (row.get("category") or "").strip() or "(none)"
+
+    if not units:
+        return {}
+    last = max(max(days) for days in units.values())
+    series: Dict[str, List[List[float]]] = defaultdict(list)
+    for key, days in units.items():
+        first = min(days)
+        series[categories[key]].append(
+            [days.get(first + timedelta(i), 0.0) for i in range((last - first).days + 1)]
+        )
+    return dict(series)
+
+
+def format_report(rows: List[Dict]) -> str:
+    def pct(value):
+        return "-" if value is None else f"{value:+.1f}%"
+
+    best = best_methods(rows)
+    lines = [f"{'category':<20} {'method':<22} {'blocks':>6} {'MAPE':>8} {'bias':>8}"]
+    for row in rows:
+        mape = "-" if row["mape"] is None else f"{row['mape']:.1f}%"
+        marker = "  <- best" if best.get(row["category"]) == row["method"] else ""
+        lines.append(
+            f"{row['category']:<20} {row['method']:<22} {row['blocks']:>6} {mape:>8} "
+            f"{pct(row['bias']):>8}{marker}"
+        )
+    return "\n".join(lines)
+
+
+def main(argv=None) -> int:
+    parser = argparse.ArgumentParser(description="Backtest demand forecasting methods")
+    parser.add_argument("csv", help="daily sales: sales_date,sku_id,store_id,category,units")
+    parser.add_argument("--horizon", type=int, default=14, help="days forecast at a time")
+    parser.add_argument("--origins", type=int, default=4, help="held-out blocks per item")
+    parser.add_argument("--min-history", type=int, default=28,
+                        help="days of history needed before a block")
+    parser.add_argument("--methods", nargs="+", choices=sorted(METHODS), default=None)
+    parser.add_argument("--policy", action="store_true",
+                        help="print the best methods as /policy category overrides to merge")
+    args = parser.parse_args(argv)
+
+    try:
+        with open(args.csv, newline="") as file:
+            series = read_daily_sales(file)
+    except (OSError, ValueError) as e:
+        print(f"{args.csv}: {e}", file=sys.stderr)
+        return 1
+
+    rows = backtest(series, args.methods, args.horizon, args.origins, args.min_history)
+    if not any(row["blocks"] for row in rows):
+        print(f"Not enough history: need {args.min_history + args.horizon} days per item",
+              file=sys.stderr)
+        return 1
+
+    print(format_report(rows))
+    if args.policy:
+        overrides = {c: {"forecast_method": m} for c, m in best_methods(rows).items()}
+        print(json.dumps({"categories": overrides}, indent=2))
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
@@ -0,0 +1,104 @@
+"""
+Shared by the backend tests: an in-memory database, an admin client on a
+fresh tenant for each test, helpers that build items and predictions and
+send them, and a local SMTP server that keeps every message it receives,
+so email delivery can be checked without a real mail server.
+
+Run from inventory-backend/:  python -m pytest
+"""
+
+import email
+import os
+import socketserver
+import threading
+
+# Before main is imported: it opens the store and seeds the admin at import.
+os.environ.setdefault("DATABASE_URL", "sqlite:///:memory:")
+os.environ.setdefault("ADMIN_PASSWORD", "test-admin-password")
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+
+TENANT_NAME = "Acme Apparel"
+
+
+def login(client: TestClient, username: str = "admin", password: str = None) -> str:
+    """Session token for a user; the seeded admin by default."""
+    response = client.post("/auth/login", json={
+        "username": username, "password": password or os.environ["ADMIN_PASSWORD"],
+    })
+    assert response.status_code == 200, response.text
+    return response.json()["token"]
+
+
+@pytest.fixture
+def api(request):
+    """Admin client on a fresh tenant named after the test."""
+    client = TestClient(main.app)
+    tenant = request.node.name.replace("_", "-")[:40]
+    client.headers.update({"Authorization": f"Bearer {login(client)}"})
+    client.post("/tenants", json={"tenant_id": tenant, "name": TENANT_NAME})
+    client.headers.update({"X-Tenant-ID": tenant})
+    return client
+
+
+def item(sku_id, current_stock, sales_last_30_days=300, store_id="MUM_01", **extra):
+    """An item for /predict-bulk (ItemInput)."""
+    return {"sku_id": sku_id, "store_id": store_id, "current_stock": current_stock,
+            "sales_last_30_days": sales_last_30_days, **extra}
+
+
+def predict(api, items):
+    """POST items to /predict-bulk; the predictions by sku_id."""
+    response = api.post("/predict-bulk", json={"items": items})
+    assert response.status_code == 200, response.text
+    return {p["sku_id"]: p for p in response.json()["predictions"]}
+
+
+def prediction(sku_id, store_id="MUM_01", status="Critical", **fields):
+    """A finished prediction for /ingest (PredictionIn): 5 in stock, 2.5 days left."""
+    return {"sku_id": sku_id, "store_id": store_id, "current_stock": 5,
+            "avg_daily_sales": 2.0, "days_to_stockout": 2.5, "status": status,
+            "recommended_reorder_quantity": 40, "category": "T-Shirts", "city": "Mumbai",
+            **fields}
+
+
+def ingest(api, *predictions):
+    """POST predictions to /ingest as the next full run."""
+    response = api.post("/ingest", json={"predictions": list(predictions)})
+    assert response.status_code == 200, response.text
+
+
+class SmtpHandler(socketserver.StreamRequestHandler):
+    """Just enough SMTP for smtplib.send_message: every command is accepted."""
+
+    def reply(self, line: str) -> None:
+        self.wfile.write(f"{line}\r\n".encode())
+
+    def handle(self):
+        self.reply("220 localhost test SMTP")
+        while True:
+            line = self.rfile.readline()
+            command = line[:4].upper()
+            if not line or command == b"QUIT":
+                self.reply("221 bye")
+                return
+            if command == b"DATA":
+                self.reply("354 end with .")
+                raw = b""
+                for data in iter(self.rfile.readline, b".\r\n"):
+                    raw += data[1:] if data.startswith(b"..") else data
+                self.server.received.append(email.message_from_bytes(raw))
+            self.reply("250 OK")
+
+
+@pytest.fixture(scope="module")
+def smtp():
+    server = socketserver.ThreadingTCPServer(("127.0.0.1", 0), SmtpHandler)
+    server.daemon_threads = True
+    server.received = []
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    yield server
+    server.shutdown()
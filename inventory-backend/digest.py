@@ -0,0 +1,266 @@
+"""
+Daily digest: the morning summary of a tenant's predictions for store
+managers.
+
+build_digest() condenses the current predictions (all stores, or a few)
+into plain data - that is what the archive keeps. render_html() and
+render_pdf() turn it into the email body and the printable attachment, so
+an archived digest can be downloaded again in either format.
+
+Contents:
+- Critical / Warning counts per store
+- the most urgent items: Critical before Warning, soonest stockout first
+- total recommended reorder value (quantity x price; SKUs without a price
+  are counted, not valued)
+
+Example:
+    digest = build_digest(rows, as_of=now, title="Acme Apparel", store_ids=["MUM_01"])
+    html = render_html(digest)      # standalone page, inline styles (email-safe)
+    pdf = render_pdf(digest)
+    error = email_digest(["store-mum01@example.com"], digest, "digest-2025-12-10.pdf")
+"""
+
+import math
+import smtplib
+from datetime import datetime
+from html import escape
+from typing import Any, Dict, List, Optional
+
+from alerts import send_email
+from pdf_export import text_pdf
+
+URGENT_STATUSES = ("Critical", "Warning")   # in order of urgency
+DEFAULT_TOP_ITEMS = 10
+
+
+def _finite(value: Optional[float]) -> Optional[float]:
+    return value if value is not None and math.isfinite(value) else None
+
+
+def _reorder_value(row: Dict[str, Any]) -> Optional[float]:
+    if row.get("price") is None:
+        return None
+    return round(row["recommended_reorder_quantity"] * row["price"], 2)
+
+
+def _urgency(row: Dict[str, Any]):
+    days = _finite(row.get("days_to_stockout"))
+    return (
+        URGENT_STATUSES.index(row["status"]),
+        days if days is not None else math.inf,
+        row["sku_id"],
+        row["store_id"],
+    )
+
+
+def build_digest(
+    rows: List[Dict[str, Any]],
+    as_of: datetime,
+    title: str,
+    store_ids: Optional[List[str]] = None,
+    top_items: int = DEFAULT_TOP_ITEMS,
+) -> Dict[str, Any]:
+    """
+    Digest of `rows` (Prediction dicts), limited to `store_ids` when given.
+    Everything in it is JSON-safe, so it can be archived as is.
+    """
+    if store_ids:
+        rows = [r for r in rows if r["store_id"] in store_ids]
+
+    stores: Dict[str, Dict[str, Any]] = {}
+    unpriced = 0
+    for row in rows:
+        store = stores.setdefault(row["store_id"], {
+            "store_id": row["store_id"],
+            "city": row.get("city"),
+            "critical": 0,
+            "warning": 0,
+            "total": 0,
+            "reorder_value": 0.0,
+        })
+        store["total"] += 1
+        if row["status"] in URGENT_STATUSES:
+            store[row["status"].lower()] += 1
+        if row["recommended_reorder_quantity"] > 0:
+            value = _reorder_value(row)
+            if value is None:
+                unpriced += 1
+            else:
+                store["reorder_value"] = round(store["reorder_value"] + value, 2)
+
+    urgent = sorted((r for r in rows if r["status"] in URGENT_STATUSES), key=_urgency)
+    per_store = sorted(stores.values(), key=lambda s: (-s["critical"], -s["warning"], s["store_id"]))
+
+    return {
+        "title": title,
+        "as_of": as_of.isoformat(),
+        "store_ids": list(store_ids or []),
+        "stores": per_store,
+        "totals": {
+            "critical": sum(s["critical"] for s in per_store),
+            "warning": sum(s["warning"] for s in per_store),
+            "total": sum(s["total"] for s in per_store),
+            "reorder_value": round(sum(s["reorder_value"] for s in per_store), 2),
+            "unpriced_reorders": unpriced,
+        },
+        "top_items": [
+            {
+                "sku_id": r["sku_id"],
+                "sku_name": r.get("sku_name"),
+                "store_id": r["store_id"],
+                "status": r["status"],
+                "current_stock": r["current_stock"],
+                "days_to_stockout": _finite(r.get("days_to_stockout")),
+                "recommended_reorder_quantity": r["recommended_reorder_quantity"],
+                "reorder_value": _reorder_value(r),
+            }
+            for r in urgent[:top_items]
+        ],
+    }
+
+
+def _days(value: Optional[float]) -> str:
+    return "-" if value is None else f"{value:.1f}"
+
+
+def _money(value: Optional[float]) -> str:
+    return "-" if value is None else f"{value:,.2f}"
+
+
+def _scope(digest: Dict[str, Any]) -> str:
+    return ", ".join(digest["store_ids"]) if digest["store_ids"] else "All stores"
+
+
+def _date(digest: Dict[str, Any]) -> str:
+    return datetime.fromisoformat(digest["as_of"]).strftime("%d %b %Y %H:%M UTC")
+
+
+def digest_subject(digest: Dict[str, Any]) -> str:
+    totals = digest["totals"]
+    return (
+        f"{digest['title']}: {totals['critical']} Critical, {totals['warning']} Warning "
+        f"({_scope(digest)})"
+    )
+
+
+def render_text(digest: Dict[str, Any]) -> List[str]:
+    """The digest as fixed-width lines (PDF pages and the plain-text email part)."""
+    totals = digest["totals"]
+    lines = [
+        digest["title"].upper(),
+        f"{_scope(digest)} - predictions as of {_date(digest)}",
+        "",
+        f"Critical: {totals['critical']}   Warning: {totals['warning']}   "
+        f"SKUs: {totals['total']}",
+        f"Recommended reorder value: {_money(totals['reorder_value'])}",
+    ]
+    if totals["unpriced_reorders"]:
+        lines.append(f"  (+ {totals['unpriced_reorders']} reorders without a price)")
+
+    lines += ["", "PER STORE", f"{'Store':<14}{'City':<16}{'Critical':>9}{'Warning':>9}"
+              f"{'SKUs':>7}{'Reorder value':>16}"]
+    for s in digest["stores"]:
+        lines.append(
+            f"{s['store_id']:<14.13}{s['city'] or '-':<16.15}{s['critical']:>9}{s['warning']:>9}"
+            f"{s['total']:>7}{_money(s['reorder_value']):>16}"
+        )
+
+    lines += ["", "MOST URGENT"]
+    if not digest["top_items"]:
+        lines.append("Nothing Critical or Warning.")
+    else:
+        lines.append(f"{'SKU':<16}{'Store':<10}{'Status':<10}{'Stock':>7}{'Days':>7}{'Reorder':>9}")
+        for i in digest["top_items"]:
+            lines.append(
+                f"{i['sku_id']:<16.15}{i['store_id']:<10.9}{i['status']:<10}{i['current_stock']:>7}"
+                f"{_days(i['days_to_stockout']):>7}{i['recommended_reorder_quantity']:>9}"
+            )
+    return lines
+
+
+def render_pdf(digest: Dict[str, Any]) -> bytes:
+    return text_pdf(render_text(digest), title=digest["title"])
+
+
+def _cell(value: Any, align: str = "left") -> str:
+    return f'<td style="padding:4px 8px;text-align:{align};">{escape(str(value))}</td>'
+
+
+def _header(*labels: str) -> str:
+    cells = "".join(
+        f'<th style="padding:4px 8px;text-align:left;color:#6b7280;font-weight:500;">'
+        f"{escape(label)}</th>"
+        for label in labels
+    )
+    return f"<tr>{cells}</tr>"
+
+
+def render_html(digest: Dict[str, Any]) -> str:
+    """A standalone page with inline styles, so mail clients show it as is."""
+    totals = digest["totals"]
+    table = 'style="border-collapse:collapse;font-size:13px;margin-bottom:24px;"'
+
+    store_rows = "".join(
+        "<tr>"
+        + _cell(s["store_id"]) + _cell(s["city"] or "-")
+        + _cell(s["critical"], "right") + _cell(s["warning"], "right")
+        + _cell(s["total"], "right") + _cell(_money(s["reorder_value"]), "right")
+        + "</tr>"
+        for s in digest["stores"]
+    )
+    item_rows = "".join(
+        "<tr>"
+        + _cell(i["sku_id"]) + _cell(i["sku_name"] or "") + _cell(i["store_id"])
+        + _cell(i["status"]) + _cell(i["current_stock"], "right")
+        + _cell(_days(i["days_to_stockout"]), "right")
+        + _cell(i["recommended_reorder_quantity"], "right")
+        + "</tr>"
+        for i in digest["top_items"]
+    )
+    unpriced = (
+        f" (+ {totals['unpriced_reorders']} reorders without a price)"
+        if totals["unpriced_reorders"] else ""
+    )
+    urgent = (
+        f"<table {table}>"
+        + _header("SKU", "Name", "Store", "Status", "Stock", "Days left", "Reorder qty")
+        + item_rows + "</table>"
+        if digest["top_items"] else "<p>Nothing Critical or Warning.</p>"
+    )
+
+    return (
+        "<!DOCTYPE html>"
+        '<html><head><meta charset="utf-8">'
+        f"<title>{escape(digest['title'])}</title></head>"
+        '<body style="font-family:Arial,sans-serif;color:#111827;">'
+        f"<h1 style=\"font-size:20px;\">{escape(digest['title'])}</h1>"
+        f'<p style="color:#6b7280;">{escape(_scope(digest))} - predictions as of '
+        f"{escape(_date(digest))}</p>"
+        f'<p><strong style="color:#991b1b;">{totals["critical"]} Critical</strong> · '
+        f'<strong style="color:#92400e;">{totals["warning"]} Warning</strong> · '
+        f'{totals["total"]} SKUs<br>'
+        f"Recommended reorder value: <strong>{_money(totals['reorder_value'])}</strong>"
+        f"{escape(unpriced)}</p>"
+        '<h2 style="font-size:16px;">Per store</h2>'
+        f"<table {table}>"
+        + _header("Store", "City", "Critical", "Warning", "SKUs", "Reorder value")
+        + store_rows + "</table>"
+        '<h2 style="font-size:16px;">Most urgent</h2>'
+        + urgent
+        + "</body></html>"
+    )
+
+
+def email_digest(recipients: List[str], digest: Dict[str, Any], filename: str) -> Optional[str]:
+    """Mail the digest as HTML with the PDF attached; the error message if that failed."""
+    try:
+        send_email(
+            recipients,
+            digest_subject(digest),
+            "\n".join(render_text(digest)),
+            html=render_html(digest),
+            attachments=[(filename, render_pdf(digest))],
+        )
+    except (OSError, RuntimeError, smtplib.SMTPException) as exc:
+        return f"email: {exc}"
+    return None
@@ -0,0 +1,204 @@
+"""
+Demand forecasting from daily sales history.
+
+Every method takes one item's daily unit sales, oldest first and ending
+yesterday (one number per day, 0 for days without sales), and returns the
+forecast for each of the next `horizon` days. compute_prediction uses the
+average of that forecast over the coverage target as the item's daily
+demand; backtest() replays history to see which method would have been
+closest, per category.
+
+Methods (METHODS):
+- moving_average          mean of the last 30 days - the same number as
+                          sales_last_30_days / 30, so the default changes nothing
+- moving_average_7        mean of the last 7 days: reacts faster, noisier
+- exponential_smoothing   level that weights recent days more (alpha 0.2)
+- holt                    level plus a damped trend, for items ramping up or
+                          winding down
+- holt_winters            holt plus a weekly (day-of-week) pattern, for items
+                          that sell more at weekends; needs two weeks of history
+
+Methods that need more history than they are given fall back to a simpler
+one (holt_winters -> holt -> moving average). Forecasts never go below 0.
+
+Example:
+    forecast([4, 6, 5, 9, 12, 3, 4] * 4, "holt_winters", horizon=7)
+    daily_rate(history, "holt", horizon=14)      # one number for compute_prediction
+    backtest({"Dairy": [series, ...]}, horizon=14, origins=4)
+"""
+
+from typing import Callable, Dict, Iterable, List, Optional, Sequence, Tuple
+
+DEFAULT_METHOD = "moving_average"
+SEASON_DAYS = 7   # weekly pattern for holt_winters
+DAMPING = 0.9     # trend fades out instead of running away over long horizons
+
+
+def _mean(values: Sequence[float]) -> float:
+    return sum(values) / len(values) if values else 0.0
+
+
+def _flat(rate: float, horizon: int) -> List[float]:
+    return [max(0.0, rate)] * horizon
+
+
+def _damped(trend: float, h: int) -> float:
+    """Trend added h days ahead: trend * (phi + phi^2 + ... + phi^h)."""
+    return trend * sum(DAMPING ** i for i in range(1, h + 1))
+
+
+def moving_average(history: Sequence[float], horizon: int, window: int = 30) -> List[float]:
+    return _flat(_mean(history[-window:]), horizon)
+
+
+def exponential_smoothing(
+    history: Sequence[float], horizon: int, alpha: float = 0.2
+) -> List[float]:
+    if not history:
+        return _flat(0.0, horizon)
+    level = _mean(history[:SEASON_DAYS])
+    for value in history:
+        level = alpha * value + (1 - alpha) * level
+    return _flat(level, horizon)
+
+
+def holt(
+    history: Sequence[float], horizon: int, alpha: float = 0.2, beta: float = 0.1
+) -> List[float]:
+    if len(history) < 2:
+        return moving_average(history, horizon)
+    level, trend = _mean(history[:SEASON_DAYS]), 0.0
+    for value in history:
+        previous = level
+        level = alpha * value + (1 - alpha) * (level + DAMPING * trend)
+        trend = beta * (level - previous) + (1 - beta) * DAMPING * trend
+    return [max(0.0, level + _damped(trend, h)) for h in range(1, horizon + 1)]
+
+
+def holt_winters(
+    history: Sequence[float],
+    horizon: int,
+    alpha: float = 0.2,
+    beta: float = 0.05,
+    gamma: float = 0.2,
+) -> List[float]:
+    """Additive Holt-Winters with a SEASON_DAYS season (additive copes with zero-sales days)."""
+    m = SEASON_DAYS
+    if len(history) < 2 * m:
+        return holt(history, horizon)
+
+    first, second = _mean(history[:m]), _mean(history[m:2 * m])
+    level, trend = first, (second - first) / m
+    season = [value - first for value in history[:m]]
+
+    for t in range(m, len(history)):
+        value, s = history[t], season[t % m]
+        previous = level
+        level = alpha * (value - s) + (1 - alpha) * (level + DAMPING * trend)
+        trend = beta * (level - previous) + (1 - beta) * DAMPING * trend
+        season[t % m] = gamma * (value - level) + (1 - gamma) * s
+
+    n = len(history)
+    return [
+        max(0.0, level + _damped(trend, h) + season[(n + h - 1) % m])
+        for h in range(1, horizon + 1)
+    ]
+
+
+Method = Callable[[Sequence[float], int], List[float]]
+
+METHODS: Dict[str, Method] = {
+    "moving_average": moving_average,
+    "moving_average_7": lambda history, horizon: moving_average(history, horizon, window=7),
+    "exponential_smoothing": exponential_smoothing,
+    "holt": holt,
+    "holt_winters": holt_winters,
+}
+
+
+def forecast(
+    history: Sequence[float], method: str = DEFAULT_METHOD, horizon: int = 30
+) -> List[float]:
+    """Daily demand for the next `horizon` days. Raises KeyError for an unknown method."""
+    return METHODS[method](list(history), max(1, horizon))
+
+
+def daily_rate(
+    history: Sequence[float], method: str = DEFAULT_METHOD, horizon: int = 30
+) -> float:
+    """Average forecast daily demand over the next `horizon` days."""
+    return _mean(forecast(history, method, horizon))
+
+
+# ---- backtesting ----
+
+def backtest(
+    series_by_category: Dict[str, Iterable[Sequence[float]]],
+    methods: Optional[Sequence[str]] = None,
+    horizon: int = 14,
+    origins: int = 4,
+    min_history: int = 28,
+) -> List[Dict]:
+    """
+    Rolling-origin backtest. For each item the last `origins` blocks of
+    `horizon` days are held out in turn; each method forecasts a block from
+    the days before it (at least `min_history`) and its total is compared
+    with what actually sold.
+
+    Per category and method:
+    - mape: mean of |forecast - actual| / actual, in %, over blocks that
+      sold something (blocks with no sales can't be expressed as a %;
+      they still count towards bias)
+    - bias: (total forecast - total actual) / total actual, in %; positive
+      means the method over-forecasts (too much stock), negative under-
+      forecasts (stockouts). None if nothing sold at all.
+
+    Returns rows sorted by category, then MAPE (best first).
+    """
+    methods = list(methods or METHODS)
+    rows = []
+    for category, series_list in series_by_category.items():
+        errors: Dict[str, List[float]] = {m: [] for m in methods}
+        totals: Dict[str, List[float]] = {m: [0.0, 0.0] for m in methods}   # forecast, actual
+        blocks = 0
+        for series in series_list:
+            for cut, actual in _holdouts(series, horizon, origins, min_history):
+                blocks += 1
+                for method in methods:
+                    predicted = sum(forecast(series[:cut], method, horizon))
+                    totals[method][0] += predicted
+                    totals[method][1] += actual
+                    if actual > 0:
+                        errors[method].append(abs(predicted - actual) / actual)
+
+        for method in methods:
+            predicted, actual = totals[method]
+            rows.append({
+                "category": category,
+                "method": method,
+                "blocks": blocks,
+                "mape": round(100 * _mean(errors[method]), 1) if errors[method] else None,
+                "bias": round(100 * (predicted - actual) / actual, 1) if actual else None,
+            })
+
+    def rank(row):
+        return (row["category"], row["mape"] is None, row["mape"] or 0.0, row["method"])
+
+    return sorted(rows, key=rank)
+
+
+def _holdouts(
+    series: Sequence[float], horizon: int, origins: int, min_history: int
+) -> List[Tuple[int, float]]:
+    """(cut, units sold in the `horizon` days from cut) for each held-out block, oldest first."""
+    cuts = [len(series) - horizon * k for k in range(origins, 0, -1)]
+    return [(cut, sum(series[cut:cut + horizon])) for cut in cuts if cut >= min_history]
+
+
+def best_methods(rows: List[Dict]) -> Dict[str, str]:
+    """Lowest-MAPE method per category, from backtest() rows."""
+    best: Dict[str, str] = {}
+    for row in rows:   # already sorted best first within a category
+        if row["mape"] is not None:
+            best.setdefault(row["category"], row["method"])
+    return best
@@ -1,65 +1,301 @@
-from datetime import datetime
-from typing import List, Optional
+import asyncio
+import csv
+import io
+import json
+import logging
+import os
+import secrets
+from contextlib import asynccontextmanager
+from datetime import date, datetime, timedelta, timezone
+from math import ceil, isfinite, sqrt
+from statistics import NormalDist, stdev
+from typing import Annotated, Any, Dict, List, Literal, Optional, Tuple
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError
 
-from fastapi import FastAPI
+from fastapi import BackgroundTasks, Depends, FastAPI, HTTPException, Query, Request
 from fastapi.middleware.cors import CORSMiddleware
-from pydantic import BaseModel
+from fastapi.responses import HTMLResponse, Response, StreamingResponse
+from pydantic import AfterValidator, BaseModel, Field, ValidationError, model_validator
+
+from alerts import deliver, evaluate_rule, in_quiet_hours, webhook_url_problem
+from auth import hash_password, new_token, role_allows, token_hash, verify_password
+from digest import build_digest, email_digest, render_html, render_pdf
+from forecasting import DEFAULT_METHOD, METHODS, daily_rate
+from pdf_export import text_pdf
+from sales_history import daily_series, daily_totals, latest_stock, parse_sales_csv, rolling_totals
+from storage import DEFAULT_TENANT, open_store
 
 
 # ---------------------------------------------------------
 # FastAPI app setup
 # ---------------------------------------------------------
 
+@asynccontextmanager
+async def lifespan(app: FastAPI):
+    release_loop = asyncio.create_task(release_held_alerts_forever())
+    digest_loop = asyncio.create_task(send_due_digests_forever())
+    yield
+    release_loop.cancel()
+    digest_loop.cancel()
+
+
 app = FastAPI(
     title="Smart Inventory Prediction API",
     description="Backend for Smart Inventory Prediction & Replenishment System",
     version="1.0.0",
+    lifespan=lifespan,
 )
 
-# CORS – allow your React app + Boltic + local dev
+# CORS – allow your React app + Boltic + local dev.
+# Deployed dashboards are added with CORS_ORIGINS (comma-separated).
+# Callers authenticate with headers (X-API-Key / Bearer token), never
+# cookies, so browsers don't need to send credentials.
 origins = [
     "http://localhost:3000",
     "http://127.0.0.1:3000",
     "https://localhost:3000",
     "https://asia-south1.api.boltic.io",  # Boltic workflow
-    "*",  # Allow all origins for development
-]
+] + [o.strip() for o in os.environ.get("CORS_ORIGINS", "").split(",") if o.strip()]
 
 app.add_middleware(
     CORSMiddleware,
     allow_origins=origins,
-    allow_credentials=True,
+    allow_credentials=False,
     allow_methods=["*"],
     allow_headers=["*"],
 )
 
+logger = logging.getLogger("uvicorn.error")
+
 
 # ---------------------------------------------------------
 # Pydantic models
 # ---------------------------------------------------------
 
-class ItemInput(BaseModel):
-    """Input item for prediction (used by /predict-bulk)."""
+# Models used for /auth (see auth.py for how callers authenticate)
+
+Role = Literal["viewer", "buyer", "admin"]   # same order as auth.ROLES
+
+
+class Principal(BaseModel):
+    """Who is calling: a logged-in user or an API key."""
+    name: str
+    role: Role
+    kind: str                   # "user" or "api_key"
+    tenants: List[str] = []     # tenants it may use; admins may use every tenant
+
+
+class LoginRequest(BaseModel):
+    username: str
+    password: str
+
+
+class LoginResponse(BaseModel):
+    token: str                  # send as "Authorization: Bearer <token>"
+    expires_at: datetime
+    username: str
+    role: Role
+    tenants: List[str]
+
+
+class TicketRequest(BaseModel):
+    path: str = Field(..., pattern=r"^/", max_length=500)   # e.g. "/stream"
+
+
+class Ticket(BaseModel):
+    ticket: str                 # send as ?ticket=, once, on a GET of `path`
+    path: str
+    expires_at: datetime
+
+
+class User(BaseModel):
+    username: str
+    role: Role
+    created_at: datetime
+    tenants: List[str] = []
+
+
+class UserCreate(BaseModel):
+    username: str = Field(..., min_length=1)
+    password: str = Field(..., min_length=8)
+    role: Role = "viewer"
+    tenants: List[str] = [DEFAULT_TENANT]
+
+
+class UserUpdate(BaseModel):
+    role: Optional[Role] = None
+    password: Optional[str] = Field(None, min_length=8)
+    tenants: Optional[List[str]] = None
+
+
+class UserList(BaseModel):
+    users: List[User]
+
+
+class ApiKey(BaseModel):
+    key_id: int
+    name: str
+    prefix: str                 # first characters, to tell keys apart
+    role: Role
+    tenant_id: str              # the only tenant the key can read or write
+    created_at: datetime
+    last_used_at: Optional[datetime] = None
+    revoked_at: Optional[datetime] = None
+
+
+class ApiKeyCreate(BaseModel):
+    name: str = Field(..., min_length=1)   # e.g. "Boltic workflow"
+    role: Role = "buyer"
+    tenant_id: Optional[str] = None        # default: the tenant of the request
+
+
+class ApiKeyCreated(ApiKey):
+    key: str                    # shown once; only its hash is stored
+
+
+class ApiKeyList(BaseModel):
+    api_keys: List[ApiKey]
+
+
+# Models used for /tenants (organizations sharing the deployment)
+
+class Tenant(BaseModel):
+    tenant_id: str
+    name: str
+    created_at: datetime
+
+
+class TenantCreate(BaseModel):
+    tenant_id: str = Field(..., pattern=r"^[a-z0-9][a-z0-9_-]{0,39}$")   # e.g. "acme"
+    name: str = Field(..., min_length=1)
+
+
+class TenantList(BaseModel):
+    tenants: List[Tenant]
+
+
+# Models used for /views (dashboard filter/sort states a user saved by name)
+
+class SavedViewCreate(BaseModel):
+    name: str = Field(..., min_length=1, max_length=60)   # e.g. "Mumbai criticals"
+    query: str = Field("", max_length=2000)               # dashboard URL query, e.g. "?store=MUM_01"
+
+
+class SavedView(SavedViewCreate):
+    view_id: int
+    created_at: datetime
+
+
+class SavedViewList(BaseModel):
+    views: List[SavedView]
+
+
+class SupplyParams(BaseModel):
+    """
+    Optional per-SKU supply parameters. When present they drive the
+    safety stock / reorder point calculation in compute_prediction.
+    """
+    lead_time_days: Optional[float] = Field(None, ge=0)        # supplier lead time
+    on_order_quantity: Optional[int] = Field(None, ge=0)       # open purchase orders
+    moq: Optional[int] = Field(None, ge=0)                     # minimum order quantity
+    pack_size: Optional[int] = Field(None, ge=1)               # case-pack multiple
+    service_level: Optional[float] = Field(None, gt=0, lt=1)   # e.g. 0.95
+
+
+class ProductInfo(BaseModel):
+    """
+    Optional product and pricing columns (see inventory_data.csv). Price and
+    promotion feed the demand multiplier in compute_prediction.
+    """
+    sku_name: Optional[str] = None
+    supplier: Optional[str] = None
+    price: Optional[float] = Field(None, ge=0)
+    regular_price: Optional[float] = Field(None, gt=0)   # price before any change
+    promotion_active: bool = False
+
+
+def finite_or_none(days: Optional[float]) -> Optional[float]:
+    return days if days is None or isfinite(days) else None
+
+
+# Days of cover as sent and stored: None when no stockout is expected.
+# JSON has no Infinity; a non-finite value (older stored rows, Python
+# clients sending Infinity) becomes None.
+CoverDays = Annotated[Optional[float], AfterValidator(finite_or_none)]
+
+# Why days_to_stockout is None: "no_sales" (nothing sold in the last 30
+# days), "zero_forecast" (sold lately, but the forecast or a scenario
+# brings demand to 0) or "no_demand" (sent without a reason, e.g. /ingest).
+StockoutReason = Literal["no_sales", "zero_forecast", "no_demand"]
+
+
+class StockoutDays(BaseModel):
+    """
+    days_to_stockout on the wire: a number of days, or None when no stockout
+    is expected, with the reason in stockout_reason (see StockoutReason).
+    The reason is filled in (or cleared) here.
+    """
+    days_to_stockout: CoverDays
+    stockout_reason: Optional[StockoutReason] = None
+
+    @model_validator(mode="after")
+    def _stockout_reason(self):
+        if self.days_to_stockout is None:
+            self.stockout_reason = self.stockout_reason or "no_demand"
+        else:
+            self.stockout_reason = None
+        return self
+
+
+class ItemInput(SupplyParams, ProductInfo):
+    """
+    Input item for prediction (used by /predict-bulk). current_stock and
+    sales_last_30_days may be left out for items with /sales history
+    (see with_sales_history).
+    """
     sku_id: str
     store_id: str
-    current_stock: int
-    sales_last_30_days: int
+    current_stock: Optional[int] = None
+    sales_last_30_days: Optional[int] = None
     category: Optional[str] = None
     city: Optional[str] = None
+    # units sold per day, oldest first and ending yesterday; when sent,
+    # demand is forecast from it with the policy's forecast_method
+    daily_sales: Optional[List[float]] = Field(None, max_length=730)
 
 
-class Prediction(BaseModel):
+class Prediction(StockoutDays, SupplyParams, ProductInfo):
     """Final prediction object returned to frontend."""
     sku_id: str
     store_id: str
     current_stock: int
     avg_daily_sales: float
-    days_to_stockout: float
     status: str
     recommended_reorder_quantity: int
     category: Optional[str] = None
     city: Optional[str] = None
     last_updated: datetime
+    # reorder breakdown (see reorder_breakdown)
+    safety_stock: Optional[float] = None
+    reorder_point: Optional[float] = None
+    base_reorder_quantity: Optional[int] = None   # before MOQ / pack rounding
+    # tied-up stock (Overstock / Dead Stock only, see excess_stock)
+    excess_units: Optional[int] = None
+    capital_at_risk: Optional[float] = None       # excess_units * price
+    open_po_quantity: Optional[int] = None        # on submitted purchase orders
+    # demand adjustment (see demand_multiplier); avg_daily_sales and
+    # days_to_stockout above are the adjusted values
+    baseline_daily_sales: Optional[float] = None
+    baseline_days_to_stockout: CoverDays = None
+    demand_multiplier: Optional[float] = None
+    forecast_method: Optional[str] = None   # set when baseline_daily_sales came from daily_sales
+    # demand variability (see stockout_risk): days_to_stockout is the
+    # median; P10 / P90 are the early (high demand) and late ends
+    demand_std: Optional[float] = None            # units per day, adjusted like avg_daily_sales
+    stockout_probability: Optional[float] = None  # 0..1, within stockout_horizon_days
+    stockout_horizon_days: Optional[float] = None
+    days_to_stockout_p10: CoverDays = None
+    days_to_stockout_p90: CoverDays = None
 
 
 class PredictBulkRequest(BaseModel):
@@ -67,212 +303,2985 @@ class PredictBulkRequest(BaseModel):
     items: List[ItemInput]
 
 
+class LatestFacets(BaseModel):
+    """
+    Prediction counts per value of each filterable field. Every facet applies
+    all /latest filters except its own, so the counts tell how many rows
+    choosing that value would show.
+    """
+    store_id: Dict[str, int]
+    city: Dict[str, int]
+    category: Dict[str, int]
+    status: Dict[str, int]
+
+
 class LatestResponse(BaseModel):
-    """Response returned by /latest."""
+    """Response returned by /latest (and /predict-bulk, without the paging fields)."""
     predictions: List[Prediction]
     last_updated: Optional[datetime]
+    total: Optional[int] = None           # rows matching the filters, across all pages
+    offset: Optional[int] = None
+    limit: Optional[int] = None
+    next_offset: Optional[int] = None     # offset of the next page; None on the last
+    facets: Optional[LatestFacets] = None
+    capital_at_risk: Optional[Dict[str, float]] = None   # summed per status over matching rows
+    version: Optional[int] = None         # prediction run served, as in /stream events
 
 
 # Models used specifically for /ingest (data coming from Boltic)
 
-class PredictionIn(BaseModel):
+class PredictionIn(StockoutDays, SupplyParams, ProductInfo):
     sku_id: str
     store_id: str
     current_stock: int
     avg_daily_sales: float
-    days_to_stockout: float
     status: str
     recommended_reorder_quantity: int
     category: Optional[str] = None
     city: Optional[str] = None
+    safety_stock: Optional[float] = None
+    reorder_point: Optional[float] = None
+    base_reorder_quantity: Optional[int] = None
+    excess_units: Optional[int] = None
+    capital_at_risk: Optional[float] = None
+    baseline_daily_sales: Optional[float] = None
+    baseline_days_to_stockout: CoverDays = None
+    demand_multiplier: Optional[float] = None
+    forecast_method: Optional[str] = None
+    demand_std: Optional[float] = None
+    stockout_probability: Optional[float] = Field(None, ge=0, le=1)
+    stockout_horizon_days: Optional[float] = None
+    days_to_stockout_p10: CoverDays = None
+    days_to_stockout_p90: CoverDays = None
+
+
+class ItemKey(BaseModel):
+    sku_id: str
+    store_id: str
 
 
 class IngestRequest(BaseModel):
-    predictions: List[PredictionIn]
+    predictions: List[PredictionIn] = []
+    delete: List[ItemKey] = []      # mode=upsert only: items to remove
 
 
-# ---------------------------------------------------------
-# In-memory storage
-# (Render dyno will reset sometimes; fine for demo)
-# ---------------------------------------------------------
+class IngestResult(BaseModel):
+    """
+    Response returned by /ingest and by the commit of a chunked run.
+    `version` is the prediction run written (None when nothing changed),
+    the same number /stream reports.
+    """
+    status: str                     # "ok", or "staged" for a chunk of run_id
+    count: int                      # predictions in this request
+    message: str
+    run_id: Optional[str] = None
+    staged: Optional[int] = None    # keys staged so far for run_id
+    inserted: int = 0
+    updated: int = 0
+    unchanged: int = 0
+    deleted: int = 0
+    version: Optional[int] = None
 
-LAST_PREDICTIONS: List[Prediction] = []
-LAST_UPDATED_AT: Optional[datetime] = None
 
+# Models used for /policy (risk thresholds and coverage target)
 
-# ---------------------------------------------------------
-# Core prediction logic (same algorithm used everywhere)
-# ---------------------------------------------------------
+class RiskPolicy(BaseModel):
+    """Thresholds compute_prediction applies to one item."""
+    critical_days: float = 3    # days_to_stockout below this = Critical
+    warning_days: float = 7     # days_to_stockout below this = Warning
+    target_days: float = 14     # reorder enough to cover this many days
+    promo_uplift: float = 1.25  # demand multiplier while a promotion runs
+    price_elasticity: float = -1.5  # % demand change per % price change
+    overstock_days: float = 60  # coverage above this = Overstock
+    dead_stock_days: float = 180  # coverage above this (or no sales) = Dead Stock
+    forecast_method: str = DEFAULT_METHOD  # for items sent with daily_sales (see forecasting.py)
+    stockout_horizon_days: float = 7  # stockout_probability is for this many days ahead
 
-DAYS_WINDOW = 30        # we measure sales over last 30 days
-TARGET_DAYS = 14        # we want 14 days of coverage in stock
 
+class RiskPolicyOverride(BaseModel):
+    """Partial RiskPolicy; unset fields inherit from the level above."""
+    critical_days: Optional[float] = None
+    warning_days: Optional[float] = None
+    target_days: Optional[float] = None
+    promo_uplift: Optional[float] = None
+    price_elasticity: Optional[float] = None
+    overstock_days: Optional[float] = None
+    dead_stock_days: Optional[float] = None
+    forecast_method: Optional[str] = None
+    stockout_horizon_days: Optional[float] = None
 
-def compute_prediction(item: ItemInput, as_of: datetime) -> Prediction:
-    """Take one item and compute stockout risk + reorder quantity."""
-    current_stock = item.current_stock
-    sales_last_30 = item.sales_last_30_days
 
-    # avg sales per day
-    avg_daily_sales = sales_last_30 / DAYS_WINDOW if DAYS_WINDOW > 0 else float(
-        sales_last_30
-    )
+class PolicyConfig(BaseModel):
+    """
+    Defaults plus overrides. For an item, the category override is applied
+    on top of the defaults, then the store override on top of that.
+    """
+    defaults: RiskPolicy = Field(default_factory=RiskPolicy)
+    categories: Dict[str, RiskPolicyOverride] = Field(default_factory=dict)
+    stores: Dict[str, RiskPolicyOverride] = Field(default_factory=dict)
 
-    # days until stock runs out
-    if avg_daily_sales == 0:
-        days_to_stockout = float("inf")
-    else:
-        days_to_stockout = current_stock / avg_daily_sales
 
-    # risk bucket
-    if days_to_stockout < 3:
-        status = "Critical"
-    elif days_to_stockout < 7:
-        status = "Warning"
-    else:
-        status = "Safe"
+# Models used for /history (one snapshot per prediction run)
 
-    # reorder quantity (to cover next TARGET_DAYS days)
-    if avg_daily_sales == 0:
-        recommended_reorder_quantity = 0
-    else:
-        desired_stock = TARGET_DAYS * avg_daily_sales
-        recommended_reorder_quantity = max(
-            0, round(desired_stock - current_stock)
-        )
+class HistoryEntry(BaseModel):
+    """Run summary returned by /history (no per-item data)."""
+    taken_at: datetime
+    source: str                 # "predict-bulk" or "ingest"
+    total: int
+    counts: Dict[str, int]
 
-    return Prediction(
-        sku_id=item.sku_id,
-        store_id=item.store_id,
-        current_stock=current_stock,
-        avg_daily_sales=avg_daily_sales,
-        days_to_stockout=days_to_stockout,
-        status=status,
-        recommended_reorder_quantity=recommended_reorder_quantity,
-        category=item.category,
-        city=item.city,
-        last_updated=as_of,
-    )
 
+class HistoryResponse(BaseModel):
+    """Response returned by /history, oldest run first."""
+    snapshots: List[HistoryEntry]
 
-# ---------------------------------------------------------
-# Endpoints
-# ---------------------------------------------------------
 
-@app.get("/health")
-def health_check():
-    """Health check endpoint for monitoring and deployments."""
-    return {"status": "healthy", "service": "Smart Inventory API"}
+class IngestRecord(BaseModel):
+    """One stored write request (see storage.py)."""
+    ingest_id: int
+    run_id: Optional[int] = None   # None once the run is pruned from history
+    source: str
+    received_at: datetime
+    item_count: int
 
 
-@app.post("/predict-bulk", response_model=LatestResponse)
-def predict_bulk(request: PredictBulkRequest):
+class IngestLog(BaseModel):
+    """Response returned by /ingests, newest first."""
+    ingests: List[IngestRecord]
+
+
+class SkuHistoryPoint(StockoutDays):
+    """One SKU/store pair as it looked in one run."""
+    taken_at: datetime
+    current_stock: int
+    avg_daily_sales: float
+    status: str
+    recommended_reorder_quantity: int
+
+
+class SkuHistoryResponse(BaseModel):
+    """Response returned by /history/{store_id}/{sku_id}, oldest run first."""
+    sku_id: str
+    store_id: str
+    points: List[SkuHistoryPoint]
+
+
+# Models used for /sales (daily sales and stock-on-hand history, see sales_history.py)
+
+class SalesRecord(BaseModel):
     """
-    Local/manual prediction API.
-    You can test this from Swagger UI or Postman.
-    Also useful if you want to bypass Boltic and just hit the backend.
-    
-    Example:
-    POST /predict-bulk
-    {
-      "items": [
-        {
-          "sku_id": "TSHIRT_RED_M",
-          "store_id": "STORE_001",
-          "current_stock": 100,
-          "sales_last_30_days": 30
-        }
-      ]
-    }
+    One row of sales history: a day's total (sales_date + units) or one
+    transaction (sold_at + quantity, negative for returns), either
+    optionally with the stock on hand at the end of the day / after it.
     """
-    global LAST_PREDICTIONS, LAST_UPDATED_AT
-    now = datetime.utcnow()
+    sku_id: str = Field(..., min_length=1)
+    store_id: str = Field(..., min_length=1)
+    sales_date: Optional[date] = None
+    units: Optional[float] = Field(None, ge=0)
+    sold_at: Optional[datetime] = None
+    quantity: Optional[float] = None
+    stock_on_hand: Optional[int] = Field(None, ge=0)
 
-    predictions: List[Prediction] = [
-        compute_prediction(item, as_of=now) for item in request.items
-    ]
+    @model_validator(mode="after")
+    def _daily_or_transaction(self):
+        if (self.sales_date is None) == (self.sold_at is None):
+            raise ValueError("give either sales_date (daily total) or sold_at (transaction)")
+        if self.sales_date is not None and self.quantity is not None:
+            raise ValueError("daily totals use units; quantity goes with sold_at")
+        if self.sold_at is not None and self.units is not None:
+            raise ValueError("transactions use quantity; units goes with sales_date")
+        if self.sold_at is not None and self.sold_at.tzinfo is not None:
+            self.sold_at = self.sold_at.astimezone(timezone.utc).replace(tzinfo=None)
+        return self
 
-    LAST_PREDICTIONS = predictions
-    LAST_UPDATED_AT = now
 
-    return LatestResponse(predictions=predictions, last_updated=LAST_UPDATED_AT)
+class SalesIngestResult(BaseModel):
+    """Response returned by POST /sales; counts are SKU/store days."""
+    status: str
+    records: int          # records received
+    days: int             # SKU/store days they add up to
+    inserted: int = 0
+    updated: int = 0
+    unchanged: int = 0
 
 
-@app.get("/latest", response_model=LatestResponse)
-def get_latest():
+class SalesDay(BaseModel):
+    sales_date: date
+    units: float
+    stock_on_hand: Optional[int] = None
+
+
+class SalesHistoryResponse(BaseModel):
     """
-    Returns the last set of predictions generated, either by /predict-bulk
-    or by /ingest (from Boltic).
-    This is what your React dashboard calls to display inventory health.
+    Response returned by /sales/{store_id}/{sku_id}: complete days, oldest
+    first, days without a record as 0 units.
     """
-    return LatestResponse(
-        predictions=LAST_PREDICTIONS,
-        last_updated=LAST_UPDATED_AT,
-    )
+    sku_id: str
+    store_id: str
+    days: List[SalesDay]
+    last_7_days: float = 0
+    last_30_days: float = 0
 
 
-@app.post("/ingest")
-def ingest_predictions(request: IngestRequest):
-    """
-    BOLTIC INTEGRATION ENDPOINT.
-    
-    Boltic workflow will POST its computed predictions here.
-    Boltic sends data in this format:
+# Models used for /simulate (what-if, nothing stored)
 
-    POST /ingest
-    {
-      "predictions": [
-        {
-          "sku_id": "TSHIRT_RED_M",
-          "store_id": "STORE_001",
-          "current_stock": 100,
-          "avg_daily_sales": 2.5,
-          "days_to_stockout": 40.0,
-          "status": "Safe",
-          "recommended_reorder_quantity": 50,
-          "category": "T-Shirts",
-          "city": "Mumbai"
-        }
-      ]
-    }
+MAX_SCENARIOS = 200
+MAX_SIMULATION_DAYS = 180
 
-    We convert those into Prediction objects and update LAST_PREDICTIONS,
-    so /latest and the React dashboard see the latest Boltic run.
-    
-    Returns:
-    {
-      "status": "ok",
-      "count": 5,
-      "message": "5 predictions ingested successfully"
-    }
+
+class Receipt(BaseModel):
+    receipt_date: date
+    quantity: int = Field(..., ge=1)
+
+
+class Scenario(BaseModel):
     """
-    global LAST_PREDICTIONS, LAST_UPDATED_AT
-    now = datetime.utcnow()
+    Changes to one stored prediction: a different current_stock, units
+    arriving on given days and/or demand scaled by demand_multiplier (on
+    top of any promotion / price adjustment).
+    """
+    sku_id: str
+    store_id: str
+    current_stock: Optional[int] = Field(None, ge=0)   # None: keep the stored one
+    receipts: List[Receipt] = Field(default_factory=list, max_length=50)
+    demand_multiplier: float = Field(1.0, gt=0, le=10)
 
-    converted: List[Prediction] = [
-        Prediction(
-            sku_id=p.sku_id,
-            store_id=p.store_id,
-            current_stock=p.current_stock,
-            avg_daily_sales=p.avg_daily_sales,
-            days_to_stockout=p.days_to_stockout,
-            status=p.status,
-            recommended_reorder_quantity=p.recommended_reorder_quantity,
-            category=p.category,
-            city=p.city,
-            last_updated=now,
-        )
-        for p in request.predictions
-    ]
 
-    LAST_PREDICTIONS = converted
-    LAST_UPDATED_AT = now
+class SimulationRequest(BaseModel):
+    scenarios: List[Scenario] = Field(..., min_length=1, max_length=MAX_SCENARIOS)
+    days: int = Field(30, ge=1, le=MAX_SIMULATION_DAYS)   # length of the stock curves
 
-    return {
-        "status": "ok",
-        "count": len(converted),
-        "message": f"{len(converted)} predictions ingested successfully"
-    }
+
+class StockPoint(BaseModel):
+    day: date
+    stock: float          # on hand at the end of the day
+    received: int = 0     # receipts that arrived that day
+
+
+class StockProjection(BaseModel):
+    points: List[StockPoint]               # today first, then one per day
+    stockout_date: Optional[date] = None   # first day stock hits 0, if within the curve
+
+
+class SimulationResult(BaseModel):
+    sku_id: str
+    store_id: str
+    before: Prediction
+    after: Prediction
+    before_projection: StockProjection
+    after_projection: StockProjection
+
+
+class SimulationResponse(BaseModel):
+    results: List[SimulationResult]
+    as_of: datetime
+
+
+# Models used for /purchase-orders
+
+class PurchaseOrderLine(BaseModel):
+    sku_id: str
+    quantity: int = Field(..., ge=1)
+    sku_name: Optional[str] = None
+    unit_price: Optional[float] = Field(None, ge=0)
+
+
+class PurchaseOrderDraft(BaseModel):
+    """Body for POST /purchase-orders and PUT /purchase-orders/{po_id}."""
+    store_id: str
+    supplier: Optional[str] = None
+    notes: Optional[str] = None
+    lines: List[PurchaseOrderLine] = Field(..., min_length=1)
+
+
+class PurchaseOrder(PurchaseOrderDraft):
+    po_id: str
+    status: str                 # "draft", "submitted" or "received"
+    created_at: datetime
+    updated_at: datetime
+    submitted_at: Optional[datetime] = None
+    received_at: Optional[datetime] = None
+
+
+class PurchaseOrderStatusUpdate(BaseModel):
+    status: str
+
+
+class PurchaseOrderList(BaseModel):
+    """Response returned by GET /purchase-orders, newest first."""
+    purchase_orders: List[PurchaseOrder]
+
+
+# Models used for /transfers (moving stock between stores)
+
+class TransferSuggestion(BaseModel):
+    """Move `quantity` of one SKU from an overstocked store to one at risk."""
+    sku_id: str
+    from_store_id: str
+    to_store_id: str
+    quantity: int
+    from_city: Optional[str] = None
+    to_city: Optional[str] = None
+    same_city: bool
+    from_days_before: CoverDays   # None: the donor sells nothing
+    from_days_after: CoverDays
+    to_days_before: float
+    to_days_after: float
+    to_status: str
+
+
+class TransferSuggestionResponse(BaseModel):
+    generated_at: datetime
+    suggestions: List[TransferSuggestion]
+
+
+class TransferOrderLine(BaseModel):
+    sku_id: str
+    quantity: int = Field(..., ge=1)
+
+
+class TransferOrderDraft(BaseModel):
+    """Body for POST /transfer-orders: one source store, one destination."""
+    from_store_id: str
+    to_store_id: str
+    notes: Optional[str] = None
+    lines: List[TransferOrderLine] = Field(..., min_length=1)
+
+
+class TransferOrder(TransferOrderDraft):
+    transfer_id: str
+    status: str                 # "draft", "shipped" or "received"
+    created_at: datetime
+    updated_at: datetime
+    shipped_at: Optional[datetime] = None
+    received_at: Optional[datetime] = None
+
+
+class TransferOrderStatusUpdate(BaseModel):
+    status: str
+
+
+class TransferOrderList(BaseModel):
+    """Response returned by GET /transfer-orders, newest first."""
+    transfer_orders: List[TransferOrder]
+
+
+# Models used for /alerts (rules are evaluated by alerts.py after every prediction run)
+
+CLOCK_PATTERN = r"^([01]\d|2[0-3]):[0-5]\d$"   # "HH:MM", 24h
+ClockTime = Field(None, pattern=CLOCK_PATTERN)
+
+
+class AlertRuleIn(BaseModel):
+    """Body for POST/PUT /alerts/rules."""
+    name: str = Field(..., min_length=1, max_length=80)
+    kind: Literal["item_status", "status_count"]
+    status: str = "Critical"
+    store_id: Optional[str] = None      # scope; unset means every store / city / category
+    city: Optional[str] = None
+    category: Optional[str] = None
+    threshold: int = Field(0, ge=0)     # status_count: alert when more items than this
+    webhook_url: Optional[str] = None
+    email_to: List[str] = Field([], max_length=20)
+    dedupe_minutes: int = Field(24 * 60, ge=0, le=30 * 24 * 60)
+    quiet_start: Optional[str] = ClockTime
+    quiet_end: Optional[str] = ClockTime
+    timezone: str = "UTC"               # of the quiet hours, e.g. "Asia/Kolkata"
+    enabled: bool = True
+
+
+class AlertRule(AlertRuleIn):
+    rule_id: int
+    created_at: datetime
+
+
+class AlertRuleList(BaseModel):
+    rules: List[AlertRule]
+
+
+class AlertEvent(BaseModel):
+    """One alert a rule raised. Held alerts wait for the rule's quiet hours to end."""
+    event_id: int
+    rule_id: Optional[int]      # None once the rule is deleted
+    rule_name: str
+    run_id: Optional[int]
+    subject: str
+    text: str
+    item_count: int
+    status: Literal["sent", "failed", "held"]
+    error: Optional[str] = None
+    created_at: datetime
+    delivered_at: Optional[datetime] = None
+
+
+class AlertHistory(BaseModel):
+    """Response returned by GET /alerts/history, newest first."""
+    events: List[AlertEvent]
+
+
+# Models used for /digests (daily summaries built by digest.py)
+
+class DigestSubscriptionIn(BaseModel):
+    """Body for POST/PUT /digests/subscriptions."""
+    name: str = Field(..., min_length=1, max_length=80)
+    store_ids: List[str] = Field([], max_length=200)   # empty means every store
+    email_to: List[str] = Field([], max_length=20)
+    archive: bool = True                # keep a copy, downloadable from /digests
+    send_at: str = Field("07:00", pattern=CLOCK_PATTERN)
+    timezone: str = "UTC"               # of send_at, e.g. "Asia/Kolkata"
+    top_items: int = Field(10, ge=1, le=50)
+    enabled: bool = True
+
+
+class DigestSubscription(DigestSubscriptionIn):
+    subscription_id: int
+    created_at: datetime
+
+
+class DigestSubscriptionList(BaseModel):
+    subscriptions: List[DigestSubscription]
+
+
+class DigestRecord(BaseModel):
+    """One digest built for a subscription; only archived ones can be downloaded."""
+    digest_id: int
+    subscription_id: Optional[int]     # None once the subscription is deleted
+    name: str
+    digest_date: str                   # in the subscription's timezone
+    trigger: Literal["schedule", "manual"]
+    totals: Optional[Dict[str, Any]] = None   # see build_digest
+    archived: bool
+    status: Literal["pending", "sent", "archived", "failed"]
+    error: Optional[str] = None
+    created_at: datetime
+
+
+class DigestArchive(BaseModel):
+    """Response returned by GET /digests, newest first."""
+    digests: List[DigestRecord]
+
+
+# ---------------------------------------------------------
+# Storage
+# Predictions and their run history live in the database from
+# DATABASE_URL (see storage.py), so they survive restarts and are shared
+# by every instance, and so do purchase and transfer orders and risk
+# policies. Everything is kept per tenant.
+# ---------------------------------------------------------
+
+STORE = open_store()
+MAX_HISTORY_SNAPSHOTS = 200   # per tenant; oldest runs are dropped beyond this
+STORE.max_runs = MAX_HISTORY_SNAPSHOTS
+
+
+def tenant_purchase_orders(tenant: str, status: Optional[str] = None) -> List[PurchaseOrder]:
+    """The tenant's purchase orders, newest first, optionally only those in `status`."""
+    return [PurchaseOrder(**po) for po in STORE.list_orders(tenant, "purchase", status)]
+
+
+def tenant_transfer_orders(tenant: str, status: Optional[str] = None) -> List[TransferOrder]:
+    """The tenant's transfer orders, newest first, optionally only those in `status`."""
+    return [TransferOrder(**o) for o in STORE.list_orders(tenant, "transfer", status)]
+
+
+# ---------------------------------------------------------
+# Authentication and roles
+# ---------------------------------------------------------
+
+SESSION_HOURS = 12
+TICKET_SECONDS = 60   # a link ticket must be used this soon after it was made
+API_KEY_PREFIX_CHARS = 10   # stored in clear so admins can tell keys apart
+
+
+def all_tenant_ids() -> List[str]:
+    return [t["tenant_id"] for t in STORE.list_tenants()]
+
+
+def user_tenants(role: str, assigned: List[str]) -> List[str]:
+    """Tenants a user may use: the assigned ones, or all of them for admins."""
+    return all_tenant_ids() if role == "admin" else assigned
+
+
+def bearer_token(request: Request) -> Optional[str]:
+    authorization = request.headers.get("Authorization", "")
+    return authorization[7:] if authorization.lower().startswith("bearer ") else None
+
+
+def authenticate(request: Request) -> Principal:
+    """
+    Resolve the caller from X-API-Key or "Authorization: Bearer <token>".
+    EventSource (/stream) and download links can't set headers, so a GET
+    may send ?ticket= from POST /auth/tickets instead: it works once, for
+    that path only, and expires within TICKET_SECONDS. The session token
+    itself never goes into a URL, where logs and Referer headers keep it.
+    """
+    api_key = request.headers.get("X-API-Key")
+    if api_key:
+        key = STORE.use_api_key(token_hash(api_key))
+        if key is None:
+            raise HTTPException(status_code=401, detail="Invalid or revoked API key")
+        return Principal(
+            name=key["name"], role=key["role"], kind="api_key", tenants=[key["tenant_id"]]
+        )
+
+    token = bearer_token(request)
+    session_hash = token_hash(token) if token else None
+    ticket = request.query_params.get("ticket")
+    if session_hash is None and ticket and request.method == "GET":
+        session_hash = STORE.use_ticket(token_hash(ticket), request.url.path)
+    session = STORE.session_user(session_hash) if session_hash else None
+    if session is None:
+        raise HTTPException(
+            status_code=401,
+            detail="Not authenticated",
+            headers={"WWW-Authenticate": "Bearer"},
+        )
+    return Principal(
+        name=session["username"],
+        role=session["role"],
+        kind="user",
+        tenants=user_tenants(session["role"], session["tenants"]),
+    )
+
+
+def check_role(principal: Principal, role: str) -> None:
+    if not role_allows(principal.role, role):
+        raise HTTPException(status_code=403, detail=f"Requires the {role} role")
+
+
+def require_role(role: str):
+    """Dependency that authenticates and insists on at least `role`."""
+    def dependency(principal: Principal = Depends(authenticate)) -> Principal:
+        check_role(principal, role)
+        return principal
+    return dependency
+
+
+read_access = require_role("viewer")
+buyer_access = require_role("buyer")
+admin_access = require_role("admin")
+
+
+def resolve_tenant(request: Request, principal: Principal) -> str:
+    """
+    Tenant a request works on: the X-Tenant-ID header (or ?tenant= on GET,
+    like ?ticket=), else the default tenant if the caller has it, else the
+    caller's first tenant. An API key only ever reaches its own tenant.
+    """
+    requested = request.headers.get("X-Tenant-ID")
+    if requested is None and request.method == "GET":
+        requested = request.query_params.get("tenant")
+    if not requested:
+        if not principal.tenants:
+            raise HTTPException(status_code=403, detail="No tenant assigned to you")
+        return DEFAULT_TENANT if DEFAULT_TENANT in principal.tenants else principal.tenants[0]
+    if requested not in principal.tenants:
+        raise HTTPException(status_code=403, detail=f"No access to tenant {requested}")
+    return requested
+
+
+def require_tenant(role: str):
+    """Dependency that insists on at least `role` and returns the request's tenant."""
+    def dependency(request: Request, principal: Principal = Depends(require_role(role))) -> str:
+        return resolve_tenant(request, principal)
+    return dependency
+
+
+read_tenant = require_tenant("viewer")
+buyer_tenant = require_tenant("buyer")
+
+
+def ensure_admin() -> None:
+    """
+    First start: create the admin user from ADMIN_USERNAME / ADMIN_PASSWORD.
+    Without ADMIN_PASSWORD a random one is generated and logged once.
+    """
+    if STORE.count_users() > 0:
+        return
+    username = os.environ.get("ADMIN_USERNAME", "admin")
+    password = os.environ.get("ADMIN_PASSWORD")
+    if not password:
+        password = secrets.token_urlsafe(12)
+        logger.warning("Created admin user %r with password %s - change it", username, password)
+    STORE.create_user(username, hash_password(password), "admin", [DEFAULT_TENANT])
+
+
+ensure_admin()
+
+
+STATUSES = ["Critical", "Warning", "Safe", "Overstock", "Dead Stock"]
+
+
+def count_by_status(predictions: List[Prediction]) -> Dict[str, int]:
+    """Number of predictions per status, always including every bucket."""
+    counts = {status: 0 for status in STATUSES}
+    for p in predictions:
+        counts[p.status] = counts.get(p.status, 0) + 1
+    return counts
+
+
+def count_rows_by_status(rows: List[Dict[str, Any]]) -> Dict[str, int]:
+    """count_by_status for stored rows (the `summarize` hook of STORE writes)."""
+    counts = {status: 0 for status in STATUSES}
+    for row in rows:
+        counts[row["status"]] = counts.get(row["status"], 0) + 1
+    return counts
+
+
+def served_predictions(tenant: str) -> Tuple[List[Prediction], Optional[datetime]]:
+    """The tenant's stored predictions and when they were last written."""
+    rows, last_updated = STORE.latest(tenant)
+    return [Prediction(**row) for row in rows], last_updated
+
+
+LatestSort = Literal[
+    "sku_id",
+    "store_id",
+    "category",
+    "status",
+    "current_stock",
+    "days_to_stockout",
+    "recommended_reorder_quantity",
+    "capital_at_risk",
+    "stockout_probability",
+]
+MAX_LATEST_PAGE = 1000
+
+
+def publish_predictions(
+    tenant: str,
+    predictions: List[Prediction],
+    as_of: datetime,
+    source: str,
+    mode: str = "replace",
+    delete: Optional[List[ItemKey]] = None,
+    run_id: Optional[str] = None,
+) -> Dict[str, Any]:
+    """
+    Store predictions for one tenant.
+
+    mode="replace" makes them the tenant's whole served set; mode="upsert" only
+    inserts/updates them by (sku_id, store_id) and removes `delete`.
+    The change, its prediction run and the ingest record commit together;
+    a new run bumps STORE.version(tenant), which notifies /stream subscribers.
+
+    With a run_id the batch is only staged (a chunk of a larger upload)
+    until POST /ingest/runs/{run_id}/commit.
+    """
+    rows = [p.model_dump() for p in predictions]
+    keys = [(k.sku_id, k.store_id) for k in delete or []]
+    if run_id:
+        try:
+            staged = STORE.stage_items(
+                tenant, run_id, rows, keys, source, replace=mode == "replace"
+            )
+        except ValueError as exc:
+            raise HTTPException(status_code=409, detail=str(exc))
+        return {"run_id": run_id, "staged": staged}
+
+    result = STORE.write_items(
+        tenant,
+        rows,
+        as_of=as_of,
+        source=source,
+        summarize=count_rows_by_status,
+        deletes=keys,
+        replace=mode == "replace",
+    )
+    result["version"] = result.pop("run_id")
+    return result
+
+
+def check_delete_mode(mode: str, delete: List[ItemKey]) -> None:
+    if delete and mode != "upsert":
+        raise HTTPException(status_code=422, detail="delete is only allowed with mode=upsert")
+
+
+# ---------------------------------------------------------
+# Core prediction logic (same algorithm used everywhere)
+# ---------------------------------------------------------
+
+DAYS_WINDOW = 30        # we measure sales over last 30 days
+
+
+def tenant_policy(tenant: str) -> PolicyConfig:
+    """The tenant's saved policy; tenants that never saved one use the defaults."""
+    config = STORE.get_policy(tenant)
+    return PolicyConfig(**config) if config is not None else PolicyConfig()
+
+
+def resolve_policy(
+    category: Optional[str], store_id: Optional[str], config: PolicyConfig
+) -> RiskPolicy:
+    """Thresholds for one item: defaults <- category override <- store override."""
+    values = config.defaults.model_dump()
+
+    for override in (
+        config.categories.get(category) if category else None,
+        config.stores.get(store_id) if store_id else None,
+    ):
+        if override:
+            values.update(override.model_dump(exclude_none=True))
+
+    return RiskPolicy(**values)
+
+
+def policy_problems(config: PolicyConfig) -> List[str]:
+    """Every place where the resolved thresholds would be inconsistent."""
+    scopes = [("defaults", None, None)]
+    scopes += [(f"categories.{c}", c, None) for c in config.categories]
+    scopes += [(f"stores.{s}", None, s) for s in config.stores]
+
+    problems = []
+    for label, category, store_id in scopes:
+        p = resolve_policy(category, store_id, config)
+        if min(p.critical_days, p.warning_days, p.target_days, p.stockout_horizon_days) <= 0:
+            problems.append(f"{label}: all values must be greater than 0")
+        if p.critical_days > p.warning_days:
+            problems.append(f"{label}: critical_days must not exceed warning_days")
+        if p.overstock_days <= p.target_days:
+            problems.append(f"{label}: overstock_days must exceed target_days")
+        if p.dead_stock_days <= p.overstock_days:
+            problems.append(f"{label}: dead_stock_days must exceed overstock_days")
+        if p.promo_uplift <= 0:
+            problems.append(f"{label}: promo_uplift must be greater than 0")
+        if p.forecast_method not in METHODS:
+            problems.append(
+                f"{label}: forecast_method must be one of {', '.join(METHODS)}"
+            )
+    return problems
+
+
+def demand_multiplier(item: ProductInfo, policy: RiskPolicy) -> float:
+    """
+    Factor applied to the baseline (30-day average or daily_sales
+    forecast) to forecast demand at today's price: promo_uplift while a
+    promotion runs, times a constant-elasticity price effect
+    (price / regular_price) ** price_elasticity.
+
+    e.g. promoted and 10% off with the defaults: 1.25 * 0.9 ** -1.5 = 1.46
+    """
+    multiplier = 1.0
+    if item.promotion_active:
+        multiplier *= policy.promo_uplift
+    if item.price and item.regular_price and item.price != item.regular_price:
+        multiplier *= (item.price / item.regular_price) ** policy.price_elasticity
+    return multiplier
+
+
+def stock_status(days_to_stockout: float, current_stock: int, policy: RiskPolicy) -> str:
+    """
+    Risk bucket for one item. Short cover is Critical/Warning; long cover
+    ties up capital: Overstock beyond overstock_days, Dead Stock beyond
+    dead_stock_days or when stock is not selling at all.
+    """
+    if days_to_stockout < policy.critical_days:
+        return "Critical"
+    if days_to_stockout < policy.warning_days:
+        return "Warning"
+    if current_stock == 0:
+        return "Safe"         # nothing on hand and nothing selling
+    if days_to_stockout >= policy.dead_stock_days:
+        return "Dead Stock"   # includes zero sales (days_to_stockout = inf)
+    if days_to_stockout >= policy.overstock_days:
+        return "Overstock"
+    return "Safe"
+
+
+def excess_stock(
+    status: str,
+    current_stock: int,
+    avg_daily_sales: float,
+    price: Optional[float],
+    policy: RiskPolicy,
+) -> Dict[str, Optional[float]]:
+    """
+    Units beyond target_days of cover, and what they cost at `price`
+    (None without a price). Only reported for Overstock and Dead Stock.
+    """
+    if status not in ("Overstock", "Dead Stock"):
+        return {"excess_units": None, "capital_at_risk": None}
+    units = max(0, current_stock - ceil(policy.target_days * avg_daily_sales))
+    value = round(units * price, 2) if price is not None else None
+    return {"excess_units": units, "capital_at_risk": value}
+
+
+def stockout_days(current_stock: int, avg_daily_sales: float) -> float:
+    """
+    Days until stock runs out at avg_daily_sales (inf with no sales; sent
+    as None with a stockout_reason, see stockout_reason).
+    """
+    if avg_daily_sales == 0:
+        return float("inf")
+    return current_stock / avg_daily_sales
+
+
+def stockout_reason(item: ItemInput, avg_daily_sales: float) -> Optional[str]:
+    """
+    Why no stockout is expected: "no_sales" when nothing sold in the last
+    30 days (the 30-day total, or the last 30 daily_sales), "zero_forecast"
+    when there were sales but the forecast, promotion / price effect or a
+    scenario brings demand to 0. None while the item sells.
+    """
+    if avg_daily_sales > 0:
+        return None
+    if item.daily_sales:
+        sold = sum(item.daily_sales[-DAYS_WINDOW:])
+    else:
+        sold = item.sales_last_30_days
+    return "no_sales" if not sold else "zero_forecast"
+
+
+def reorder_breakdown(
+    avg_daily_sales: float,
+    current_stock: int,
+    target_days: float,
+    supply: SupplyParams,
+    open_po_quantity: int = 0,
+) -> Dict[str, float]:
+    """
+    Safety stock, reorder point and reorder quantity for one item.
+
+    Daily demand is treated as Poisson (std dev = sqrt(avg)). Safety stock
+    covers demand swings over the lead time at the requested service level.
+    We order up to lead time + target_days of demand plus safety stock,
+    minus what is on hand and on order (the item's own on_order_quantity
+    plus submitted purchase orders), then apply MOQ and round up to whole
+    packs.
+
+    Without supply parameters this is target_days * avg - current_stock.
+    """
+    lead_time = supply.lead_time_days or 0
+    on_order = (supply.on_order_quantity or 0) + open_po_quantity
+    z = NormalDist().inv_cdf(supply.service_level) if supply.service_level else 0.0
+
+    safety_stock = max(0.0, z * sqrt(avg_daily_sales) * sqrt(lead_time))
+    reorder_point = avg_daily_sales * lead_time + safety_stock
+    order_up_to = avg_daily_sales * (lead_time + target_days) + safety_stock
+
+    if avg_daily_sales == 0:
+        base_quantity = 0
+    else:
+        base_quantity = max(0, round(order_up_to - current_stock - on_order))
+
+    quantity = base_quantity
+    if quantity > 0:
+        quantity = max(quantity, supply.moq or 0)
+        if supply.pack_size and supply.pack_size > 1:
+            quantity = ceil(quantity / supply.pack_size) * supply.pack_size
+
+    return {
+        "safety_stock": round(safety_stock, 2),
+        "reorder_point": round(reorder_point, 2),
+        "base_reorder_quantity": base_quantity,
+        "recommended_reorder_quantity": quantity,
+    }
+
+
+STOCKOUT_BAND_Z = NormalDist().inv_cdf(0.9)   # P10 / P90 of the stockout day
+
+
+def baseline_demand_std(item: ItemInput, baseline_daily_sales: float) -> float:
+    """
+    Day-to-day spread of demand (std dev, units per day) before the
+    promotion / price adjustment: measured over the last DAYS_WINDOW days
+    of daily_sales when the item has at least two, else Poisson like
+    reorder_breakdown (sqrt(avg)) since a 30-day total can't show it.
+    """
+    recent = (item.daily_sales or [])[-DAYS_WINDOW:]
+    if len(recent) >= 2:
+        return stdev(recent)
+    return sqrt(baseline_daily_sales)
+
+
+def stockout_risk(
+    current_stock: int, avg_daily_sales: float, demand_std: float, horizon_days: float
+) -> Dict[str, Optional[float]]:
+    """
+    How likely the item runs out, and when, once demand varies.
+
+    Demand over t days is taken as normal with mean avg * t and std dev
+    demand_std * sqrt(t) (independent days). Stock runs out by day t when
+    that demand reaches current_stock, so:
+    - stockout_probability: P(demand over horizon_days >= current_stock)
+    - days_to_stockout_p10 / _p90: the day t by which it has run out with
+      10% / 90% probability, from current_stock = avg * t +/- z * std * sqrt(t)
+      (z = 1.28); days_to_stockout (current_stock / avg) is the median.
+
+    e.g. 40 in stock at 5/day, 7 days ahead: std 1 gives 3% and 7.3-8.8
+    days; std 6 (a few units one day, a dozen the next) gives 38% and
+    4.7-13.7 days, around the same 8-day median.
+    No sales: no stockout (probability 0, days None, as days_to_stockout);
+    else no stock: probability 1, days 0.
+    """
+    if avg_daily_sales == 0:
+        return {"stockout_probability": 0.0, "days_to_stockout_p10": None,
+                "days_to_stockout_p90": None}
+    if current_stock <= 0:
+        return {"stockout_probability": 1.0, "days_to_stockout_p10": 0.0,
+                "days_to_stockout_p90": 0.0}
+
+    spread = demand_std * sqrt(horizon_days)
+    shortfall = current_stock - avg_daily_sales * horizon_days
+    if spread > 0:
+        probability = 1 - NormalDist().cdf(shortfall / spread)
+    else:
+        probability = 1.0 if shortfall <= 0 else 0.0
+
+    # avg * x^2 +/- z * std * x - current_stock = 0 with x = sqrt(t)
+    b = STOCKOUT_BAND_Z * demand_std
+    root = sqrt(b * b + 4 * avg_daily_sales * current_stock)
+    return {
+        "stockout_probability": round(probability, 4),
+        "days_to_stockout_p10": ((root - b) / (2 * avg_daily_sales)) ** 2,
+        "days_to_stockout_p90": ((root + b) / (2 * avg_daily_sales)) ** 2,
+    }
+
+
+def compute_prediction(
+    item: ItemInput,
+    as_of: datetime,
+    config: PolicyConfig,
+    policy: Optional[RiskPolicy] = None,
+    demand_factor: float = 1.0,
+) -> Prediction:
+    """
+    Take one item and compute stockout risk + reorder quantity.
+    Thresholds come from `config` (the tenant's policy) for the item's
+    category/store unless one is passed in. `demand_factor` scales the
+    forecast on top of demand_multiplier (what-if scenarios, /simulate).
+    """
+    policy = policy or resolve_policy(item.category, item.store_id, config)
+    current_stock = item.current_stock
+    sales_last_30 = item.sales_last_30_days
+
+    # avg sales per day: forecast over the coverage target from daily
+    # history when the item has it, else the flat 30-day average
+    forecast_method = policy.forecast_method if item.daily_sales else None
+    if forecast_method:
+        baseline_daily_sales = daily_rate(
+            item.daily_sales, forecast_method, horizon=ceil(policy.target_days)
+        )
+    else:
+        baseline_daily_sales = sales_last_30 / DAYS_WINDOW if DAYS_WINDOW > 0 else float(
+            sales_last_30
+        )
+
+    # forecast demand at today's price / promotion
+    multiplier = demand_multiplier(item, policy) * demand_factor
+    avg_daily_sales = baseline_daily_sales * multiplier
+
+    # days until stock runs out, and how far demand swings could move that
+    days_to_stockout = stockout_days(current_stock, avg_daily_sales)
+    demand_std = baseline_demand_std(item, baseline_daily_sales) * multiplier
+    risk = stockout_risk(
+        current_stock, avg_daily_sales, demand_std, policy.stockout_horizon_days
+    )
+
+    # risk bucket
+    status = stock_status(days_to_stockout, current_stock, policy)
+
+    # reorder quantity (to cover lead time + next target_days days)
+    reorder = reorder_breakdown(
+        avg_daily_sales, current_stock, policy.target_days, supply=item
+    )
+
+    return Prediction(
+        sku_id=item.sku_id,
+        store_id=item.store_id,
+        current_stock=current_stock,
+        avg_daily_sales=avg_daily_sales,
+        days_to_stockout=days_to_stockout,
+        stockout_reason=stockout_reason(item, avg_daily_sales),
+        status=status,
+        category=item.category,
+        city=item.city,
+        last_updated=as_of,
+        baseline_daily_sales=baseline_daily_sales,
+        baseline_days_to_stockout=stockout_days(current_stock, baseline_daily_sales),
+        demand_multiplier=round(multiplier, 4),
+        forecast_method=forecast_method,
+        demand_std=round(demand_std, 4),
+        stockout_horizon_days=policy.stockout_horizon_days,
+        **risk,
+        **item.model_dump(include=set(SupplyParams.model_fields)),
+        **item.model_dump(include=set(ProductInfo.model_fields)),
+        **reorder,
+        **excess_stock(status, current_stock, avg_daily_sales, item.price, policy),
+    )
+
+
+# ---------------------------------------------------------
+# Daily sales history
+# POST /sales stores units sold and stock on hand per SKU, store and day
+# (sales_history.py folds transactions into days). Predictions read it
+# back: complete days only, ending with the tenant's newest day before
+# today, and days with no record count as nothing sold.
+# ---------------------------------------------------------
+
+SALES_HISTORY_DAYS = 365   # days of history fed to the forecasts
+MAX_SALES_PROBLEMS = 20    # bad records listed in a 422
+
+
+def sales_records(body: bytes, content_type: str) -> List[SalesRecord]:
+    """
+    SalesRecords from a POST /sales body: text/csv, or JSON
+    {"records": [...]}. 422 listing the first bad rows (CSV line numbers
+    count the header as line 1).
+    """
+    if content_type.split(";")[0].strip() == "text/csv":
+        try:
+            rows = parse_sales_csv(body.decode("utf-8"))
+        except (UnicodeDecodeError, ValueError) as e:
+            raise HTTPException(status_code=422, detail=str(e))
+        where = "line {}".format
+        offset = 2
+    else:
+        try:
+            rows = json.loads(body)["records"]
+        except (ValueError, KeyError, TypeError):
+            rows = None
+        if not isinstance(rows, list):
+            raise HTTPException(
+                status_code=422, detail='Send JSON {"records": [...]} or a text/csv body'
+            )
+        where = "records[{}]".format
+        offset = 0
+
+    records, problems = [], []
+    for i, row in enumerate(rows):
+        try:
+            records.append(SalesRecord.model_validate(row))
+        except ValidationError as e:
+            for error in e.errors():
+                field = ".".join(str(part) for part in error["loc"])
+                prefix = f"{where(i + offset)}: {field + ': ' if field else ''}"
+                problems.append(prefix + error["msg"])
+    if problems:
+        raise HTTPException(status_code=422, detail=problems[:MAX_SALES_PROBLEMS])
+    return records
+
+
+def sales_history_end(tenant: str, today: date) -> Optional[date]:
+    """The tenant's newest complete day of sales (before today), or None."""
+    last = STORE.last_sales_date(tenant, before=today.isoformat())
+    return date.fromisoformat(last) if last else None
+
+
+def with_sales_history(items: List[ItemInput], tenant: str, today: date) -> List[ItemInput]:
+    """
+    Items completed from /sales history. An item with stored sales gets
+    them as daily_sales (the last SALES_HISTORY_DAYS days) unless it sent
+    its own, so its demand is forecast from real days rather than one
+    30-day total; sales_last_30_days is summed from them and current_stock
+    is the latest stock_on_hand when the item leaves those out. 422 for
+    items that still lack either. Only the history of items missing
+    something is read.
+    """
+    wanted = [
+        (item.sku_id, item.store_id) for item in items
+        if None in (item.daily_sales, item.sales_last_30_days, item.current_stock)
+    ]
+    stored = {}
+    if wanted:
+        last = sales_history_end(tenant, today)
+        since = (last or today) - timedelta(days=SALES_HISTORY_DAYS - 1)
+        stored = STORE.sales_days(tenant, wanted, since.isoformat(), today.isoformat())
+
+    completed, problems = [], []
+    for i, item in enumerate(items):
+        rows = stored.get((item.sku_id, item.store_id), [])   # up to today, for stock
+        sold = [r for r in rows if r["units"] is not None and r["sales_date"] < today.isoformat()]
+        update: Dict[str, Any] = {}
+        if sold:
+            series = daily_series(sold, date.fromisoformat(sold[0]["sales_date"]), last)
+            if item.daily_sales is None:
+                update["daily_sales"] = series
+            if item.sales_last_30_days is None:
+                update["sales_last_30_days"] = round(rolling_totals(series)["last_30_days"])
+        if item.current_stock is None:
+            update["current_stock"] = latest_stock(rows)
+
+        item = item.model_copy(update=update)
+        missing = [f for f in ("current_stock", "sales_last_30_days") if getattr(item, f) is None]
+        if missing:
+            problems.append(
+                f"items[{i}] {item.sku_id}/{item.store_id}: no {' or '.join(missing)} "
+                "sent or in /sales history"
+            )
+        completed.append(item)
+
+    if problems:
+        raise HTTPException(status_code=422, detail=problems[:MAX_SALES_PROBLEMS])
+    return completed
+
+
+# ---------------------------------------------------------
+# What-if simulation
+# POST /simulate re-runs compute_prediction for stored predictions with a
+# buyer's changes (stock, receipts, demand) and projects stock day by day.
+# Nothing is stored: the served predictions, runs and alerts are untouched.
+# ---------------------------------------------------------
+
+MAX_SIMULATION_PROBLEMS = 20   # bad scenarios listed in a 422
+
+def scenario_item(p: Prediction) -> ItemInput:
+    """
+    The ItemInput a stored prediction came from, as far as it says:
+    30-day sales from baseline_daily_sales (avg_daily_sales on rows
+    ingested without it). Items with /sales history get their daily
+    sales back through with_sales_history.
+    """
+    baseline = p.baseline_daily_sales if p.baseline_daily_sales is not None else p.avg_daily_sales
+    return ItemInput(
+        sku_id=p.sku_id,
+        store_id=p.store_id,
+        current_stock=p.current_stock,
+        sales_last_30_days=round(baseline * DAYS_WINDOW),
+        category=p.category,
+        city=p.city,
+        **p.model_dump(include=set(SupplyParams.model_fields)),
+        **p.model_dump(include=set(ProductInfo.model_fields)),
+    )
+
+
+def stock_projection(
+    current_stock: int,
+    avg_daily_sales: float,
+    receipts: List[Receipt],
+    start: date,
+    days: int,
+) -> StockProjection:
+    """
+    Stock on hand from `start` (today, as counted plus today's receipts)
+    to `days` days later: each day adds its receipts and sells
+    avg_daily_sales, never below 0 (sales are lost, not back-ordered).
+    stockout_date is the first day it reaches 0 while selling; a later
+    receipt refills it but doesn't undo that date.
+    """
+    incoming: Dict[date, int] = {}
+    for r in receipts:
+        incoming[r.receipt_date] = incoming.get(r.receipt_date, 0) + r.quantity
+
+    points, stockout_date = [], None
+    stock = float(current_stock)
+    for i in range(days + 1):
+        day = start + timedelta(days=i)
+        received = incoming.get(day, 0)
+        stock = max(0.0, stock + received - (avg_daily_sales if i else 0))
+        if stock <= 0 and avg_daily_sales > 0 and stockout_date is None:
+            stockout_date = day
+        points.append(StockPoint(day=day, stock=round(stock, 2), received=received))
+    return StockProjection(points=points, stockout_date=stockout_date)
+
+
+def run_scenarios(
+    scenarios: List[Scenario], days: int, tenant: str, now: datetime
+) -> List[SimulationResult]:
+    """
+    Before and after predictions for each scenario, both recomputed from
+    the stored prediction (so they differ only by the scenario, even for
+    rows ingested with another algorithm), with their stock curves.
+
+    Receipts count as stock on order for the reorder quantity, as
+    on_order_quantity does; status and days_to_stockout stay on-hand
+    only, as in every prediction, and the curve shows when receipts land.
+    422 for SKUs without a prediction and receipts dated before today.
+    """
+    today = now.date()
+    stored = {(p.sku_id, p.store_id): p for p in served_predictions(tenant)[0]}
+
+    problems = []
+    for i, s in enumerate(scenarios):
+        label = f"scenarios[{i}] {s.sku_id}/{s.store_id}"
+        if (s.sku_id, s.store_id) not in stored:
+            problems.append(f"{label}: no prediction to simulate")
+        problems += [
+            f"{label}: receipt_date {r.receipt_date} is before today"
+            for r in s.receipts if r.receipt_date < today
+        ]
+    if problems:
+        raise HTTPException(status_code=422, detail=problems[:MAX_SIMULATION_PROBLEMS])
+
+    config = tenant_policy(tenant)
+    items = with_sales_history(
+        [scenario_item(stored[(s.sku_id, s.store_id)]) for s in scenarios], tenant, today
+    )
+    befores, afters = [], []
+    for s, item in zip(scenarios, items):
+        incoming = sum(r.quantity for r in s.receipts)
+        changed = item.model_copy(update={
+            "current_stock": item.current_stock if s.current_stock is None else s.current_stock,
+            "on_order_quantity": (item.on_order_quantity or 0) + incoming
+            if incoming else item.on_order_quantity,
+        })
+        befores.append(compute_prediction(item, as_of=now, config=config))
+        afters.append(compute_prediction(
+            changed, as_of=now, config=config, demand_factor=s.demand_multiplier
+        ))
+
+    return [
+        SimulationResult(
+            sku_id=s.sku_id,
+            store_id=s.store_id,
+            before=before,
+            after=after,
+            before_projection=stock_projection(
+                before.current_stock, before.avg_daily_sales, [], today, days
+            ),
+            after_projection=stock_projection(
+                after.current_stock, after.avg_daily_sales, s.receipts, today, days
+            ),
+        )
+        for s, before, after in zip(
+            scenarios, with_open_orders(befores, tenant), with_open_orders(afters, tenant)
+        )
+    ]
+
+
+# ---------------------------------------------------------
+# Purchase orders
+# ---------------------------------------------------------
+
+PO_TRANSITIONS = {"draft": "submitted", "submitted": "received"}
+
+
+def open_po_quantities(tenant: str) -> Dict[Tuple[str, str], int]:
+    """Units on the tenant's submitted (not yet received) POs per (sku_id, store_id)."""
+    totals: Dict[Tuple[str, str], int] = {}
+    for po in tenant_purchase_orders(tenant, "submitted"):
+        for line in po.lines:
+            key = (line.sku_id, po.store_id)
+            totals[key] = totals.get(key, 0) + line.quantity
+    return totals
+
+
+def with_open_orders(predictions: List[Prediction], tenant: str) -> List[Prediction]:
+    """
+    Count the tenant's submitted POs as stock on order: recompute the
+    reorder quantity of every affected prediction so ordered items stop
+    asking for more. Uses the tenant's current policy's target_days.
+    """
+    open_quantities = open_po_quantities(tenant)
+    if not open_quantities:
+        return predictions
+
+    config = tenant_policy(tenant)
+    adjusted = []
+    for p in predictions:
+        quantity = open_quantities.get((p.sku_id, p.store_id), 0)
+        if quantity:
+            policy = resolve_policy(p.category, p.store_id, config)
+            reorder = reorder_breakdown(
+                p.avg_daily_sales, p.current_stock, policy.target_days,
+                supply=p, open_po_quantity=quantity,
+            )
+            p = p.model_copy(update={"open_po_quantity": quantity, **reorder})
+        adjusted.append(p)
+    return adjusted
+
+
+def open_order_reorders(tenant: str) -> Dict[Tuple[str, str], int]:
+    """
+    recommended_reorder_quantity after with_open_orders of the tenant's
+    items on submitted POs, so /latest filters and sorts by it.
+    """
+    pairs = list(open_po_quantities(tenant))
+    if not pairs:
+        return {}
+    stored = [Prediction(**row) for row in STORE.get_items(tenant, pairs)]
+    return {
+        (p.sku_id, p.store_id): p.recommended_reorder_quantity
+        for p in with_open_orders(stored, tenant)
+    }
+
+
+def next_po_id(tenant: str) -> str:
+    return f"PO-{STORE.next_order_number(tenant, 'purchase'):04d}"
+
+
+def po_problems(draft: PurchaseOrderDraft) -> List[str]:
+    """Duplicate SKUs on one PO would make on-order totals ambiguous."""
+    seen = set()
+    problems = []
+    for line in draft.lines:
+        if line.sku_id in seen:
+            problems.append(f"{line.sku_id} appears more than once")
+        seen.add(line.sku_id)
+    return problems
+
+
+def po_csv(po: PurchaseOrder) -> str:
+    out = io.StringIO()
+    writer = csv.writer(out)
+    writer.writerow(["po_id", "status", "supplier", "store_id", "sku_id",
+                     "sku_name", "quantity", "unit_price", "line_total"])
+    for line in po.lines:
+        total = line.quantity * line.unit_price if line.unit_price is not None else ""
+        writer.writerow([po.po_id, po.status, po.supplier or "", po.store_id,
+                         line.sku_id, line.sku_name or "", line.quantity,
+                         "" if line.unit_price is None else line.unit_price, total])
+    return out.getvalue()
+
+
+def po_pdf(po: PurchaseOrder) -> bytes:
+    lines = [
+        f"PURCHASE ORDER {po.po_id}",
+        "",
+        f"Supplier:  {po.supplier or '-'}",
+        f"Deliver to store: {po.store_id}",
+        f"Status:    {po.status}",
+        f"Created:   {po.created_at:%Y-%m-%d %H:%M} UTC",
+        "",
+        f"{'SKU':<18} {'Description':<30} {'Qty':>8} {'Unit':>10} {'Total':>12}",
+        "-" * 82,
+    ]
+    grand_total = 0.0
+    for line in po.lines:
+        unit = "" if line.unit_price is None else f"{line.unit_price:.2f}"
+        total = ""
+        if line.unit_price is not None:
+            grand_total += line.quantity * line.unit_price
+            total = f"{line.quantity * line.unit_price:.2f}"
+        lines.append(
+            f"{line.sku_id[:18]:<18} {(line.sku_name or '')[:30]:<30} "
+            f"{line.quantity:>8} {unit:>10} {total:>12}"
+        )
+    lines += [
+        "-" * 82,
+        f"{'Total units':<49} {sum(line.quantity for line in po.lines):>8}"
+        f" {'':>10} {grand_total:>12.2f}",
+    ]
+    if po.notes:
+        lines += ["", "Notes:", po.notes]
+    return text_pdf(lines, title=po.po_id)
+
+
+# ---------------------------------------------------------
+# Inter-store transfers
+# ---------------------------------------------------------
+
+TRANSFER_TRANSITIONS = {"draft": "shipped", "shipped": "received"}
+AT_RISK_STATUSES = ("Critical", "Warning")
+
+
+def open_transfer_quantities(tenant: str) -> Dict[Tuple[str, str], int]:
+    """
+    Net units per (sku_id, store_id) on the tenant's transfer orders not
+    yet received: positive for the destination, negative for the source.
+    """
+    totals: Dict[Tuple[str, str], int] = {}
+    for order in tenant_transfer_orders(tenant):
+        if order.status == "received":
+            continue
+        for line in order.lines:
+            into = (line.sku_id, order.to_store_id)
+            out_of = (line.sku_id, order.from_store_id)
+            totals[into] = totals.get(into, 0) + line.quantity
+            totals[out_of] = totals.get(out_of, 0) - line.quantity
+    return totals
+
+
+def suggest_transfers(
+    predictions: List[Prediction],
+    config: PolicyConfig,
+    pending: Optional[Dict[Tuple[str, str], int]] = None,
+) -> List[TransferSuggestion]:
+    """
+    Pair Critical/Warning stores with stores holding more than
+    overstock_days of the same SKU.
+
+    Receivers are served most urgent first. Donors in the receiver's city
+    come first, then the ones with the most coverage. Each move evens out
+    days of cover between the two stores,
+
+        q = (s_d * a_r - s_r * a_d) / (a_r + a_d)
+
+    capped so the receiver gets no more than it needs to reach target_days
+    and the donor keeps target_days for itself (thresholds from `config`,
+    the tenant's policy). `pending` (see
+    open_transfer_quantities) counts transfers already ordered.
+    """
+    pending = pending or {}
+    by_sku: Dict[str, List[Prediction]] = {}
+    for p in predictions:
+        by_sku.setdefault(p.sku_id, []).append(p)
+
+    suggestions: List[TransferSuggestion] = []
+    for sku_id, rows in by_sku.items():
+        stock = {p.store_id: p.current_stock + pending.get((sku_id, p.store_id), 0) for p in rows}
+        policies = {p.store_id: resolve_policy(p.category, p.store_id, config) for p in rows}
+
+        receivers = sorted(
+            (p for p in rows if p.status in AT_RISK_STATUSES and p.avg_daily_sales > 0),
+            key=lambda p: p.days_to_stockout,
+        )
+        donors = [
+            p for p in rows
+            if stockout_days(stock[p.store_id], p.avg_daily_sales)
+            >= policies[p.store_id].overstock_days
+        ]
+
+        for r in receivers:
+            target = policies[r.store_id].target_days
+            incoming = (r.on_order_quantity or 0) + (r.open_po_quantity or 0)
+            candidates = sorted(
+                (d for d in donors if d.store_id != r.store_id),
+                key=lambda d: (
+                    d.city != r.city or d.city is None,
+                    -stockout_days(stock[d.store_id], d.avg_daily_sales),
+                ),
+            )
+            for d in candidates:
+                need = ceil(target * r.avg_daily_sales) - stock[r.store_id] - incoming
+                if need <= 0:
+                    break
+                spare = stock[d.store_id] - ceil(
+                    policies[d.store_id].target_days * d.avg_daily_sales
+                )
+                s_d, s_r = stock[d.store_id], stock[r.store_id]
+                a_d, a_r = d.avg_daily_sales, r.avg_daily_sales
+                even = (s_d * a_r - s_r * a_d) / (a_r + a_d)
+                quantity = int(min(even, need, spare))
+                if quantity <= 0:
+                    continue
+
+                stock[d.store_id] -= quantity
+                stock[r.store_id] += quantity
+                suggestions.append(
+                    TransferSuggestion(
+                        sku_id=sku_id,
+                        from_store_id=d.store_id,
+                        to_store_id=r.store_id,
+                        quantity=quantity,
+                        from_city=d.city,
+                        to_city=r.city,
+                        same_city=d.city is not None and d.city == r.city,
+                        from_days_before=stockout_days(s_d, a_d),
+                        from_days_after=stockout_days(stock[d.store_id], a_d),
+                        to_days_before=stockout_days(s_r, a_r),
+                        to_days_after=stockout_days(stock[r.store_id], a_r),
+                        to_status=r.status,
+                    )
+                )
+    return suggestions
+
+
+def next_transfer_id(tenant: str) -> str:
+    return f"TO-{STORE.next_order_number(tenant, 'transfer'):04d}"
+
+
+# ---------------------------------------------------------
+# Alerts
+# Rules (alerts.py) are checked after every write that records a new
+# prediction run: /predict-bulk, /ingest and chunked commits. They run as
+# a background task, so a slow webhook or mail server never holds up the
+# response. Alerts held for quiet hours are sent by a loop started with
+# the app (lifespan).
+# ---------------------------------------------------------
+
+ALERT_RELEASE_SECONDS = 60   # how often held alerts are checked
+
+
+def alert_rule_problems(rule: AlertRuleIn) -> List[str]:
+    problems = []
+    if rule.status not in STATUSES:
+        problems.append(f"status must be one of {', '.join(STATUSES)}")
+    if not rule.webhook_url and not rule.email_to:
+        problems.append("Add a webhook_url or at least one email_to address")
+    if rule.webhook_url and not rule.webhook_url.startswith(("http://", "https://")):
+        problems.append("webhook_url must be an http(s) URL")
+    elif rule.webhook_url:
+        problem = webhook_url_problem(rule.webhook_url)
+        if problem:
+            problems.append(problem)
+    problems += [f"Not an email address: {a}" for a in rule.email_to if "@" not in a]
+    if bool(rule.quiet_start) != bool(rule.quiet_end):
+        problems.append("Set both quiet_start and quiet_end, or neither")
+    try:
+        ZoneInfo(rule.timezone)
+    except (ZoneInfoNotFoundError, ValueError):
+        problems.append(f"Unknown timezone {rule.timezone}")
+    return problems
+
+
+def dispatch_alert(
+    tenant: str, rule: Dict[str, Any], alert: Dict[str, Any], run_id: int, now: datetime
+) -> None:
+    """Deliver the alert now, or hold it when the rule is in its quiet hours."""
+    if in_quiet_hours(rule, now):
+        STORE.record_alert(tenant, rule, run_id, alert, "held", None, now)
+        return
+    errors = deliver(rule, alert, tenant)
+    status = "failed" if errors else "sent"
+    STORE.record_alert(tenant, rule, run_id, alert, status, "; ".join(errors) or None, now)
+
+
+def check_alerts(tenant: str, run_id: int) -> None:
+    """Evaluate the tenant's enabled rules on run `run_id` against the run before it."""
+    now = datetime.utcnow()
+    rules = [r for r in STORE.list_alert_rules(tenant) if r["enabled"]]
+    if not rules:
+        return
+    current = STORE.run_items(tenant, run_id)
+    previous_id = STORE.previous_run(tenant, run_id)
+    previous = STORE.run_items(tenant, previous_id) if previous_id else []
+
+    for rule in rules:
+        try:
+            since = now - timedelta(minutes=rule["dedupe_minutes"])
+            alerted = STORE.alerted_keys(tenant, rule["rule_id"], since)
+            alert = evaluate_rule(rule, previous, current, alerted)
+            if alert:
+                dispatch_alert(tenant, rule, alert, run_id, now)
+        except Exception:
+            logger.exception("Alert rule %s of tenant %s failed", rule["rule_id"], tenant)
+
+
+def queue_alert_check(background: BackgroundTasks, tenant: str, version: Optional[int]) -> None:
+    """Check alert rules after the response when a write recorded a new run."""
+    if version:
+        background.add_task(check_alerts, tenant, version)
+
+
+def release_held_alerts(now: Optional[datetime] = None) -> int:
+    """
+    Deliver held alerts whose rule is out of its quiet hours; returns how
+    many were delivered or failed. Alerts of rules deleted or disabled
+    meanwhile are marked failed.
+    """
+    now = now or datetime.utcnow()
+    released = 0
+    for event in STORE.held_alerts():
+        rule = event["rule_id"] and STORE.get_alert_rule(event["tenant_id"], event["rule_id"])
+        if not rule or not rule["enabled"]:
+            STORE.update_alert(
+                event["event_id"], "failed", "Rule deleted or disabled during quiet hours", now
+            )
+        elif not in_quiet_hours(rule, now):
+            errors = deliver(rule, event["alert"], event["tenant_id"])
+            STORE.update_alert(
+                event["event_id"], "failed" if errors else "sent", "; ".join(errors) or None, now
+            )
+        else:
+            continue
+        released += 1
+    return released
+
+
+async def release_held_alerts_forever() -> None:
+    while True:
+        await asyncio.sleep(ALERT_RELEASE_SECONDS)
+        try:
+            await asyncio.to_thread(release_held_alerts)
+        except Exception:
+            logger.exception("Releasing held alerts failed")
+
+
+def alert_event(event: Dict[str, Any]) -> AlertEvent:
+    return AlertEvent(
+        **{k: v for k, v in event.items() if k not in ("tenant_id", "alert")},
+        subject=event["alert"]["subject"],
+        text=event["alert"]["text"],
+        item_count=len(event["alert"]["items"]),
+    )
+
+
+# ---------------------------------------------------------
+# Daily digests
+# Each subscription gets one digest a day, built from the tenant's
+# current predictions once send_at has passed in its timezone: emailed
+# (HTML with the PDF attached) and/or archived. A loop started with the
+# app (lifespan) checks every minute; a day missed while the app was down
+# is sent when it comes back, the same day.
+# ---------------------------------------------------------
+
+DIGEST_CHECK_SECONDS = 60   # how often subscriptions are checked for a due digest
+
+
+def digest_problems(sub: DigestSubscriptionIn) -> List[str]:
+    problems = []
+    if not sub.email_to and not sub.archive:
+        problems.append("Add at least one email_to address, or archive the digest")
+    problems += [f"Not an email address: {a}" for a in sub.email_to if "@" not in a]
+    try:
+        ZoneInfo(sub.timezone)
+    except (ZoneInfoNotFoundError, ValueError):
+        problems.append(f"Unknown timezone {sub.timezone}")
+    return problems
+
+
+def tenant_digest(tenant: str, store_ids: List[str], top_items: int) -> Dict[str, Any]:
+    """Digest of the predictions /latest serves the tenant right now."""
+    predictions, last_updated = served_predictions(tenant)
+    rows = [p.model_dump() for p in with_open_orders(predictions, tenant)]
+    title = next((t["name"] for t in STORE.list_tenants() if t["tenant_id"] == tenant), tenant)
+    return build_digest(
+        rows, last_updated or datetime.utcnow(), title, store_ids=store_ids, top_items=top_items
+    )
+
+
+def digest_due(sub: Dict[str, Any], now: datetime) -> Optional[str]:
+    """
+    The local date whose digest is due at `now` (naive UTC), or None before
+    send_at - or when the subscription was created after today's send_at.
+    """
+    local = now.replace(tzinfo=timezone.utc).astimezone(ZoneInfo(sub["timezone"]))
+    hours, minutes = (int(part) for part in sub["send_at"].split(":"))
+    send_at = local.replace(hour=hours, minute=minutes, second=0, microsecond=0)
+    created = sub["created_at"].replace(tzinfo=timezone.utc)
+    if local < send_at or created > send_at:
+        return None
+    return local.date().isoformat()
+
+
+def run_digest(
+    tenant: str, sub: Dict[str, Any], digest_date: str, now: datetime, scheduled: bool
+) -> Optional[int]:
+    """
+    Build, send and/or archive the subscription's digest for `digest_date`.
+    Returns its digest_id, or None when that day's scheduled digest is
+    already taken (by this or another instance of the app).
+    """
+    digest_id = STORE.claim_digest(tenant, sub, digest_date, scheduled, now)
+    if digest_id is None:
+        return None
+    digest = tenant_digest(tenant, sub["store_ids"], sub["top_items"])
+    error = None
+    if sub["email_to"]:
+        error = email_digest(sub["email_to"], digest, f"digest-{digest_date}.pdf")
+    status = "failed" if error else "sent" if sub["email_to"] else "archived"
+    STORE.finish_digest(
+        digest_id, status, error, digest["totals"], digest if sub["archive"] else None
+    )
+    return digest_id
+
+
+def send_due_digests(now: Optional[datetime] = None) -> int:
+    """Run every enabled subscription whose digest is due; returns how many ran."""
+    now = now or datetime.utcnow()
+    sent = 0
+    for tenant in all_tenant_ids():
+        for sub in STORE.list_digest_subscriptions(tenant):
+            try:
+                digest_date = sub["enabled"] and digest_due(sub, now)
+                if digest_date and run_digest(tenant, sub, digest_date, now, scheduled=True):
+                    sent += 1
+            except Exception:
+                logger.exception(
+                    "Digest %s of tenant %s failed", sub["subscription_id"], tenant
+                )
+    return sent
+
+
+async def send_due_digests_forever() -> None:
+    while True:
+        await asyncio.sleep(DIGEST_CHECK_SECONDS)
+        try:
+            await asyncio.to_thread(send_due_digests)
+        except Exception:
+            logger.exception("Sending due digests failed")
+
+
+def digest_response(digest: Dict[str, Any], format: str, filename: str) -> Response:
+    """A digest as an HTML page or an inline PDF."""
+    if format == "pdf":
+        return Response(
+            content=render_pdf(digest),
+            media_type="application/pdf",
+            headers={"Content-Disposition": f'inline; filename="{filename}.pdf"'},
+        )
+    return HTMLResponse(render_html(digest))
+
+
+# ---------------------------------------------------------
+# Endpoints
+# ---------------------------------------------------------
+
+@app.get("/health")
+def health_check():
+    """Health check endpoint for monitoring and deployments."""
+    return {"status": "healthy", "service": "Smart Inventory API"}
+
+
+@app.post("/auth/login", response_model=LoginResponse)
+def login(credentials: LoginRequest):
+    """
+    Dashboard login. Returns a session token valid for SESSION_HOURS.
+
+    Example:
+    POST /auth/login
+    {"username": "asha", "password": "correct horse battery"}
+    """
+    user = STORE.get_user(credentials.username)
+    if user is None or not verify_password(credentials.password, user["password_hash"]):
+        raise HTTPException(status_code=401, detail="Wrong username or password")
+
+    token = new_token("st")
+    expires_at = datetime.utcnow() + timedelta(hours=SESSION_HOURS)
+    STORE.create_session(token_hash(token), user["username"], expires_at)
+    return LoginResponse(
+        token=token,
+        expires_at=expires_at,
+        username=user["username"],
+        role=user["role"],
+        tenants=user_tenants(user["role"], user["tenants"]),
+    )
+
+
+@app.post("/auth/logout")
+def logout(request: Request, principal: Principal = Depends(authenticate)):
+    """End the current session (API keys are revoked via /auth/api-keys instead)."""
+    token = bearer_token(request)
+    if principal.kind == "user" and token:
+        STORE.delete_session(token_hash(token))
+    return {"status": "ok"}
+
+
+@app.post("/auth/tickets", response_model=Ticket)
+def create_ticket(
+    body: TicketRequest, request: Request, principal: Principal = Depends(authenticate)
+):
+    """
+    One-use ticket for a GET that can't send the Authorization header:
+    the dashboard's /stream connection and its download links. It acts as
+    the caller's session (ending with it) on `path` only, for
+    TICKET_SECONDS. API keys send their header instead.
+
+    Example:
+    POST /auth/tickets
+    {"path": "/purchase-orders/PO-0001/export.pdf"}
+    -> open /purchase-orders/PO-0001/export.pdf?ticket=tk_...&tenant=acme
+    """
+    token = bearer_token(request)
+    if principal.kind != "user" or not token:
+        raise HTTPException(status_code=403, detail="Tickets are for logged-in users")
+    ticket = new_token("tk")
+    expires_at = datetime.utcnow() + timedelta(seconds=TICKET_SECONDS)
+    STORE.create_ticket(token_hash(ticket), token_hash(token), body.path, expires_at)
+    return Ticket(ticket=ticket, path=body.path, expires_at=expires_at)
+
+
+@app.get("/auth/me", response_model=Principal)
+def who_am_i(principal: Principal = Depends(authenticate)):
+    """The caller's name, role and tenants (the dashboard hides actions the role can't do)."""
+    return principal
+
+
+def manages_every_tenant(principal: Principal) -> bool:
+    """Admin users manage every tenant; an admin API key only its own."""
+    return principal.kind == "user" and principal.role == "admin"
+
+
+def check_tenants(tenants: List[str], principal: Principal) -> None:
+    """
+    422 for tenants that don't exist, 403 for ones the caller can't use.
+    A tenant's admin API key gets 403 for both, so it can't probe which
+    other tenants exist.
+    """
+    if not manages_every_tenant(principal):
+        denied = sorted(set(tenants) - set(principal.tenants))
+        if denied:
+            raise HTTPException(
+                status_code=403, detail=f"No access to tenant(s): {', '.join(denied)}"
+            )
+    unknown = sorted(set(tenants) - set(all_tenant_ids()))
+    if unknown:
+        raise HTTPException(status_code=422, detail=f"Unknown tenant(s): {', '.join(unknown)}")
+
+
+def check_grant(role: str, principal: Principal) -> None:
+    """Admin users see every tenant, so only another admin user may make one."""
+    if role == "admin" and not manages_every_tenant(principal):
+        raise HTTPException(status_code=403, detail="Only an admin user can grant the admin role")
+
+
+def manages_user(user: Dict[str, Any], principal: Principal) -> bool:
+    """
+    Users the caller may see and change: everyone for admin users, else
+    non-admins whose tenants all belong to the caller.
+    """
+    if manages_every_tenant(principal):
+        return True
+    return (
+        user["role"] != "admin"
+        and bool(user["tenants"])
+        and set(user["tenants"]) <= set(principal.tenants)
+    )
+
+
+def managed_user(username: str, principal: Principal) -> Dict[str, Any]:
+    """The user if the caller manages it; 404 otherwise, so others' users stay hidden."""
+    user = STORE.get_user(username)
+    if user is None or not manages_user(user, principal):
+        raise HTTPException(status_code=404, detail=f"User {username} not found")
+    return user
+
+
+@app.get("/auth/users", response_model=UserList)
+def list_users(principal: Principal = Depends(admin_access)):
+    """Users the caller manages (see manages_user)."""
+    return UserList(
+        users=[User(**u) for u in STORE.list_users() if manages_user(u, principal)]
+    )
+
+
+@app.post("/auth/users", response_model=User)
+def create_user(user: UserCreate, principal: Principal = Depends(admin_access)):
+    """
+    Add a dashboard user with access to `tenants` (admins see every tenant).
+    An admin API key can only add non-admin users of its own tenant.
+
+    Example:
+    POST /auth/users
+    {"username": "asha", "password": "correct horse battery", "role": "buyer",
+     "tenants": ["acme"]}
+    """
+    check_grant(user.role, principal)
+    check_tenants(user.tenants, principal)
+    if not manages_every_tenant(principal) and not user.tenants:
+        raise HTTPException(status_code=422, detail="Give the user at least one tenant")
+    if not STORE.create_user(
+        user.username, hash_password(user.password), user.role, user.tenants
+    ):
+        raise HTTPException(status_code=409, detail=f"User {user.username} already exists")
+    return User(**STORE.get_user(user.username))
+
+
+@app.put("/auth/users/{username}", response_model=User)
+def update_user(
+    username: str, update: UserUpdate, principal: Principal = Depends(admin_access)
+):
+    """Change a user's role, password (which signs them out) and/or tenants."""
+    own = principal.kind == "user" and username == principal.name
+    if own and update.role not in (None, "admin"):
+        raise HTTPException(status_code=409, detail="You cannot remove your own admin role")
+    managed_user(username, principal)
+    if update.role is not None:
+        check_grant(update.role, principal)
+    if update.tenants is not None:
+        check_tenants(update.tenants, principal)
+        if not manages_every_tenant(principal) and not update.tenants:
+            raise HTTPException(status_code=422, detail="Give the user at least one tenant")
+    password_hash = hash_password(update.password) if update.password else None
+    if not STORE.update_user(
+        username, role=update.role, password_hash=password_hash, tenants=update.tenants
+    ):
+        raise HTTPException(status_code=404, detail=f"User {username} not found")
+    return User(**STORE.get_user(username))
+
+
+@app.delete("/auth/users/{username}")
+def delete_user(username: str, principal: Principal = Depends(admin_access)):
+    if principal.kind == "user" and username == principal.name:
+        raise HTTPException(status_code=409, detail="You cannot delete yourself")
+    managed_user(username, principal)
+    if not STORE.delete_user(username):
+        raise HTTPException(status_code=404, detail=f"User {username} not found")
+    return {"status": "ok", "username": username}
+
+
+@app.get("/auth/api-keys", response_model=ApiKeyList)
+def list_api_keys(principal: Principal = Depends(admin_access)):
+    """Keys of the tenants the caller may use."""
+    return ApiKeyList(api_keys=[
+        ApiKey(**k) for k in STORE.list_api_keys() if k["tenant_id"] in principal.tenants
+    ])
+
+
+@app.post("/auth/api-keys", response_model=ApiKeyCreated)
+def create_api_key(
+    request: ApiKeyCreate,
+    tenant: str = Depends(require_tenant("admin")),
+    principal: Principal = Depends(admin_access),
+):
+    """
+    New key for a machine client such as the Boltic workflow, which sends
+    it as the X-API-Key header. The key is only returned here, and only
+    works for one tenant (default: the tenant of this request). An admin
+    API key can only create keys for its own tenant.
+
+    Example:
+    POST /auth/api-keys
+    {"name": "Boltic workflow", "role": "buyer", "tenant_id": "acme"}
+    """
+    tenant_id = request.tenant_id or tenant
+    check_tenants([tenant_id], principal)
+    key = new_token("sk")
+    stored = STORE.create_api_key(
+        request.name, key[:API_KEY_PREFIX_CHARS], token_hash(key), request.role, tenant_id
+    )
+    return ApiKeyCreated(**stored, key=key)
+
+
+@app.delete("/auth/api-keys/{key_id}")
+def revoke_api_key(key_id: int, principal: Principal = Depends(admin_access)):
+    owned = any(
+        k["key_id"] == key_id and k["tenant_id"] in principal.tenants
+        for k in STORE.list_api_keys()
+    )
+    if not owned or not STORE.revoke_api_key(key_id):
+        raise HTTPException(status_code=404, detail=f"No active API key {key_id}")
+    return {"status": "ok", "key_id": key_id}
+
+
+@app.get("/tenants", response_model=TenantList)
+def list_tenants(principal: Principal = Depends(read_access)):
+    """Tenants the caller may use (the dashboard's tenant switcher)."""
+    return TenantList(
+        tenants=[Tenant(**t) for t in STORE.list_tenants() if t["tenant_id"] in principal.tenants]
+    )
+
+
+@app.post("/tenants", response_model=Tenant)
+def create_tenant(tenant: TenantCreate, principal: Principal = Depends(admin_access)):
+    """
+    Add an organization. Its predictions, runs, orders and policy are kept
+    apart from every other tenant's; give users access via /auth/users.
+    Only admin users can add tenants, not a tenant's admin API key.
+
+    Example:
+    POST /tenants
+    {"tenant_id": "acme", "name": "Acme Apparel"}
+    """
+    if not manages_every_tenant(principal):
+        raise HTTPException(status_code=403, detail="Only an admin user can add tenants")
+    if not STORE.create_tenant(tenant.tenant_id, tenant.name):
+        raise HTTPException(status_code=409, detail=f"Tenant {tenant.tenant_id} already exists")
+    return next(Tenant(**t) for t in STORE.list_tenants() if t["tenant_id"] == tenant.tenant_id)
+
+
+def view_owner(principal: Principal) -> str:
+    """Username saved views are kept under; API keys have none."""
+    if principal.kind != "user":
+        raise HTTPException(status_code=403, detail="Saved views belong to user logins")
+    return principal.name
+
+
+@app.get("/views", response_model=SavedViewList)
+def list_views(principal: Principal = Depends(read_access), tenant: str = Depends(read_tenant)):
+    """The caller's saved dashboard views in the tenant, by name (header quick links)."""
+    return SavedViewList(
+        views=[SavedView(**v) for v in STORE.list_views(tenant, view_owner(principal))]
+    )
+
+
+@app.post("/views", response_model=SavedView)
+def save_view(
+    view: SavedViewCreate,
+    principal: Principal = Depends(read_access),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    Save the dashboard's filters and sort under a name. Saving an existing
+    name replaces that view. Any role may save views; they are only listed
+    for the user who saved them, in the tenant they were saved in.
+
+    Example:
+    POST /views
+    {"name": "Mumbai criticals", "query": "?store=MUM_01&critical=1&sort=days_to_stockout"}
+    """
+    name = view.name.strip()
+    if not name:
+        raise HTTPException(status_code=422, detail="View name is empty")
+    return SavedView(**STORE.save_view(tenant, view_owner(principal), name, view.query))
+
+
+@app.delete("/views/{view_id}")
+def delete_view(
+    view_id: int,
+    principal: Principal = Depends(read_access),
+    tenant: str = Depends(read_tenant),
+):
+    if not STORE.delete_view(tenant, view_owner(principal), view_id):
+        raise HTTPException(status_code=404, detail=f"No saved view {view_id}")
+    return {"status": "ok", "view_id": view_id}
+
+
+@app.post("/predict-bulk", response_model=LatestResponse)
+def predict_bulk(
+    request: PredictBulkRequest,
+    background: BackgroundTasks,
+    dry_run: bool = False,
+    mode: Literal["replace", "upsert"] = "replace",
+    run_id: Optional[str] = None,
+    principal: Principal = Depends(read_access),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    Local/manual prediction API.
+    You can test this from Swagger UI or Postman.
+    Also useful if you want to bypass Boltic and just hit the backend.
+
+    Query parameters (used by the dashboard's file upload):
+    - dry_run=true: compute and return predictions without storing them
+      (any role; storing them needs buyer)
+    - mode=upsert: merge into the current predictions
+      instead of replacing them. A batch item replaces any existing
+      prediction for the same sku_id/store_id.
+    - run_id=<id>: stage this batch as one chunk of a larger upload;
+      nothing is served until POST /ingest/runs/{run_id}/commit, which
+      applies every chunk at once (see /ingest).
+
+    Predictions use the tenant's policy and are stored for that tenant
+    (X-Tenant-ID header, see resolve_tenant). Items with daily sales in
+    /sales are forecast from them, and may leave out current_stock and
+    sales_last_30_days (see with_sales_history).
+
+    Example:
+    POST /predict-bulk
+    {
+      "items": [
+        {
+          "sku_id": "TSHIRT_RED_M",
+          "store_id": "STORE_001",
+          "current_stock": 100,
+          "sales_last_30_days": 30
+        }
+      ]
+    }
+    """
+    if not dry_run:
+        check_role(principal, "buyer")
+    now = datetime.utcnow()
+    config = tenant_policy(tenant)
+    items = with_sales_history(request.items, tenant, now.date())
+
+    predictions: List[Prediction] = [
+        compute_prediction(item, as_of=now, config=config) for item in items
+    ]
+
+    if dry_run:
+        return LatestResponse(predictions=predictions, last_updated=now)
+
+    result = publish_predictions(
+        tenant,
+        predictions,
+        as_of=now,
+        source="predict-bulk",
+        mode=mode,
+        run_id=run_id,
+    )
+    queue_alert_check(background, tenant, result.get("version"))
+
+    return LatestResponse(predictions=predictions, last_updated=now)
+
+
+@app.get("/latest", response_model=LatestResponse)
+def get_latest(
+    sku_id: Optional[List[str]] = Query(None),
+    store_id: Optional[List[str]] = Query(None),
+    city: Optional[List[str]] = Query(None),
+    category: Optional[List[str]] = Query(None),
+    status: Optional[List[str]] = Query(None),
+    search: Optional[str] = None,
+    days_to_stockout_min: Optional[float] = None,
+    days_to_stockout_max: Optional[float] = None,
+    current_stock_min: Optional[int] = None,
+    current_stock_max: Optional[int] = None,
+    recommended_reorder_quantity_min: Optional[int] = None,
+    recommended_reorder_quantity_max: Optional[int] = None,
+    sort: Optional[LatestSort] = None,
+    order: Literal["asc", "desc"] = "asc",
+    limit: Optional[int] = Query(None, ge=1, le=MAX_LATEST_PAGE),
+    offset: int = Query(0, ge=0),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    Returns the last set of predictions generated, either by /predict-bulk
+    or by /ingest (from Boltic).
+    This is what your React dashboard calls to display inventory health.
+    Quantities on submitted purchase orders count as on order.
+    Read from the database, so it survives restarts. Only the caller's
+    tenant is returned.
+
+    Optional query parameters (without them every prediction is returned,
+    in stored order):
+    - sku_id, store_id, city, category, status: exact match; repeat a
+      parameter to accept several values (status=Critical&status=Warning)
+    - days_to_stockout_min/_max, current_stock_min/_max,
+      recommended_reorder_quantity_min/_max: inclusive ranges
+    - search: case-insensitive part of the sku_id, sku_name or category
+    - sort (sku_id, store_id, category, status, current_stock,
+      days_to_stockout, recommended_reorder_quantity, capital_at_risk,
+      stockout_probability) and order (asc/desc)
+    - limit / offset: one page of the matching rows; follow next_offset
+      until it is null
+
+    `total` counts every matching row and `facets` the rows per store,
+    city, category and status (see LatestFacets); `capital_at_risk` sums
+    the matching rows' capital at risk per status. `version` is the
+    tenant's latest prediction run, the number /stream sends: poll
+    /latest?limit=1 and compare it to see whether anything changed.
+
+    Example:
+    GET /latest?store_id=STORE_001&status=Critical&status=Warning&current_stock_max=20&limit=50
+    {
+      "predictions": [...],
+      "last_updated": "2025-12-10T10:30:00",
+      "total": 73,
+      "offset": 0,
+      "limit": 50,
+      "next_offset": 50,
+      "facets": {
+        "store_id": {"STORE_001": 73, "STORE_002": 41},
+        "city": {"Mumbai": 114},
+        "category": {"Apparel": 52, "Footwear": 21},
+        "status": {"Critical": 55, "Warning": 18, "Safe": 240}
+      },
+      "capital_at_risk": {},
+      "version": 14
+    }
+    """
+    filters: Dict[str, Any] = {
+        "sku_id": sku_id,
+        "store_id": store_id,
+        "city": city,
+        "category": category,
+        "status": status,
+        "search": search,
+    }
+    ranges = {
+        "days_to_stockout": (days_to_stockout_min, days_to_stockout_max),
+        "current_stock": (current_stock_min, current_stock_max),
+        "recommended_reorder_quantity": (
+            recommended_reorder_quantity_min,
+            recommended_reorder_quantity_max,
+        ),
+    }
+    filters.update({field: bounds for field, bounds in ranges.items() if bounds != (None, None)})
+
+    page = STORE.latest_page(
+        tenant, filters, sort, order, limit, offset, reorder=open_order_reorders(tenant)
+    )
+
+    total = page["total"]
+    end = total if limit is None else offset + limit
+    return LatestResponse(
+        predictions=with_open_orders([Prediction(**row) for row in page["rows"]], tenant),
+        last_updated=page["last_updated"],
+        total=total,
+        offset=offset,
+        limit=limit,
+        next_offset=end if end < total else None,
+        facets=LatestFacets(**page["facets"]),
+        capital_at_risk=page["capital_at_risk"],
+        version=page["version"],
+    )
+
+
+@app.post("/ingest", response_model=IngestResult)
+def ingest_predictions(
+    request: IngestRequest,
+    background: BackgroundTasks,
+    mode: Literal["replace", "upsert"] = "replace",
+    run_id: Optional[str] = None,
+    tenant: str = Depends(buyer_tenant),
+):
+    """
+    BOLTIC INTEGRATION ENDPOINT.
+    
+    Boltic workflow will POST its computed predictions here, with an API
+    key (buyer role, see /auth/api-keys) in the X-API-Key header. The
+    key's tenant decides whose data this is; other tenants never see it.
+    Boltic sends data in this format:
+
+    POST /ingest
+    {
+      "predictions": [
+        {
+          "sku_id": "TSHIRT_RED_M",
+          "store_id": "STORE_001",
+          "current_stock": 100,
+          "avg_daily_sales": 2.5,
+          "days_to_stockout": 40.0,
+          "status": "Safe",
+          "recommended_reorder_quantity": 50,
+          "category": "T-Shirts",
+          "city": "Mumbai"
+        }
+      ]
+    }
+
+    We convert those into Prediction objects and store them,
+    so /latest and the React dashboard see the latest Boltic run
+    (dashboards subscribed to /stream are notified right away).
+
+    By default (mode=replace) the batch becomes the whole served set.
+    Partial batches, e.g. one store at a time, use mode=upsert: items are
+    inserted or updated by (sku_id, store_id), every other item stays, and
+    "delete": [{"sku_id": ..., "store_id": ...}] removes items.
+
+    Chunked uploads: send each chunk with the same ?run_id=<id> (either
+    mode), then POST /ingest/runs/{run_id}/commit. Chunks are invisible
+    until the commit, which applies them all in one transaction;
+    DELETE /ingest/runs/{run_id} abandons them.
+
+    Returns:
+    {
+      "status": "ok",
+      "count": 5,
+      "message": "5 predictions ingested successfully",
+      "inserted": 2, "updated": 1, "unchanged": 2, "deleted": 0,
+      "version": 14
+    }
+    """
+    check_delete_mode(mode, request.delete)
+    now = datetime.utcnow()
+
+    converted: List[Prediction] = [
+        Prediction(**p.model_dump(), last_updated=now)
+        for p in request.predictions
+    ]
+
+    result = publish_predictions(
+        tenant, converted, as_of=now, source="ingest", mode=mode, delete=request.delete, run_id=run_id
+    )
+    if run_id:
+        return IngestResult(
+            status="staged",
+            count=len(converted),
+            message=f"{len(converted)} predictions staged for run {run_id}",
+            **result,
+        )
+
+    queue_alert_check(background, tenant, result["version"])
+    return IngestResult(
+        status="ok",
+        count=len(converted),
+        message=f"{len(converted)} predictions ingested successfully",
+        **result,
+    )
+
+
+@app.post("/ingest/runs/{run_id}/commit", response_model=IngestResult)
+def commit_ingest_run(
+    run_id: str, background: BackgroundTasks, tenant: str = Depends(buyer_tenant)
+):
+    """Apply every staged chunk of `run_id` at once (see /ingest)."""
+    try:
+        result = STORE.commit_staged(
+            tenant, run_id, datetime.utcnow(), summarize=count_rows_by_status
+        )
+    except KeyError:
+        raise HTTPException(status_code=404, detail=f"No staged run {run_id}")
+
+    queue_alert_check(background, tenant, result["run_id"])
+
+    written = result["inserted"] + result["updated"] + result["unchanged"]
+    return IngestResult(
+        status="ok",
+        count=written,
+        message=f"Run {run_id} committed: {written} predictions",
+        run_id=run_id,
+        inserted=result["inserted"],
+        updated=result["updated"],
+        unchanged=result["unchanged"],
+        deleted=result["deleted"],
+        version=result["run_id"],
+    )
+
+
+@app.delete("/ingest/runs/{run_id}")
+def discard_ingest_run(run_id: str, tenant: str = Depends(buyer_tenant)):
+    """Abandon a chunked upload; nothing it staged is applied."""
+    if not STORE.discard_staged(tenant, run_id):
+        raise HTTPException(status_code=404, detail=f"No staged run {run_id}")
+    return {"status": "ok", "run_id": run_id}
+
+
+@app.get("/policy", response_model=PolicyConfig)
+def get_policy(tenant: str = Depends(read_tenant)):
+    """The tenant's risk thresholds: defaults plus per-category and per-store overrides."""
+    return tenant_policy(tenant)
+
+
+@app.put("/policy", response_model=PolicyConfig)
+def update_policy(config: PolicyConfig, tenant: str = Depends(buyer_tenant)):
+    """
+    Replace the tenant's risk policy. Applies to predictions computed from now on
+    (/predict-bulk); predictions already served keep their status until
+    the next run.
+
+    Example:
+    PUT /policy
+    {
+      "defaults": {"critical_days": 3, "warning_days": 7, "target_days": 14},
+      "categories": {"T-Shirts": {"critical_days": 5, "target_days": 21}},
+      "stores": {"MUM_01": {"warning_days": 10}}
+    }
+    """
+    problems = policy_problems(config)
+    if problems:
+        raise HTTPException(status_code=422, detail="; ".join(problems))
+
+    STORE.save_policy(tenant, config.model_dump(mode="json"))
+    return config
+
+
+@app.get("/policy/resolve", response_model=RiskPolicy)
+def get_resolved_policy(
+    category: Optional[str] = None,
+    store_id: Optional[str] = None,
+    tenant: str = Depends(read_tenant),
+):
+    """Thresholds that apply to one category/store combination."""
+    return resolve_policy(category, store_id, tenant_policy(tenant))
+
+
+@app.get("/history", response_model=HistoryResponse)
+def get_history(
+    limit: int = Query(30, ge=1, le=MAX_HISTORY_SNAPSHOTS),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    Status counts for the last `limit` prediction runs, oldest first.
+    The dashboard plots these as the summary card sparklines.
+    """
+    return HistoryResponse(
+        snapshots=[HistoryEntry(**run) for run in STORE.runs(tenant, limit)]
+    )
+
+
+@app.get("/ingests", response_model=IngestLog)
+def get_ingests(limit: int = Query(50, ge=1, le=500), tenant: str = Depends(read_tenant)):
+    """Recent /predict-bulk and /ingest writes, newest first, with the run each created."""
+    return IngestLog(ingests=[IngestRecord(**row) for row in STORE.ingests(tenant, limit)])
+
+
+@app.get("/history/{store_id}/{sku_id}", response_model=SkuHistoryResponse)
+def get_sku_history(
+    store_id: str,
+    sku_id: str,
+    limit: int = Query(30, ge=1, le=MAX_HISTORY_SNAPSHOTS),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    How one SKU/store pair changed across the last `limit` runs, oldest first,
+    starting from its prediction going into them. Runs that left the pair
+    unchanged are skipped.
+    """
+    points = [
+        SkuHistoryPoint(taken_at=entry["taken_at"], **entry["prediction"])
+        for entry in STORE.item_history(tenant, sku_id, store_id, limit)
+    ]
+
+    return SkuHistoryResponse(sku_id=sku_id, store_id=store_id, points=points)
+
+
+SALES_REQUEST_BODY = {
+    "required": True,
+    "content": {
+        "application/json": {"schema": {
+            "type": "object",
+            "properties": {"records": {"type": "array", "items": SalesRecord.model_json_schema()}},
+        }},
+        "text/csv": {"schema": {"type": "string"}},
+    },
+}
+
+
+@app.post("/sales", response_model=SalesIngestResult,
+          openapi_extra={"requestBody": SALES_REQUEST_BODY})
+async def ingest_sales(request: Request, tenant: str = Depends(buyer_tenant)):
+    """
+    Store daily sales and stock-on-hand history (buyer role). The body is
+    JSON {"records": [...]} or a CSV (Content-Type: text/csv) with the same
+    columns. Each record is a day's total or one transaction:
+
+    POST /sales
+    {
+      "records": [
+        {"sku_id": "TSHIRT_RED_M", "store_id": "STORE_001",
+         "sales_date": "2025-12-09", "units": 7, "stock_on_hand": 93},
+        {"sku_id": "TSHIRT_RED_M", "store_id": "STORE_002",
+         "sold_at": "2025-12-09T14:05:00+05:30", "quantity": 2}
+      ]
+    }
+
+    sku_id,store_id,sales_date,units,stock_on_hand
+    TSHIRT_RED_M,STORE_001,2025-12-09,7,93
+
+    Stored per SKU, store and day: a day's transactions are summed, and the
+    day's total replaces what was stored for it, so resending a day is
+    safe (send all of a day's transactions together). Nothing is
+    predicted until the next /predict-bulk.
+
+    Returns:
+    {"status": "ok", "records": 2, "days": 2, "inserted": 1, "updated": 1, "unchanged": 0}
+    """
+    records = sales_records(await request.body(), request.headers.get("content-type", ""))
+    days = daily_totals(records)
+    counts = await asyncio.to_thread(STORE.write_sales_days, tenant, days, datetime.utcnow())
+    return SalesIngestResult(status="ok", records=len(records), days=len(days), **counts)
+
+
+@app.get("/sales/{store_id}/{sku_id}", response_model=SalesHistoryResponse)
+def get_sales_history(
+    store_id: str,
+    sku_id: str,
+    days: int = Query(90, ge=1, le=SALES_HISTORY_DAYS),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    One SKU/store pair's daily sales for the last `days` complete days
+    (from its first record on), with units sold in the last 7 and 30.
+    """
+    empty = SalesHistoryResponse(sku_id=sku_id, store_id=store_id, days=[])
+    last = sales_history_end(tenant, datetime.utcnow().date())
+    if last is None:
+        return empty
+
+    since = last - timedelta(days=max(days, 30) - 1)
+    rows = STORE.item_sales_days(tenant, sku_id, store_id, since.isoformat(), last.isoformat())
+    if not rows:
+        return empty
+
+    first = date.fromisoformat(rows[0]["sales_date"])
+    series = daily_series(rows, first, last)
+    stock = {r["sales_date"]: r["stock_on_hand"] for r in rows}
+    shown = max(first, last - timedelta(days=days - 1))
+    return SalesHistoryResponse(
+        sku_id=sku_id,
+        store_id=store_id,
+        days=[
+            SalesDay(sales_date=day, units=units, stock_on_hand=stock.get(day.isoformat()))
+            for day, units in (
+                (first + timedelta(days=i), units) for i, units in enumerate(series)
+            )
+            if day >= shown
+        ],
+        **rolling_totals(series),
+    )
+
+
+@app.post("/simulate", response_model=SimulationResponse)
+def simulate(request: SimulationRequest, tenant: str = Depends(read_tenant)):
+    """
+    What-if for stored predictions (any role; nothing is stored). Each
+    scenario names a SKU/store and any of: a different current_stock,
+    receipts by date, a demand_multiplier on top of the forecast.
+
+    POST /simulate
+    {
+      "days": 30,
+      "scenarios": [
+        {"sku_id": "TSHIRT_RED_M", "store_id": "STORE_001",
+         "receipts": [{"receipt_date": "2025-12-16", "quantity": 50}],
+         "demand_multiplier": 1.3}
+      ]
+    }
+
+    Returns per scenario the prediction before and after (status, days to
+    stockout, reorder quantity, ...) and both stock curves over `days`
+    days with the date each runs out (see run_scenarios).
+    """
+    now = datetime.utcnow()
+    return SimulationResponse(
+        results=run_scenarios(request.scenarios, request.days, tenant, now), as_of=now
+    )
+
+
+def get_po_or_404(tenant: str, po_id: str) -> PurchaseOrder:
+    po = STORE.get_order(tenant, "purchase", po_id)
+    if po is None:
+        raise HTTPException(status_code=404, detail=f"Purchase order {po_id} not found")
+    return PurchaseOrder(**po)
+
+
+def update_po(tenant: str, po: PurchaseOrder, status: str) -> PurchaseOrder:
+    """Save a changed PO, unless another request moved it on from `status` meanwhile."""
+    if not STORE.update_order(tenant, "purchase", po.po_id, po.model_dump(mode="json"), status):
+        raise HTTPException(status_code=409, detail=f"{po.po_id} was changed meanwhile")
+    return po
+
+
+@app.get("/purchase-orders", response_model=PurchaseOrderList)
+def list_purchase_orders(
+    status: Optional[str] = None,
+    store_id: Optional[str] = None,
+    tenant: str = Depends(read_tenant),
+):
+    """The tenant's purchase orders, newest first, optionally filtered by status/store."""
+    orders = [
+        po for po in tenant_purchase_orders(tenant, status)
+        if store_id is None or po.store_id == store_id
+    ]
+    return PurchaseOrderList(purchase_orders=orders)
+
+
+@app.post("/purchase-orders", response_model=PurchaseOrder)
+def create_purchase_order(draft: PurchaseOrderDraft, tenant: str = Depends(buyer_tenant)):
+    """
+    Save a draft purchase order for one store (and supplier).
+
+    Example:
+    POST /purchase-orders
+    {
+      "store_id": "MUM_01",
+      "supplier": "Acme Apparel",
+      "lines": [{"sku_id": "TS_RED_M", "quantity": 48, "unit_price": 399}]
+    }
+    """
+    problems = po_problems(draft)
+    if problems:
+        raise HTTPException(status_code=422, detail=problems)
+
+    now = datetime.utcnow()
+    po = PurchaseOrder(
+        **draft.model_dump(),
+        po_id=next_po_id(tenant),
+        status="draft",
+        created_at=now,
+        updated_at=now,
+    )
+    STORE.create_order(tenant, "purchase", po.po_id, po.model_dump(mode="json"))
+    return po
+
+
+@app.get("/purchase-orders/{po_id}", response_model=PurchaseOrder)
+def get_purchase_order(po_id: str, tenant: str = Depends(read_tenant)):
+    return get_po_or_404(tenant, po_id)
+
+
+@app.put("/purchase-orders/{po_id}", response_model=PurchaseOrder)
+def update_purchase_order(
+    po_id: str, draft: PurchaseOrderDraft, tenant: str = Depends(buyer_tenant)
+):
+    """Replace the lines/supplier/notes of a draft. Submitted POs are read-only."""
+    po = get_po_or_404(tenant, po_id)
+    if po.status != "draft":
+        raise HTTPException(status_code=409, detail=f"{po_id} is {po.status}; only drafts can be edited")
+    problems = po_problems(draft)
+    if problems:
+        raise HTTPException(status_code=422, detail=problems)
+
+    po = po.model_copy(update={**draft.model_dump(), "updated_at": datetime.utcnow()})
+    return update_po(tenant, po, "draft")
+
+
+@app.delete("/purchase-orders/{po_id}")
+def delete_purchase_order(po_id: str, tenant: str = Depends(buyer_tenant)):
+    """Discard a draft."""
+    po = get_po_or_404(tenant, po_id)
+    if po.status != "draft":
+        raise HTTPException(status_code=409, detail=f"{po_id} is {po.status}; only drafts can be deleted")
+    if not STORE.delete_order(tenant, "purchase", po_id, "draft"):
+        raise HTTPException(status_code=409, detail=f"{po_id} was changed meanwhile")
+    return {"status": "ok", "po_id": po_id}
+
+
+@app.post("/purchase-orders/{po_id}/status", response_model=PurchaseOrder)
+def set_purchase_order_status(
+    po_id: str, update: PurchaseOrderStatusUpdate, tenant: str = Depends(buyer_tenant)
+):
+    """
+    Move a PO forward: draft -> submitted -> received.
+
+    While submitted, its quantities count as on order in /latest. Once
+    received, the stock is expected in the next upload's current_stock.
+    """
+    po = get_po_or_404(tenant, po_id)
+    if PO_TRANSITIONS.get(po.status) != update.status:
+        raise HTTPException(
+            status_code=409,
+            detail=f"Cannot move {po_id} from {po.status} to {update.status}",
+        )
+
+    now = datetime.utcnow()
+    changes = {"status": update.status, "updated_at": now}
+    changes[f"{update.status}_at"] = now
+    return update_po(tenant, po.model_copy(update=changes), po.status)
+
+
+@app.get("/purchase-orders/{po_id}/export.csv")
+def export_purchase_order_csv(po_id: str, tenant: str = Depends(read_tenant)):
+    po = get_po_or_404(tenant, po_id)
+    return Response(
+        content=po_csv(po),
+        media_type="text/csv",
+        headers={"Content-Disposition": f'attachment; filename="{po_id}.csv"'},
+    )
+
+
+@app.get("/purchase-orders/{po_id}/export.pdf")
+def export_purchase_order_pdf(po_id: str, tenant: str = Depends(read_tenant)):
+    """Printable PO, opened inline so the browser can print it."""
+    po = get_po_or_404(tenant, po_id)
+    return Response(
+        content=po_pdf(po),
+        media_type="application/pdf",
+        headers={"Content-Disposition": f'inline; filename="{po_id}.pdf"'},
+    )
+
+
+@app.get("/transfers/suggestions", response_model=TransferSuggestionResponse)
+def get_transfer_suggestions(tenant: str = Depends(read_tenant)):
+    """
+    Stock moves that even out coverage between stores (see suggest_transfers),
+    based on /latest. Transfer orders not yet received are taken into account,
+    so accepted suggestions disappear.
+    """
+    return TransferSuggestionResponse(
+        generated_at=datetime.utcnow(),
+        suggestions=suggest_transfers(
+            with_open_orders(served_predictions(tenant)[0], tenant),
+            tenant_policy(tenant),
+            open_transfer_quantities(tenant),
+        ),
+    )
+
+
+def get_transfer_or_404(tenant: str, transfer_id: str) -> TransferOrder:
+    order = STORE.get_order(tenant, "transfer", transfer_id)
+    if order is None:
+        raise HTTPException(status_code=404, detail=f"Transfer order {transfer_id} not found")
+    return TransferOrder(**order)
+
+
+@app.get("/transfer-orders", response_model=TransferOrderList)
+def list_transfer_orders(status: Optional[str] = None, tenant: str = Depends(read_tenant)):
+    """The tenant's transfer orders, newest first, optionally filtered by status."""
+    return TransferOrderList(transfer_orders=tenant_transfer_orders(tenant, status))
+
+
+@app.post("/transfer-orders", response_model=TransferOrder)
+def create_transfer_order(draft: TransferOrderDraft, tenant: str = Depends(buyer_tenant)):
+    """
+    Save a transfer between two stores as a draft.
+
+    Example:
+    POST /transfer-orders
+    {
+      "from_store_id": "MUM_02",
+      "to_store_id": "MUM_01",
+      "lines": [{"sku_id": "TS_RED_M", "quantity": 30}]
+    }
+    """
+    if draft.from_store_id == draft.to_store_id:
+        raise HTTPException(status_code=422, detail="from_store_id and to_store_id must differ")
+    skus = [line.sku_id for line in draft.lines]
+    if len(skus) != len(set(skus)):
+        raise HTTPException(status_code=422, detail="Each SKU may appear only once")
+
+    now = datetime.utcnow()
+    order = TransferOrder(
+        **draft.model_dump(),
+        transfer_id=next_transfer_id(tenant),
+        status="draft",
+        created_at=now,
+        updated_at=now,
+    )
+    STORE.create_order(tenant, "transfer", order.transfer_id, order.model_dump(mode="json"))
+    return order
+
+
+@app.post("/transfer-orders/{transfer_id}/status", response_model=TransferOrder)
+def set_transfer_order_status(
+    transfer_id: str, update: TransferOrderStatusUpdate, tenant: str = Depends(buyer_tenant)
+):
+    """Move a transfer forward: draft -> shipped -> received."""
+    order = get_transfer_or_404(tenant, transfer_id)
+    if TRANSFER_TRANSITIONS.get(order.status) != update.status:
+        raise HTTPException(
+            status_code=409,
+            detail=f"Cannot move {transfer_id} from {order.status} to {update.status}",
+        )
+
+    now = datetime.utcnow()
+    moved = order.model_copy(
+        update={"status": update.status, "updated_at": now, f"{update.status}_at": now}
+    )
+    if not STORE.update_order(
+        tenant, "transfer", transfer_id, moved.model_dump(mode="json"), order.status
+    ):
+        raise HTTPException(status_code=409, detail=f"{transfer_id} was changed meanwhile")
+    return moved
+
+
+@app.delete("/transfer-orders/{transfer_id}")
+def delete_transfer_order(transfer_id: str, tenant: str = Depends(buyer_tenant)):
+    """Discard a draft transfer."""
+    order = get_transfer_or_404(tenant, transfer_id)
+    if order.status != "draft":
+        raise HTTPException(
+            status_code=409,
+            detail=f"{transfer_id} is {order.status}; only drafts can be deleted",
+        )
+    if not STORE.delete_order(tenant, "transfer", transfer_id, "draft"):
+        raise HTTPException(status_code=409, detail=f"{transfer_id} was changed meanwhile")
+    return {"status": "ok", "transfer_id": transfer_id}
+
+
+def get_alert_rule_or_404(tenant: str, rule_id: int) -> Dict[str, Any]:
+    rule = STORE.get_alert_rule(tenant, rule_id)
+    if rule is None:
+        raise HTTPException(status_code=404, detail=f"No alert rule {rule_id}")
+    return rule
+
+
+def checked_alert_rule(rule: AlertRuleIn) -> Dict[str, Any]:
+    problems = alert_rule_problems(rule)
+    if problems:
+        raise HTTPException(status_code=422, detail="; ".join(problems))
+    return rule.model_dump()
+
+
+@app.get("/alerts/rules", response_model=AlertRuleList)
+def list_alert_rules(tenant: str = Depends(read_tenant)):
+    """The tenant's alert rules, oldest first."""
+    return AlertRuleList(rules=[AlertRule(**r) for r in STORE.list_alert_rules(tenant)])
+
+
+@app.post("/alerts/rules", response_model=AlertRule)
+def create_alert_rule(rule: AlertRuleIn, tenant: str = Depends(buyer_tenant)):
+    """
+    Add an alert rule. It is checked after every new prediction run of the
+    tenant (see alerts.py for the rule kinds, dedupe and quiet hours).
+
+    Examples:
+    POST /alerts/rules
+    {
+      "name": "MUM_01 criticals",
+      "kind": "item_status",
+      "status": "Critical",
+      "store_id": "MUM_01",
+      "webhook_url": "https://hooks.slack.com/services/T000/B000/XXXX",
+      "quiet_start": "22:00", "quiet_end": "07:00", "timezone": "Asia/Kolkata"
+    }
+
+    {
+      "name": "Mumbai over 10 criticals",
+      "kind": "status_count",
+      "city": "Mumbai",
+      "threshold": 10,
+      "email_to": ["ops@example.com"],
+      "dedupe_minutes": 720
+    }
+    """
+    return AlertRule(**STORE.save_alert_rule(tenant, checked_alert_rule(rule)))
+
+
+@app.put("/alerts/rules/{rule_id}", response_model=AlertRule)
+def update_alert_rule(rule_id: int, rule: AlertRuleIn, tenant: str = Depends(buyer_tenant)):
+    """Replace a rule's settings (e.g. "enabled": false to pause it)."""
+    saved = STORE.save_alert_rule(tenant, checked_alert_rule(rule), rule_id=rule_id)
+    if saved is None:
+        raise HTTPException(status_code=404, detail=f"No alert rule {rule_id}")
+    return AlertRule(**saved)
+
+
+@app.delete("/alerts/rules/{rule_id}")
+def delete_alert_rule(rule_id: int, tenant: str = Depends(buyer_tenant)):
+    """Remove a rule; the alerts it already raised stay in the history."""
+    if not STORE.delete_alert_rule(tenant, rule_id):
+        raise HTTPException(status_code=404, detail=f"No alert rule {rule_id}")
+    return {"status": "ok", "rule_id": rule_id}
+
+
+@app.post("/alerts/rules/{rule_id}/test")
+def test_alert_rule(rule_id: int, tenant: str = Depends(buyer_tenant)):
+    """
+    Send a test message on the rule's channels right away, ignoring quiet
+    hours and dedupe. Not recorded in the history. 502 lists the channels
+    that failed.
+    """
+    rule = get_alert_rule_or_404(tenant, rule_id)
+    subject = f"Test alert: {rule['name']}"
+    alert = {
+        "keys": [],
+        "subject": subject,
+        "text": f"{subject}\n\nThe rule's notifications will arrive here.",
+        "items": [],
+    }
+    errors = deliver(rule, alert, tenant)
+    if errors:
+        raise HTTPException(status_code=502, detail="; ".join(errors))
+    return {"status": "sent", "rule_id": rule_id}
+
+
+@app.get("/alerts/history", response_model=AlertHistory)
+def get_alert_history(
+    limit: int = Query(100, ge=1, le=500), tenant: str = Depends(read_tenant)
+):
+    """The tenant's most recent alerts first: what was sent, failed or is held."""
+    return AlertHistory(events=[alert_event(e) for e in STORE.alert_events(tenant, limit)])
+
+
+def get_digest_subscription_or_404(tenant: str, subscription_id: int) -> Dict[str, Any]:
+    sub = STORE.get_digest_subscription(tenant, subscription_id)
+    if sub is None:
+        raise HTTPException(status_code=404, detail=f"No digest subscription {subscription_id}")
+    return sub
+
+
+def checked_digest_subscription(sub: DigestSubscriptionIn) -> Dict[str, Any]:
+    problems = digest_problems(sub)
+    if problems:
+        raise HTTPException(status_code=422, detail="; ".join(problems))
+    return sub.model_dump()
+
+
+@app.get("/digests/subscriptions", response_model=DigestSubscriptionList)
+def list_digest_subscriptions(tenant: str = Depends(read_tenant)):
+    """The tenant's digest subscriptions, oldest first."""
+    return DigestSubscriptionList(subscriptions=[
+        DigestSubscription(**s) for s in STORE.list_digest_subscriptions(tenant)
+    ])
+
+
+@app.post("/digests/subscriptions", response_model=DigestSubscription)
+def create_digest_subscription(
+    sub: DigestSubscriptionIn, tenant: str = Depends(buyer_tenant)
+):
+    """
+    Subscribe to a daily digest: Critical/Warning counts per store, the most
+    urgent items and the total recommended reorder value, built every day
+    at send_at (see digest.py).
+
+    Examples:
+    POST /digests/subscriptions
+    {
+      "name": "Mumbai stores",
+      "store_ids": ["MUM_01", "MUM_02"],
+      "email_to": ["mumbai-managers@example.com"],
+      "send_at": "07:30", "timezone": "Asia/Kolkata"
+    }
+
+    {"name": "Archive only", "archive": true}
+    """
+    return DigestSubscription(
+        **STORE.save_digest_subscription(tenant, checked_digest_subscription(sub))
+    )
+
+
+@app.put("/digests/subscriptions/{subscription_id}", response_model=DigestSubscription)
+def update_digest_subscription(
+    subscription_id: int, sub: DigestSubscriptionIn, tenant: str = Depends(buyer_tenant)
+):
+    """Replace a subscription's settings (e.g. "enabled": false to pause it)."""
+    saved = STORE.save_digest_subscription(
+        tenant, checked_digest_subscription(sub), subscription_id=subscription_id
+    )
+    if saved is None:
+        raise HTTPException(status_code=404, detail=f"No digest subscription {subscription_id}")
+    return DigestSubscription(**saved)
+
+
+@app.delete("/digests/subscriptions/{subscription_id}")
+def delete_digest_subscription(subscription_id: int, tenant: str = Depends(buyer_tenant)):
+    """Remove a subscription; its archived digests stay."""
+    if not STORE.delete_digest_subscription(tenant, subscription_id):
+        raise HTTPException(status_code=404, detail=f"No digest subscription {subscription_id}")
+    return {"status": "ok", "subscription_id": subscription_id}
+
+
+@app.post("/digests/subscriptions/{subscription_id}/send", response_model=DigestRecord)
+def send_digest_now(subscription_id: int, tenant: str = Depends(buyer_tenant)):
+    """
+    Build the subscription's digest right away and send/archive it like the
+    scheduled one (which still goes out as usual). 502 when the email failed;
+    the digest is in the archive either way.
+    """
+    sub = get_digest_subscription_or_404(tenant, subscription_id)
+    now = datetime.utcnow()
+    local_date = now.replace(tzinfo=timezone.utc).astimezone(ZoneInfo(sub["timezone"])).date()
+    digest_id = run_digest(tenant, sub, local_date.isoformat(), now, scheduled=False)
+    record = DigestRecord(**STORE.get_digest(tenant, digest_id))
+    if record.status == "failed":
+        raise HTTPException(status_code=502, detail=record.error)
+    return record
+
+
+@app.get("/digests", response_model=DigestArchive)
+def list_digests(limit: int = Query(100, ge=1, le=500), tenant: str = Depends(read_tenant)):
+    """The tenant's most recent digests first: sent, archived or failed."""
+    return DigestArchive(digests=[DigestRecord(**d) for d in STORE.list_digests(tenant, limit)])
+
+
+@app.get("/digests/preview.{format}")
+def preview_digest(
+    format: Literal["html", "pdf"],
+    store_id: List[str] = Query([]),
+    top_items: int = Query(10, ge=1, le=50),
+    tenant: str = Depends(read_tenant),
+):
+    """
+    Today's digest from the current predictions, not sent or archived.
+
+    Example:
+    GET /digests/preview.pdf?store_id=MUM_01&store_id=MUM_02
+    """
+    return digest_response(tenant_digest(tenant, store_id, top_items), format, "digest-preview")
+
+
+@app.get("/digests/{digest_id}/export.{format}")
+def export_digest(
+    digest_id: int, format: Literal["html", "pdf"], tenant: str = Depends(read_tenant)
+):
+    """An archived digest, as it was built (opened inline so the browser can print it)."""
+    digest = STORE.get_digest_content(tenant, digest_id)
+    if digest is None:
+        raise HTTPException(status_code=404, detail=f"No archived digest {digest_id}")
+    return digest_response(digest, format, f"digest-{digest_id}")
+
+
+STREAM_POLL_SECONDS = 1.0         # how often /stream checks for a new version
+STREAM_HEARTBEAT_SECONDS = 15.0   # keep-alive comment so proxies don't drop us
+
+
+def _update_event(tenant: str, event: str) -> str:
+    """Format the tenant's current predictions summary as one Server-Sent Event."""
+    runs = STORE.runs(tenant, 1)
+    payload = {
+        "version": runs[0]["run_id"] if runs else 0,
+        "last_updated": runs[0]["taken_at"].isoformat() if runs else None,
+        "count": runs[0]["total"] if runs else 0,
+    }
+    return f"event: {event}\ndata: {json.dumps(payload)}\n\n"
+
+
+@app.get("/stream")
+async def stream_updates(request: Request, tenant: str = Depends(read_tenant)):
+    """
+    Server-Sent Events stream for live dashboards.
+
+    Sends a `ready` event on connect, then an `update` event every time
+    /predict-bulk or /ingest stores a new prediction run for the tenant
+    (also when another instance of the API wrote it):
+
+    event: update
+    data: {"version": 3, "last_updated": "2025-12-10T10:30:00", "count": 40}
+
+    Clients re-fetch /latest when they see a new version.
+
+    The store is queried in a worker thread: a slow database must not hold up
+    the event loop, which every other open stream and request shares.
+    """
+    async def event_source():
+        seen_version = await asyncio.to_thread(STORE.version, tenant)
+        idle_seconds = 0.0
+        yield await asyncio.to_thread(_update_event, tenant, "ready")
+
+        while not await request.is_disconnected():
+            await asyncio.sleep(STREAM_POLL_SECONDS)
+
+            version = await asyncio.to_thread(STORE.version, tenant)
+            if version != seen_version:
+                seen_version = version
+                idle_seconds = 0.0
+                yield await asyncio.to_thread(_update_event, tenant, "update")
+            else:
+                idle_seconds += STREAM_POLL_SECONDS
+                if idle_seconds >= STREAM_HEARTBEAT_SECONDS:
+                    idle_seconds = 0.0
+                    yield ": keep-alive\n\n"
+
+    return StreamingResponse(
+        event_source(),
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
 
 
 @app.get("/")
@@ -284,9 +3293,28 @@ def root():
         "endpoints": {
             "health": "/health",
             "docs": "/docs",
+            "login": "/auth/login",
+            "tickets": "/auth/tickets",
+            "users": "/auth/users",
+            "api_keys": "/auth/api-keys",
+            "tenants": "/tenants",
+            "views": "/views",
             "predict": "/predict-bulk",
             "latest": "/latest",
-            "ingest": "/ingest"
+            "ingest": "/ingest",
+            "history": "/history",
+            "sales": "/sales",
+            "simulate": "/simulate",
+            "ingests": "/ingests",
+            "policy": "/policy",
+            "purchase_orders": "/purchase-orders",
+            "transfers": "/transfers/suggestions",
+            "transfer_orders": "/transfer-orders",
+            "alerts": "/alerts/rules",
+            "alert_history": "/alerts/history",
+            "digest_subscriptions": "/digests/subscriptions",
+            "digests": "/digests",
+            "stream": "/stream"
         }
     }
 
@@ -0,0 +1,87 @@
+"""
+Minimal PDF writer for printable exports (purchase orders, reports).
+
+Writes plain text pages in Courier, so columns padded with spaces line up
+without a layout engine or any extra dependency. Text outside Latin-1 is
+replaced with "?".
+
+Example:
+    pdf_bytes = text_pdf(["PURCHASE ORDER PO-0001", "", "SKU      Qty"],
+                         title="PO-0001")
+"""
+
+from typing import List
+
+PAGE_WIDTH = 612            # US Letter, in points
+PAGE_HEIGHT = 792
+MARGIN = 48
+FONT_SIZE = 10
+LINE_HEIGHT = 14
+LINES_PER_PAGE = (PAGE_HEIGHT - 2 * MARGIN) // LINE_HEIGHT
+CHARS_PER_LINE = 90         # Courier 10pt is 6pt per character
+
+
+def _escape(text: str) -> str:
+    return text.replace("\\", "\\\\").replace("(", "\\(").replace(")", "\\)")
+
+
+def _page_stream(lines: List[str]) -> bytes:
+    parts = [
+        "BT",
+        f"/F1 {FONT_SIZE} Tf",
+        f"{LINE_HEIGHT} TL",
+        f"{MARGIN} {PAGE_HEIGHT - MARGIN - FONT_SIZE} Td",
+    ]
+    for line in lines:
+        parts.append(f"({_escape(line[:CHARS_PER_LINE])}) Tj T*")
+    parts.append("ET")
+    return "\n".join(parts).encode("latin-1", errors="replace")
+
+
+def text_pdf(lines: List[str], title: str = "") -> bytes:
+    """Render lines of text as a PDF, starting a new page every LINES_PER_PAGE."""
+    pages = [
+        lines[i:i + LINES_PER_PAGE] for i in range(0, len(lines), LINES_PER_PAGE)
+    ] or [[]]
+
+    # Object numbers: 1 catalog, 2 page tree, 3 font, 4 info,
+    # then a page object and its content stream for every page.
+    page_ids = [5 + 2 * i for i in range(len(pages))]
+    objects = {
+        1: b"<< /Type /Catalog /Pages 2 0 R >>",
+        2: (
+            "<< /Type /Pages /Kids ["
+            + " ".join(f"{pid} 0 R" for pid in page_ids)
+            + f"] /Count {len(pages)} >>"
+        ).encode("latin-1"),
+        3: b"<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>",
+        4: f"<< /Title ({_escape(title)}) >>".encode("latin-1", errors="replace"),
+    }
+    for pid, page_lines in zip(page_ids, pages):
+        stream = _page_stream(page_lines)
+        objects[pid] = (
+            f"<< /Type /Page /Parent 2 0 R /MediaBox [0 0 {PAGE_WIDTH} {PAGE_HEIGHT}]"
+            f" /Resources << /Font << /F1 3 0 R >> >> /Contents {pid + 1} 0 R >>"
+        ).encode("latin-1")
+        objects[pid + 1] = (
+            f"<< /Length {len(stream)} >>\nstream\n".encode("latin-1")
+            + stream
+            + b"\nendstream"
+        )
+
+    out = bytearray(b"%PDF-1.4\n")
+    offsets = {}
+    for num in sorted(objects):
+        offsets[num] = len(out)
+        out += f"{num} 0 obj\n".encode("latin-1") + objects[num] + b"\nendobj\n"
+
+    xref_at = len(out)
+    size = max(objects) + 1
+    out += f"xref\n0 {size}\n0000000000 65535 f \n".encode("latin-1")
+    for num in range(1, size):
+        out += f"{offsets[num]:010d} 00000 n \n".encode("latin-1")
+    out += (
+        f"trailer\n<< /Size {size} /Root 1 0 R /Info 4 0 R >>\n"
+        f"startxref\n{xref_at}\n%%EOF\n"
+    ).encode("latin-1")
+    return bytes(out)
@@ -0,0 +1,109 @@
+"""
+Daily sales and stock-on-hand history: turning what POST /sales receives
+into one row per SKU, store and day, and back into the daily series the
+forecasts (forecasting.py) run on.
+
+Records come as daily totals (sales_date + units) or single transactions
+(sold_at + quantity, negative for returns), each optionally with the
+stock_on_hand at the end of that day / after that sale. daily_totals()
+folds them into days:
+- a day's transactions are summed; send all of a day's transactions in
+  one request, because the total replaces what was stored for that day
+- a daily total for the same day wins over them (last one in the request wins)
+- stock_on_hand: a daily record's (end of day), else the latest transaction's
+So sending the same data again changes nothing.
+
+Example:
+    records = parse_sales_csv(text)          # or JSON records, same keys
+    days = daily_totals(records)             # {(sku, store, "2025-12-09"): {...}}
+    series = daily_series(rows, first=date(2025, 11, 1), last=date(2025, 12, 9))
+    rolling_totals(series)                   # {"last_7_days": 41.0, "last_30_days": 150.0}
+"""
+
+import csv
+import io
+from datetime import date, timedelta
+from typing import Any, Dict, List, Optional, Tuple
+
+SALES_CSV_COLUMNS = ("sku_id", "store_id", "sales_date", "units", "sold_at", "quantity",
+                     "stock_on_hand")
+ROLLING_WINDOWS = (7, 30)   # days, as last_7_days / last_30_days
+
+DayKey = Tuple[str, str, str]   # sku_id, store_id, ISO date
+
+
+def parse_sales_csv(text: str) -> List[Dict[str, Any]]:
+    """
+    CSV rows as record dicts (blank cells left out, so they mean "not
+    sent"). Needs sku_id and store_id columns plus sales_date or sold_at;
+    other columns are ignored. Raises ValueError for a missing column.
+    """
+    reader = csv.DictReader(io.StringIO(text.lstrip("\ufeff")))
+    columns = [c.strip() for c in reader.fieldnames or []]
+    missing = [c for c in ("sku_id", "store_id") if c not in columns]
+    if "sales_date" not in columns and "sold_at" not in columns:
+        missing.append("sales_date or sold_at")
+    if missing:
+        raise ValueError(f"Missing CSV column(s): {', '.join(missing)}")
+
+    reader.fieldnames = columns
+    return [
+        {k: v.strip() for k, v in row.items() if k in SALES_CSV_COLUMNS and v and v.strip()}
+        for row in reader
+    ]
+
+
+def daily_totals(records: List[Any]) -> Dict[DayKey, Dict[str, Any]]:
+    """
+    One {"units", "stock_on_hand"} per SKU, store and day from validated
+    records (objects with the SalesRecord fields). Either value is None
+    when no record of that day carried it.
+    """
+    days: Dict[DayKey, Dict[str, Any]] = {}
+    totalled, end_of_day = set(), set()   # days whose daily record gave units / stock
+
+    # daily records first, then transactions in time order
+    for r in sorted(records, key=lambda r: (r.sold_at is not None, r.sold_at or 0)):
+        day = r.sales_date or r.sold_at.date()
+        key = (r.sku_id, r.store_id, day.isoformat())
+        entry = days.setdefault(key, {"units": None, "stock_on_hand": None})
+
+        if r.sold_at is None:
+            if r.units is not None:
+                entry["units"] = r.units
+                totalled.add(key)
+            if r.stock_on_hand is not None:
+                entry["stock_on_hand"] = r.stock_on_hand
+                end_of_day.add(key)
+            continue
+        if r.quantity is not None and key not in totalled:
+            entry["units"] = (entry["units"] or 0.0) + r.quantity
+        if r.stock_on_hand is not None and key not in end_of_day:
+            entry["stock_on_hand"] = r.stock_on_hand
+
+    return days
+
+
+def daily_series(rows: List[Dict[str, Any]], first: date, last: date) -> List[float]:
+    """
+    Units per day from `first` to `last` inclusive, oldest first, from
+    stored rows ({"sales_date", "units", ...}); days without a row (or
+    without units) count as 0 sold.
+    """
+    units = {r["sales_date"]: r["units"] or 0.0 for r in rows}
+    return [
+        units.get((first + timedelta(i)).isoformat(), 0.0)
+        for i in range((last - first).days + 1)
+    ]
+
+
+def rolling_totals(series: List[float]) -> Dict[str, float]:
+    """Units sold in the last 7 and 30 days of a daily series."""
+    return {f"last_{n}_days": float(sum(series[-n:])) for n in ROLLING_WINDOWS}
+
+
+def latest_stock(rows: List[Dict[str, Any]]) -> Optional[int]:
+    """Most recent stock_on_hand in stored rows (oldest first), if any."""
+    return next(
+        (r["stock_on_hand"] for r in reversed(rows) if r["stock_on_hand"] is not None), None
+    )
@@ -0,0 +1,231 @@
+"""
+Alert rules end to end: ingests go through the API, notifications go to a
+local webhook receiver and the local SMTP server from conftest.py.
+"""
+
+import json
+import threading
+from datetime import datetime
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+
+import pytest
+
+import main
+from alerts import evaluate_rule, in_quiet_hours
+from conftest import ingest, prediction
+
+
+# ---- local receivers ----
+
+class WebhookHandler(BaseHTTPRequestHandler):
+    def do_POST(self):
+        body = self.rfile.read(int(self.headers["Content-Length"]))
+        self.server.received.append(json.loads(body))
+        self.send_response(self.server.reply_status)
+        self.end_headers()
+
+    def log_message(self, *args):
+        pass
+
+
+@pytest.fixture(scope="module")
+def webhook():
+    server = ThreadingHTTPServer(("127.0.0.1", 0), WebhookHandler)
+    server.received, server.reply_status = [], 200
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    yield server
+    server.shutdown()
+
+
+@pytest.fixture
+def api(api, webhook, smtp, monkeypatch):
+    """
+    The shared admin client, with SMTP_* pointing at the local server and
+    webhooks allowed to reach the local receiver.
+    """
+    monkeypatch.setenv("ALERT_WEBHOOK_ALLOW_PRIVATE", "true")
+    monkeypatch.setenv("SMTP_HOST", "127.0.0.1")
+    monkeypatch.setenv("SMTP_PORT", str(smtp.server_address[1]))
+    webhook.received.clear()
+    webhook.reply_status = 200
+    smtp.received.clear()
+    return api
+
+
+def webhook_url(webhook) -> str:
+    return f"http://127.0.0.1:{webhook.server_address[1]}/hook"
+
+
+def add_rule(api, **fields):
+    response = api.post("/alerts/rules", json={"name": "rule", "kind": "item_status", **fields})
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def history(api):
+    return api.get("/alerts/history").json()["events"]
+
+
+# ---- tests ----
+
+def test_item_going_critical_is_sent_to_webhook_and_email(api, webhook, smtp):
+    add_rule(api, store_id="MUM_01", webhook_url=webhook_url(webhook), email_to=["ops@example.com"])
+    ingest(
+        api,
+        prediction("TS_RED_M", "MUM_01", "Warning"),
+        prediction("TS_BLUE_L", "MUM_02", "Safe"),
+    )
+    assert webhook.received == []
+
+    ingest(
+        api,
+        prediction("TS_RED_M", "MUM_01", "Critical"),
+        prediction("TS_BLUE_L", "MUM_02", "Critical"),   # other store: out of scope
+    )
+
+    [payload] = webhook.received
+    assert payload["subject"] == "[Critical] TS_RED_M at MUM_01 is now Critical"
+    assert "Warning -> Critical" in payload["text"]
+    assert [i["sku_id"] for i in payload["items"]] == ["TS_RED_M"]
+
+    [message] = smtp.received
+    assert message["To"] == "ops@example.com"
+    assert message["Subject"] == payload["subject"]
+
+    [event] = history(api)
+    assert event["status"] == "sent"
+    assert event["item_count"] == 1
+
+
+def test_items_already_alerted_are_not_repeated_within_the_dedupe_window(api, webhook):
+    add_rule(api, webhook_url=webhook_url(webhook), dedupe_minutes=60)
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))
+    # flaps back and forth: same item, inside the window
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Warning"))
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))
+    # a new item still gets through, on its own
+    ingest(
+        api,
+        prediction("TS_RED_M", "MUM_01", "Critical"),
+        prediction("JN_BLK_32", "MUM_01", "Critical"),
+    )
+
+    assert [[i["sku_id"] for i in p["items"]] for p in webhook.received] == [
+        ["TS_RED_M"],
+        ["JN_BLK_32"],
+    ]
+
+
+def test_count_rule_fires_when_the_city_exceeds_the_threshold(api, webhook):
+    add_rule(api, kind="status_count", city="Mumbai", threshold=1, webhook_url=webhook_url(webhook))
+    ingest(
+        api,
+        prediction("A", "MUM_01", "Critical"),
+        prediction("B", "DEL_01", "Critical", city="Delhi"),
+    )
+    assert webhook.received == []
+
+    ingest(
+        api,
+        prediction("A", "MUM_01", "Critical"),
+        prediction("B", "MUM_02", "Critical"),
+        prediction("C", "DEL_01", "Critical", city="Delhi"),
+    )
+
+    [payload] = webhook.received
+    assert payload["subject"] == "[Critical] 2 Critical SKUs in city Mumbai (alert above 1)"
+
+
+def test_alerts_in_quiet_hours_are_held_until_they_end(api, webhook):
+    now = datetime.utcnow()
+    start = f"{(now.hour - 1) % 24:02d}:00"
+    end = f"{(now.hour + 1) % 24:02d}:00"
+    add_rule(api, webhook_url=webhook_url(webhook), quiet_start=start, quiet_end=end)
+
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))
+
+    assert webhook.received == []
+    assert history(api)[0]["status"] == "held"
+    assert main.release_held_alerts(now) == 0
+
+    main.release_held_alerts(now.replace(hour=(now.hour + 2) % 24))
+
+    assert len(webhook.received) == 1
+    assert history(api)[0]["status"] == "sent"
+
+
+def test_failed_delivery_is_recorded_and_does_not_count_for_dedupe(api, webhook):
+    add_rule(api, webhook_url=webhook_url(webhook))
+    webhook.reply_status = 500
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))
+
+    [failed] = history(api)
+    assert failed["status"] == "failed"
+    assert failed["error"] == "webhook: HTTP 500"
+
+    webhook.reply_status = 200
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Warning"))
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))
+
+    assert history(api)[0]["status"] == "sent"
+    assert [i["sku_id"] for i in webhook.received[-1]["items"]] == ["TS_RED_M"]
+
+
+def test_webhooks_to_internal_addresses_are_refused(api, webhook, monkeypatch):
+    add_rule(api, webhook_url=webhook_url(webhook))
+    monkeypatch.delenv("ALERT_WEBHOOK_ALLOW_PRIVATE")
+
+    for url in (webhook_url(webhook), "http://169.254.169.254/latest/meta-data",
+                "http://10.0.0.5/hook", "https://[::1]/hook", "http://localhost:8000/"):
+        response = api.post("/alerts/rules", json={"name": "x", "kind": "item_status",
+                                                   "webhook_url": url})
+        assert response.status_code == 422
+        assert response.json()["detail"].endswith("is not a public address"), url
+
+    ingest(api, prediction("TS_RED_M", "MUM_01", "Critical"))      # the rule saved before
+
+    [refused] = history(api)
+    assert refused["status"] == "failed"
+    assert refused["error"] == "webhook: webhook_url host 127.0.0.1 is not a public address"
+    assert webhook.received == []
+
+
+def test_rules_are_validated_and_kept_per_tenant(api, webhook):
+    response = api.post(
+        "/alerts/rules",
+        json={"name": "bad", "kind": "item_status", "status": "Gone", "quiet_start": "22:00",
+              "timezone": "Mars/Olympus"},
+    )
+    assert response.status_code == 422
+    assert response.json()["detail"] == (
+        "status must be one of Critical, Warning, Safe, Overstock, Dead Stock; "
+        "Add a webhook_url or at least one email_to address; "
+        "Set both quiet_start and quiet_end, or neither; "
+        "Unknown timezone Mars/Olympus"
+    )
+
+    rule = add_rule(api, webhook_url=webhook_url(webhook))
+    assert api.post(f"/alerts/rules/{rule['rule_id']}/test").json() == {
+        "status": "sent", "rule_id": rule["rule_id"]
+    }
+    assert len(api.get("/alerts/rules").json()["rules"]) == 1
+    assert api.get("/alerts/rules", headers={"X-Tenant-ID": "default"}).json()["rules"] == []
+
+
+def test_quiet_hours_can_run_past_midnight():
+    rule = {"quiet_start": "22:00", "quiet_end": "07:00", "timezone": "Asia/Kolkata"}
+
+    assert in_quiet_hours(rule, datetime(2025, 12, 10, 17, 0))       # 22:30 IST
+    assert in_quiet_hours(rule, datetime(2025, 12, 10, 1, 0))        # 06:30 IST
+    assert not in_quiet_hours(rule, datetime(2025, 12, 10, 2, 0))    # 07:30 IST
+
+
+def test_new_items_count_as_a_transition_but_unchanged_ones_do_not():
+    rule = {"kind": "item_status", "status": "Critical", "name": "r"}
+    before = [prediction("A", "S1", "Critical")]
+    after = [prediction("A", "S1", "Critical"), prediction("B", "S1", "Critical")]
+
+    alert = evaluate_rule(rule, before, after, already_alerted=set())
+
+    assert alert["keys"] == ["B|S1"]
+    assert alert["items"][0]["previous_status"] is None
@@ -0,0 +1,157 @@
+"""
+Roles and tenant isolation: what viewers, buyers and admins may do, and
+that a tenant's users and API keys never reach another tenant's data,
+keys or users.
+"""
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+from conftest import login
+
+ITEM = {"sku_id": "TS_RED_M", "store_id": "MUM_01", "current_stock": 20,
+        "sales_last_30_days": 60}
+
+
+@pytest.fixture
+def other(api):
+    """A second tenant next to the test's own, with one prediction in it."""
+    tenant = api.headers["X-Tenant-ID"][:32] + "-other"
+    assert api.post("/tenants", json={"tenant_id": tenant, "name": "Beta"}).status_code == 200
+    response = api.post("/predict-bulk", json={"items": [ITEM]}, headers={"X-Tenant-ID": tenant})
+    assert response.status_code == 200, response.text
+    return tenant
+
+
+def key_client(api, role, tenant_id=None):
+    """Client using a new API key of `role` for the test's tenant (or tenant_id)."""
+    response = api.post("/auth/api-keys", json={
+        "name": f"{role} key", "role": role, "tenant_id": tenant_id,
+    })
+    assert response.status_code == 200, response.text
+    return TestClient(main.app, headers={"X-API-Key": response.json()["key"]})
+
+
+def user_client(api, username, role, tenants):
+    """Client logged in as a new user of `role` with access to `tenants`."""
+    password = "correct horse battery"
+    response = api.post("/auth/users", json={
+        "username": username, "password": password, "role": role, "tenants": tenants,
+    })
+    assert response.status_code == 200, response.text
+    client = TestClient(main.app)
+    client.headers.update({"Authorization": f"Bearer {login(client, username, password)}"})
+    return client
+
+
+# ---- tests ----
+
+def test_viewers_read_buyers_write(api):
+    viewer, buyer = key_client(api, "viewer"), key_client(api, "buyer")
+
+    assert buyer.post("/predict-bulk", json={"items": [ITEM]}).status_code == 200
+    assert viewer.get("/latest").json()["predictions"][0]["sku_id"] == "TS_RED_M"
+    assert viewer.post("/predict-bulk", json={"items": [ITEM]}).status_code == 403
+    unfinished = {"sku_id": "NO_HISTORY", "store_id": "MUM_01"}   # refused before any work
+    assert viewer.post("/predict-bulk", json={"items": [unfinished]}).status_code == 403
+    assert viewer.post("/predict-bulk?dry_run=true", json={"items": [ITEM]}).status_code == 200
+    assert buyer.post("/auth/api-keys", json={"name": "mine"}).status_code == 403
+    assert buyer.get("/auth/users").status_code == 403
+    assert TestClient(main.app).get("/latest").status_code == 401
+
+
+def test_a_user_only_reaches_assigned_tenants(api, other):
+    own = api.headers["X-Tenant-ID"]
+    asha = user_client(api, f"asha-{own}", "buyer", [own])
+
+    assert asha.get("/auth/me").json()["tenants"] == [own]
+    assert [t["tenant_id"] for t in asha.get("/tenants").json()["tenants"]] == [own]
+    assert asha.get("/latest").status_code == 200
+    denied = asha.get("/latest", headers={"X-Tenant-ID": other})
+    assert denied.status_code == 403
+    assert denied.json()["detail"] == f"No access to tenant {other}"
+
+
+def test_an_admin_key_stays_inside_its_tenant(api, other):
+    own = api.headers["X-Tenant-ID"]
+    acme = key_client(api, "admin")
+    key_client(api, "viewer", tenant_id=other)
+    api.post("/auth/users", json={"username": f"beta-{own}", "password": "correct horse battery",
+                                  "role": "viewer", "tenants": [other]})
+
+    assert acme.get("/latest", headers={"X-Tenant-ID": other}).status_code == 403
+    for tenant_id in (other, "no-such-tenant"):
+        response = acme.post("/auth/api-keys", json={"name": "x", "tenant_id": tenant_id})
+        assert response.status_code == 403
+    assert {k["tenant_id"] for k in acme.get("/auth/api-keys").json()["api_keys"]} == {own}
+    assert acme.get("/auth/users").json()["users"] == []        # not admins, not beta's users
+    assert acme.put(f"/auth/users/beta-{own}", json={"tenants": [own]}).status_code == 404
+    assert acme.delete("/auth/users/admin").status_code == 404
+    assert acme.post("/tenants", json={"tenant_id": "acme-2", "name": "x"}).status_code == 403
+
+    admin_user = {"username": f"boss-{own}", "password": "correct horse battery",
+                  "role": "admin", "tenants": [own]}
+    assert acme.post("/auth/users", json=admin_user).status_code == 403
+    assert acme.post("/auth/users", json={**admin_user, "role": "buyer",
+                                          "tenants": [other]}).status_code == 403
+
+    viewer = key_client(acme, "viewer")
+    assert viewer.get("/latest").status_code == 200
+    assert viewer.get("/latest", headers={"X-Tenant-ID": other}).status_code == 403
+    response = acme.post("/auth/users", json={**admin_user, "role": "buyer"})
+    assert response.status_code == 200 and response.json()["tenants"] == [own]
+    assert [u["username"] for u in acme.get("/auth/users").json()["users"]] == [f"boss-{own}"]
+
+
+def test_admin_users_manage_every_tenant(api, other):
+    response = api.post("/auth/api-keys", json={"name": "beta sync", "tenant_id": other})
+    assert response.status_code == 200
+
+    beta = TestClient(main.app, headers={"X-API-Key": response.json()["key"]})
+    assert beta.get("/latest").json()["predictions"][0]["sku_id"] == "TS_RED_M"
+    keys = api.get("/auth/api-keys").json()["api_keys"]
+    assert other in {k["tenant_id"] for k in keys}
+    assert api.post("/auth/api-keys", json={"name": "x", "tenant_id": "no-such"}).status_code == 422
+    key_id = response.json()["key_id"]
+    assert key_client(api, "admin").delete(f"/auth/api-keys/{key_id}").status_code == 404
+    assert api.delete(f"/auth/api-keys/{key_id}").status_code == 200
+    assert beta.get("/latest").status_code == 401
+
+
+def test_chunked_run_ids_are_per_tenant(api, other):
+    chunk = {"predictions": [{**ITEM, "avg_daily_sales": 2.0, "days_to_stockout": 10.0,
+                              "status": "Warning", "recommended_reorder_quantity": 8}]}
+    beta = {"X-Tenant-ID": other}
+
+    assert api.post("/ingest?run_id=batch1", json=chunk, headers=beta).status_code == 200
+    staged = api.post("/ingest?run_id=batch1&mode=replace", json=chunk)
+    assert staged.status_code == 200, staged.text                # not "already in use"
+    assert staged.json()["staged"] == 1
+
+    assert api.post("/ingest/runs/batch1/commit").status_code == 200
+    assert api.post("/ingest/runs/batch1/commit").status_code == 404
+    assert api.delete("/ingest/runs/batch1", headers=beta).status_code == 200
+    assert [p["sku_id"] for p in api.get("/latest").json()["predictions"]] == ["TS_RED_M"]
+
+
+def test_links_use_one_use_tickets_instead_of_the_session_token(api, monkeypatch):
+    anonymous = TestClient(main.app)
+    token = api.headers["Authorization"][len("Bearer "):]
+    tenant = api.headers["X-Tenant-ID"]
+    api.post("/predict-bulk", json={"items": [ITEM]})
+
+    assert anonymous.get(f"/latest?token={token}&tenant={tenant}").status_code == 401
+
+    ticket = api.post("/auth/tickets", json={"path": "/latest"}).json()["ticket"]
+    assert anonymous.get(f"/history?ticket={ticket}&tenant={tenant}").status_code == 401
+    latest = anonymous.get(f"/latest?ticket={ticket}&tenant={tenant}")
+    assert latest.json()["predictions"][0]["sku_id"] == "TS_RED_M"
+    assert anonymous.get(f"/latest?ticket={ticket}&tenant={tenant}").status_code == 401
+
+    monkeypatch.setattr(main, "TICKET_SECONDS", -1)
+    expired = api.post("/auth/tickets", json={"path": "/latest"}).json()["ticket"]
+    assert anonymous.get(f"/latest?ticket={expired}").status_code == 401
+
+    viewer = key_client(api, "viewer")
+    assert viewer.post("/auth/tickets", json={"path": "/latest"}).status_code == 403
@@ -0,0 +1,135 @@
+"""
+Daily digests: built from what /latest serves, sent by send_due_digests()
+to the local SMTP server from conftest.py and kept in the archive.
+"""
+
+from datetime import datetime, timedelta
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+from conftest import ingest, prediction
+from digest import build_digest
+
+
+@pytest.fixture
+def api(api, smtp, monkeypatch):
+    """The shared admin client, with SMTP_* pointing at the local server."""
+    monkeypatch.setenv("SMTP_HOST", "127.0.0.1")
+    monkeypatch.setenv("SMTP_PORT", str(smtp.server_address[1]))
+    smtp.received.clear()
+    return api
+
+
+PREDICTIONS = [
+    prediction("A", "MUM_01", "Warning", days_to_stockout=6.0, recommended_reorder_quantity=10,
+               price=2.5),
+    prediction("B", "MUM_01", "Critical", days_to_stockout=3.0, recommended_reorder_quantity=20,
+               price=1.0),
+    prediction("C", "MUM_02", "Critical", days_to_stockout=1.0, recommended_reorder_quantity=5),
+    prediction("D", "MUM_02", "Safe", days_to_stockout=40.0, recommended_reorder_quantity=0),
+]
+
+
+def subscribe(api, **fields):
+    response = api.post("/digests/subscriptions", json={"name": "daily", **fields})
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def to(smtp, address):
+    return [m for m in smtp.received if m["To"] == address]
+
+
+# ---- tests ----
+
+def test_digest_counts_stores_and_orders_items_by_urgency():
+    digest = build_digest(PREDICTIONS, datetime(2025, 12, 10, 7, 0), "Acme Apparel")
+
+    assert [(s["store_id"], s["critical"], s["warning"]) for s in digest["stores"]] == [
+        ("MUM_01", 1, 1),
+        ("MUM_02", 1, 0),
+    ]
+    assert [i["sku_id"] for i in digest["top_items"]] == ["C", "B", "A"]
+    assert digest["totals"] == {
+        "critical": 2, "warning": 1, "total": 4, "reorder_value": 45.0, "unpriced_reorders": 1,
+    }
+
+    mumbai_01 = build_digest(PREDICTIONS, datetime(2025, 12, 10), "Acme", store_ids=["MUM_01"],
+                             top_items=1)
+    assert [s["store_id"] for s in mumbai_01["stores"]] == ["MUM_01"]
+    assert [i["sku_id"] for i in mumbai_01["top_items"]] == ["B"]
+
+
+def test_scheduled_digest_is_emailed_and_archived_once_a_day(api, smtp):
+    ingest(api, *PREDICTIONS)
+    sub = subscribe(api, email_to=["mumbai@example.com"], send_at="07:00")
+    tomorrow = datetime.utcnow().replace(hour=0, minute=0) + timedelta(days=1)
+
+    main.send_due_digests(tomorrow.replace(hour=6, minute=59))
+    assert to(smtp, "mumbai@example.com") == []
+
+    main.send_due_digests(tomorrow.replace(hour=7, minute=5))
+    main.send_due_digests(tomorrow.replace(hour=9))
+
+    [message] = to(smtp, "mumbai@example.com")
+    assert message["Subject"] == "Acme Apparel: 2 Critical, 1 Warning (All stores)"
+    parts = {p.get_content_type(): p for p in message.walk()}
+    html, pdf = parts["text/html"], parts["application/pdf"]
+    assert "MUM_02" in html.get_payload(decode=True).decode()
+    assert pdf.get_filename() == f"digest-{tomorrow.date().isoformat()}.pdf"
+
+    [record] = api.get("/digests").json()["digests"]
+    assert record["subscription_id"] == sub["subscription_id"]
+    assert (record["status"], record["trigger"], record["archived"]) == ("sent", "schedule", True)
+    assert record["totals"]["reorder_value"] == 45.0
+
+    exported = api.get(f"/digests/{record['digest_id']}/export.pdf")
+    assert exported.headers["content-type"] == "application/pdf"
+    assert exported.content.startswith(b"%PDF")
+
+
+def test_archive_only_digest_for_some_stores_sent_on_demand(api, smtp):
+    ingest(api, *PREDICTIONS)
+    sub = subscribe(api, store_ids=["MUM_01"], archive=True)
+
+    record = api.post(f"/digests/subscriptions/{sub['subscription_id']}/send").json()
+
+    assert (record["status"], record["trigger"]) == ("archived", "manual")
+    assert smtp.received == []
+    page = api.get(f"/digests/{record['digest_id']}/export.html").text
+    assert "MUM_01" in page and "MUM_02" not in page
+
+
+def test_unarchived_digest_cannot_be_downloaded_and_failures_are_kept(api, monkeypatch):
+    sub = subscribe(api, email_to=["ops@example.com"], archive=False)
+    monkeypatch.setenv("SMTP_PORT", "1")   # nothing listens there
+
+    response = api.post(f"/digests/subscriptions/{sub['subscription_id']}/send")
+
+    assert response.status_code == 502
+    assert response.json()["detail"].startswith("email: ")
+    [record] = api.get("/digests").json()["digests"]
+    assert (record["status"], record["archived"]) == ("failed", False)
+    assert api.get(f"/digests/{record['digest_id']}/export.html").status_code == 404
+
+
+def test_subscriptions_are_validated():
+    response = TestClient(main.app).post("/digests/subscriptions", json={"name": "x"})
+    assert response.status_code == 401
+
+    problems = main.digest_problems(main.DigestSubscriptionIn(
+        name="x", archive=False, email_to=["nobody"], timezone="Mars/Olympus"
+    ))
+    assert problems == ["Not an email address: nobody", "Unknown timezone Mars/Olympus"]
+
+
+def test_digest_is_due_after_send_at_in_the_subscription_timezone():
+    sub = {"send_at": "07:00", "timezone": "Asia/Kolkata", "created_at": datetime(2025, 12, 1)}
+
+    assert main.digest_due(sub, datetime(2025, 12, 10, 1, 0)) is None          # 06:30 IST
+    assert main.digest_due(sub, datetime(2025, 12, 10, 1, 45)) == "2025-12-10"  # 07:15 IST
+    # subscribed after today's send time: the first digest goes out tomorrow
+    late = {**sub, "created_at": datetime(2025, 12, 10, 3, 0)}
+    assert main.digest_due(late, datetime(2025, 12, 10, 4, 0)) is None
@@ -0,0 +1,101 @@
+"""
+Forecasting methods, the backtest report and daily_sales in /predict-bulk.
+"""
+
+from datetime import date, timedelta
+
+import pytest
+
+import backtest as backtest_cli
+from forecasting import backtest, best_methods, daily_rate, forecast
+
+WEEK = [4, 4, 5, 5, 8, 12, 10]         # Monday..Sunday, weekend peak
+SEASONAL = WEEK * 10                   # 70 days, ending on a Sunday
+RAMP = [2 + 0.2 * day for day in range(70)]
+
+
+# ---- tests ----
+
+def test_moving_average_is_the_flat_30_day_rate():
+    history = [0] * 30 + [3] * 30
+
+    assert daily_rate(history, "moving_average") == 3.0
+    assert daily_rate(history, "moving_average_7") == 3.0
+    assert forecast([], "holt_winters", horizon=3) == [0.0, 0.0, 0.0]
+
+
+def test_holt_winters_follows_the_weekly_pattern():
+    next_week = forecast(SEASONAL, "holt_winters", horizon=7)
+
+    assert next_week == pytest.approx(WEEK, abs=0.5)
+    assert forecast(SEASONAL, "moving_average", horizon=7) == [sum(SEASONAL[-30:]) / 30] * 7
+
+
+def test_trend_methods_keep_up_with_a_ramp():
+    flat = daily_rate(RAMP, "moving_average", horizon=14)
+    trend = daily_rate(RAMP, "holt", horizon=14)
+
+    assert flat < RAMP[-1] < trend < RAMP[-1] + 14 * 0.2
+    # too little history for a weekly pattern: falls back to holt
+    assert forecast(RAMP[:10], "holt_winters", 5) == forecast(RAMP[:10], "holt", 5)
+
+
+def test_backtest_reports_mape_and_bias_per_category():
+    rows = backtest({"Apparel": [SEASONAL], "Grocery": [RAMP]}, horizon=7, origins=4)
+    by_key = {(r["category"], r["method"]): r for r in rows}
+
+    assert best_methods(rows) == {"Apparel": "holt_winters", "Grocery": "holt"}
+    assert by_key[("Apparel", "holt_winters")]["mape"] < 5
+    assert by_key[("Apparel", "moving_average")]["blocks"] == 4
+    # a flat average lags a growing item: forecasts too little
+    assert by_key[("Grocery", "moving_average")]["bias"] < -10
+
+
+def test_backtest_command_reads_daily_csv(tmp_path, capsys):
+    path = tmp_path / "daily_sales.csv"
+    start = date(2025, 9, 1)   # a Monday, like SEASONAL
+    path.write_text("\n".join(
+        ["sales_date,sku_id,store_id,category,units"]
+        + [f"{start + timedelta(day)},TS_RED_M,MUM_01,Apparel,{units}"
+           for day, units in enumerate(SEASONAL)]
+    ))
+
+    assert backtest_cli.main([str(path), "--horizon", "7", "--policy"]) == 0
+    out = capsys.readouterr().out
+    assert "holt_winters" in out and "<- best" in out
+    assert '"forecast_method": "holt_winters"' in out
+
+    assert backtest_cli.main([str(path), "--min-history", "90"]) == 1
+    assert "Not enough history" in capsys.readouterr().err
+
+
+def test_predict_bulk_forecasts_items_with_daily_sales_by_category(api):
+    policy = api.get("/policy").json()
+    policy["categories"] = {"Apparel": {"forecast_method": "holt_winters"}}
+    assert api.put("/policy", json=policy).status_code == 200
+    items = [
+        {"sku_id": sku_id, "store_id": "MUM_01", "category": "Apparel", "current_stock": 40,
+         "sales_last_30_days": sum(SEASONAL[-30:]), **extra}
+        for sku_id, extra in [("HISTORY", {"daily_sales": SEASONAL}), ("TOTAL_ONLY", {})]
+    ]
+
+    response = api.post("/predict-bulk", json={"items": items})
+
+    assert response.status_code == 200, response.text
+    p = {p["sku_id"]: p for p in response.json()["predictions"]}
+    assert p["HISTORY"]["forecast_method"] == "holt_winters"
+    assert p["HISTORY"]["baseline_daily_sales"] == pytest.approx(
+        daily_rate(SEASONAL, "holt_winters", horizon=14)
+    )
+    assert p["TOTAL_ONLY"]["forecast_method"] is None
+    assert p["TOTAL_ONLY"]["baseline_daily_sales"] == sum(SEASONAL[-30:]) / 30
+
+
+def test_unknown_forecast_method_is_rejected(api):
+    policy = api.get("/policy").json()
+    policy["stores"] = {"MUM_01": {"forecast_method": "crystal_ball"}}
+
+    response = api.put("/policy", json=policy)
+
+    assert response.status_code == 422
+    assert "stores.MUM_01: forecast_method must be one of" in str(response.json()["detail"])
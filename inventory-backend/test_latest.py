@@ -0,0 +1,94 @@
+"""
+/latest filters, sorts, pages and counts in the database: a page only
+reads its own rows, facets count under every other filter, and submitted
+POs still change the reorder quantity it filters and sorts by. Its
+version is the one /stream sends.
+"""
+
+import json
+
+import main
+from conftest import ingest, prediction
+
+PREDICTIONS = [
+    prediction("TS_RED_M", status="Critical", current_stock=2, sku_name="Red Tee 100%"),
+    prediction("TS_RED_L", status="Warning", current_stock=8, sku_name="Red Tee L"),
+    prediction("TS_BLUE_M", status="Overstock", current_stock=40, recommended_reorder_quantity=0,
+               capital_at_risk=1200.0),
+    prediction("JN_BLK_32", store_id="DEL_01", status="Critical", city="Delhi", category="Jeans"),
+    prediction("JN_BLK_34", store_id="DEL_01", status="Safe", city="Delhi", category="Jeans",
+               days_to_stockout=None, stockout_reason="no_sales"),
+]
+
+
+def latest(api, **params):
+    response = api.get("/latest", params=params)
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def ids(page):
+    return [p["sku_id"] for p in page["predictions"]]
+
+
+# ---- tests ----
+
+def test_a_page_does_not_read_every_prediction(api, monkeypatch):
+    ingest(api, *PREDICTIONS)
+
+    def everything(tenant):
+        raise AssertionError("/latest read every prediction")
+    monkeypatch.setattr(main.STORE, "latest", everything)
+
+    page = latest(api, sort="current_stock", order="desc", limit=2)
+    assert ids(page) == ["TS_BLUE_M", "TS_RED_L"]
+    assert (page["total"], page["next_offset"]) == (5, 2)
+    assert ids(latest(api, sort="current_stock", order="desc", limit=2, offset=4)) == ["TS_RED_M"]
+
+
+def test_filters_and_facets(api):
+    ingest(api, *PREDICTIONS)
+
+    page = latest(api, status=["Critical", "Warning"], city="Mumbai")
+    assert ids(page) == ["TS_RED_L", "TS_RED_M"]                  # by store, then SKU
+    assert page["facets"]["status"] == {"Critical": 1, "Warning": 1, "Overstock": 1}
+    assert page["facets"]["city"] == {"Mumbai": 2, "Delhi": 1}
+    assert page["facets"]["store_id"] == {"MUM_01": 2}
+
+    assert ids(latest(api, search="blue")) == ["TS_BLUE_M"]
+    assert ids(latest(api, search="100%")) == ["TS_RED_M"]       # % is not a wildcard
+    assert ids(latest(api, search="_")) == ["JN_BLK_32", "JN_BLK_34", "TS_BLUE_M", "TS_RED_L",
+                                           "TS_RED_M"]
+    assert ids(latest(api, current_stock_min=6, current_stock_max=10)) == ["TS_RED_L"]
+    assert ids(latest(api, sku_id="JN_BLK_32")) == ["JN_BLK_32"]
+    assert latest(api, store_id="NOWHERE")["total"] == 0
+    assert latest(api)["capital_at_risk"] == {"Overstock": 1200.0}
+
+
+def test_open_pos_count_in_reorder_filters_and_sorting(api):
+    ingest(api, *PREDICTIONS)
+    po = api.post("/purchase-orders", json={
+        "store_id": "MUM_01", "supplier": "Acme Apparel",
+        "lines": [{"sku_id": "TS_RED_L", "quantity": 500, "unit_price": 399}],
+    }).json()["po_id"]
+    api.post(f"/purchase-orders/{po}/status", json={"status": "submitted"})
+
+    page = latest(api, store_id="MUM_01", sort="recommended_reorder_quantity")
+    assert ids(page) == ["TS_BLUE_M", "TS_RED_L", "TS_RED_M"]
+    assert [p["recommended_reorder_quantity"] for p in page["predictions"]] == [0, 0, 40]
+    assert ids(latest(api, recommended_reorder_quantity_min=1, store_id="MUM_01")) == ["TS_RED_M"]
+
+
+def test_version_is_the_stream_version_and_moves_on_deletes(api):
+    ingest(api, *PREDICTIONS)
+    before = latest(api, limit=1)["version"]
+
+    response = api.post("/ingest", params={"mode": "upsert"}, json={
+        "delete": [{"sku_id": "TS_RED_L", "store_id": "MUM_01"}],
+    })
+    assert response.status_code == 200, response.text
+
+    after = latest(api, limit=1)["version"]
+    event = main._update_event(api.headers["X-Tenant-ID"], "update")
+    assert after > before
+    assert json.loads(event.split("data: ")[1])["version"] == after
@@ -0,0 +1,126 @@
+"""
+Orders and risk policies live in the database: they survive a restart and
+are shared by every instance. Orders are numbered per tenant without ever
+reusing a number.
+"""
+
+import pytest
+
+import main
+from storage import open_store
+
+PO = {"store_id": "MUM_01", "supplier": "Acme Apparel",
+      "lines": [{"sku_id": "TS_RED_M", "quantity": 30, "unit_price": 399}]}
+TRANSFER = {"from_store_id": "MUM_02", "to_store_id": "MUM_01",
+            "lines": [{"sku_id": "TS_RED_M", "quantity": 30}]}
+
+
+@pytest.fixture
+def database(tmp_path, monkeypatch):
+    """main.STORE on a database file, so a test can restart it."""
+    url = f"sqlite:///{tmp_path / 'inventory.db'}"
+    monkeypatch.setattr(main, "STORE", open_store(url))
+    main.ensure_admin()
+    return url
+
+
+@pytest.fixture
+def api(database, api):
+    """The shared admin client, on the database file."""
+    return api
+
+
+def restart(database, monkeypatch):
+    """A new store on the same file, as after a restart or on a second instance."""
+    main.STORE.close()
+    monkeypatch.setattr(main, "STORE", open_store(database))
+
+
+def post(api, path, body=None, status=200):
+    response = api.post(path, json=body)
+    assert response.status_code == status, response.text
+    return response.json()
+
+
+# ---- tests ----
+
+def test_submitted_pos_still_count_as_on_order_after_a_restart(api, database, monkeypatch):
+    post(api, "/predict-bulk", {"items": [{"sku_id": "TS_RED_M", "store_id": "MUM_01",
+                                           "current_stock": 20, "sales_last_30_days": 150}]})
+    submitted = post(api, "/purchase-orders", PO)["po_id"]
+    post(api, f"/purchase-orders/{submitted}/status", {"status": "submitted"})
+    dropped = post(api, "/purchase-orders", PO)["po_id"]
+    assert api.delete(f"/purchase-orders/{dropped}").status_code == 200
+
+    restart(database, monkeypatch)
+
+    item = api.get("/latest").json()["predictions"][0]
+    assert item["open_po_quantity"] == 30
+    assert item["recommended_reorder_quantity"] == 20              # 14 days x 5 - 20 - 30
+    po = api.get(f"/purchase-orders/{submitted}").json()
+    assert (po["status"], po["lines"][0]["quantity"]) == ("submitted", 30)
+    assert post(api, "/purchase-orders", PO)["po_id"] == "PO-0003"             # not 0002 again
+
+    post(api, f"/purchase-orders/{submitted}/status", {"status": "received"})
+    post(api, f"/purchase-orders/{submitted}/status", {"status": "received"}, status=409)
+    item = api.get("/latest").json()["predictions"][0]
+    assert (item["open_po_quantity"], item["recommended_reorder_quantity"]) == (None, 50)
+
+
+def test_transfer_orders_survive_a_restart(api, database, monkeypatch):
+    shipped = post(api, "/transfer-orders", TRANSFER)["transfer_id"]
+    post(api, f"/transfer-orders/{shipped}/status", {"status": "shipped"})
+    dropped = post(api, "/transfer-orders", TRANSFER)["transfer_id"]
+    assert api.delete(f"/transfer-orders/{dropped}").status_code == 200
+
+    restart(database, monkeypatch)
+
+    orders = api.get("/transfer-orders").json()["transfer_orders"]
+    assert [(o["transfer_id"], o["status"]) for o in orders] == [("TO-0001", "shipped")]
+    assert orders[0]["shipped_at"] is not None
+    assert post(api, "/transfer-orders", TRANSFER)["transfer_id"] == "TO-0003"   # not 0002 again
+    drafts = api.get("/transfer-orders?status=draft").json()["transfer_orders"]
+    assert [o["transfer_id"] for o in drafts] == ["TO-0003"]
+
+
+def test_order_numbers_and_orders_are_per_tenant(api):
+    post(api, "/transfer-orders", TRANSFER)
+    post(api, "/tenants", {"tenant_id": "beta", "name": "Beta"})
+    beta = {"X-Tenant-ID": "beta"}
+
+    assert api.get("/transfer-orders", headers=beta).json()["transfer_orders"] == []
+    ship = api.post("/transfer-orders/TO-0001/status", json={"status": "shipped"}, headers=beta)
+    assert ship.status_code == 404
+    response = api.post("/transfer-orders", json=TRANSFER, headers=beta)
+    assert response.json()["transfer_id"] == "TO-0001"
+
+
+def test_policy_edits_survive_a_restart_and_stay_per_tenant(api, database, monkeypatch):
+    policy = {"defaults": {"critical_days": 5, "warning_days": 10, "target_days": 21},
+              "categories": {"T-Shirts": {"target_days": 30}}}
+    assert api.put("/policy", json=policy).status_code == 200
+
+    restart(database, monkeypatch)
+
+    saved = api.get("/policy").json()
+    assert saved["defaults"]["target_days"] == 21
+    assert saved["categories"]["T-Shirts"]["target_days"] == 30
+    assert api.get("/policy/resolve?category=T-Shirts").json()["critical_days"] == 5
+    post(api, "/tenants", {"tenant_id": "beta", "name": "Beta"})
+    beta = api.get("/policy", headers={"X-Tenant-ID": "beta"}).json()
+    assert beta["defaults"]["target_days"] == 14 and beta["categories"] == {}
+
+
+def test_an_order_moved_by_another_instance_is_not_moved_twice(database):
+    first, second = main.STORE, open_store(database)
+    first.create_tenant("acme", "Acme")
+    order = {"status": "draft", "created_at": "2025-12-10T07:00:00"}
+    first.create_order("acme", "transfer", "TO-0001", order)
+
+    assert second.update_order("acme", "transfer", "TO-0001", {**order, "status": "shipped"},
+                               "draft")
+    assert not first.update_order("acme", "transfer", "TO-0001",
+                                  {**order, "status": "shipped"}, "draft")
+    assert not first.delete_order("acme", "transfer", "TO-0001", "draft")
+    assert first.get_order("acme", "transfer", "TO-0001")["status"] == "shipped"
+    second.close()
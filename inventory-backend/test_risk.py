@@ -0,0 +1,86 @@
+"""
+Demand variability: stockout_probability within the policy's
+stockout_horizon_days and the P10 / P90 stockout days around
+days_to_stockout, from compute_prediction through /latest sorting.
+"""
+
+import pytest
+
+from conftest import item, predict
+
+STEADY = [10, 11, 9, 10, 10, 9, 11] * 4 + [10, 10]     # 30 days, 10/day
+SPIKY = [4, 4, 4, 4, 4, 4, 4, 16, 16, 16, 16, 16, 16, 16] * 2 + [10, 10]
+
+
+# ---- tests ----
+
+def test_spiky_demand_is_riskier_than_steady_with_the_same_average(api):
+    p = predict(api, [
+        item("STEADY", 90, daily_sales=STEADY),
+        item("SPIKY", 90, daily_sales=SPIKY),
+    ])
+    steady, spiky = p["STEADY"], p["SPIKY"]
+
+    assert steady["days_to_stockout"] == spiky["days_to_stockout"] == 9.0
+    assert steady["demand_std"] < 1 < 5 < spiky["demand_std"]
+    assert steady["stockout_horizon_days"] == 7
+    # 70 units expected in the 7 days: only a demand spike empties the shelf
+    assert steady["stockout_probability"] < 0.01 < 0.05 < spiky["stockout_probability"]
+    for row in (steady, spiky):
+        assert row["days_to_stockout_p10"] < row["days_to_stockout"] < row["days_to_stockout_p90"]
+    assert (spiky["days_to_stockout_p90"] - spiky["days_to_stockout_p10"]
+            > 4 * (steady["days_to_stockout_p90"] - steady["days_to_stockout_p10"]))
+
+
+def test_without_daily_sales_demand_is_taken_as_poisson(api):
+    promoted = item("PROMO", 100, promotion_active=True)   # 10/day x 1.25 uplift
+    p = predict(api, [item("TOTALS", 100), promoted])
+
+    assert p["TOTALS"]["demand_std"] == pytest.approx(10 ** 0.5, abs=1e-4)
+    assert p["PROMO"]["demand_std"] == pytest.approx(1.25 * 10 ** 0.5, abs=1e-4)
+    assert p["TOTALS"]["stockout_probability"] < 0.001   # 70 expected vs 100 on hand
+
+
+def test_the_horizon_comes_from_the_policy(api):
+    policy = api.get("/policy").json()
+    policy["categories"] = {"Dairy": {"stockout_horizon_days": 14}}
+    assert api.put("/policy", json=policy).status_code == 200
+
+    p = predict(api, [item("WEEK", 100), item("FORTNIGHT", 100, category="Dairy")])
+
+    assert p["FORTNIGHT"]["stockout_horizon_days"] == 14
+    assert p["WEEK"]["stockout_probability"] < 0.01 < 0.99 < p["FORTNIGHT"]["stockout_probability"]
+
+    policy["defaults"]["stockout_horizon_days"] = 0
+    response = api.put("/policy", json=policy)
+    assert response.status_code == 422
+    assert "defaults: all values must be greater than 0" in str(response.json()["detail"])
+
+
+def test_no_sales_and_no_stock_have_defined_risk(api):
+    p = predict(api, [item("NO_SALES", 12, 0), item("EMPTY", 0), item("NOTHING", 0, 0)])
+
+    def risk(sku_id):
+        row = p[sku_id]
+        return row["stockout_probability"], row["days_to_stockout_p10"], row["days_to_stockout_p90"]
+
+    assert risk("NO_SALES") == (0.0, None, None)
+    assert risk("EMPTY") == (1.0, 0.0, 0.0)
+    assert risk("NOTHING") == (0.0, None, None)
+
+
+def test_latest_sorts_by_stockout_probability_with_unknown_risk_last(api):
+    predict(api, [item("LOW", 200), item("HIGH", 65), item("MID", 72)])
+    legacy = {k: v for k, v in item("LEGACY", 5).items() if k != "sales_last_30_days"}
+    response = api.post("/ingest", params={"mode": "upsert"}, json={"predictions": [{
+        **legacy, "avg_daily_sales": 1.0, "days_to_stockout": 5.0, "status": "Warning",
+        "recommended_reorder_quantity": 9,
+    }]})
+    assert response.status_code == 200, response.text
+
+    def order(direction):
+        rows = api.get("/latest", params={"sort": "stockout_probability", "order": direction})
+        return [p["sku_id"] for p in rows.json()["predictions"]]
+
+    assert order("desc") == ["HIGH", "MID", "LOW", "LEGACY"]
+    assert order("asc") == ["LOW", "MID", "HIGH", "LEGACY"]
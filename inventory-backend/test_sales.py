@@ -0,0 +1,179 @@
+"""
+Daily sales history: POST /sales (JSON and CSV, daily totals and
+transactions), deduped by day, read back by /sales/{store}/{sku} and by
+/predict-bulk.
+"""
+
+from datetime import datetime, timedelta
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+import storage
+from forecasting import daily_rate
+
+TODAY = datetime.utcnow().date()
+
+
+def day(n):
+    """ISO date n days before today."""
+    return (TODAY - timedelta(days=n)).isoformat()
+
+
+def post_sales(api, records):
+    response = api.post("/sales", json={"records": records})
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def post_csv(api, text):
+    return api.post("/sales", content=text, headers={"Content-Type": "text/csv"})
+
+
+def daily(n, units, sku_id="TS_RED_M", **extra):
+    return {"sku_id": sku_id, "store_id": "MUM_01", "sales_date": day(n), "units": units, **extra}
+
+
+# ---- tests ----
+
+def test_resending_a_day_replaces_it_instead_of_adding(api):
+    first = post_sales(api, [daily(2, 5), daily(1, 7, stock_on_hand=40)])
+    again = post_sales(api, [daily(2, 5), daily(1, 7, stock_on_hand=40)])
+    fixed = post_sales(api, [daily(1, 9), daily(1, 8)])   # last one in a request wins
+
+    assert (first["inserted"], first["updated"]) == (2, 0)
+    assert (again["inserted"], again["updated"], again["unchanged"]) == (0, 0, 2)
+    assert (fixed["records"], fixed["days"], fixed["updated"]) == (2, 1, 1)
+    history = api.get("/sales/MUM_01/TS_RED_M").json()
+    assert [(d["sales_date"], d["units"], d["stock_on_hand"]) for d in history["days"]] == [
+        (day(2), 5.0, None),
+        (day(1), 8.0, 40),     # the stock count survived the units fix
+    ]
+
+
+def test_transactions_add_up_to_a_day_and_csv_is_accepted(api):
+    yesterday = TODAY - timedelta(days=1)
+    response = post_csv(api, "\n".join([
+        "sku_id,store_id,sold_at,quantity,stock_on_hand",
+        f"TS_RED_M,MUM_01,{yesterday}T09:15:00,3,",
+        f"TS_RED_M,MUM_01,{yesterday}T18:40:00,2,15",
+        f"TS_RED_M,MUM_01,{yesterday}T12:00:00,-1,",     # a return
+    ]))
+    assert response.status_code == 200, response.text
+    assert response.json()["days"] == 1
+
+    [point] = api.get("/sales/MUM_01/TS_RED_M").json()["days"]
+    assert (point["units"], point["stock_on_hand"]) == (4.0, 15)
+
+    daily_csv = f"sku_id,store_id,sales_date,units\nTS_RED_M,MUM_01,{yesterday},6\n"
+    assert post_csv(api, daily_csv).json()["updated"] == 1
+
+
+def test_bad_records_are_listed_with_their_line(api):
+    response = post_csv(api, "\n".join([
+        "sku_id,store_id,sales_date,units",
+        f"A,MUM_01,{day(1)},3",
+        "B,MUM_01,not-a-date,3",
+        f"C,MUM_01,{day(1)},-2",
+    ]))
+
+    assert response.status_code == 422
+    [bad_date, negative] = response.json()["detail"]
+    assert bad_date.startswith("line 3: sales_date: ")
+    assert negative.startswith("line 4: units: ")
+
+    both = api.post("/sales", json={"records": [
+        {"sku_id": "A", "store_id": "MUM_01", "sales_date": day(1), "sold_at": f"{day(1)}T10:00"}
+    ]})
+    assert both.status_code == 422
+    assert "either sales_date" in both.json()["detail"][0]
+    assert post_csv(api, "sku,units\nA,1").json()["detail"].startswith("Missing CSV column(s)")
+
+
+def test_history_has_rolling_windows_and_zero_days(api):
+    post_sales(api, [daily(n, 2) for n in range(1, 41) if n % 10] + [daily(0, 99)])
+
+    history = api.get("/sales/MUM_01/TS_RED_M", params={"days": 14}).json()
+
+    assert len(history["days"]) == 14
+    assert history["days"][-1]["sales_date"] == day(1)            # today isn't complete yet
+    assert [d["units"] for d in history["days"] if d["sales_date"] == day(10)] == [0.0]
+    assert (history["last_7_days"], history["last_30_days"]) == (14.0, 54.0)
+    assert api.get("/sales/MUM_01/UNKNOWN").json()["days"] == []
+
+
+def test_predictions_compute_windows_from_the_history(api):
+    week = [3, 3, 4, 4, 6, 9, 8]
+    units = [week[n % 7] for n in range(56)]
+    post_sales(api, [daily(56 - n, u) for n, u in enumerate(units)]
+               + [daily(0, 1, stock_on_hand=25)])   # counted this morning
+    policy = api.get("/policy").json()
+    policy["defaults"]["forecast_method"] = "holt_winters"
+    api.put("/policy", json=policy)
+
+    response = api.post("/predict-bulk", json={"items": [
+        {"sku_id": "TS_RED_M", "store_id": "MUM_01"},
+        {"sku_id": "NO_HISTORY", "store_id": "MUM_01", "current_stock": 5,
+         "sales_last_30_days": 30},
+    ]})
+
+    assert response.status_code == 200, response.text
+    p = {p["sku_id"]: p for p in response.json()["predictions"]}
+    assert p["TS_RED_M"]["current_stock"] == 25
+    assert p["TS_RED_M"]["forecast_method"] == "holt_winters"
+    assert p["TS_RED_M"]["baseline_daily_sales"] == pytest.approx(
+        daily_rate(units, "holt_winters", horizon=14)
+    )
+    assert p["NO_HISTORY"]["forecast_method"] is None
+
+
+def test_items_without_history_still_need_stock_and_sales(api):
+    response = api.post("/predict-bulk", json={"items": [{"sku_id": "X", "store_id": "MUM_01"}]})
+
+    assert response.status_code == 422
+    assert response.json()["detail"] == [
+        "items[0] X/MUM_01: no current_stock or sales_last_30_days sent or in /sales history"
+    ]
+
+
+def test_predictions_read_only_the_history_of_the_items_sent(api, monkeypatch):
+    post_sales(api, [daily(1, 4, sku_id=sku) for sku in ("A", "B", "C")]
+               + [daily(1, 6, sku_id="D", stock_on_hand=10)])
+    monkeypatch.setattr(storage, "PAIRS_PER_QUERY", 1)            # one query per pair
+    tenant = api.headers["X-Tenant-ID"]
+
+    stored = main.STORE.sales_days(tenant, [("C", "MUM_01"), ("A", "MUM_01"), ("A", "MUM_01"),
+                                            ("A", "OTHER")], day(30), day(0))
+    assert sorted(stored) == [("A", "MUM_01"), ("C", "MUM_01")]
+    assert [d["units"] for d in stored[("C", "MUM_01")]] == [4.0]
+
+    read = []
+
+    def sales_days(tenant_id, pairs, since, until):
+        read.extend(pairs)
+        return {}
+
+    monkeypatch.setattr(main.STORE, "sales_days", sales_days)
+    api.post("/predict-bulk", json={"items": [
+        {"sku_id": "B", "store_id": "MUM_01", "current_stock": 5},
+        {"sku_id": "C", "store_id": "MUM_01", "current_stock": 5, "sales_last_30_days": 4,
+         "daily_sales": [4]},
+    ]})
+    assert read == [("B", "MUM_01")]
+
+
+def test_sales_need_credentials_and_stay_in_their_tenant(api):
+    post_sales(api, [daily(1, 4)])
+    api.headers["X-Tenant-ID"] = "default"
+
+    assert api.get("/sales/MUM_01/TS_RED_M").json()["days"] == []
+    assert TestClient(main.app).post("/sales", json={"records": []}).status_code == 401
+
+
+def test_transaction_times_count_towards_their_utc_day():
+    record = main.SalesRecord(
+        sku_id="A", store_id="S", sold_at="2025-12-09T23:30:00-02:00", quantity=1
+    )
+
+    assert record.sold_at == datetime(2025, 12, 10, 1, 30)
@@ -0,0 +1,100 @@
+"""
+What-if simulation: POST /simulate re-runs stored predictions with
+changed stock, receipts and demand, projects stock day by day and stores
+nothing.
+"""
+
+from datetime import datetime, timedelta
+
+import pytest
+from fastapi.testclient import TestClient
+
+import main
+
+TODAY = datetime.utcnow().date()
+
+
+def day(n):
+    """ISO date n days from today."""
+    return (TODAY + timedelta(days=n)).isoformat()
+
+
+@pytest.fixture
+def api(api):
+    """The shared admin client, with two predicted SKUs at 5 units/day."""
+    response = api.post("/predict-bulk", json={"items": [
+        {"sku_id": "LOW", "store_id": "MUM_01", "current_stock": 20, "sales_last_30_days": 150},
+        {"sku_id": "PLENTY", "store_id": "MUM_01", "current_stock": 100,
+         "sales_last_30_days": 150},
+    ]})
+    assert response.status_code == 200, response.text
+    return api
+
+
+def simulate(api, *scenarios, days=30):
+    response = api.post("/simulate", json={"scenarios": list(scenarios), "days": days})
+    assert response.status_code == 200, response.text
+    return {r["sku_id"]: r for r in response.json()["results"]}
+
+
+# ---- tests ----
+
+def test_a_receipt_moves_the_stockout_date_and_the_reorder(api):
+    served = api.get("/latest").json()["predictions"][0]
+    result = simulate(api, {"sku_id": "LOW", "store_id": "MUM_01",
+                            "receipts": [{"receipt_date": day(2), "quantity": 50}]})["LOW"]
+    before, after = result["before"], result["after"]
+
+    assert before["days_to_stockout"] == served["days_to_stockout"] == 4.0
+    assert before["recommended_reorder_quantity"] == 50          # 14 days x 5 - 20
+    assert after["recommended_reorder_quantity"] == 0             # the 50 count as on order
+    assert after["on_order_quantity"] == 50
+    assert before["status"] == after["status"] == "Warning"       # on hand is still 20
+
+    points = result["after_projection"]["points"]
+    assert [(p["stock"], p["received"]) for p in points[:4]] == [
+        (20.0, 0), (15.0, 0), (60.0, 50), (55.0, 0)
+    ]
+    assert len(points) == 31 and points[0]["day"] == day(0)
+    assert result["before_projection"]["stockout_date"] == day(4)
+    assert result["after_projection"]["stockout_date"] == day(14)
+
+
+def test_stock_and_demand_changes_recompute_status_and_reorder(api):
+    result = simulate(api, {"sku_id": "PLENTY", "store_id": "MUM_01",
+                            "current_stock": 30, "demand_multiplier": 1.3}, days=7)["PLENTY"]
+    before, after = result["before"], result["after"]
+
+    assert (before["status"], before["days_to_stockout"]) == ("Safe", 20.0)
+    assert after["avg_daily_sales"] == pytest.approx(6.5)
+    assert after["demand_multiplier"] == 1.3
+    assert after["status"] == "Warning"                           # 30 / 6.5 = 4.6 days
+    assert after["recommended_reorder_quantity"] == 61            # 14 x 6.5 - 30
+    assert result["before_projection"]["stockout_date"] is None   # not within 7 days
+    assert result["after_projection"]["stockout_date"] == day(5)
+
+
+def test_nothing_is_stored(api):
+    latest = api.get("/latest").json()
+    runs = api.get("/history").json()
+
+    simulate(api, {"sku_id": "LOW", "store_id": "MUM_01", "current_stock": 0,
+                   "demand_multiplier": 3})
+
+    assert api.get("/latest").json() == latest
+    assert api.get("/history").json() == runs
+
+
+def test_unknown_skus_and_past_receipts_are_listed(api):
+    response = api.post("/simulate", json={"scenarios": [
+        {"sku_id": "GHOST", "store_id": "MUM_01"},
+        {"sku_id": "LOW", "store_id": "MUM_01",
+         "receipts": [{"receipt_date": day(-1), "quantity": 5}]},
+    ]})
+
+    assert response.status_code == 422
+    assert response.json()["detail"] == [
+        "scenarios[0] GHOST/MUM_01: no prediction to simulate",
+        f"scenarios[1] LOW/MUM_01: receipt_date {day(-1)} is before today",
+    ]
+    assert TestClient(main.app).post("/simulate", json={}).status_code == 401
@@ -0,0 +1,116 @@
+"""
+"No stockout expected" on the wire: days_to_stockout is null with a
+stockout_reason, never Infinity, from compute_prediction through storage,
+/latest sorting and filtering, /ingest and the SKU history.
+"""
+
+import json
+from datetime import datetime
+
+import pytest
+
+import main
+from conftest import item, predict
+
+ITEMS = [
+    item("SELLING", 20, 60),     # 10 days of cover
+    item("NO_SALES", 12, 0),     # nothing selling: no stockout expected
+    item("EMPTY", 0, 30),        # already out
+    item("NOTHING", 0, 0),       # nothing on hand, nothing selling
+]
+
+
+def latest_ids(api, **params):
+    response = api.get("/latest", params=params)
+    assert response.status_code == 200, response.text
+    return [p["sku_id"] for p in response.json()["predictions"]]
+
+
+# ---- tests ----
+
+def test_zero_sales_and_zero_stock_items_have_a_defined_wire_format(api):
+    predictions = predict(api, ITEMS)
+
+    def wire(sku_id):
+        p = predictions[sku_id]
+        return p["days_to_stockout"], p["stockout_reason"], p["status"]
+
+    assert wire("SELLING") == (10.0, None, "Safe")
+    assert wire("NO_SALES") == (None, "no_sales", "Dead Stock")
+    assert wire("EMPTY") == (0.0, None, "Critical")
+    assert wire("NOTHING") == (None, "no_sales", "Safe")
+    assert predictions["NO_SALES"]["baseline_days_to_stockout"] is None
+
+
+def test_a_zero_forecast_is_not_reported_as_no_sales(api):
+    policy = api.get("/policy").json()
+    policy["defaults"]["forecast_method"] = "moving_average_7"
+    assert api.put("/policy", json=policy).status_code == 200
+
+    predictions = predict(api, [
+        item("SLOWING", 12, daily_sales=[3] * 20 + [0] * 10),   # sold, but not this week
+        item("QUIET", 12, daily_sales=[5] * 10 + [0] * 30),     # nothing in 30 days
+    ])
+
+    assert predictions["SLOWING"]["days_to_stockout"] is None
+    assert predictions["SLOWING"]["stockout_reason"] == "zero_forecast"
+    assert predictions["QUIET"]["stockout_reason"] == "no_sales"
+
+
+def test_responses_are_strict_json(api):
+    predict(api, ITEMS)
+
+    for path in ("/latest", "/history/MUM_01/NO_SALES"):
+        text = api.get(path).text
+        json.loads(text, parse_constant=lambda name: pytest.fail(f"{path} sent {name}"))
+
+
+def test_no_stockout_sorts_as_the_longest_cover(api):
+    predict(api, ITEMS)
+
+    assert latest_ids(api, sort="days_to_stockout") == ["EMPTY", "SELLING", "NOTHING", "NO_SALES"]
+    assert latest_ids(api, sort="days_to_stockout", order="desc") == [
+        "NOTHING", "NO_SALES", "SELLING", "EMPTY"
+    ]
+
+
+def test_range_filters_treat_no_stockout_as_unbounded(api):
+    predict(api, ITEMS)
+
+    assert latest_ids(api, days_to_stockout_max=30) == ["EMPTY", "SELLING"]
+    assert latest_ids(api, days_to_stockout_min=5) == ["NOTHING", "NO_SALES", "SELLING"]
+
+
+def test_ingest_accepts_null_and_legacy_infinity(api):
+    rows = [
+        {"sku_id": sku_id, "store_id": "MUM_01", "current_stock": 12, "avg_daily_sales": 0.0,
+         "status": "Dead Stock", "recommended_reorder_quantity": 0, **days}
+        for sku_id, days in [
+            ("NULL_DAYS", {"days_to_stockout": None}),
+            ("INFINITE_DAYS", {"days_to_stockout": float("inf")}),   # json writes Infinity
+            ("GIVEN_REASON", {"days_to_stockout": None, "stockout_reason": "no_sales"}),
+        ]
+    ]
+    response = api.post(
+        "/ingest",
+        content=json.dumps({"predictions": rows}),
+        headers={"Content-Type": "application/json"},
+    )
+    assert response.status_code == 200, response.text
+
+    served = api.get("/latest").json()["predictions"]
+    assert {p["sku_id"]: (p["days_to_stockout"], p["stockout_reason"]) for p in served} == {
+        "NULL_DAYS": (None, "no_demand"),          # the sender didn't say why
+        "INFINITE_DAYS": (None, "no_demand"),
+        "GIVEN_REASON": (None, "no_sales"),
+    }
+
+
+def test_finite_days_never_carry_a_reason():
+    prediction = main.Prediction(
+        sku_id="A", store_id="S", current_stock=5, avg_daily_sales=1.0, days_to_stockout=5.0,
+        stockout_reason="no_sales", status="Safe", recommended_reorder_quantity=0,
+        last_updated=datetime(2025, 12, 10),
+    )
+
+    assert prediction.stockout_reason is None
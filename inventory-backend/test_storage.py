@@ -0,0 +1,83 @@
+"""
+Prediction runs in the Store: each run keeps its status counts and only
+the rows it changed, and the predictions as of a run, the SKU history and
+the alert comparison are rebuilt from those rows, also after pruning.
+The item columns migration fills in rows stored before it.
+"""
+
+from datetime import datetime
+
+import pytest
+
+import main
+import storage
+from conftest import prediction
+
+
+@pytest.fixture
+def store():
+    store = storage.open_store("sqlite:///:memory:")
+    store.create_tenant("acme", "Acme")
+    return store
+
+
+def write(store, upserts, deletes=()):
+    return store.write_items(
+        "acme", upserts, datetime.utcnow(), "ingest",
+        summarize=main.count_rows_by_status, deletes=deletes,
+    )["run_id"]
+
+
+def stored_rows(store, run_id):
+    return store._fetchall(
+        "SELECT sku_id, data IS NULL FROM run_items WHERE run_id = ? ORDER BY sku_id", (run_id,)
+    )
+
+
+def stocks(history):
+    return [entry["prediction"]["current_stock"] for entry in history]
+
+
+def test_a_run_stores_only_the_rows_it_changed(store):
+    first = write(store, [prediction("A"), prediction("B"), prediction("C", status="Healthy")])
+    second = write(
+        store, [prediction("A", status="Healthy"), prediction("B")], deletes=[("C", "MUM_01")]
+    )
+
+    assert stored_rows(store, first) == [("A", 0), ("B", 0), ("C", 0)]
+    assert stored_rows(store, second) == [("A", 0), ("C", 1)]     # B unchanged, C deleted
+    [_, run] = store.runs("acme", 10)
+    assert (run["total"], run["counts"]["Critical"], run["counts"]["Healthy"]) == (2, 1, 1)
+
+    assert [(p["sku_id"], p["status"]) for p in store.run_items("acme", first)] == [
+        ("A", "Critical"), ("B", "Critical"), ("C", "Healthy"),
+    ]
+    assert [(p["sku_id"], p["status"]) for p in store.run_items("acme", second)] == [
+        ("A", "Healthy"), ("B", "Critical"),
+    ]
+
+
+def test_history_and_old_runs_survive_pruning(store):
+    store.max_runs = 2
+    write(store, [prediction("A"), prediction("B")])
+    for stock in (6, 7, 8):
+        write(store, [prediction("A", current_stock=stock)])
+
+    [oldest_kept, newest] = [run["run_id"] for run in store.runs("acme", 2)]
+    assert [p["current_stock"] for p in store.run_items("acme", oldest_kept)] == [7, 5]
+    assert [p["current_stock"] for p in store.run_items("acme", newest)] == [8, 5]
+
+    # B last changed in a pruned run: its prediction going into the window is kept
+    assert stocks(store.item_history("acme", "B", "MUM_01", 2)) == [5]
+    assert stocks(store.item_history("acme", "A", "MUM_01", 2)) == [6, 7, 8]
+    assert store._fetchall("SELECT COUNT(*) FROM run_items r JOIN prediction_runs p "
+                           "ON p.run_id = r.run_id WHERE p.tenant_id = 'acme'")[0][0] == 4
+
+
+def test_the_item_columns_migration_fills_existing_rows(store):
+    write(store, [prediction("A", days_to_stockout=float("inf"))])    # legacy Infinity
+    with store.transaction() as cursor:
+        store._execute(cursor, "UPDATE items SET status = NULL, days_to_stockout = 1")
+        storage._fill_item_columns(store, cursor)
+
+    assert store._fetchall("SELECT status, days_to_stockout FROM items") == [("Critical", None)]
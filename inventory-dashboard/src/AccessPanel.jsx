@@ -0,0 +1,671 @@
+/**
+ * AccessPanel.jsx
+ *
+ * Admin-only modal for who may use the API (/auth/users, /auth/api-keys,
+ * /tenants):
+ * - Users: dashboard logins with their role and tenants; change role or
+ *   tenants, reset password, delete, or add a user
+ * - API keys: keys for machine clients such as the Boltic workflow (sent as
+ *   the X-API-Key header), each bound to one tenant. A new key is shown
+ *   once, then only its prefix.
+ * - Tenants: organizations sharing the deployment; add one
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import { ROLES, ROLE_LABELS, asUtc } from "./auth";
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(760px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  tabs: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "4px 8px",
+  },
+
+  input: {
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  addRow: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+    marginTop: "16px",
+  },
+
+  newKey: {
+    padding: "12px 16px",
+    marginTop: "16px",
+    borderRadius: "6px",
+    backgroundColor: "#fef3c7",
+    color: "#92400e",
+    fontSize: "13px",
+    wordBreak: "break-all",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+  },
+
+  tenantPicker: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "4px 10px",
+    fontSize: "12px",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  rowActions: {
+    display: "flex",
+    gap: "6px",
+    justifyContent: "flex-end",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+const formatTime = (iso) => (iso ? asUtc(iso).toLocaleString() : "-");
+
+function RoleSelect({ value, onChange, label, disabled }) {
+  return (
+    <select
+      style={styles.input}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+      disabled={disabled}
+    >
+      {ROLES.map((role) => (
+        <option key={role} value={role}>
+          {ROLE_LABELS[role]}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function TenantSelect({ value, tenants, onChange, label }) {
+  return (
+    <select
+      style={styles.input}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    >
+      {tenants.map((t) => (
+        <option key={t.tenant_id} value={t.tenant_id}>
+          {t.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Checkbox per tenant; a user sees the data of every tenant ticked.
+function TenantPicker({ value, tenants, onChange, label, disabled }) {
+  const toggle = (tenantId) =>
+    onChange(
+      value.includes(tenantId) ? value.filter((t) => t !== tenantId) : [...value, tenantId]
+    );
+
+  return (
+    <div style={styles.tenantPicker} role="group" aria-label={label}>
+      {tenants.map((t) => (
+        <label key={t.tenant_id}>
+          <input
+            type="checkbox"
+            checked={value.includes(t.tenant_id)}
+            onChange={() => toggle(t.tenant_id)}
+            disabled={disabled}
+          />{" "}
+          {t.name}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// Load a list and run actions against it, reloading after each one.
+function useAdminList(loader) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setItems(await loader());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load");
+    } finally {
+      setLoading(false);
+    }
+  }, [loader]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await action();
+      await load();
+      return result;
+    } catch (err) {
+      setError(err.message || "Action failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return { items, loading, busy, error, runAction };
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+const listUsers = () => inventoryApi.listUsers();
+
+function UserList({ currentUser, currentTenant, tenants }) {
+  const { items: users, loading, busy, error, runAction } = useAdminList(listUsers);
+  const emptyDraft = { username: "", password: "", role: "viewer", tenants: [currentTenant] };
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const handleAdd = async () => {
+    const created = await runAction(() => inventoryApi.createUser(draft));
+    if (created) setDraft(emptyDraft);
+  };
+
+  const handleResetPassword = (username) => {
+    const password = window.prompt(`New password for ${username} (at least 8 characters)`);
+    if (password) runAction(() => inventoryApi.updateUser(username, { password }));
+  };
+
+  if (loading) return <p style={styles.text}>Loading users…</p>;
+
+  return (
+    <>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>User</th>
+            <th style={styles.th}>Role</th>
+            <th style={styles.th}>Tenants</th>
+            <th style={styles.th}>Created</th>
+            <th style={styles.th} />
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => {
+            const isSelf = user.username === currentUser;
+            return (
+              <tr key={user.username}>
+                <td style={styles.td}>
+                  {user.username}
+                  {isSelf && <span style={styles.muted}> (you)</span>}
+                </td>
+                <td style={styles.td}>
+                  <RoleSelect
+                    value={user.role}
+                    label={`Role of ${user.username}`}
+                    disabled={busy || isSelf}
+                    onChange={(role) =>
+                      runAction(() => inventoryApi.updateUser(user.username, { role }))
+                    }
+                  />
+                </td>
+                <td style={styles.td}>
+                  {user.role === "admin" ? (
+                    <span style={styles.muted}>All</span>
+                  ) : (
+                    <TenantPicker
+                      value={user.tenants}
+                      tenants={tenants}
+                      label={`Tenants of ${user.username}`}
+                      disabled={busy}
+                      onChange={(next) =>
+                        runAction(() => inventoryApi.updateUser(user.username, { tenants: next }))
+                      }
+                    />
+                  )}
+                </td>
+                <td style={styles.td}>{formatTime(user.created_at)}</td>
+                <td style={styles.td}>
+                  <div style={styles.rowActions}>
+                    <button
+                      style={{ ...styles.button, ...styles.buttonSmall }}
+                      disabled={busy}
+                      onClick={() => handleResetPassword(user.username)}
+                    >
+                      Reset password
+                    </button>
+                    {!isSelf && (
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => runAction(() => inventoryApi.deleteUser(user.username))}
+                        aria-label={`Delete ${user.username}`}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={styles.addRow}>
+        <input
+          style={styles.input}
+          placeholder="Username"
+          value={draft.username}
+          onChange={(e) => setDraft({ ...draft, username: e.target.value })}
+          aria-label="New username"
+        />
+        <input
+          style={styles.input}
+          type="password"
+          placeholder="Password (8+ characters)"
+          value={draft.password}
+          onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+          aria-label="New user password"
+          autoComplete="new-password"
+        />
+        <RoleSelect
+          value={draft.role}
+          label="New user role"
+          onChange={(role) => setDraft({ ...draft, role })}
+        />
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall, ...styles.buttonPrimary }}
+          onClick={handleAdd}
+          disabled={busy || !draft.username.trim() || draft.password.length < 8}
+        >
+          Add user
+        </button>
+      </div>
+      {draft.role !== "admin" && (
+        <div style={{ ...styles.addRow, marginTop: "8px" }}>
+          <span style={styles.muted}>Can see:</span>
+          <TenantPicker
+            value={draft.tenants}
+            tenants={tenants}
+            label="New user tenants"
+            onChange={(next) => setDraft({ ...draft, tenants: next })}
+          />
+        </div>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// API KEYS
+// ============================================================================
+
+const listApiKeys = () => inventoryApi.listApiKeys();
+
+function ApiKeyList({ currentTenant, tenants }) {
+  const { items: keys, loading, busy, error, runAction } = useAdminList(listApiKeys);
+  const emptyDraft = { name: "", role: "buyer", tenant_id: currentTenant };
+  const [draft, setDraft] = useState(emptyDraft);
+  const [newKey, setNewKey] = useState(null);
+  const tenantName = (tenantId) =>
+    tenants.find((t) => t.tenant_id === tenantId)?.name || tenantId;
+
+  const handleCreate = async () => {
+    const created = await runAction(() =>
+      inventoryApi.createApiKey({ ...draft, name: draft.name.trim() })
+    );
+    if (created) {
+      setNewKey(created);
+      setDraft(emptyDraft);
+    }
+  };
+
+  if (loading) return <p style={styles.text}>Loading API keys…</p>;
+
+  return (
+    <>
+      <p style={styles.text}>
+        Machine clients send their key in the <code>X-API-Key</code> header. Give the Boltic
+        workflow a Buyer key so it can POST to /ingest. A key only reads and writes its own
+        tenant's data.
+      </p>
+      {keys.length === 0 ? (
+        <p style={styles.text}>No API keys yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Name</th>
+              <th style={styles.th}>Key</th>
+              <th style={styles.th}>Role</th>
+              <th style={styles.th}>Tenant</th>
+              <th style={styles.th}>Last used</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map((key) => (
+              <tr key={key.key_id}>
+                <td style={styles.td}>{key.name}</td>
+                <td style={styles.td}>
+                  <code>{key.prefix}…</code>
+                </td>
+                <td style={styles.td}>{ROLE_LABELS[key.role] || key.role}</td>
+                <td style={styles.td}>{tenantName(key.tenant_id)}</td>
+                <td style={styles.td}>{formatTime(key.last_used_at)}</td>
+                <td style={styles.td}>
+                  <div style={styles.rowActions}>
+                    {key.revoked_at ? (
+                      <span style={styles.muted}>Revoked {formatTime(key.revoked_at)}</span>
+                    ) : (
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => runAction(() => inventoryApi.revokeApiKey(key.key_id))}
+                        aria-label={`Revoke ${key.name}`}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {newKey && (
+        <div style={styles.newKey} role="status">
+          Copy the key for <strong>{newKey.name}</strong> now; it won't be shown again:
+          <br />
+          <code>{newKey.key}</code>
+        </div>
+      )}
+
+      <div style={styles.addRow}>
+        <input
+          style={styles.input}
+          placeholder="Name, e.g. Boltic workflow"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          aria-label="New API key name"
+        />
+        <RoleSelect
+          value={draft.role}
+          label="New API key role"
+          onChange={(role) => setDraft({ ...draft, role })}
+        />
+        <TenantSelect
+          value={draft.tenant_id}
+          tenants={tenants}
+          label="New API key tenant"
+          onChange={(tenantId) => setDraft({ ...draft, tenant_id: tenantId })}
+        />
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall, ...styles.buttonPrimary }}
+          onClick={handleCreate}
+          disabled={busy || !draft.name.trim()}
+        >
+          Create key
+        </button>
+      </div>
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// TENANTS
+// ============================================================================
+
+function TenantList({ tenants, busy, error, runAction, onCreated }) {
+  const [draft, setDraft] = useState({ tenant_id: "", name: "" });
+
+  const handleCreate = async () => {
+    const created = await runAction(() =>
+      inventoryApi.createTenant({ tenant_id: draft.tenant_id.trim(), name: draft.name.trim() })
+    );
+    if (created) {
+      setDraft({ tenant_id: "", name: "" });
+      onCreated(created);
+    }
+  };
+
+  return (
+    <>
+      <p style={styles.text}>
+        Each tenant's predictions, history, orders and thresholds are kept apart. Tick a tenant
+        for a user on the Users tab to let them switch to it.
+      </p>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Tenant</th>
+            <th style={styles.th}>ID</th>
+            <th style={styles.th}>Created</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tenants.map((t) => (
+            <tr key={t.tenant_id}>
+              <td style={styles.td}>{t.name}</td>
+              <td style={styles.td}>
+                <code>{t.tenant_id}</code>
+              </td>
+              <td style={styles.td}>{formatTime(t.created_at)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={styles.addRow}>
+        <input
+          style={styles.input}
+          placeholder="ID, e.g. acme"
+          value={draft.tenant_id}
+          onChange={(e) => setDraft({ ...draft, tenant_id: e.target.value.toLowerCase() })}
+          aria-label="New tenant ID"
+        />
+        <input
+          style={styles.input}
+          placeholder="Name, e.g. Acme Apparel"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          aria-label="New tenant name"
+        />
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall, ...styles.buttonPrimary }}
+          onClick={handleCreate}
+          disabled={busy || !draft.tenant_id.trim() || !draft.name.trim()}
+        >
+          Add tenant
+        </button>
+      </div>
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+const listTenants = () => inventoryApi.listTenants();
+
+export default function AccessPanel({ currentUser, currentTenant, onClose, onTenantsChanged }) {
+  const [tab, setTab] = useState("users");
+  const tenantList = useAdminList(listTenants);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const tabButton = (key, label) => (
+    <button
+      style={{ ...styles.button, ...styles.buttonSmall, ...(tab === key && styles.buttonPrimary) }}
+      onClick={() => setTab(key)}
+      aria-pressed={tab === key}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="access-title"
+      >
+        <div style={styles.title} id="access-title">
+          Users, API keys &amp; tenants
+        </div>
+
+        <div style={styles.tabs}>
+          {tabButton("users", "Users")}
+          {tabButton("keys", "API keys")}
+          {tabButton("tenants", "Tenants")}
+        </div>
+
+        {tenantList.loading ? (
+          <p style={styles.text}>Loading…</p>
+        ) : tab === "users" ? (
+          <UserList
+            currentUser={currentUser}
+            currentTenant={currentTenant}
+            tenants={tenantList.items}
+          />
+        ) : tab === "keys" ? (
+          <ApiKeyList currentTenant={currentTenant} tenants={tenantList.items} />
+        ) : (
+          <TenantList
+            tenants={tenantList.items}
+            busy={tenantList.busy}
+            error={tenantList.error}
+            runAction={tenantList.runAction}
+            onCreated={onTenantsChanged}
+          />
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,708 @@
+/**
+ * AlertsPanel.jsx
+ *
+ * Modal for alert rules and what they sent (/alerts/rules, /alerts/history).
+ * Rules are checked by the backend after every prediction run:
+ * - Rules: "an item goes Critical" or "more than N items are Critical",
+ *   optionally for one store / city / category; delivered to a webhook
+ *   (Slack-compatible) and/or email, not repeated within the dedupe window,
+ *   held during quiet hours. Buyers add, edit, pause, test and delete rules.
+ * - History: every alert raised, newest first, with its delivery status
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import { asUtc } from "./auth";
+import { STATUSES } from "./StatusBadge";
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(860px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  tabs: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "6px 8px",
+    verticalAlign: "top",
+    borderTop: "1px solid #f3f4f6",
+  },
+
+  form: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+    gap: "12px",
+    marginTop: "20px",
+    padding: "16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+  },
+
+  formTitle: {
+    gridColumn: "1 / -1",
+    fontSize: "14px",
+    fontWeight: "600",
+  },
+
+  wide: {
+    gridColumn: "1 / -1",
+  },
+
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  input: {
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+  },
+
+  deliveryStatus: {
+    sent: { color: "#166534" },
+    failed: { color: "#991b1b" },
+    held: { color: "#92400e" },
+  },
+
+  notice: {
+    color: "#166534",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  rowActions: {
+    display: "flex",
+    gap: "6px",
+    justifyContent: "flex-end",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+const formatTime = (iso) => (iso ? asUtc(iso).toLocaleString() : "-");
+
+const SCOPES = [
+  { field: "store_id", label: "Store", known: "knownStores" },
+  { field: "city", label: "City", known: "knownCities" },
+  { field: "category", label: "Category", known: "knownCategories" },
+];
+
+const DELIVERY_LABELS = { sent: "Sent", failed: "Failed", held: "Held (quiet hours)" };
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const emptyDraft = () => ({
+  name: "",
+  kind: "item_status",
+  status: "Critical",
+  store_id: "",
+  city: "",
+  category: "",
+  threshold: 10,
+  webhook_url: "",
+  email_to: "",
+  dedupe_minutes: 1440,
+  quiet_start: "",
+  quiet_end: "",
+  timezone: browserTimezone(),
+  enabled: true,
+});
+
+// Form fields (strings for inputs) for a saved rule, and the request body back.
+const draftFromRule = (rule) => ({
+  ...emptyDraft(),
+  ...Object.fromEntries(Object.entries(rule).map(([k, v]) => [k, v ?? ""])),
+  email_to: rule.email_to.join(", "),
+});
+
+const ruleBody = (draft) => ({
+  name: draft.name.trim(),
+  kind: draft.kind,
+  status: draft.status,
+  store_id: draft.store_id || null,
+  city: draft.city || null,
+  category: draft.category || null,
+  threshold: draft.kind === "status_count" ? Number(draft.threshold) : 0,
+  webhook_url: draft.webhook_url.trim() || null,
+  email_to: draft.email_to
+    .split(/[,\s]+/)
+    .map((address) => address.trim())
+    .filter(Boolean),
+  dedupe_minutes: Number(draft.dedupe_minutes),
+  quiet_start: draft.quiet_start || null,
+  quiet_end: draft.quiet_end || null,
+  timezone: draft.timezone.trim() || "UTC",
+  enabled: draft.enabled,
+});
+
+/** "Any SKU in store MUM_01 goes Critical" / "More than 10 SKUs in Mumbai are Critical" */
+function describeRule(rule) {
+  const scope = SCOPES.filter(({ field }) => rule[field]).map(({ field }) => rule[field]);
+  const where = scope.length > 0 ? ` in ${scope.join(", ")}` : "";
+  return rule.kind === "status_count"
+    ? `More than ${rule.threshold} SKUs${where} are ${rule.status}`
+    : `Any SKU${where} goes ${rule.status}`;
+}
+
+const describeChannels = (rule) =>
+  [rule.webhook_url && "Webhook", ...rule.email_to].filter(Boolean).join(", ");
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+function RuleForm({ draft, onChange, editing, busy, known, onSave, onCancel }) {
+  const set = (field) => (e) => onChange({ ...draft, [field]: e.target.value });
+  const hasChannel = draft.webhook_url.trim() || draft.email_to.trim();
+
+  const scopeOptions = (field, values) =>
+    draft[field] && !values.includes(draft[field]) ? [draft[field], ...values] : values;
+
+  return (
+    <div style={styles.form}>
+      <div style={styles.formTitle}>{editing ? `Edit "${editing.name}"` : "New rule"}</div>
+
+      <label style={styles.field}>
+        Name
+        <input
+          style={styles.input}
+          value={draft.name}
+          onChange={set("name")}
+          placeholder="e.g. MUM_01 criticals"
+        />
+      </label>
+      <label style={styles.field}>
+        Alert when
+        <select style={styles.input} value={draft.kind} onChange={set("kind")}>
+          <option value="item_status">an SKU goes…</option>
+          <option value="status_count">the number of SKUs that are… exceeds</option>
+        </select>
+      </label>
+      <label style={styles.field}>
+        Status
+        <select style={styles.input} value={draft.status} onChange={set("status")}>
+          {STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {status}
+            </option>
+          ))}
+        </select>
+      </label>
+      {draft.kind === "status_count" && (
+        <label style={styles.field}>
+          More than (SKUs)
+          <input
+            style={styles.input}
+            type="number"
+            min="0"
+            value={draft.threshold}
+            onChange={set("threshold")}
+          />
+        </label>
+      )}
+
+      {SCOPES.map(({ field, label, known: knownKey }) => (
+        <label key={field} style={styles.field}>
+          {label}
+          <select style={styles.input} value={draft[field]} onChange={set(field)}>
+            <option value="">Any</option>
+            {scopeOptions(field, known[knownKey]).map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <label style={{ ...styles.field, ...styles.wide }}>
+        Webhook URL (Slack incoming webhook or any JSON endpoint)
+        <input
+          style={styles.input}
+          value={draft.webhook_url}
+          onChange={set("webhook_url")}
+          placeholder="https://hooks.slack.com/services/…"
+        />
+      </label>
+      <label style={{ ...styles.field, ...styles.wide }}>
+        Email to (comma-separated)
+        <input
+          style={styles.input}
+          value={draft.email_to}
+          onChange={set("email_to")}
+          placeholder="ops@example.com, buyer@example.com"
+        />
+      </label>
+
+      <label style={styles.field}>
+        Don't repeat within (minutes)
+        <input
+          style={styles.input}
+          type="number"
+          min="0"
+          value={draft.dedupe_minutes}
+          onChange={set("dedupe_minutes")}
+        />
+      </label>
+      <label style={styles.field}>
+        Quiet from
+        <input
+          style={styles.input}
+          type="time"
+          value={draft.quiet_start}
+          onChange={set("quiet_start")}
+        />
+      </label>
+      <label style={styles.field}>
+        Quiet until
+        <input
+          style={styles.input}
+          type="time"
+          value={draft.quiet_end}
+          onChange={set("quiet_end")}
+        />
+      </label>
+      <label style={styles.field}>
+        Timezone
+        <input style={styles.input} value={draft.timezone} onChange={set("timezone")} />
+      </label>
+
+      <div style={{ ...styles.rowActions, ...styles.wide }}>
+        {editing && (
+          <button style={{ ...styles.button, ...styles.buttonSmall }} onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall, ...styles.buttonPrimary }}
+          onClick={onSave}
+          disabled={busy || !draft.name.trim() || !hasChannel}
+        >
+          {editing ? "Save rule" : "Add rule"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function RuleList({ canEdit, known }) {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const load = useCallback(async () => {
+    try {
+      setRules(await inventoryApi.listAlertRules());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load alert rules");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (action, doneMessage = null) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await action();
+      await load();
+      setNotice(doneMessage);
+      return result;
+    } catch (err) {
+      setError(err.message || "Action failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEdit = (rule) => {
+    setEditing(rule);
+    setDraft(draftFromRule(rule));
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setDraft(emptyDraft());
+  };
+
+  const handleSave = async () => {
+    const saved = await runAction(() =>
+      inventoryApi.saveAlertRule(ruleBody(draft), editing?.rule_id)
+    );
+    if (saved) resetForm();
+  };
+
+  const toggleEnabled = (rule) =>
+    runAction(() =>
+      inventoryApi.saveAlertRule(
+        ruleBody({ ...draftFromRule(rule), enabled: !rule.enabled }),
+        rule.rule_id
+      )
+    );
+
+  if (loading) return <p style={styles.text}>Loading alert rules…</p>;
+
+  return (
+    <>
+      <p style={styles.text}>
+        Rules are checked after every prediction run (uploads and /ingest). An SKU that already
+        alerted is not repeated within the rule's dedupe window; alerts raised in quiet hours are
+        sent when they end.
+      </p>
+      {rules.length === 0 ? (
+        <p style={styles.text}>No alert rules yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>On</th>
+              <th style={styles.th}>Rule</th>
+              <th style={styles.th}>Sends to</th>
+              <th style={styles.th}>Quiet hours</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((rule) => (
+              <tr key={rule.rule_id}>
+                <td style={styles.td}>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={!canEdit || busy}
+                    onChange={() => toggleEnabled(rule)}
+                    aria-label={`${rule.enabled ? "Pause" : "Resume"} ${rule.name}`}
+                  />
+                </td>
+                <td style={styles.td}>
+                  <strong>{rule.name}</strong>
+                  <div style={styles.muted}>{describeRule(rule)}</div>
+                </td>
+                <td style={styles.td}>{describeChannels(rule)}</td>
+                <td style={styles.td}>
+                  {rule.quiet_start ? (
+                    <>
+                      {rule.quiet_start}–{rule.quiet_end}
+                      <div style={styles.muted}>{rule.timezone}</div>
+                    </>
+                  ) : (
+                    <span style={styles.muted}>None</span>
+                  )}
+                </td>
+                <td style={styles.td}>
+                  {canEdit && (
+                    <div style={styles.rowActions}>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() =>
+                          runAction(
+                            () => inventoryApi.testAlertRule(rule.rule_id),
+                            `Test message sent for ${rule.name}`
+                          )
+                        }
+                        title="Send a test message now"
+                      >
+                        Test
+                      </button>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => startEdit(rule)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => {
+                          if (editing?.rule_id === rule.rule_id) resetForm();
+                          runAction(() => inventoryApi.deleteAlertRule(rule.rule_id));
+                        }}
+                        aria-label={`Delete ${rule.name}`}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <RuleForm
+          draft={draft}
+          onChange={setDraft}
+          editing={editing}
+          busy={busy}
+          known={known}
+          onSave={handleSave}
+          onCancel={resetForm}
+        />
+      )}
+      {notice && (
+        <div style={styles.notice} role="status">
+          ✓ {notice}
+        </div>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+function AlertHistory() {
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setEvents(await inventoryApi.getAlertHistory());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load alert history");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (!events && !error) return <p style={styles.text}>Loading alert history…</p>;
+
+  return (
+    <>
+      <div style={{ ...styles.rowActions, marginBottom: "8px" }}>
+        <button style={{ ...styles.button, ...styles.buttonSmall }} onClick={load}>
+          ↻ Refresh
+        </button>
+      </div>
+      {events && events.length === 0 && <p style={styles.text}>No alerts raised yet.</p>}
+      {events && events.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Raised</th>
+              <th style={styles.th}>Rule</th>
+              <th style={styles.th}>Alert</th>
+              <th style={styles.th}>SKUs</th>
+              <th style={styles.th}>Delivery</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event) => (
+              <tr key={event.event_id}>
+                <td style={styles.td}>{formatTime(event.created_at)}</td>
+                <td style={styles.td}>
+                  {event.rule_name}
+                  {event.rule_id === null && <div style={styles.muted}>deleted</div>}
+                </td>
+                <td style={styles.td} title={event.text}>
+                  {event.subject}
+                </td>
+                <td style={styles.td}>{event.item_count}</td>
+                <td style={styles.td}>
+                  <span style={styles.deliveryStatus[event.status]}>
+                    {DELIVERY_LABELS[event.status] || event.status}
+                  </span>
+                  {event.error && <div style={styles.muted}>{event.error}</div>}
+                  {event.status === "sent" && event.delivered_at !== event.created_at && (
+                    <div style={styles.muted}>at {formatTime(event.delivered_at)}</div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.canEdit - Buyers and admins manage rules; viewers only look
+ * @param {string[]} props.knownStores - Scope choices (values in the current data)
+ * @param {string[]} props.knownCities
+ * @param {string[]} props.knownCategories
+ * @param {Function} props.onClose
+ */
+export default function AlertsPanel({
+  canEdit,
+  knownStores,
+  knownCities,
+  knownCategories,
+  onClose,
+}) {
+  const [tab, setTab] = useState("rules");
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const tabButton = (key, label) => (
+    <button
+      style={{ ...styles.button, ...styles.buttonSmall, ...(tab === key && styles.buttonPrimary) }}
+      onClick={() => setTab(key)}
+      aria-pressed={tab === key}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="alerts-title"
+      >
+        <div style={styles.title} id="alerts-title">
+          Alerts
+        </div>
+
+        <div style={styles.tabs}>
+          {tabButton("rules", "Rules")}
+          {tabButton("history", "History")}
+        </div>
+
+        {tab === "rules" ? (
+          <RuleList canEdit={canEdit} known={{ knownStores, knownCities, knownCategories }} />
+        ) : (
+          <AlertHistory />
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,62 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import InventoryHealthPageEnhanced from "./InventoryHealthPageEnhanced";
+import LoginScreen from "./LoginScreen";
+import { clearSession, initialTenant, loadSession, saveSession, saveTenant } from "./auth";
+import { inventoryApi } from "./inventoryApi";
+
+// Remember the tenant so inventoryApi sends it with every request.
+function selectTenant(session) {
+  const tenant = session && initialTenant(session);
+  if (tenant) saveTenant(tenant);
+  return tenant;
+}
 
 function App() {
-  return <InventoryHealthPageEnhanced />;
+  const [session, setSession] = useState(() => loadSession());
+  const [tenant, setTenant] = useState(() => selectTenant(session));
+
+  // An expired or revoked token sends the user back to the login screen.
+  useEffect(
+    () =>
+      inventoryApi.onUnauthorized(() => {
+        clearSession();
+        setSession(null);
+      }),
+    []
+  );
+
+  const handleLogin = (next) => {
+    saveSession(next);
+    setTenant(selectTenant(next));
+    setSession(next);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await inventoryApi.logout();
+    } catch (err) {
+      // The session is dropped locally either way.
+    }
+    clearSession();
+    setSession(null);
+  };
+
+  const handleTenantChange = (next) => {
+    saveTenant(next);
+    setTenant(next);
+  };
+
+  if (!session) return <LoginScreen onLogin={handleLogin} />;
+  // Keyed by tenant: switching starts the page afresh with the new tenant's data.
+  return (
+    <InventoryHealthPageEnhanced
+      key={tenant}
+      session={session}
+      tenant={tenant}
+      onTenantChange={handleTenantChange}
+      onLogout={handleLogout}
+    />
+  );
 }
 
 export default App;
@@ -0,0 +1,730 @@
+/**
+ * DigestPanel.jsx
+ *
+ * Modal for the daily digest (/digests/subscriptions, /digests): a morning
+ * summary of Critical/Warning counts per store, the most urgent items and
+ * the total recommended reorder value, built by the backend from the
+ * current predictions.
+ * - Subscriptions: which stores (or all), what time in which timezone, who
+ *   gets it by email (HTML with a PDF attached) and whether a copy is
+ *   archived. Buyers add, edit, pause, send now and delete subscriptions;
+ *   anyone can preview today's digest as HTML or PDF.
+ * - Archive: every digest built, newest first, with its delivery status
+ *   and HTML / PDF downloads of the archived ones
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { inventoryApi, openLink } from "./inventoryApi";
+import { asUtc } from "./auth";
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(860px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  tabs: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "6px 8px",
+    verticalAlign: "top",
+    borderTop: "1px solid #f3f4f6",
+  },
+
+  form: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+    gap: "12px",
+    marginTop: "20px",
+    padding: "16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+  },
+
+  formTitle: {
+    gridColumn: "1 / -1",
+    fontSize: "14px",
+    fontWeight: "600",
+  },
+
+  wide: {
+    gridColumn: "1 / -1",
+  },
+
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  input: {
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+  },
+
+  deliveryStatus: {
+    sent: { color: "#166534" },
+    archived: { color: "#166534" },
+    failed: { color: "#991b1b" },
+    pending: { color: "#92400e" },
+  },
+
+  storeChoices: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "4px 12px",
+    fontSize: "13px",
+    color: "var(--text-primary, #111827)",
+  },
+
+  link: {
+    color: "#3b82f6",
+    fontSize: "12px",
+    marginRight: "8px",
+    padding: 0,
+    border: "none",
+    background: "none",
+    textDecoration: "underline",
+    cursor: "pointer",
+  },
+
+  notice: {
+    color: "#166534",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  rowActions: {
+    display: "flex",
+    gap: "6px",
+    justifyContent: "flex-end",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+const formatTime = (iso) => (iso ? asUtc(iso).toLocaleString() : "-");
+
+const formatMoney = (value) =>
+  value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const DELIVERY_LABELS = {
+  sent: "Emailed",
+  archived: "Archived",
+  failed: "Failed",
+  pending: "Building…",
+};
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const emptyDraft = () => ({
+  name: "",
+  store_ids: [],
+  email_to: "",
+  archive: true,
+  send_at: "07:00",
+  timezone: browserTimezone(),
+  top_items: 10,
+  enabled: true,
+});
+
+// Form fields (strings for inputs) for a saved subscription, and the request body back.
+const draftFromSubscription = (sub) => ({
+  ...emptyDraft(),
+  ...sub,
+  email_to: sub.email_to.join(", "),
+});
+
+const subscriptionBody = (draft) => ({
+  name: draft.name.trim(),
+  store_ids: draft.store_ids,
+  email_to: draft.email_to
+    .split(/[,\s]+/)
+    .map((address) => address.trim())
+    .filter(Boolean),
+  archive: draft.archive,
+  send_at: draft.send_at || "07:00",
+  timezone: draft.timezone.trim() || "UTC",
+  top_items: Number(draft.top_items),
+  enabled: draft.enabled,
+});
+
+// Digests open with a one-use ticket, so the session never goes in a URL.
+const openDigest = (urlPromise, onError) =>
+  openLink(urlPromise).catch((err) => onError(err.message || "Could not open the digest"));
+
+const describeStores = (storeIds) => (storeIds.length > 0 ? storeIds.join(", ") : "All stores");
+
+const describeDelivery = (sub) =>
+  [...sub.email_to, sub.archive && "Archive"].filter(Boolean).join(", ");
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+function SubscriptionForm({
+  draft,
+  onChange,
+  editing,
+  busy,
+  knownStores,
+  onSave,
+  onCancel,
+  onError,
+}) {
+  const set = (field) => (e) => onChange({ ...draft, [field]: e.target.value });
+  const hasDelivery = draft.archive || draft.email_to.trim();
+  // stores no longer in the data stay selectable so they can be unticked
+  const stores = [...new Set([...knownStores, ...draft.store_ids])];
+
+  const toggleStore = (storeId) =>
+    onChange({
+      ...draft,
+      store_ids: draft.store_ids.includes(storeId)
+        ? draft.store_ids.filter((id) => id !== storeId)
+        : [...draft.store_ids, storeId],
+    });
+
+  return (
+    <div style={styles.form}>
+      <div style={styles.formTitle}>
+        {editing ? `Edit "${editing.name}"` : "New subscription"}
+      </div>
+
+      <label style={styles.field}>
+        Name
+        <input
+          style={styles.input}
+          value={draft.name}
+          onChange={set("name")}
+          placeholder="e.g. Mumbai store managers"
+        />
+      </label>
+      <label style={styles.field}>
+        Send at
+        <input style={styles.input} type="time" value={draft.send_at} onChange={set("send_at")} />
+      </label>
+      <label style={styles.field}>
+        Timezone
+        <input style={styles.input} value={draft.timezone} onChange={set("timezone")} />
+      </label>
+      <label style={styles.field}>
+        Most urgent items listed
+        <input
+          style={styles.input}
+          type="number"
+          min="1"
+          max="50"
+          value={draft.top_items}
+          onChange={set("top_items")}
+        />
+      </label>
+
+      <div style={{ ...styles.field, ...styles.wide }}>
+        Stores (none ticked: all stores)
+        <div style={styles.storeChoices}>
+          {stores.map((storeId) => (
+            <label key={storeId}>
+              <input
+                type="checkbox"
+                checked={draft.store_ids.includes(storeId)}
+                onChange={() => toggleStore(storeId)}
+              />{" "}
+              {storeId}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label style={{ ...styles.field, ...styles.wide }}>
+        Email to (comma-separated)
+        <input
+          style={styles.input}
+          value={draft.email_to}
+          onChange={set("email_to")}
+          placeholder="mumbai-managers@example.com"
+        />
+      </label>
+      <label style={{ ...styles.field, ...styles.wide, flexDirection: "row", gap: "6px" }}>
+        <input
+          type="checkbox"
+          checked={draft.archive}
+          onChange={(e) => onChange({ ...draft, archive: e.target.checked })}
+        />
+        Keep a copy in the archive (downloadable as HTML / PDF)
+      </label>
+
+      <div style={{ ...styles.rowActions, ...styles.wide }}>
+        <button
+          style={styles.link}
+          onClick={() =>
+            openDigest(inventoryApi.digestPreviewUrl(draft.store_ids, "html"), onError)
+          }
+        >
+          Preview
+        </button>
+        {editing && (
+          <button style={{ ...styles.button, ...styles.buttonSmall }} onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall, ...styles.buttonPrimary }}
+          onClick={onSave}
+          disabled={busy || !draft.name.trim() || !hasDelivery}
+        >
+          {editing ? "Save subscription" : "Add subscription"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function SubscriptionList({ canEdit, knownStores }) {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+
+  const load = useCallback(async () => {
+    try {
+      setSubscriptions(await inventoryApi.listDigestSubscriptions());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load digest subscriptions");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (action, doneMessage = null) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await action();
+      await load();
+      setNotice(doneMessage);
+      return result;
+    } catch (err) {
+      setError(err.message || "Action failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEdit = (sub) => {
+    setEditing(sub);
+    setDraft(draftFromSubscription(sub));
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setDraft(emptyDraft());
+  };
+
+  const handleSave = async () => {
+    const saved = await runAction(() =>
+      inventoryApi.saveDigestSubscription(subscriptionBody(draft), editing?.subscription_id)
+    );
+    if (saved) resetForm();
+  };
+
+  const toggleEnabled = (sub) =>
+    runAction(() =>
+      inventoryApi.saveDigestSubscription(
+        subscriptionBody({ ...draftFromSubscription(sub), enabled: !sub.enabled }),
+        sub.subscription_id
+      )
+    );
+
+  if (loading) return <p style={styles.text}>Loading digest subscriptions…</p>;
+
+  return (
+    <>
+      <p style={styles.text}>
+        Every subscription gets one digest a day, built from the current predictions once its send
+        time has passed: Critical/Warning counts per store, the most urgent items and the total
+        recommended reorder value.{" "}
+        <button
+          style={styles.link}
+          onClick={() => openDigest(inventoryApi.digestPreviewUrl([], "pdf"), setError)}
+        >
+          Preview today's (PDF)
+        </button>
+      </p>
+      {subscriptions.length === 0 ? (
+        <p style={styles.text}>No digest subscriptions yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>On</th>
+              <th style={styles.th}>Subscription</th>
+              <th style={styles.th}>Daily at</th>
+              <th style={styles.th}>Delivered to</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {subscriptions.map((sub) => (
+              <tr key={sub.subscription_id}>
+                <td style={styles.td}>
+                  <input
+                    type="checkbox"
+                    checked={sub.enabled}
+                    disabled={!canEdit || busy}
+                    onChange={() => toggleEnabled(sub)}
+                    aria-label={`${sub.enabled ? "Pause" : "Resume"} ${sub.name}`}
+                  />
+                </td>
+                <td style={styles.td}>
+                  <strong>{sub.name}</strong>
+                  <div style={styles.muted}>{describeStores(sub.store_ids)}</div>
+                </td>
+                <td style={styles.td}>
+                  {sub.send_at}
+                  <div style={styles.muted}>{sub.timezone}</div>
+                </td>
+                <td style={styles.td}>{describeDelivery(sub)}</td>
+                <td style={styles.td}>
+                  {canEdit && (
+                    <div style={styles.rowActions}>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() =>
+                          runAction(
+                            () => inventoryApi.sendDigest(sub.subscription_id),
+                            `Digest sent for ${sub.name}`
+                          )
+                        }
+                        title="Build and send today's digest now"
+                      >
+                        Send now
+                      </button>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => startEdit(sub)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        disabled={busy}
+                        onClick={() => {
+                          if (editing?.subscription_id === sub.subscription_id) resetForm();
+                          runAction(() => inventoryApi.deleteDigestSubscription(sub.subscription_id));
+                        }}
+                        aria-label={`Delete ${sub.name}`}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <SubscriptionForm
+          draft={draft}
+          onChange={setDraft}
+          editing={editing}
+          busy={busy}
+          knownStores={knownStores}
+          onSave={handleSave}
+          onCancel={resetForm}
+          onError={setError}
+        />
+      )}
+      {notice && (
+        <div style={styles.notice} role="status">
+          ✓ {notice}
+        </div>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// ARCHIVE
+// ============================================================================
+
+function DigestArchive() {
+  const [digests, setDigests] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setDigests(await inventoryApi.listDigests());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load the digest archive");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (!digests && !error) return <p style={styles.text}>Loading the digest archive…</p>;
+
+  return (
+    <>
+      <div style={{ ...styles.rowActions, marginBottom: "8px" }}>
+        <button style={{ ...styles.button, ...styles.buttonSmall }} onClick={load}>
+          ↻ Refresh
+        </button>
+      </div>
+      {digests && digests.length === 0 && <p style={styles.text}>No digests built yet.</p>}
+      {digests && digests.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Day</th>
+              <th style={styles.th}>Subscription</th>
+              <th style={styles.th}>Critical / Warning</th>
+              <th style={styles.th}>Reorder value</th>
+              <th style={styles.th}>Delivery</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {digests.map((digest) => (
+              <tr key={digest.digest_id}>
+                <td style={styles.td}>
+                  {digest.digest_date}
+                  <div style={styles.muted}>
+                    {digest.trigger === "manual" ? "sent by hand" : "scheduled"},{" "}
+                    {formatTime(digest.created_at)}
+                  </div>
+                </td>
+                <td style={styles.td}>
+                  {digest.name}
+                  {digest.subscription_id === null && <div style={styles.muted}>deleted</div>}
+                </td>
+                <td style={styles.td}>
+                  {digest.totals ? `${digest.totals.critical} / ${digest.totals.warning}` : "-"}
+                </td>
+                <td style={styles.td}>
+                  {digest.totals ? formatMoney(digest.totals.reorder_value) : "-"}
+                </td>
+                <td style={styles.td}>
+                  <span style={styles.deliveryStatus[digest.status]}>
+                    {DELIVERY_LABELS[digest.status] || digest.status}
+                  </span>
+                  {digest.error && <div style={styles.muted}>{digest.error}</div>}
+                </td>
+                <td style={styles.td}>
+                  {digest.archived ? (
+                    <>
+                      <button
+                        style={styles.link}
+                        onClick={() =>
+                          openDigest(
+                            inventoryApi.digestExportUrl(digest.digest_id, "html"),
+                            setError
+                          )
+                        }
+                      >
+                        HTML
+                      </button>
+                      <button
+                        style={styles.link}
+                        onClick={() =>
+                          openDigest(
+                            inventoryApi.digestExportUrl(digest.digest_id, "pdf"),
+                            setError
+                          )
+                        }
+                      >
+                        PDF
+                      </button>
+                    </>
+                  ) : (
+                    <span style={styles.muted}>not archived</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.canEdit - Buyers and admins manage subscriptions; viewers only look
+ * @param {string[]} props.knownStores - Store choices (values in the current data)
+ * @param {Function} props.onClose
+ */
+export default function DigestPanel({ canEdit, knownStores, onClose }) {
+  const [tab, setTab] = useState("subscriptions");
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const tabButton = (key, label) => (
+    <button
+      style={{ ...styles.button, ...styles.buttonSmall, ...(tab === key && styles.buttonPrimary) }}
+      onClick={() => setTab(key)}
+      aria-pressed={tab === key}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="digest-title"
+      >
+        <div style={styles.title} id="digest-title">
+          Daily digest
+        </div>
+
+        <div style={styles.tabs}>
+          {tabButton("subscriptions", "Subscriptions")}
+          {tabButton("archive", "Archive")}
+        </div>
+
+        {tab === "subscriptions" ? (
+          <SubscriptionList canEdit={canEdit} knownStores={knownStores} />
+        ) : (
+          <DigestArchive />
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
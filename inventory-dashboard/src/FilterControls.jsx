@@ -0,0 +1,308 @@
+/**
+ * FilterControls.jsx
+ *
+ * Controls for the dashboard filter row (state and URL mapping live in
+ * tableState.js):
+ * - MultiSelect: checkbox dropdown for stores, cities, categories and
+ *   statuses, with the facet count from /latest next to each value
+ * - RangeFilter: min / max inputs, applied on Enter or when leaving the field
+ * - FilterChips: one removable chip per active filter, plus "Clear all"
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+
+const styles = {
+  multiSelect: {
+    position: "relative",
+  },
+
+  trigger: {
+    padding: "8px 12px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+    cursor: "pointer",
+    minWidth: "110px",
+    textAlign: "left",
+    whiteSpace: "nowrap",
+  },
+
+  menu: {
+    position: "absolute",
+    top: "calc(100% + 4px)",
+    left: 0,
+    zIndex: 20,
+    minWidth: "200px",
+    maxHeight: "280px",
+    overflowY: "auto",
+    padding: "6px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.12)",
+  },
+
+  option: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    padding: "6px 8px",
+    borderRadius: "4px",
+    fontSize: "13px",
+    cursor: "pointer",
+  },
+
+  count: {
+    marginLeft: "auto",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  menuNote: {
+    padding: "6px 8px",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  clear: {
+    width: "100%",
+    marginTop: "4px",
+    padding: "6px 8px",
+    border: "none",
+    borderTop: "1px solid #f3f4f6",
+    background: "none",
+    color: "#2563eb",
+    fontSize: "12px",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+
+  range: {
+    display: "flex",
+    alignItems: "center",
+    gap: "4px",
+    fontSize: "13px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  boundInput: {
+    width: "64px",
+    padding: "8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  chips: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: "6px",
+    marginBottom: "16px",
+  },
+
+  chip: {
+    display: "flex",
+    alignItems: "center",
+    gap: "4px",
+    padding: "3px 4px 3px 10px",
+    borderRadius: "999px",
+    backgroundColor: "#eff6ff",
+    border: "1px solid #bfdbfe",
+    color: "#1e40af",
+    fontSize: "12px",
+  },
+
+  chipRemove: {
+    border: "none",
+    background: "none",
+    padding: "0 4px",
+    color: "#1e40af",
+    fontSize: "14px",
+    lineHeight: 1,
+    cursor: "pointer",
+  },
+
+  clearAll: {
+    border: "none",
+    background: "none",
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+    textDecoration: "underline",
+    cursor: "pointer",
+  },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.id - id of the trigger button (for a <label htmlFor>)
+ * @param {string} props.label - Accessible name of the option list
+ * @param {string[]} props.options
+ * @param {string[]} props.selected - Empty means no filter ("All")
+ * @param {Object<string, number>} [props.counts] - Facet counts per option
+ * @param {Function} props.onChange - Called with the new selection
+ */
+export function MultiSelect({ id, label, options, selected, counts, onChange }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    if (!open) return undefined;
+    const onMouseDown = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onMouseDown);
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", onMouseDown);
+      document.removeEventListener("keydown", onKeyDown);
+    };
+  }, [open]);
+
+  const toggle = (value) =>
+    onChange(selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value]);
+
+  let summary = "All";
+  if (selected.length === 1) summary = selected[0];
+  else if (selected.length > 1) summary = `${selected.length} selected`;
+
+  return (
+    <div style={styles.multiSelect} ref={rootRef}>
+      <button
+        type="button"
+        id={id}
+        style={styles.trigger}
+        aria-haspopup="true"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        {summary} ▾
+      </button>
+      {open && (
+        <div style={styles.menu} role="group" aria-label={label}>
+          {options.length === 0 && <div style={styles.menuNote}>No values</div>}
+          {options.map((value) => (
+            <label key={value} style={styles.option}>
+              <input
+                type="checkbox"
+                checked={selected.includes(value)}
+                onChange={() => toggle(value)}
+              />
+              <span>{value}</span>
+              {counts && <span style={styles.count}>{counts[value] || 0}</span>}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button type="button" style={styles.clear} onClick={() => onChange([])}>
+              Clear selection
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const asText = (value) => (value === null ? "" : String(value));
+
+// Number input that reports its value (null when empty) once editing is done.
+function BoundInput({ value, onCommit, ...inputProps }) {
+  const [text, setText] = useState(asText(value));
+
+  useEffect(() => {
+    setText(asText(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = text.trim() === "" ? null : Number(text);
+    if (parsed !== null && !Number.isFinite(parsed)) {
+      setText(asText(value));
+    } else if (parsed !== value) {
+      onCommit(parsed);
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      style={styles.boundInput}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+      }}
+      {...inputProps}
+    />
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.id
+ * @param {string} props.label
+ * @param {{ min: number|null, max: number|null }} [props.range]
+ * @param {Function} props.onChange - Called with ("min" | "max", number | null)
+ */
+export function RangeFilter({ id, label, range, onChange }) {
+  return (
+    <div style={styles.range} role="group" aria-label={label}>
+      <BoundInput
+        id={`${id}-min`}
+        value={range?.min ?? null}
+        placeholder="min"
+        onCommit={(value) => onChange("min", value)}
+        aria-label={`${label} from`}
+      />
+      <span>–</span>
+      <BoundInput
+        id={`${id}-max`}
+        value={range?.max ?? null}
+        placeholder="max"
+        onCommit={(value) => onChange("max", value)}
+        aria-label={`${label} to`}
+      />
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {{ id: string, label: string }[]} props.chips - From tableState.filterChips
+ * @param {Function} props.onRemove - Called with the chip to remove
+ * @param {Function} props.onClearAll
+ */
+export function FilterChips({ chips, onRemove, onClearAll }) {
+  if (chips.length === 0) return null;
+
+  return (
+    <div style={styles.chips} aria-label="Active filters">
+      {chips.map((chip) => (
+        <span key={chip.id} style={styles.chip}>
+          {chip.label}
+          <button
+            type="button"
+            style={styles.chipRemove}
+            onClick={() => onRemove(chip)}
+            aria-label={`Remove filter ${chip.label}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {chips.length > 1 && (
+        <button type="button" style={styles.clearAll} onClick={onClearAll}>
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+}
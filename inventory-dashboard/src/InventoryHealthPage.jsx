@@ -1,4 +1,6 @@
 import React, { useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import { formatStockoutDays } from "./stockout";
 
 function StatusBadge({ status }) {
   const color =
@@ -48,18 +50,13 @@ export default function InventoryHealthPage() {
   const [search, setSearch] = useState("");
   const [lastUpdated, setLastUpdated] = useState(null);
 
-  const API_URL = process.env.REACT_APP_API_URL || "http://127.0.0.1:8000";
-
   useEffect(() => {
     async function fetchData() {
       try {
-        const res = await fetch(`${API_URL}/latest`);
-        const data = await res.json();
-        setRecords(data.records || []);
-        setFiltered(data.records || []);
-        if (data.records && data.records.length > 0) {
-          setLastUpdated(data.records[0].last_updated);
-        }
+        const data = await inventoryApi.getLatest();
+        setRecords(data.predictions);
+        setFiltered(data.predictions);
+        setLastUpdated(data.last_updated);
       } catch (err) {
         console.error("Failed to fetch inventory data", err);
       }
@@ -172,11 +169,7 @@ export default function InventoryHealthPage() {
                 {row.current_stock}
               </td>
               <td style={{ padding: "8px", textAlign: "right" }}>
-                {row.days_to_stockout === Infinity
-                  ? "∞"
-                  : row.days_to_stockout?.toFixed
-                  ? row.days_to_stockout.toFixed(1)
-                  : row.days_to_stockout}
+                {formatStockoutDays(row.days_to_stockout)}
               </td>
               <td style={{ padding: "8px" }}>
                 <StatusBadge status={row.status} />
@@ -10,7 +10,7 @@
  * - Summary cards with sparkline indicators
  * - Two-column layout: Table (left) + Analytics panel (right)
  * - Responsive: stacks on mobile, side-by-side on desktop
- * - Sortable table columns (client-side only)
+ * - Sortable table columns (filtered, sorted and paged by the backend)
  * - Better status badges with accessibility
  * - Loading & error states
  * - Dark mode toggle (localStorage persisted)
@@ -25,15 +25,135 @@
  */
 
 import React, { useEffect, useState, useRef, useCallback } from "react";
+import { inventoryApi } from "./inventoryApi";
+import AccessPanel from "./AccessPanel";
+import AlertsPanel from "./AlertsPanel";
+import DigestPanel from "./DigestPanel";
+import { ROLE_LABELS, canAdmin, canEdit } from "./auth";
+import { DEFAULT_POLICY_CONFIG, resolvePolicy } from "./predictionExplain";
+import PurchaseOrderPanel from "./PurchaseOrderPanel";
+import RebalancePanel from "./RebalancePanel";
+import SettingsPanel from "./SettingsPanel";
+import SimulatorPanel from "./SimulatorPanel";
+import SkuDetailDrawer from "./SkuDetailDrawer";
+import {
+  formatStockoutDays,
+  formatStockoutProbability,
+  formatStockoutRange,
+  stockoutCsvCells,
+  stockoutReasonLabel,
+} from "./stockout";
+import StatusBadge, { STATUSES, STATUS_COLORS } from "./StatusBadge";
+import { FilterChips, MultiSelect, RangeFilter } from "./FilterControls";
+import SavedViews from "./SavedViews";
+import {
+  DEFAULT_TABLE_STATE,
+  LIST_FILTERS,
+  PAGE_SIZE,
+  RANGE_FILTERS,
+  filterChips,
+  latestQueryFor,
+  readDetailKey,
+  readTableState,
+  tableStateSearch,
+  viewQuery,
+  withRange,
+} from "./tableState";
+import UploadPanel from "./UploadPanel";
 
 // ============================================================================
 // CONSTANTS & HELPERS
 // ============================================================================
 
-const API_URL = process.env.REACT_APP_API_URL || "http://127.0.0.1:8000";
 const SEARCH_DEBOUNCE_MS = 300;
+const HISTORY_RUNS = 20; // prediction runs plotted in the summary sparklines
 
-const SORT_COLUMNS = ["sku_id", "store_id", "days_to_stockout", "recommended_reorder_quantity"];
+const LIVE_STATUS_LABELS = {
+  off: "Live off",
+  connecting: "Connecting…",
+  live: "Live",
+  polling: "Live (polling)",
+};
+
+const LIVE_STATUS_COLORS = {
+  off: "#9ca3af",
+  connecting: "#f97316",
+  live: "#16a34a",
+  polling: "#3b82f6",
+};
+
+const SORT_COLUMNS = [
+  "sku_id",
+  "store_id",
+  "days_to_stockout",
+  "stockout_probability",
+  "recommended_reorder_quantity",
+];
+
+const SORT_LABELS = {
+  sku_id: "SKU",
+  store_id: "Store",
+  days_to_stockout: "Days to Stockout",
+  stockout_probability: "Stockout Risk",
+  recommended_reorder_quantity: "Reorder Qty",
+};
+
+// Short description of a table state, e.g. "Store: MUM_01 · Status: Critical".
+const describeTableState = (state) =>
+  [
+    ...filterChips(state).map((chip) => chip.label),
+    `sorted by ${SORT_LABELS[state.sortField] || state.sortField} ${
+      state.sortOrder === "asc" ? "↑" : "↓"
+    }`,
+  ].join(" · ");
+
+const CLEARANCE_STATUSES = ["Overstock", "Dead Stock"];
+const CLEARANCE_LISTED = 5;
+
+// Side panel queries: each asks /latest only for the rows it lists
+const TOP_CRITICAL_QUERY = {
+  status: "Critical",
+  sort: "days_to_stockout",
+  order: "desc",
+  limit: 5,
+};
+const CLEARANCE_QUERY = { status: CLEARANCE_STATUSES, sort: "capital_at_risk", order: "desc" };
+
+// Row selection is by sku_id|store_id so it survives refreshes
+const rowKey = (row) => `${row.sku_id}|${row.store_id}`;
+
+const formatMoney = (value) =>
+  value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+// Promotion / price adjustment changed the forecast for this row.
+const isDemandAdjusted = (row) =>
+  row.demand_multiplier != null && Math.abs(row.demand_multiplier - 1) > 0.001;
+
+// Stockout probability in the status colours: likely (≥ 50%) red, a real
+// chance (≥ 10%) orange, otherwise the normal text colour.
+const riskColor = (probability) => {
+  if (probability >= 0.5) return STATUS_COLORS.Critical;
+  if (probability >= 0.1) return STATUS_COLORS.Warning;
+  return "inherit";
+};
+
+// Reorder breakdown under the quantity, e.g. "ROP 42 · SS 8.2 · 20 on order".
+// Empty for rows without supply parameters.
+const describeReorder = (row) => {
+  const parts = [];
+  if (row.lead_time_days) parts.push(`${row.lead_time_days}d lead`);
+  if (row.reorder_point != null && row.lead_time_days) parts.push(`ROP ${row.reorder_point}`);
+  if (row.safety_stock) parts.push(`SS ${row.safety_stock}`);
+  if (row.on_order_quantity) parts.push(`${row.on_order_quantity} on order`);
+  if (row.open_po_quantity) parts.push(`${row.open_po_quantity} on PO`);
+  if (
+    row.base_reorder_quantity != null &&
+    row.base_reorder_quantity !== row.recommended_reorder_quantity
+  ) {
+    parts.push(`from ${row.base_reorder_quantity} (MOQ/pack)`);
+  }
+  return parts.join(" · ");
+};
 
 const formatDate = (dateStr) => {
   if (!dateStr) return "N/A";
@@ -62,10 +182,34 @@ const downloadCSV = (data, filename = "inventory_export.csv") => {
     "Current Stock",
     "Avg Daily Sales",
     "Days to Stockout",
+    "Stockout Reason",
     "Status",
     "Reorder Qty",
     "Category",
     "City",
+    "Supplier",
+    "Lead Time (days)",
+    "On Order",
+    "On Submitted POs",
+    "Safety Stock",
+    "Reorder Point",
+    "Base Reorder Qty",
+    "Excess Units",
+    "Capital at Risk",
+    "MOQ",
+    "Pack Size",
+    "Service Level",
+    "Promotion",
+    "Price",
+    "Regular Price",
+    "Demand Multiplier",
+    "Baseline Daily Sales",
+    "Baseline Days to Stockout",
+    "Demand Std Dev",
+    "Stockout Probability",
+    "Risk Horizon (days)",
+    "Days to Stockout P10",
+    "Days to Stockout P90",
   ];
 
   const rows = data.map((r) => [
@@ -73,11 +217,34 @@ const downloadCSV = (data, filename = "inventory_export.csv") => {
     r.store_id,
     r.current_stock,
     r.avg_daily_sales?.toFixed(2) || "0",
-    r.days_to_stockout === Infinity ? "∞" : r.days_to_stockout?.toFixed(1) || "0",
+    ...stockoutCsvCells(r),
     r.status,
     r.recommended_reorder_quantity || "0",
     r.category || "-",
     r.city || "-",
+    r.supplier || "",
+    r.lead_time_days ?? "",
+    r.on_order_quantity ?? "",
+    r.open_po_quantity ?? "",
+    r.safety_stock ?? "",
+    r.reorder_point ?? "",
+    r.base_reorder_quantity ?? "",
+    r.excess_units ?? "",
+    r.capital_at_risk ?? "",
+    r.moq ?? "",
+    r.pack_size ?? "",
+    r.service_level ?? "",
+    r.promotion_active ? "Yes" : "No",
+    r.price ?? "",
+    r.regular_price ?? "",
+    r.demand_multiplier ?? "",
+    r.baseline_daily_sales?.toFixed(2) ?? "",
+    r.baseline_days_to_stockout == null ? "" : formatStockoutDays(r.baseline_days_to_stockout),
+    r.demand_std?.toFixed(2) ?? "",
+    r.stockout_probability ?? "",
+    r.stockout_horizon_days ?? "",
+    r.days_to_stockout_p10?.toFixed(1) ?? "",
+    r.days_to_stockout_p90?.toFixed(1) ?? "",
   ]);
 
   const csv = [headers, ...rows].map((row) => row.map((cell) => `"${cell}"`).join(",")).join("\n");
@@ -191,6 +358,27 @@ const styles = {
     boxShadow: "0 1px 2px rgba(0,0,0,0.1)",
   },
 
+  liveDot: {
+    width: "8px",
+    height: "8px",
+    borderRadius: "50%",
+  },
+
+  updateBanner: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: "12px",
+    flexWrap: "wrap",
+    padding: "12px 16px",
+    borderRadius: "8px",
+    backgroundColor: "#dbeafe",
+    border: "1px solid #bfdbfe",
+    color: "#1e40af",
+    fontSize: "13px",
+    marginBottom: "24px",
+  },
+
   legend: {
     display: "flex",
     gap: "16px",
@@ -258,7 +446,7 @@ const styles = {
 
   summaryRow: {
     display: "grid",
-    gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))",
+    gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))",
     gap: "16px",
     marginBottom: "24px",
   },
@@ -316,6 +504,17 @@ const styles = {
     fontSize: "13px",
   },
 
+  pagination: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    padding: "10px 12px",
+    borderTop: "1px solid #f3f4f6",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
   thead: {
     backgroundColor: "var(--bg-tertiary, #f3f4f6)",
     borderBottom: "1px solid #e5e7eb",
@@ -349,41 +548,37 @@ const styles = {
     color: "var(--text-primary, #111827)",
   },
 
-  tdRow: {
-    transition: "background-color 0.2s ease",
-  },
-
-  tdRowHover: {
-    backgroundColor: "var(--bg-tertiary, #f9fafb)",
-  },
-
-  tdRowCritical: {
-    borderLeft: "3px solid #dc2626",
+  cellNote: {
+    display: "block",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    marginTop: "2px",
+    whiteSpace: "nowrap",
   },
 
-  statusBadge: {
+  promoTag: {
     display: "inline-block",
-    padding: "4px 8px",
+    marginLeft: "6px",
+    padding: "1px 6px",
     borderRadius: "4px",
-    fontSize: "12px",
+    fontSize: "10px",
     fontWeight: "600",
-    textTransform: "uppercase",
-    letterSpacing: "0.3px",
+    backgroundColor: "#ede9fe",
+    color: "#6d28d9",
+    verticalAlign: "middle",
   },
 
-  statusCritical: {
-    backgroundColor: "#fee2e2",
-    color: "#991b1b",
+  tdRow: {
+    transition: "background-color 0.2s ease",
+    cursor: "pointer",
   },
 
-  statusWarning: {
-    backgroundColor: "#fef3c7",
-    color: "#92400e",
+  tdRowHover: {
+    backgroundColor: "var(--bg-tertiary, #f9fafb)",
   },
 
-  statusSafe: {
-    backgroundColor: "#dcfce7",
-    color: "#166534",
+  tdRowCritical: {
+    borderLeft: "3px solid #dc2626",
   },
 
   tooltip: {
@@ -572,43 +767,18 @@ const styles = {
 // COMPONENTS
 // ============================================================================
 
-function StatusBadge({ status }) {
-  const badgeStyle = {
-    ...styles.statusBadge,
-    ...(status === "Critical"
-      ? styles.statusCritical
-      : status === "Warning"
-      ? styles.statusWarning
-      : styles.statusSafe),
-  };
-
-  return (
-    <span style={badgeStyle} aria-label={`Status: ${status}`}>
-      {status}
-    </span>
-  );
-}
-
-function SummaryCard({ label, count, color, sparklineData }) {
+function SummaryCard({ label, count, color, sparklineData, detail }) {
   const cardStyle = {
     ...styles.summaryCard,
+    borderLeftColor: color,
+    borderLeftWidth: "3px",
   };
 
-  if (label === "Critical") {
-    cardStyle.borderLeftColor = "#dc2626";
-    cardStyle.borderLeftWidth = "3px";
-  } else if (label === "Warning") {
-    cardStyle.borderLeftColor = "#f97316";
-    cardStyle.borderLeftWidth = "3px";
-  } else {
-    cardStyle.borderLeftColor = "#16a34a";
-    cardStyle.borderLeftWidth = "3px";
-  }
-
   return (
     <div style={cardStyle}>
       <div style={styles.summaryCardLabel}>{label}</div>
       <div style={{ ...styles.summaryCardValue, color }}>{count}</div>
+      {detail && <div style={{ ...styles.summaryCardTrend, marginBottom: "6px" }}>{detail}</div>}
       <Sparkline data={sparklineData} color={color} />
     </div>
   );
@@ -621,15 +791,20 @@ function Sparkline({ data, color }) {
 
   const width = 100;
   const height = 30;
+  const max = Math.max(...data, 1);
   const points = data.map((val, idx) => ({
     x: (idx / (data.length - 1)) * width,
-    y: height - (val / Math.max(...data)) * height,
+    y: height - (val / max) * height,
   }));
 
-  const pathData = points.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`).join(" ");
-
   return (
-    <svg width={width} height={height} style={{ display: "block" }}>
+    <svg
+      width={width}
+      height={height}
+      style={{ display: "block" }}
+      role="img"
+      aria-label={`Trend over the last ${data.length} runs`}
+    >
       <polyline
         points={points.map((p) => `${p.x},${p.y}`).join(" ")}
         fill="none"
@@ -688,27 +863,70 @@ function BarChart({ data }) {
 // MAIN COMPONENT
 // ============================================================================
 
-export default function InventoryHealthPageEnhanced() {
-  const [records, setRecords] = useState([]);
-  const [filtered, setFiltered] = useState([]);
+export default function InventoryHealthPageEnhanced({
+  session = null,
+  tenant = null,
+  onTenantChange,
+  onLogout,
+}) {
+  const editable = !session || canEdit(session);
+  const [overview, setOverview] = useState(null); // unfiltered LatestPage: counts, facets
+  const [tablePage, setTablePage] = useState(null); // LatestPage for the table
+  const [criticalPage, setCriticalPage] = useState(null);
+  const [clearancePage, setClearancePage] = useState(null);
+  const [skuRows, setSkuRows] = useState(null); // { skuId, predictions }: the open SKU per store
   const [lastUpdated, setLastUpdated] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [darkMode, setDarkMode] = useState(() => localStorage.getItem("darkMode") === "true");
   const [showModal, setShowModal] = useState(false);
-
-  // Filters
-  const [storeFilter, setStoreFilter] = useState("ALL");
-  const [categoryFilter, setCategoryFilter] = useState("ALL");
-  const [search, setSearch] = useState("");
-  const [showCriticalOnly, setShowCriticalOnly] = useState(false);
-  const [sortField, setSortField] = useState("sku_id");
-  const [sortOrder, setSortOrder] = useState("asc");
+  const [showUpload, setShowUpload] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [policyConfig, setPolicyConfig] = useState(DEFAULT_POLICY_CONFIG);
+  const [liveMode, setLiveMode] = useState(() => localStorage.getItem("liveMode") !== "false");
+  const [liveStatus, setLiveStatus] = useState("off");
+  const [pendingUpdate, setPendingUpdate] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [detailKey, setDetailKey] = useState(() => readDetailKey(window.location.search));
+  const [detailOrigin, setDetailOrigin] = useState(null);
+  const [selectedRows, setSelectedRows] = useState([]);
+  const [showPurchaseOrders, setShowPurchaseOrders] = useState(false);
+  const [showRebalance, setShowRebalance] = useState(false);
+  const [showSimulator, setShowSimulator] = useState(false);
+  const [showAccess, setShowAccess] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [showDigest, setShowDigest] = useState(false);
+  const [tenants, setTenants] = useState([]);
+
+  // Filters, sort and page, starting from the URL (see tableState.js)
+  const [tableState, setTableState] = useState(() => readTableState(window.location.search));
+  const [searchInput, setSearchInput] = useState(tableState.search);
+  const { sortField, sortOrder, page } = tableState;
 
   const searchTimeoutRef = useRef(null);
   const abortControllerRef = useRef(null);
+  const hasDataRef = useRef(false);
+  const urlSyncedRef = useRef(false);
 
-  // Fetch data
+  const applyTableState = useCallback((state) => {
+    clearTimeout(searchTimeoutRef.current);
+    setTableState(state);
+    setSearchInput(state.search);
+  }, []);
+
+  const setPage = useCallback((value) => setTableState((s) => ({ ...s, page: value })), []);
+
+  // Filter changes start again from the first page
+  const changeFilter = (changes) => setTableState((s) => ({ ...s, ...changes, page: 0 }));
+
+  const applyLatest = useCallback((data) => {
+    setOverview(data);
+    setLastUpdated(data.last_updated);
+    setPendingUpdate(null);
+  }, []);
+
+  // Fetch the overview: counts and facets over every row, plus a single row.
+  // The table, side panels and drawer query their own rows when it changes.
   const fetchData = useCallback(async () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
@@ -719,17 +937,12 @@ export default function InventoryHealthPageEnhanced() {
     setError(null);
 
     try {
-      const res = await fetch(`${API_URL}/latest`, {
-        signal: abortControllerRef.current.signal,
-      });
-
-      if (!res.ok) throw new Error(`API error: ${res.status}`);
+      const data = await inventoryApi.queryLatest(
+        { limit: 1 },
+        { signal: abortControllerRef.current.signal }
+      );
 
-      const data = await res.json();
-      const recs = data.predictions || data.records || [];
-
-      setRecords(recs);
-      setLastUpdated(data.last_updated || (recs.length > 0 ? recs[0].last_updated : null));
+      applyLatest(data);
       setLoading(false);
     } catch (err) {
       if (err.name !== "AbortError") {
@@ -737,7 +950,7 @@ export default function InventoryHealthPageEnhanced() {
         setLoading(false);
       }
     }
-  }, []);
+  }, [applyLatest]);
 
   // Initial fetch
   useEffect(() => {
@@ -749,51 +962,183 @@ export default function InventoryHealthPageEnhanced() {
     };
   }, [fetchData]);
 
-  // Apply filters
   useEffect(() => {
-    let data = [...records];
+    hasDataRef.current = overview?.total > 0;
+  }, [overview]);
 
-    if (storeFilter !== "ALL") {
-      data = data.filter((r) => r.store_id === storeFilter);
+  // Live updates: new data waits in a banner so the table doesn't reshuffle
+  // under someone who is reading it
+  useEffect(() => {
+    localStorage.setItem("liveMode", liveMode);
+    if (!liveMode) {
+      setLiveStatus("off");
+      return undefined;
     }
 
-    if (categoryFilter !== "ALL") {
-      data = data.filter((r) => r.category === categoryFilter);
-    }
+    return inventoryApi.subscribe({
+      onModeChange: setLiveStatus,
+      onUpdate: (event) => {
+        if (hasDataRef.current) {
+          setPendingUpdate(event);
+        } else {
+          fetchData();
+        }
+      },
+    });
+  }, [liveMode, fetchData]);
+
+  // Tenants for the switcher (only shown with more than one)
+  const loadTenants = useCallback(() => {
+    if (!session) return;
+    inventoryApi
+      .listTenants()
+      .then(setTenants)
+      .catch(() => {
+        // No switcher; the current tenant keeps working.
+      });
+  }, [session]);
 
-    if (showCriticalOnly) {
-      data = data.filter((r) => r.status === "Critical");
-    }
+  useEffect(() => {
+    loadTenants();
+  }, [loadTenants]);
+
+  // Risk thresholds for the legend, explanation modal and detail drawer
+  useEffect(() => {
+    const controller = new AbortController();
+    inventoryApi
+      .getPolicy({ signal: controller.signal })
+      .then(setPolicyConfig)
+      .catch(() => {
+        // Keep showing the built-in defaults.
+      });
+    return () => controller.abort();
+  }, []);
 
-    if (search.trim()) {
-      const term = search.trim().toLowerCase();
-      data = data.filter((r) => r.sku_id.toLowerCase().includes(term));
+  // Status counts from past runs, refreshed whenever a new run arrives
+  useEffect(() => {
+    if (!lastUpdated) return undefined;
+
+    const controller = new AbortController();
+    inventoryApi
+      .getHistory({ limit: HISTORY_RUNS }, { signal: controller.signal })
+      .then(setHistory)
+      .catch(() => {
+        // Sparklines fall back to "No data"; the table is unaffected.
+      });
+    return () => controller.abort();
+  }, [lastUpdated]);
+
+  // Keep the table state and the open SKU in the URL so the view can be
+  // reloaded or shared. Every change after the first render is a history
+  // entry, so back/forward step through them (see popstate below).
+  useEffect(() => {
+    const { pathname, search: current, hash } = window.location;
+    const query = tableStateSearch(tableState, detailKey);
+    if (query !== current) {
+      const url = `${pathname}${query}${hash}`;
+      if (urlSyncedRef.current) window.history.pushState(null, "", url);
+      else window.history.replaceState(window.history.state, "", url);
     }
+    urlSyncedRef.current = true;
+  }, [tableState, detailKey]);
 
-    // Sorting
-    data.sort((a, b) => {
-      const aVal = a[sortField];
-      const bVal = b[sortField];
+  // Back/forward: restore the table and drawer from the URL
+  useEffect(() => {
+    const onPopState = () => {
+      applyTableState(readTableState(window.location.search));
+      setDetailKey(readDetailKey(window.location.search));
+      setDetailOrigin(null);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [applyTableState]);
 
-      if (typeof aVal === "string") {
-        return sortOrder === "asc" ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-      } else {
-        return sortOrder === "asc" ? aVal - bVal : bVal - aVal;
-      }
-    });
+  // Table rows: one page of /latest, filtered and sorted by the backend.
+  // Re-fetched when the filters change and when new data is applied.
+  useEffect(() => {
+    const controller = new AbortController();
+    inventoryApi
+      .queryLatest(latestQueryFor(tableState), { signal: controller.signal })
+      .then(setTablePage)
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message || "Failed to fetch data");
+      });
+    return () => controller.abort();
+  }, [overview, tableState]);
+
+  // Side panels: just the rows they list, re-fetched with new data
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    const keepLast = () => {
+      // The panel keeps what it showed; the table is unaffected.
+    };
+    inventoryApi.queryLatest(TOP_CRITICAL_QUERY, options).then(setCriticalPage).catch(keepLast);
+    inventoryApi
+      .queryLatest({ ...CLEARANCE_QUERY, limit: CLEARANCE_LISTED }, options)
+      .then(setClearancePage)
+      .catch(keepLast);
+    return () => controller.abort();
+  }, [overview]);
+
+  // The open SKU in every store, for the drawer and its store comparison
+  const detailSku = detailKey?.sku_id;
+  useEffect(() => {
+    if (!detailSku) return undefined;
+    const controller = new AbortController();
+    inventoryApi
+      .queryLatest({ skuId: detailSku }, { signal: controller.signal })
+      .then((data) => setSkuRows({ skuId: detailSku, predictions: data.predictions }))
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message || "Failed to fetch data");
+      });
+    return () => controller.abort();
+  }, [detailSku, overview]);
 
-    setFiltered(data);
-  }, [records, storeFilter, categoryFilter, search, showCriticalOnly, sortField, sortOrder]);
+  // Selected rows shown again get their refreshed values
+  useEffect(() => {
+    if (!tablePage) return;
+    const fresh = new Map(tablePage.predictions.map((r) => [rowKey(r), r]));
+    setSelectedRows((rows) => rows.map((r) => fresh.get(rowKey(r)) || r));
+  }, [tablePage]);
 
-  // Debounced search
+  // Back to the last page if a refresh left fewer rows than the current page
+  useEffect(() => {
+    if (tablePage && page > 0 && tablePage.total <= page * PAGE_SIZE) {
+      setPage(Math.max(0, Math.ceil(tablePage.total / PAGE_SIZE) - 1));
+    }
+  }, [tablePage, page, setPage]);
+
+  // Debounced search: the table query waits until typing pauses
   const handleSearchChange = (val) => {
-    setSearch(val);
+    setSearchInput(val);
     clearTimeout(searchTimeoutRef.current);
     searchTimeoutRef.current = setTimeout(() => {
-      // Search is applied in useEffect above
+      changeFilter({ search: val });
     }, SEARCH_DEBOUNCE_MS);
   };
 
+  useEffect(() => () => clearTimeout(searchTimeoutRef.current), []);
+
+  // CSV export covers every matching row, not just the page shown
+  const exportFiltered = async () => {
+    try {
+      const data = await inventoryApi.queryLatest(latestQueryFor(tableState, 0));
+      downloadCSV(data.predictions);
+    } catch (err) {
+      setError(err.message || "Failed to export data");
+    }
+  };
+
+  const exportClearance = async () => {
+    try {
+      const data = await inventoryApi.queryLatest(CLEARANCE_QUERY);
+      downloadCSV(data.predictions, "clearance_candidates.csv");
+    } catch (err) {
+      setError(err.message || "Failed to export data");
+    }
+  };
+
   // Dark mode
   useEffect(() => {
     localStorage.setItem("darkMode", darkMode);
@@ -813,32 +1158,103 @@ export default function InventoryHealthPageEnhanced() {
   }, [darkMode]);
 
   // Computed values
-  const stores = ["ALL", ...Array.from(new Set(records.map((r) => r.store_id)))];
-  const categories = ["ALL", ...Array.from(new Set(records.map((r) => r.category).filter(Boolean)))];
+  const filtered = tablePage ? tablePage.predictions : [];
+  const facets = tablePage?.facets;
+
+  // Filter options with how many rows each would show; selected values stay
+  // listed even when nothing matches them any more. Statuses keep their
+  // usual order.
+  const filterOptions = ({ key, field }) => {
+    if (field === "status") return STATUSES;
+    const values = Object.keys((facets || overview?.facets)?.[field] || {});
+    return [...new Set([...values, ...tableState[key]])].sort();
+  };
+
+  const chips = filterChips(tableState);
+  const knownValues = (field) => Object.keys(overview?.facets[field] || {}).sort();
+  const pageStart = tablePage ? tablePage.offset + 1 : 0;
+  const pageEnd = tablePage ? tablePage.offset + filtered.length : 0;
+
+  const policy = policyConfig.defaults;
+  const overrideCount =
+    Object.keys(policyConfig.categories).length + Object.keys(policyConfig.stores).length;
+
+  const countByStatus = (status) => overview?.facets.status[status] || 0;
+
+  // Capital tied up in Overstock / Dead Stock, where prices are known
+  const capitalAtRisk = (status) => overview?.capital_at_risk[status] || 0;
 
-  const countCritical = records.filter((r) => r.status === "Critical").length;
-  const countWarning = records.filter((r) => r.status === "Warning").length;
-  const countSafe = records.filter((r) => r.status === "Safe").length;
+  // Markdown / clearance candidates: most capital at risk first
+  const clearanceCandidates = clearancePage ? clearancePage.predictions : [];
+  const clearanceTotal = clearancePage ? clearancePage.total : 0;
 
-  const criticalByStore = records.reduce((acc, r) => {
-    if (r.status === "Critical") {
-      acc[r.store_id] = (acc[r.store_id] || 0) + 1;
+  const statusTrend = (status) => history.map((h) => h.counts[status] || 0);
+
+  const criticalByStore = criticalPage ? criticalPage.facets.store_id : {};
+  const topCritical = criticalPage ? criticalPage.predictions : [];
+
+  // SKU detail drawer. The origin is the table state the drawer was first
+  // opened from, so "Back to table" returns there even after switching stores.
+  const openDetail = (row) => {
+    if (!detailKey) {
+      setDetailOrigin(tableState);
     }
-    return acc;
-  }, {});
+    setDetailKey({ sku_id: row.sku_id, store_id: row.store_id });
+  };
+
+  const closeDetail = useCallback(() => {
+    setDetailKey(null);
+    setDetailOrigin(null);
+  }, []);
+
+  const backToTable = () => {
+    if (detailOrigin) applyTableState(detailOrigin);
+    closeDetail();
+  };
+
+  const applyView = (query) => {
+    applyTableState(readTableState(query));
+    closeDetail();
+  };
+
+  // Row selection for the PO builder, kept as rows so it spans pages.
+  const selectedKeys = selectedRows.map(rowKey);
+  const allFilteredSelected =
+    filtered.length > 0 && filtered.every((r) => selectedKeys.includes(rowKey(r)));
+
+  const toggleSelected = (row) => {
+    const key = rowKey(row);
+    setSelectedRows(
+      selectedKeys.includes(key)
+        ? selectedRows.filter((r) => rowKey(r) !== key)
+        : [...selectedRows, row]
+    );
+  };
+
+  const toggleAllFiltered = () => {
+    const keys = filtered.map(rowKey);
+    setSelectedRows(
+      allFilteredSelected
+        ? selectedRows.filter((r) => !keys.includes(rowKey(r)))
+        : [...selectedRows, ...filtered.filter((r) => !selectedKeys.includes(rowKey(r)))]
+    );
+  };
+
+  const detailLoaded = Boolean(detailKey) && skuRows?.skuId === detailKey.sku_id;
+  const detailPrediction =
+    detailLoaded && skuRows.predictions.find((r) => r.store_id === detailKey.store_id);
 
-  const topCritical = records
-    .filter((r) => r.status === "Critical")
-    .sort((a, b) => b.days_to_stockout - a.days_to_stockout)
-    .slice(0, 5);
+  // Close the drawer if the SKU it was showing is gone from that store
+  useEffect(() => {
+    if (detailLoaded && !detailPrediction) closeDetail();
+  }, [detailLoaded, detailPrediction, closeDetail]);
 
   // Handle sort
   const handleSort = (field) => {
     if (sortField === field) {
-      setSortOrder(sortOrder === "asc" ? "desc" : "asc");
+      changeFilter({ sortOrder: sortOrder === "asc" ? "desc" : "asc" });
     } else {
-      setSortField(field);
-      setSortOrder("asc");
+      changeFilter({ sortField: field, sortOrder: "asc" });
     }
   };
 
@@ -873,21 +1289,49 @@ export default function InventoryHealthPageEnhanced() {
             </div>
             <div style={styles.legend}>
               <div style={styles.legendItem}>
-                <div style={{ ...styles.legendColor, backgroundColor: "#dc2626" }} />
-                <span>Critical</span>
+                <div style={{ ...styles.legendColor, backgroundColor: STATUS_COLORS.Critical }} />
+                <span>Critical (&lt;{policy.critical_days}d)</span>
               </div>
               <div style={styles.legendItem}>
-                <div style={{ ...styles.legendColor, backgroundColor: "#f97316" }} />
-                <span>Warning</span>
+                <div style={{ ...styles.legendColor, backgroundColor: STATUS_COLORS.Warning }} />
+                <span>Warning (&lt;{policy.warning_days}d)</span>
               </div>
               <div style={styles.legendItem}>
-                <div style={{ ...styles.legendColor, backgroundColor: "#16a34a" }} />
+                <div style={{ ...styles.legendColor, backgroundColor: STATUS_COLORS.Safe }} />
                 <span>Safe</span>
               </div>
+              <div style={styles.legendItem}>
+                <div style={{ ...styles.legendColor, backgroundColor: STATUS_COLORS.Overstock }} />
+                <span>Overstock (≥{policy.overstock_days}d)</span>
+              </div>
+              <div style={styles.legendItem}>
+                <div
+                  style={{ ...styles.legendColor, backgroundColor: STATUS_COLORS["Dead Stock"] }}
+                />
+                <span>Dead Stock (≥{policy.dead_stock_days}d or no sales)</span>
+              </div>
+              {overrideCount > 0 && (
+                <div style={styles.legendItem} title="Some categories or stores use their own thresholds">
+                  <span>+{overrideCount} overrides</span>
+                </div>
+              )}
             </div>
+            {session && <SavedViews currentQuery={viewQuery(tableState)} onApply={applyView} />}
           </div>
 
           <div style={styles.headerActions}>
+            <button
+              style={styles.button}
+              onClick={() => setLiveMode(!liveMode)}
+              title={liveMode ? "Stop live updates" : "Start live updates"}
+              aria-label={liveMode ? "Stop live updates" : "Start live updates"}
+              aria-pressed={liveMode}
+            >
+              <span
+                style={{ ...styles.liveDot, backgroundColor: LIVE_STATUS_COLORS[liveStatus] }}
+              />
+              {LIVE_STATUS_LABELS[liveStatus]}
+            </button>
             <button
               style={styles.button}
               onClick={fetchData}
@@ -896,14 +1340,85 @@ export default function InventoryHealthPageEnhanced() {
             >
               ↻ Refresh
             </button>
+            {editable && (
+              <button
+                style={styles.button}
+                onClick={() => setShowUpload(true)}
+                title="Upload CSV or Excel"
+                aria-label="Upload an inventory sheet for prediction"
+              >
+                ↑ Upload
+              </button>
+            )}
             <button
               style={{ ...styles.button, ...styles.buttonPrimary }}
-              onClick={() => downloadCSV(filtered)}
+              onClick={exportFiltered}
               title="Download CSV"
               aria-label="Export filtered data as CSV"
             >
               ↓ Export
             </button>
+            <button
+              style={styles.button}
+              onClick={() => setShowPurchaseOrders(true)}
+              title={
+                selectedRows.length > 0
+                  ? "Create a purchase order from the selected rows"
+                  : "Purchase orders"
+              }
+              aria-label="Open purchase orders"
+            >
+              🧾 {selectedRows.length > 0 ? `Create PO (${selectedRows.length})` : "POs"}
+            </button>
+            {editable && (
+              <button
+                style={styles.button}
+                onClick={() => setShowSimulator(true)}
+                disabled={selectedRows.length === 0}
+                title={
+                  selectedRows.length > 0
+                    ? "Simulate stock, receipt and demand changes for the selected rows"
+                    : "Select rows to simulate"
+                }
+                aria-label="Open the what-if simulator"
+              >
+                🔮 What-if{selectedRows.length > 0 ? ` (${selectedRows.length})` : ""}
+              </button>
+            )}
+            <button
+              style={styles.button}
+              onClick={() => setShowSettings(true)}
+              title="Risk thresholds"
+              aria-label="Edit risk thresholds"
+            >
+              ⚙ Settings
+            </button>
+            <button
+              style={styles.button}
+              onClick={() => setShowAlerts(true)}
+              title="Alert rules and history"
+              aria-label="Manage alert rules"
+            >
+              🔔 Alerts
+            </button>
+            <button
+              style={styles.button}
+              onClick={() => setShowDigest(true)}
+              title="Daily digest subscriptions and archive"
+              aria-label="Manage daily digests"
+            >
+              📰 Digest
+            </button>
+            {canAdmin(session) && (
+              <button
+                style={styles.button}
+                onClick={() => setShowAccess(true)}
+                title="Users and API keys"
+                aria-label="Manage users and API keys"
+              >
+                🔑 Access
+              </button>
+            )}
             <button
               style={{ ...styles.button, fontSize: "12px" }}
               onClick={() => setShowModal(true)}
@@ -929,6 +1444,36 @@ export default function InventoryHealthPageEnhanced() {
                 }}
               />
             </button>
+            {tenants.length > 1 && (
+              <select
+                style={styles.select}
+                value={tenant || ""}
+                onChange={(e) => onTenantChange(e.target.value)}
+                title="Organization"
+                aria-label="Switch tenant"
+              >
+                {tenants.map((t) => (
+                  <option key={t.tenant_id} value={t.tenant_id}>
+                    {t.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            {session && (
+              <>
+                <span style={styles.lastUpdated} title="Signed in">
+                  {session.username} · {ROLE_LABELS[session.role] || session.role}
+                </span>
+                <button
+                  style={styles.button}
+                  onClick={onLogout}
+                  title="Sign out"
+                  aria-label="Sign out"
+                >
+                  Log out
+                </button>
+              </>
+            )}
           </div>
         </div>
 
@@ -946,8 +1491,29 @@ export default function InventoryHealthPageEnhanced() {
           </div>
         )}
 
+        {/* NEW DATA BANNER */}
+        {pendingUpdate && (
+          <div style={styles.updateBanner} role="status">
+            <span>
+              New data available: {pendingUpdate.count} items, updated{" "}
+              {formatDate(pendingUpdate.last_updated)}
+            </span>
+            <div style={{ display: "flex", gap: "8px" }}>
+              <button
+                style={{ ...styles.button, ...styles.buttonPrimary }}
+                onClick={fetchData}
+              >
+                Show latest
+              </button>
+              <button style={styles.button} onClick={() => setPendingUpdate(null)}>
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* LOADING STATE */}
-        {loading && records.length === 0 ? (
+        {loading && !overview ? (
           <div>
             <div style={styles.summaryRow}>
               {[1, 2, 3].map((i) => (
@@ -976,66 +1542,60 @@ export default function InventoryHealthPageEnhanced() {
           <>
             {/* FILTERS */}
             <div style={styles.filterRow}>
-              <div style={styles.filterGroup}>
-                <label htmlFor="store-filter" style={styles.filterLabel}>
-                  Store:
-                </label>
-                <select
-                  id="store-filter"
-                  style={styles.select}
-                  value={storeFilter}
-                  onChange={(e) => setStoreFilter(e.target.value)}
-                  aria-label="Filter by store"
-                >
-                  {stores.map((s) => (
-                    <option key={s} value={s}>
-                      {s}
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              <div style={styles.filterGroup}>
-                <label htmlFor="category-filter" style={styles.filterLabel}>
-                  Category:
-                </label>
-                <select
-                  id="category-filter"
-                  style={styles.select}
-                  value={categoryFilter}
-                  onChange={(e) => setCategoryFilter(e.target.value)}
-                  aria-label="Filter by category"
-                >
-                  {categories.map((c) => (
-                    <option key={c} value={c}>
-                      {c}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              {LIST_FILTERS.map((filter) => (
+                <div key={filter.key} style={styles.filterGroup}>
+                  <label htmlFor={`${filter.key}-filter`} style={styles.filterLabel}>
+                    {filter.label}:
+                  </label>
+                  <MultiSelect
+                    id={`${filter.key}-filter`}
+                    label={`Filter by ${filter.label.toLowerCase()}`}
+                    options={filterOptions(filter)}
+                    selected={tableState[filter.key]}
+                    counts={facets?.[filter.field]}
+                    onChange={(values) => changeFilter({ [filter.key]: values })}
+                  />
+                </div>
+              ))}
 
               <div style={styles.filterGroup}>
                 <label htmlFor="search-sku" style={styles.filterLabel}>
-                  Search SKU:
+                  Search:
                 </label>
                 <input
                   id="search-sku"
                   type="text"
                   style={styles.input}
-                  placeholder="e.g., TSHIRT_RED_M"
-                  value={search}
+                  placeholder="SKU, name or category"
+                  value={searchInput}
                   onChange={(e) => handleSearchChange(e.target.value)}
-                  aria-label="Search by SKU"
+                  aria-label="Search by SKU, name or category"
                 />
               </div>
 
+              {RANGE_FILTERS.map(({ field, label }) => (
+                <div key={field} style={styles.filterGroup}>
+                  <label htmlFor={`${field}-range-min`} style={styles.filterLabel}>
+                    {label}:
+                  </label>
+                  <RangeFilter
+                    id={`${field}-range`}
+                    label={label}
+                    range={tableState.ranges[field]}
+                    onChange={(bound, value) =>
+                      changeFilter({ ranges: withRange(tableState.ranges, field, bound, value) })
+                    }
+                  />
+                </div>
+              ))}
+
               <div style={styles.filterGroup}>
                 <label style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" }}>
                   <input
                     type="checkbox"
                     style={styles.checkbox}
-                    checked={showCriticalOnly}
-                    onChange={(e) => setShowCriticalOnly(e.target.checked)}
+                    checked={tableState.statuses.length === 1 && tableState.statuses[0] === "Critical"}
+                    onChange={(e) => changeFilter({ statuses: e.target.checked ? ["Critical"] : [] })}
                     aria-label="Show critical items only"
                   />
                   <span style={{ fontSize: "13px", fontWeight: "500" }}>
@@ -1045,30 +1605,34 @@ export default function InventoryHealthPageEnhanced() {
               </div>
             </div>
 
+            <FilterChips
+              chips={chips}
+              onRemove={(chip) => applyTableState(chip.remove(tableState))}
+              onClearAll={() =>
+                applyTableState({ ...DEFAULT_TABLE_STATE, sortField, sortOrder })
+              }
+            />
+
             {/* SUMMARY CARDS */}
             <div style={styles.summaryRow}>
-              <SummaryCard
-                label="Critical"
-                count={countCritical}
-                color="#dc2626"
-                sparklineData={[0, countCritical * 0.5, countCritical]}
-              />
-              <SummaryCard
-                label="Warning"
-                count={countWarning}
-                color="#f97316"
-                sparklineData={[0, countWarning * 0.4, countWarning]}
-              />
-              <SummaryCard
-                label="Safe"
-                count={countSafe}
-                color="#16a34a"
-                sparklineData={[0, countSafe * 0.6, countSafe]}
-              />
+              {STATUSES.map((status) => (
+                <SummaryCard
+                  key={status}
+                  label={status}
+                  count={countByStatus(status)}
+                  color={STATUS_COLORS[status]}
+                  sparklineData={statusTrend(status)}
+                  detail={
+                    CLEARANCE_STATUSES.includes(status) && capitalAtRisk(status) > 0
+                      ? `${formatMoney(capitalAtRisk(status))} tied up`
+                      : null
+                  }
+                />
+              ))}
             </div>
 
             {/* MAIN CONTENT */}
-            {filtered.length === 0 ? (
+            {tablePage && tablePage.total === 0 ? (
               <div style={styles.emptyState}>
                 <div style={{ fontSize: "16px", fontWeight: "500", marginBottom: "8px" }}>
                   No records found
@@ -1084,6 +1648,16 @@ export default function InventoryHealthPageEnhanced() {
                   <table style={styles.table}>
                     <thead style={styles.thead}>
                       <tr>
+                        {editable && (
+                          <th style={{ ...styles.th, cursor: "default" }}>
+                            <input
+                              type="checkbox"
+                              checked={allFilteredSelected}
+                              onChange={toggleAllFiltered}
+                              aria-label="Select all rows shown"
+                            />
+                          </th>
+                        )}
                         <th style={styles.th} onClick={() => handleSort("sku_id")}>
                           <div style={styles.thSortable}>
                             SKU {sortField === "sku_id" && (sortOrder === "asc" ? "↑" : "↓")}
@@ -1104,6 +1678,16 @@ export default function InventoryHealthPageEnhanced() {
                             {sortField === "days_to_stockout" && (sortOrder === "asc" ? "↑" : "↓")}
                           </div>
                         </th>
+                        <th
+                          style={styles.th}
+                          onClick={() => handleSort("stockout_probability")}
+                        >
+                          <div style={styles.thSortable}>
+                            Stockout Risk{" "}
+                            {sortField === "stockout_probability" &&
+                              (sortOrder === "asc" ? "↑" : "↓")}
+                          </div>
+                        </th>
                         <th style={styles.th}>Status</th>
                         <th
                           style={styles.th}
@@ -1127,6 +1711,12 @@ export default function InventoryHealthPageEnhanced() {
                             ...styles.tdRow,
                             ...(row.status === "Critical" && styles.tdRowCritical),
                           }}
+                          tabIndex={0}
+                          title="Show details"
+                          onClick={() => openDetail(row)}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") openDetail(row);
+                          }}
                           onMouseEnter={(e) => {
                             e.currentTarget.style.backgroundColor =
                               "var(--bg-tertiary, #f9fafb)";
@@ -1135,34 +1725,106 @@ export default function InventoryHealthPageEnhanced() {
                             e.currentTarget.style.backgroundColor = "transparent";
                           }}
                         >
-                          <td style={styles.td}>{row.sku_id}</td>
+                          {editable && (
+                            <td style={styles.td} onClick={(e) => e.stopPropagation()}>
+                              <input
+                                type="checkbox"
+                                checked={selectedKeys.includes(rowKey(row))}
+                                onChange={() => toggleSelected(row)}
+                                onKeyDown={(e) => e.stopPropagation()}
+                                aria-label={`Select ${row.sku_id} in ${row.store_id}`}
+                              />
+                            </td>
+                          )}
+                          <td style={styles.td}>
+                            {row.sku_id}
+                            {row.promotion_active && (
+                              <span style={styles.promoTag} title="Promotion running">
+                                PROMO
+                              </span>
+                            )}
+                          </td>
                           <td style={styles.td}>{row.store_id}</td>
                           <td style={styles.td}>{row.current_stock}</td>
                           <td
                             style={styles.td}
-                            title={`Avg daily sales: ${row.avg_daily_sales?.toFixed(
-                              2
-                            ) || "0"}, Current stock: ${row.current_stock}`}
+                            title={
+                              stockoutReasonLabel(row) ||
+                              `Avg daily sales: ${row.avg_daily_sales?.toFixed(2) || "0"}, ` +
+                                `Current stock: ${row.current_stock}`
+                            }
                           >
                             <span style={styles.tooltip}>
-                              {row.days_to_stockout === Infinity
-                                ? "∞"
-                                : row.days_to_stockout?.toFixed(1) || "0"}
+                              {formatStockoutDays(row.days_to_stockout)}
                               <span style={styles.tooltipText}>
                                 Avg: {row.avg_daily_sales?.toFixed(2)}/day
                               </span>
                             </span>
+                            {isDemandAdjusted(row) && (
+                              <span
+                                style={styles.cellNote}
+                                title={`Demand × ${row.demand_multiplier} for price/promotion`}
+                              >
+                                baseline {formatStockoutDays(row.baseline_days_to_stockout)}
+                              </span>
+                            )}
+                            {formatStockoutRange(row) && (
+                              <span
+                                style={styles.cellNote}
+                                title="10% chance of running out before the first day, 90% before the second"
+                              >
+                                P10–P90 {formatStockoutRange(row)}
+                              </span>
+                            )}
+                          </td>
+                          <td style={styles.td}>
+                            <span style={{ color: riskColor(row.stockout_probability) }}>
+                              {formatStockoutProbability(row.stockout_probability)}
+                            </span>
+                            {row.stockout_horizon_days != null && (
+                              <span style={styles.cellNote}>
+                                within {row.stockout_horizon_days} days
+                              </span>
+                            )}
                           </td>
                           <td style={styles.td}>
                             <StatusBadge status={row.status} />
                           </td>
                           <td style={styles.td}>
                             {row.recommended_reorder_quantity || "0"}
+                            {describeReorder(row) && (
+                              <span style={styles.cellNote}>{describeReorder(row)}</span>
+                            )}
                           </td>
                         </tr>
                       ))}
                     </tbody>
                   </table>
+                  {tablePage && (
+                    <div style={styles.pagination}>
+                      <span aria-live="polite">
+                        {pageStart}–{pageEnd} of {tablePage.total}
+                      </span>
+                      <div style={{ display: "flex", gap: "8px" }}>
+                        <button
+                          style={styles.button}
+                          onClick={() => setPage(page - 1)}
+                          disabled={page === 0}
+                          aria-label="Previous page"
+                        >
+                          ‹ Prev
+                        </button>
+                        <button
+                          style={styles.button}
+                          onClick={() => setPage(page + 1)}
+                          disabled={tablePage.next_offset == null}
+                          aria-label="Next page"
+                        >
+                          Next ›
+                        </button>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {/* ANALYTICS PANEL */}
@@ -1175,6 +1837,13 @@ export default function InventoryHealthPageEnhanced() {
                           <div
                             key={`${item.store_id}-${item.sku_id}`}
                             style={styles.criticalItem}
+                            role="button"
+                            tabIndex={0}
+                            title="Show details"
+                            onClick={() => openDetail(item)}
+                            onKeyDown={(e) => {
+                              if (e.key === "Enter" || e.key === " ") openDetail(item);
+                            }}
                             onMouseEnter={(e) => {
                               e.currentTarget.style.backgroundColor = "#fee2e2";
                               e.currentTarget.style.borderColor = "#dc2626";
@@ -1199,7 +1868,7 @@ export default function InventoryHealthPageEnhanced() {
                                 color: "var(--text-secondary, #6b7280)",
                               }}
                             >
-                              {item.store_id} • Days: {item.days_to_stockout?.toFixed(1)}
+                              {item.store_id} • Days: {formatStockoutDays(item.days_to_stockout)}
                             </div>
                           </div>
                         ))
@@ -1216,6 +1885,63 @@ export default function InventoryHealthPageEnhanced() {
                     <div style={styles.chartContainer}>
                       <BarChart data={criticalByStore} />
                     </div>
+                    <button
+                      style={{ ...styles.button, width: "100%", justifyContent: "center", marginTop: "12px" }}
+                      onClick={() => setShowRebalance(true)}
+                      title="Move stock from overstocked stores to stores at risk"
+                    >
+                      ⇄ Rebalance
+                    </button>
+                  </div>
+
+                  <div style={styles.analyticsCard}>
+                    <div style={styles.analyticsTitle}>Clearance Candidates</div>
+                    <div style={styles.criticalList}>
+                      {clearanceCandidates.length > 0 ? (
+                        clearanceCandidates.map((item) => (
+                          <div
+                            key={`${item.store_id}-${item.sku_id}`}
+                            style={styles.criticalItem}
+                            role="button"
+                            tabIndex={0}
+                            title="Show details"
+                            onClick={() => openDetail(item)}
+                            onKeyDown={(e) => {
+                              if (e.key === "Enter" || e.key === " ") openDetail(item);
+                            }}
+                          >
+                            <div style={{ display: "flex", justifyContent: "space-between" }}>
+                              <span style={{ fontWeight: "600" }}>{item.sku_id}</span>
+                              <StatusBadge status={item.status} />
+                            </div>
+                            <div
+                              style={{
+                                fontSize: "11px",
+                                color: "var(--text-secondary, #6b7280)",
+                                marginTop: "2px",
+                              }}
+                            >
+                              {item.store_id} • {item.excess_units} excess
+                              {item.capital_at_risk != null &&
+                                ` • ${formatMoney(item.capital_at_risk)} at risk`}
+                            </div>
+                          </div>
+                        ))
+                      ) : (
+                        <div style={{ fontSize: "12px", color: "#6b7280" }}>
+                          No overstock or dead stock
+                        </div>
+                      )}
+                    </div>
+                    {clearanceTotal > 0 && (
+                      <button
+                        style={{ ...styles.button, width: "100%", justifyContent: "center", marginTop: "12px" }}
+                        onClick={exportClearance}
+                        title="Download every Overstock and Dead Stock item"
+                      >
+                        ↓ Export {clearanceTotal} candidates
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1243,12 +1969,17 @@ export default function InventoryHealthPageEnhanced() {
                 The Smart Inventory system analyzes sales trends over the last 30
                 days to predict stockout risk. It calculates average daily sales,
                 estimates days until stock runs out, and recommends reorder
-                quantities to maintain a 14-day buffer.
+                quantities to maintain a {policy.target_days}-day buffer.
               </p>
               <p style={styles.modalText}>
-                <strong>Status Levels:</strong> Critical items have &lt;3 days of
-                stock remaining. Warning items have &lt;7 days. Safe items have
-                adequate inventory.
+                <strong>Status Levels:</strong> Critical items have &lt;
+                {policy.critical_days} days of stock remaining. Warning items have
+                &lt;{policy.warning_days} days. Safe items have adequate inventory.
+                Overstock items hold {policy.overstock_days}+ days of stock and Dead Stock
+                items {policy.dead_stock_days}+ days (or are not selling); their excess
+                over the {policy.target_days}-day buffer is shown as capital at risk.
+                {overrideCount > 0 &&
+                  ` Some categories or stores use their own thresholds (${overrideCount} overrides, see Settings).`}
               </p>
               <button
                 style={styles.modalButton}
@@ -1260,6 +1991,91 @@ export default function InventoryHealthPageEnhanced() {
             </div>
           </div>
         )}
+
+        {/* SETTINGS */}
+        {showSettings && (
+          <SettingsPanel
+            config={policyConfig}
+            knownCategories={knownValues("category")}
+            knownStores={knownValues("store_id")}
+            onClose={() => setShowSettings(false)}
+            onSaved={setPolicyConfig}
+            readOnly={!editable}
+          />
+        )}
+
+        {/* UPLOAD */}
+        {showUpload && (
+          <UploadPanel onClose={() => setShowUpload(false)} onUploaded={fetchData} />
+        )}
+
+        {/* PURCHASE ORDERS */}
+        {showPurchaseOrders && (
+          <PurchaseOrderPanel
+            selectedRows={selectedRows}
+            onClose={() => setShowPurchaseOrders(false)}
+            onSaved={() => setSelectedRows([])}
+            onChanged={fetchData}
+            canEdit={editable}
+          />
+        )}
+
+        {/* WHAT-IF */}
+        {showSimulator && (
+          <SimulatorPanel selectedRows={selectedRows} onClose={() => setShowSimulator(false)} />
+        )}
+
+        {/* REBALANCE */}
+        {showRebalance && (
+          <RebalancePanel onClose={() => setShowRebalance(false)} canEdit={editable} />
+        )}
+
+        {/* ACCESS */}
+        {showAccess && (
+          <AccessPanel
+            currentUser={session.username}
+            currentTenant={tenant}
+            onClose={() => setShowAccess(false)}
+            onTenantsChanged={loadTenants}
+          />
+        )}
+
+        {/* ALERTS */}
+        {showAlerts && (
+          <AlertsPanel
+            canEdit={editable}
+            knownStores={knownValues("store_id")}
+            knownCities={knownValues("city")}
+            knownCategories={knownValues("category")}
+            onClose={() => setShowAlerts(false)}
+          />
+        )}
+
+        {/* DAILY DIGEST */}
+        {showDigest && (
+          <DigestPanel
+            canEdit={editable}
+            knownStores={knownValues("store_id")}
+            onClose={() => setShowDigest(false)}
+          />
+        )}
+
+        {/* SKU DETAIL DRAWER */}
+        {detailPrediction && (
+          <SkuDetailDrawer
+            prediction={detailPrediction}
+            policy={resolvePolicy(
+              policyConfig,
+              detailPrediction.category,
+              detailPrediction.store_id
+            )}
+            records={skuRows.predictions}
+            originLabel={detailOrigin && describeTableState(detailOrigin)}
+            onBack={backToTable}
+            onClose={closeDetail}
+            onSelect={openDetail}
+          />
+        )}
       </div>
     </div>
   );
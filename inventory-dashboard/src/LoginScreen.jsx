@@ -0,0 +1,145 @@
+/**
+ * LoginScreen.jsx
+ *
+ * Username / password form shown until the user has a session
+ * (POST /auth/login). Accounts are created by an admin in the Access panel.
+ */
+
+import React, { useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+
+const styles = {
+  page: {
+    minHeight: "100vh",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "var(--bg-primary, #f9fafb)",
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  },
+
+  card: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(360px, 90vw)",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.08)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "4px",
+  },
+
+  subtitle: {
+    fontSize: "13px",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "24px",
+  },
+
+  label: {
+    display: "block",
+    fontSize: "13px",
+    fontWeight: "500",
+    marginBottom: "4px",
+  },
+
+  input: {
+    width: "100%",
+    padding: "8px 12px",
+    marginBottom: "16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    boxSizing: "border-box",
+  },
+
+  button: {
+    width: "100%",
+    padding: "10px 16px",
+    borderRadius: "6px",
+    border: "none",
+    backgroundColor: "#3b82f6",
+    color: "white",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    marginBottom: "16px",
+  },
+};
+
+export default function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      onLogin(await inventoryApi.login(username.trim(), password));
+    } catch (err) {
+      setError(err.status === 401 ? "Wrong username or password." : err.message || "Login failed");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div style={styles.page}>
+      <form style={styles.card} onSubmit={handleSubmit} aria-labelledby="login-title">
+        <div style={styles.title} id="login-title">
+          Smart Inventory Health
+        </div>
+        <div style={styles.subtitle}>Sign in to continue</div>
+
+        {error && (
+          <div style={styles.errorText} role="alert">
+            ⚠️ {error}
+          </div>
+        )}
+
+        <label htmlFor="login-username" style={styles.label}>
+          Username
+        </label>
+        <input
+          id="login-username"
+          style={styles.input}
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          required
+        />
+
+        <label htmlFor="login-password" style={styles.label}>
+          Password
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          style={styles.input}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+
+        <button type="submit" style={styles.button} disabled={busy}>
+          {busy ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,508 @@
+/**
+ * PurchaseOrderPanel.jsx
+ *
+ * Modal for purchase orders (/purchase-orders):
+ * - New PO: the rows selected in the table, grouped by supplier and store,
+ *   with editable quantities; saves one draft PO per group
+ * - Orders: every PO with its status, Submit / Mark received / Delete, and
+ *   CSV / printable PDF export
+ *
+ * Submitted POs count as stock on order in /latest, so the items stop
+ * showing up as needing reorder.
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { inventoryApi, openLink } from "./inventoryApi";
+import {
+  PO_NEXT_STATUS,
+  PO_STATUS_LABELS,
+  groupSelectedRows,
+  purchaseOrderTotals,
+  toPurchaseOrderDrafts,
+} from "./purchaseOrders";
+
+const STATUS_COLORS = {
+  draft: { backgroundColor: "#f3f4f6", color: "#374151" },
+  submitted: { backgroundColor: "#dbeafe", color: "#1e40af" },
+  received: { backgroundColor: "#dcfce7", color: "#166534" },
+};
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(820px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  tabs: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  group: {
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    padding: "12px 16px",
+    marginBottom: "12px",
+  },
+
+  groupHeader: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    marginBottom: "8px",
+    fontSize: "14px",
+    fontWeight: "600",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "4px 8px",
+  },
+
+  input: {
+    width: "80px",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  supplierInput: {
+    width: "200px",
+  },
+
+  statusPill: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: "9999px",
+    fontSize: "12px",
+    fontWeight: "600",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  rowActions: {
+    display: "flex",
+    gap: "6px",
+    justifyContent: "flex-end",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+const formatMoney = (value) => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// ============================================================================
+// NEW PO
+// ============================================================================
+
+function PurchaseOrderBuilder({ rows, onSaved }) {
+  const [groups, setGroups] = useState(() => groupSelectedRows(rows));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const updateGroup = (key, update) =>
+    setGroups(groups.map((g) => (g.key === key ? { ...g, ...update(g) } : g)));
+
+  const setQuantity = (key, skuId, value) =>
+    updateGroup(key, (g) => ({
+      lines: g.lines.map((l) =>
+        l.sku_id === skuId ? { ...l, quantity: Math.max(0, Math.floor(Number(value) || 0)) } : l
+      ),
+    }));
+
+  const drafts = toPurchaseOrderDrafts(groups);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = [];
+      for (const draft of drafts) {
+        saved.push(await inventoryApi.createPurchaseOrder(draft));
+      }
+      onSaved(saved);
+    } catch (err) {
+      setError(err.message || "Failed to save purchase orders");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <p style={styles.text}>
+        Quantities start at the recommended reorder quantity. Lines set to 0 are left out.
+        One draft PO is saved per supplier and store.
+      </p>
+
+      {groups.map((group) => {
+        const totals = purchaseOrderTotals(group.lines);
+        return (
+          <div key={group.key} style={styles.group}>
+            <div style={styles.groupHeader}>
+              <span>{group.store_id}</span>
+              <input
+                style={{ ...styles.input, ...styles.supplierInput }}
+                value={group.supplier}
+                placeholder="Supplier"
+                onChange={(e) => updateGroup(group.key, () => ({ supplier: e.target.value }))}
+                aria-label={`Supplier for ${group.store_id}`}
+              />
+              <span style={styles.muted}>
+                {totals.units} units
+                {totals.value > 0 ? ` · ${formatMoney(totals.value)}` : ""}
+              </span>
+            </div>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>SKU</th>
+                  <th style={styles.th}>Suggested</th>
+                  <th style={styles.th}>Quantity</th>
+                  <th style={styles.th}>Unit price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.lines.map((line) => (
+                  <tr key={line.sku_id}>
+                    <td style={styles.td}>
+                      {line.sku_id}
+                      {line.sku_name && <div style={styles.muted}>{line.sku_name}</div>}
+                    </td>
+                    <td style={styles.td}>{line.suggested}</td>
+                    <td style={styles.td}>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        style={styles.input}
+                        value={line.quantity}
+                        onChange={(e) => setQuantity(group.key, line.sku_id, e.target.value)}
+                        aria-label={`Quantity for ${line.sku_id} in ${group.store_id}`}
+                      />
+                    </td>
+                    <td style={styles.td}>{line.unit_price ?? "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+
+      <div style={styles.actions}>
+        <button
+          style={{ ...styles.button, ...styles.buttonPrimary }}
+          onClick={handleSave}
+          disabled={saving || drafts.length === 0}
+        >
+          {saving
+            ? "Saving…"
+            : `Save ${drafts.length} draft PO${drafts.length === 1 ? "" : "s"}`}
+        </button>
+      </div>
+    </>
+  );
+}
+
+// ============================================================================
+// ORDERS
+// ============================================================================
+
+function PurchaseOrderList({ highlight, onChanged, canEdit }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setOrders(await inventoryApi.listPurchaseOrders());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load purchase orders");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (poId, action) => {
+    setBusy(poId);
+    setError(null);
+    try {
+      await action();
+      await load();
+      onChanged();
+    } catch (err) {
+      setError(err.message || "Action failed");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  // Exports open with a one-use ticket, so the session never goes in a URL.
+  const openExport = (poId, format) => {
+    setError(null);
+    openLink(inventoryApi.purchaseOrderExportUrl(poId, format), {
+      newTab: format === "pdf",
+    }).catch((err) => setError(err.message || "Export failed"));
+  };
+
+  if (loading) return <p style={styles.text}>Loading purchase orders…</p>;
+
+  return (
+    <>
+      {orders.length === 0 ? (
+        <p style={styles.text}>
+          No purchase orders yet. Select rows in the table and choose Create PO.
+        </p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>PO</th>
+              <th style={styles.th}>Store</th>
+              <th style={styles.th}>Supplier</th>
+              <th style={styles.th}>Lines</th>
+              <th style={styles.th}>Units</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((po) => {
+              const next = PO_NEXT_STATUS[po.status];
+              const isNew = highlight.includes(po.po_id);
+              return (
+                <tr
+                  key={po.po_id}
+                  style={isNew ? { backgroundColor: "var(--bg-tertiary, #f9fafb)" } : undefined}
+                >
+                  <td style={styles.td}>{po.po_id}</td>
+                  <td style={styles.td}>{po.store_id}</td>
+                  <td style={styles.td}>{po.supplier || "-"}</td>
+                  <td style={styles.td}>{po.lines.length}</td>
+                  <td style={styles.td}>{purchaseOrderTotals(po.lines).units}</td>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.statusPill, ...STATUS_COLORS[po.status] }}>
+                      {PO_STATUS_LABELS[po.status] || po.status}
+                    </span>
+                  </td>
+                  <td style={styles.td}>
+                    <div style={styles.rowActions}>
+                      {canEdit && next && (
+                        <button
+                          style={{ ...styles.button, ...styles.buttonSmall }}
+                          disabled={busy === po.po_id}
+                          onClick={() =>
+                            runAction(po.po_id, () =>
+                              inventoryApi.setPurchaseOrderStatus(po.po_id, next.status)
+                            )
+                          }
+                        >
+                          {next.label}
+                        </button>
+                      )}
+                      {canEdit && po.status === "draft" && (
+                        <button
+                          style={{ ...styles.button, ...styles.buttonSmall }}
+                          disabled={busy === po.po_id}
+                          onClick={() =>
+                            runAction(po.po_id, () => inventoryApi.deletePurchaseOrder(po.po_id))
+                          }
+                          aria-label={`Delete ${po.po_id}`}
+                        >
+                          Delete
+                        </button>
+                      )}
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        onClick={() => openExport(po.po_id, "csv")}
+                      >
+                        CSV
+                      </button>
+                      <button
+                        style={{ ...styles.button, ...styles.buttonSmall }}
+                        onClick={() => openExport(po.po_id, "pdf")}
+                      >
+                        PDF
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+export default function PurchaseOrderPanel({
+  selectedRows,
+  onClose,
+  onSaved,
+  onChanged,
+  canEdit = true,
+}) {
+  const [tab, setTab] = useState(canEdit && selectedRows.length > 0 ? "new" : "orders");
+  const [justSaved, setJustSaved] = useState([]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const tabButton = (key, label) => (
+    <button
+      style={{ ...styles.button, ...styles.buttonSmall, ...(tab === key && styles.buttonPrimary) }}
+      onClick={() => setTab(key)}
+      aria-pressed={tab === key}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="po-title"
+      >
+        <div style={styles.title} id="po-title">
+          Purchase orders
+        </div>
+
+        <div style={styles.tabs}>
+          {canEdit &&
+            selectedRows.length > 0 &&
+            tabButton("new", `New PO (${selectedRows.length} selected)`)}
+          {tabButton("orders", "Orders")}
+        </div>
+
+        {tab === "new" ? (
+          <PurchaseOrderBuilder
+            rows={selectedRows}
+            onSaved={(saved) => {
+              setJustSaved(saved.map((po) => po.po_id));
+              setTab("orders");
+              onSaved();
+            }}
+          />
+        ) : (
+          <PurchaseOrderList highlight={justSaved} onChanged={onChanged} canEdit={canEdit} />
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,521 @@
+/**
+ * RebalancePanel.jsx
+ *
+ * Modal for moving stock between stores instead of reordering:
+ * - Suggestions (/transfers/suggestions): Critical/Warning stores paired
+ *   with stores overstocked on the same SKU, same city first, with
+ *   quantities that even out days of cover. Edit, export as CSV or turn
+ *   the selected moves into transfer orders (one per store pair).
+ * - Transfer orders (/transfer-orders): draft -> shipped -> received.
+ */
+
+import React, { useCallback, useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import StatusBadge from "./StatusBadge";
+import {
+  TRANSFER_NEXT_STATUS,
+  TRANSFER_STATUS_LABELS,
+  suggestionKey,
+  toTransferOrderDrafts,
+  transfersCsv,
+} from "./transfers";
+
+const STATUS_COLORS = {
+  draft: { backgroundColor: "#f3f4f6", color: "#374151" },
+  shipped: { backgroundColor: "#dbeafe", color: "#1e40af" },
+  received: { backgroundColor: "#dcfce7", color: "#166534" },
+};
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(920px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  tabs: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f3f4f6",
+  },
+
+  input: {
+    width: "70px",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+  },
+
+  cityTag: {
+    display: "inline-block",
+    marginLeft: "6px",
+    padding: "1px 6px",
+    borderRadius: "4px",
+    fontSize: "10px",
+    fontWeight: "600",
+    backgroundColor: "#dcfce7",
+    color: "#166534",
+  },
+
+  statusPill: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: "9999px",
+    fontSize: "12px",
+    fontWeight: "600",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  rowActions: {
+    display: "flex",
+    gap: "6px",
+    justifyContent: "flex-end",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+const formatDays = (days) => (Number.isFinite(days) ? `${days.toFixed(1)}d` : "∞");
+
+const downloadText = (text, filename) => {
+  const blob = new Blob([text], { type: "text/csv;charset=utf-8;" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+// ============================================================================
+// SUGGESTIONS
+// ============================================================================
+
+function TransferSuggestions({ onCreated, canEdit }) {
+  const [suggestions, setSuggestions] = useState(null);
+  const [excluded, setExcluded] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    inventoryApi
+      .getTransferSuggestions()
+      .then((data) => !cancelled && setSuggestions(data))
+      .catch((err) => !cancelled && setError(err.message || "Failed to load suggestions"));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!suggestions) {
+    return error ? (
+      <div style={styles.errorText}>⚠️ {error}</div>
+    ) : (
+      <p style={styles.text}>Looking for stores to rebalance…</p>
+    );
+  }
+
+  if (suggestions.length === 0) {
+    return (
+      <p style={styles.text}>
+        No transfers to suggest: no store at risk stocks a SKU that another store holds more
+        than its overstock cover of.
+      </p>
+    );
+  }
+
+  const selected = suggestions.filter((s) => !excluded.includes(suggestionKey(s)));
+  const drafts = toTransferOrderDrafts(selected, quantities);
+
+  const toggle = (key) =>
+    setExcluded(excluded.includes(key) ? excluded.filter((k) => k !== key) : [...excluded, key]);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = [];
+      for (const draft of drafts) {
+        created.push(await inventoryApi.createTransferOrder(draft));
+      }
+      onCreated(created);
+    } catch (err) {
+      setError(err.message || "Failed to create transfer orders");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <p style={styles.text}>
+        Each move evens out days of cover between the two stores without taking the sending
+        store below its coverage target. Same-city moves are listed first.
+      </p>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th} />
+            <th style={styles.th}>SKU</th>
+            <th style={styles.th}>From</th>
+            <th style={styles.th}>To</th>
+            <th style={styles.th}>Quantity</th>
+            <th style={styles.th}>From cover</th>
+            <th style={styles.th}>To cover</th>
+          </tr>
+        </thead>
+        <tbody>
+          {suggestions.map((s) => {
+            const key = suggestionKey(s);
+            return (
+              <tr key={key}>
+                <td style={styles.td}>
+                  <input
+                    type="checkbox"
+                    checked={!excluded.includes(key)}
+                    onChange={() => toggle(key)}
+                    aria-label={`Include ${s.sku_id} from ${s.from_store_id} to ${s.to_store_id}`}
+                  />
+                </td>
+                <td style={styles.td}>{s.sku_id}</td>
+                <td style={styles.td}>
+                  {s.from_store_id}
+                  {s.from_city && <div style={styles.muted}>{s.from_city}</div>}
+                </td>
+                <td style={styles.td}>
+                  {s.to_store_id} <StatusBadge status={s.to_status} />
+                  {s.same_city && <span style={styles.cityTag}>same city</span>}
+                  {s.to_city && <div style={styles.muted}>{s.to_city}</div>}
+                </td>
+                <td style={styles.td}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    style={styles.input}
+                    value={quantities[key] ?? s.quantity}
+                    onChange={(e) =>
+                      setQuantities({
+                        ...quantities,
+                        [key]: Math.max(0, Math.floor(Number(e.target.value) || 0)),
+                      })
+                    }
+                    aria-label={`Quantity of ${s.sku_id} to move`}
+                  />
+                </td>
+                <td style={styles.td}>
+                  {formatDays(s.from_days_before)} → {formatDays(s.from_days_after)}
+                </td>
+                <td style={styles.td}>
+                  {formatDays(s.to_days_before)} → {formatDays(s.to_days_after)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+
+      <div style={styles.actions}>
+        <button
+          style={styles.button}
+          onClick={() => downloadText(transfersCsv(selected, quantities), "transfer_suggestions.csv")}
+          disabled={selected.length === 0}
+        >
+          ↓ Export CSV
+        </button>
+        {canEdit && (
+          <button
+            style={{ ...styles.button, ...styles.buttonPrimary }}
+            onClick={handleCreate}
+            disabled={saving || drafts.length === 0}
+          >
+            {saving
+              ? "Creating…"
+              : `Create ${drafts.length} transfer order${drafts.length === 1 ? "" : "s"}`}
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+// ============================================================================
+// TRANSFER ORDERS
+// ============================================================================
+
+function TransferOrderList({ highlight, canEdit }) {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setOrders(await inventoryApi.listTransferOrders());
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Failed to load transfer orders");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const runAction = async (transferId, action) => {
+    setBusy(transferId);
+    setError(null);
+    try {
+      await action();
+      await load();
+    } catch (err) {
+      setError(err.message || "Action failed");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) return <p style={styles.text}>Loading transfer orders…</p>;
+
+  return (
+    <>
+      {orders.length === 0 ? (
+        <p style={styles.text}>No transfer orders yet.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Transfer</th>
+              <th style={styles.th}>From</th>
+              <th style={styles.th}>To</th>
+              <th style={styles.th}>Lines</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map((order) => {
+              const next = TRANSFER_NEXT_STATUS[order.status];
+              return (
+                <tr
+                  key={order.transfer_id}
+                  style={
+                    highlight.includes(order.transfer_id)
+                      ? { backgroundColor: "var(--bg-tertiary, #f9fafb)" }
+                      : undefined
+                  }
+                >
+                  <td style={styles.td}>{order.transfer_id}</td>
+                  <td style={styles.td}>{order.from_store_id}</td>
+                  <td style={styles.td}>{order.to_store_id}</td>
+                  <td style={styles.td}>
+                    {order.lines.map((line) => `${line.sku_id} × ${line.quantity}`).join(", ")}
+                  </td>
+                  <td style={styles.td}>
+                    <span style={{ ...styles.statusPill, ...STATUS_COLORS[order.status] }}>
+                      {TRANSFER_STATUS_LABELS[order.status] || order.status}
+                    </span>
+                  </td>
+                  <td style={styles.td}>
+                    <div style={styles.rowActions}>
+                      {canEdit && next && (
+                        <button
+                          style={{ ...styles.button, ...styles.buttonSmall }}
+                          disabled={busy === order.transfer_id}
+                          onClick={() =>
+                            runAction(order.transfer_id, () =>
+                              inventoryApi.setTransferOrderStatus(order.transfer_id, next.status)
+                            )
+                          }
+                        >
+                          {next.label}
+                        </button>
+                      )}
+                      {canEdit && order.status === "draft" && (
+                        <button
+                          style={{ ...styles.button, ...styles.buttonSmall }}
+                          disabled={busy === order.transfer_id}
+                          onClick={() =>
+                            runAction(order.transfer_id, () =>
+                              inventoryApi.deleteTransferOrder(order.transfer_id)
+                            )
+                          }
+                          aria-label={`Delete ${order.transfer_id}`}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+      {error && <div style={styles.errorText}>⚠️ {error}</div>}
+    </>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+export default function RebalancePanel({ onClose, canEdit = true }) {
+  const [tab, setTab] = useState("suggestions");
+  const [justCreated, setJustCreated] = useState([]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const tabButton = (key, label) => (
+    <button
+      style={{ ...styles.button, ...styles.buttonSmall, ...(tab === key && styles.buttonPrimary) }}
+      onClick={() => setTab(key)}
+      aria-pressed={tab === key}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="rebalance-title"
+      >
+        <div style={styles.title} id="rebalance-title">
+          Rebalance stock between stores
+        </div>
+
+        <div style={styles.tabs}>
+          {tabButton("suggestions", "Suggestions")}
+          {tabButton("orders", "Transfer orders")}
+        </div>
+
+        {tab === "suggestions" ? (
+          <TransferSuggestions
+            canEdit={canEdit}
+            onCreated={(created) => {
+              setJustCreated(created.map((o) => o.transfer_id));
+              setTab("orders");
+            }}
+          />
+        ) : (
+          <TransferOrderList highlight={justCreated} canEdit={canEdit} />
+        )}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * SavedViews.jsx
+ *
+ * Quick links to the signed-in user's saved views (/views) in the header.
+ * A view is the table's filters and sort stored under a name, e.g.
+ * "Mumbai criticals"; clicking it applies them. Views are kept per user
+ * and tenant; saving under an existing name overwrites that view.
+ */
+
+import React, { useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+
+const styles = {
+  bar: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: "6px",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  chip: {
+    display: "flex",
+    alignItems: "center",
+    borderRadius: "999px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    overflow: "hidden",
+  },
+
+  chipActive: {
+    borderColor: "#3b82f6",
+    backgroundColor: "#eff6ff",
+  },
+
+  link: {
+    border: "none",
+    background: "none",
+    padding: "3px 4px 3px 10px",
+    fontSize: "12px",
+    color: "#2563eb",
+    cursor: "pointer",
+  },
+
+  remove: {
+    border: "none",
+    background: "none",
+    padding: "3px 8px 3px 4px",
+    fontSize: "12px",
+    color: "#9ca3af",
+    cursor: "pointer",
+  },
+
+  save: {
+    border: "1px dashed #d1d5db",
+    borderRadius: "999px",
+    background: "none",
+    padding: "3px 10px",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+    cursor: "pointer",
+  },
+
+  errorText: {
+    color: "#991b1b",
+  },
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.currentQuery - The table's view query right now (tableState.viewQuery)
+ * @param {Function} props.onApply - Called with a view's query when it is clicked
+ */
+export default function SavedViews({ currentQuery, onApply }) {
+  const [views, setViews] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    inventoryApi
+      .listViews({ signal: controller.signal })
+      .then(setViews)
+      .catch((err) => {
+        if (err.name !== "AbortError") setError("Saved views unavailable");
+      });
+    return () => controller.abort();
+  }, []);
+
+  const saveCurrent = async () => {
+    const active = views.find((v) => v.query === currentQuery);
+    const name = window.prompt("Name this view", active ? active.name : "");
+    if (!name || !name.trim()) return;
+
+    try {
+      const saved = await inventoryApi.saveView({ name: name.trim(), query: currentQuery });
+      setViews((prev) =>
+        [...prev.filter((v) => v.view_id !== saved.view_id), saved].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+      setError(null);
+    } catch (err) {
+      setError(err.message || "Could not save the view");
+    }
+  };
+
+  const remove = async (view) => {
+    try {
+      await inventoryApi.deleteView(view.view_id);
+      setViews((prev) => prev.filter((v) => v.view_id !== view.view_id));
+    } catch (err) {
+      setError(err.message || "Could not delete the view");
+    }
+  };
+
+  return (
+    <div style={styles.bar} aria-label="Saved views">
+      <span>Views:</span>
+      {views.map((view) => (
+        <span
+          key={view.view_id}
+          style={{ ...styles.chip, ...(view.query === currentQuery && styles.chipActive) }}
+        >
+          <button style={styles.link} onClick={() => onApply(view.query)} title="Apply this view">
+            {view.name}
+          </button>
+          <button
+            style={styles.remove}
+            onClick={() => remove(view)}
+            title="Delete this view"
+            aria-label={`Delete view ${view.name}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <button style={styles.save} onClick={saveCurrent} title="Save the current filters and sort">
+        ☆ Save view
+      </button>
+      {error && <span style={styles.errorText}>{error}</span>}
+    </div>
+  );
+}
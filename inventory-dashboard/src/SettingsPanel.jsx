@@ -0,0 +1,437 @@
+/**
+ * SettingsPanel.jsx
+ *
+ * Modal for editing the risk policy (GET/PUT /policy): default Critical /
+ * Warning thresholds and coverage target, plus overrides per category and
+ * per store. Blank override fields inherit from the level above.
+ * Viewers (readOnly) see the same tables without being able to change them.
+ */
+
+import React, { useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+
+const POLICY_FIELDS = [
+  { key: "critical_days", label: "Critical below (days)", min: "0", step: "0.5" },
+  { key: "warning_days", label: "Warning below (days)", min: "0", step: "0.5" },
+  { key: "target_days", label: "Coverage target (days)", min: "0", step: "0.5" },
+  { key: "promo_uplift", label: "Promo uplift (×)", min: "0", step: "0.05" },
+  { key: "price_elasticity", label: "Price elasticity", step: "0.1" },
+  { key: "overstock_days", label: "Overstock above (days)", min: "0", step: "1" },
+  { key: "dead_stock_days", label: "Dead stock above (days)", min: "0", step: "1" },
+  { key: "stockout_horizon_days", label: "Stockout risk within (days)", min: "0", step: "1" },
+  // Must match METHODS in inventory-backend/forecasting.py.
+  {
+    key: "forecast_method",
+    label: "Forecast (daily sales)",
+    options: [
+      { value: "moving_average", label: "30-day average" },
+      { value: "moving_average_7", label: "7-day average" },
+      { value: "exponential_smoothing", label: "Exponential smoothing" },
+      { value: "holt", label: "Trend (Holt)" },
+      { value: "holt_winters", label: "Trend + weekly (Holt-Winters)" },
+    ],
+  },
+];
+
+const SCOPES = [
+  { key: "categories", label: "Category overrides", noun: "category" },
+  { key: "stores", label: "Store overrides", noun: "store" },
+];
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(720px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "8px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  sectionTitle: {
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "var(--text-secondary, #6b7280)",
+    margin: "16px 0 8px",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "4px 8px",
+  },
+
+  input: {
+    width: "80px",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  select: {
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  fieldset: {
+    border: "none",
+    margin: 0,
+    padding: 0,
+    minWidth: 0,
+  },
+
+  addRow: {
+    display: "flex",
+    gap: "8px",
+    marginTop: "8px",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+// Input values stay strings while editing; "" means "inherit" for overrides.
+const toDraft = (values) =>
+  Object.fromEntries(POLICY_FIELDS.map(({ key }) => [key, values[key] == null ? "" : String(values[key])]));
+
+const fromDraft = (draft, keepBlank) =>
+  Object.fromEntries(
+    POLICY_FIELDS.map(({ key, options }) => [
+      key,
+      draft[key] === "" ? null : options ? draft[key] : Number(draft[key]),
+    ]).filter(([, value]) => keepBlank || value !== null)
+  );
+
+// Number input, or a select for fields with options ("" = inherit for overrides).
+function PolicyInput({ field, value, onChange, label, inherit }) {
+  if (field.options) {
+    return (
+      <select
+        style={styles.input}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={label}
+      >
+        {inherit && <option value="">inherit</option>}
+        {field.options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input
+      type="number"
+      min={field.min}
+      step={field.step}
+      style={styles.input}
+      value={value}
+      placeholder={inherit ? "inherit" : undefined}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    />
+  );
+}
+
+export default function SettingsPanel({
+  config,
+  knownCategories,
+  knownStores,
+  onClose,
+  onSaved,
+  readOnly = false,
+}) {
+  const [defaults, setDefaults] = useState(() => toDraft(config.defaults));
+  const [overrides, setOverrides] = useState(() => ({
+    categories: Object.fromEntries(
+      Object.entries(config.categories).map(([k, v]) => [k, toDraft(v)])
+    ),
+    stores: Object.fromEntries(Object.entries(config.stores).map(([k, v]) => [k, toDraft(v)])),
+  }));
+  const [adding, setAdding] = useState({ categories: "", stores: "" });
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const known = { categories: knownCategories, stores: knownStores };
+
+  const setOverrideValue = (scope, name, key, value) =>
+    setOverrides({
+      ...overrides,
+      [scope]: { ...overrides[scope], [name]: { ...overrides[scope][name], [key]: value } },
+    });
+
+  const addOverride = (scope) => {
+    const name = adding[scope];
+    if (!name || overrides[scope][name]) return;
+    setOverrides({ ...overrides, [scope]: { ...overrides[scope], [name]: toDraft({}) } });
+    setAdding({ ...adding, [scope]: "" });
+  };
+
+  const removeOverride = (scope, name) => {
+    const { [name]: removed, ...rest } = overrides[scope];
+    setOverrides({ ...overrides, [scope]: rest });
+  };
+
+  const handleSave = async () => {
+    if (POLICY_FIELDS.some(({ key }) => defaults[key] === "")) {
+      setError("Every default needs a value.");
+      return;
+    }
+
+    const next = {
+      defaults: fromDraft(defaults, true),
+      categories: Object.fromEntries(
+        Object.entries(overrides.categories).map(([k, v]) => [k, fromDraft(v, false)])
+      ),
+      stores: Object.fromEntries(
+        Object.entries(overrides.stores).map(([k, v]) => [k, fromDraft(v, false)])
+      ),
+    };
+
+    setSaving(true);
+    setError(null);
+    try {
+      onSaved(await inventoryApi.updatePolicy(next));
+      onClose();
+    } catch (err) {
+      setError(err.message || "Failed to save settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={saving ? undefined : onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+      >
+        <div style={styles.title} id="settings-title">
+          Risk thresholds
+        </div>
+        <p style={styles.text}>
+          Items are Critical or Warning when their days to stockout fall below these
+          thresholds; reorder quantities aim for the coverage target. While a promotion runs,
+          forecast demand is multiplied by the promo uplift; price changes scale it by
+          (price ÷ regular price) ^ elasticity. Items with more cover than the overstock or
+          dead stock cutoffs (or no sales) are flagged as tied-up capital, and can send stock to
+          stores at risk (Rebalance). Items uploaded with daily sales history are forecast with
+          the chosen method (compare them per category with backtest.py). Store overrides win
+          over category overrides.
+          Changes apply to the next prediction run.
+          {readOnly && " Only buyers and admins can change them."}
+        </p>
+
+        <fieldset disabled={readOnly} style={styles.fieldset}>
+          <div style={styles.sectionTitle}>Defaults</div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                {POLICY_FIELDS.map((f) => (
+                  <th key={f.key} style={styles.th}>
+                    {f.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                {POLICY_FIELDS.map((f) => (
+                  <td key={f.key} style={styles.td}>
+                    <PolicyInput
+                      field={f}
+                      value={defaults[f.key]}
+                      onChange={(value) => setDefaults({ ...defaults, [f.key]: value })}
+                      label={`Default ${f.label}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+
+          {SCOPES.map((scope) => {
+            const entries = Object.entries(overrides[scope.key]);
+            const available = known[scope.key].filter((name) => !overrides[scope.key][name]);
+
+            return (
+              <div key={scope.key}>
+                <div style={styles.sectionTitle}>{scope.label}</div>
+                {entries.length > 0 && (
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>{scope.noun}</th>
+                        {POLICY_FIELDS.map((f) => (
+                          <th key={f.key} style={styles.th}>
+                            {f.label}
+                          </th>
+                        ))}
+                        <th style={styles.th} />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entries.map(([name, values]) => (
+                        <tr key={name}>
+                          <td style={styles.td}>{name}</td>
+                          {POLICY_FIELDS.map((f) => (
+                            <td key={f.key} style={styles.td}>
+                              <PolicyInput
+                                field={f}
+                                value={values[f.key]}
+                                onChange={(value) => setOverrideValue(scope.key, name, f.key, value)}
+                                label={`${name} ${f.label}`}
+                                inherit
+                              />
+                            </td>
+                          ))}
+                          <td style={styles.td}>
+                            <button
+                              style={{ ...styles.button, ...styles.buttonSmall }}
+                              onClick={() => removeOverride(scope.key, name)}
+                              aria-label={`Remove ${name} override`}
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {!readOnly && (
+                  <div style={styles.addRow}>
+                    <select
+                      style={styles.select}
+                      value={adding[scope.key]}
+                      onChange={(e) => setAdding({ ...adding, [scope.key]: e.target.value })}
+                      aria-label={`Choose ${scope.noun} to override`}
+                    >
+                      <option value="">Choose {scope.noun}…</option>
+                      {available.map((name) => (
+                        <option key={name} value={name}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      style={{ ...styles.button, ...styles.buttonSmall }}
+                      onClick={() => addOverride(scope.key)}
+                      disabled={!adding[scope.key]}
+                    >
+                      Add override
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </fieldset>
+
+        {error && <div style={styles.errorText}>⚠️ {error}</div>}
+
+        <div style={styles.actions}>
+          <button style={styles.button} onClick={onClose} disabled={saving}>
+            {readOnly ? "Close" : "Cancel"}
+          </button>
+          {!readOnly && (
+            <button
+              style={{ ...styles.button, ...styles.buttonPrimary }}
+              onClick={handleSave}
+              disabled={saving}
+            >
+              {saving ? "Saving…" : "Save"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
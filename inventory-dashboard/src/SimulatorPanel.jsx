@@ -0,0 +1,487 @@
+/**
+ * SimulatorPanel.jsx
+ *
+ * What-if simulator for the rows selected in the table (POST /simulate):
+ * - Per SKU: edit current stock, add receipts (date + units) and scale
+ *   demand (e.g. 1.3 for a sale expected to lift sales 30%)
+ * - Run: before/after status, days to stockout, stockout date, risk and
+ *   reorder quantity, with both projected stock curves
+ * Nothing is saved: the table, POs and alerts are unchanged.
+ */
+
+import React, { useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import StatusBadge from "./StatusBadge";
+import {
+  SIMULATION_DAYS,
+  compareResult,
+  curvePoints,
+  scenarioDrafts,
+  scenarioKey,
+  toScenarios,
+} from "./simulation";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+const BEFORE_COLOR = "#9ca3af";
+const AFTER_COLOR = "#3b82f6";
+const RECEIPT_COLOR = "#10b981";
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(900px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  text: {
+    fontSize: "13px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  card: {
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    padding: "12px 16px",
+    marginBottom: "12px",
+  },
+
+  cardHeader: {
+    display: "flex",
+    alignItems: "baseline",
+    gap: "8px",
+    marginBottom: "8px",
+    fontSize: "14px",
+    fontWeight: "600",
+  },
+
+  fields: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "flex-end",
+    gap: "12px",
+    fontSize: "12px",
+  },
+
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  receipt: {
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    marginTop: "6px",
+  },
+
+  input: {
+    width: "90px",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  dateInput: {
+    width: "140px",
+  },
+
+  result: {
+    display: "grid",
+    gridTemplateColumns: "minmax(220px, 1fr) minmax(240px, 1fr)",
+    gap: "16px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "4px 8px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    fontWeight: "500",
+  },
+
+  td: {
+    padding: "4px 8px",
+  },
+
+  changed: {
+    fontWeight: "600",
+    color: AFTER_COLOR,
+  },
+
+  legend: {
+    display: "flex",
+    gap: "12px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    marginTop: "4px",
+  },
+
+  muted: {
+    color: "var(--text-secondary, #6b7280)",
+    fontSize: "12px",
+    fontWeight: "400",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    margin: "16px 0 0",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    gap: "8px",
+    marginTop: "24px",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonSmall: {
+    padding: "4px 10px",
+    fontSize: "12px",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+// /simulate dates days in UTC (receipts can't be before its today).
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+// ============================================================================
+// SCENARIO
+// ============================================================================
+
+function ScenarioEditor({ draft, onChange }) {
+  const label = `${draft.sku_id} in ${draft.store_id}`;
+  const setReceipt = (idx, update) =>
+    onChange({
+      receipts: draft.receipts.map((r, i) => (i === idx ? { ...r, ...update } : r)),
+    });
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span>{draft.sku_id}</span>
+        <span style={styles.muted}>
+          {draft.store_id}
+          {draft.sku_name ? ` · ${draft.sku_name}` : ""}
+        </span>
+      </div>
+      <div style={styles.fields}>
+        <label style={styles.field}>
+          Current stock
+          <input
+            type="number"
+            min="0"
+            step="1"
+            style={styles.input}
+            value={draft.current_stock}
+            onChange={(e) => onChange({ current_stock: e.target.value })}
+            aria-label={`Current stock for ${label}`}
+          />
+        </label>
+        <label style={styles.field}>
+          Demand ×
+          <input
+            type="number"
+            min="0.1"
+            max="10"
+            step="0.05"
+            style={styles.input}
+            value={draft.demand_multiplier}
+            onChange={(e) => onChange({ demand_multiplier: e.target.value })}
+            aria-label={`Demand multiplier for ${label}`}
+          />
+        </label>
+        <button
+          style={{ ...styles.button, ...styles.buttonSmall }}
+          onClick={() =>
+            onChange({ receipts: [...draft.receipts, { receipt_date: todayIso(), quantity: "" }] })
+          }
+        >
+          + Receipt
+        </button>
+      </div>
+      {draft.receipts.map((receipt, idx) => (
+        <div key={idx} style={styles.receipt}>
+          <input
+            type="date"
+            min={todayIso()}
+            style={{ ...styles.input, ...styles.dateInput }}
+            value={receipt.receipt_date}
+            onChange={(e) => setReceipt(idx, { receipt_date: e.target.value })}
+            aria-label={`Receipt ${idx + 1} date for ${label}`}
+          />
+          <input
+            type="number"
+            min="1"
+            step="1"
+            placeholder="Units"
+            style={styles.input}
+            value={receipt.quantity}
+            onChange={(e) => setReceipt(idx, { quantity: e.target.value })}
+            aria-label={`Receipt ${idx + 1} units for ${label}`}
+          />
+          <button
+            style={{ ...styles.button, ...styles.buttonSmall }}
+            onClick={() => onChange({ receipts: draft.receipts.filter((_, i) => i !== idx) })}
+            aria-label={`Remove receipt ${idx + 1} for ${label}`}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ============================================================================
+// RESULT
+// ============================================================================
+
+function ProjectionChart({ result }) {
+  const before = result.before_projection.points;
+  const after = result.after_projection.points;
+  const maxStock = Math.max(...before.map((p) => p.stock), ...after.map((p) => p.stock), 1);
+  const step = after.length > 1 ? CHART_WIDTH / (after.length - 1) : 0;
+
+  return (
+    <div>
+      <svg
+        width="100%"
+        height={CHART_HEIGHT}
+        viewBox={`0 -4 ${CHART_WIDTH} ${CHART_HEIGHT + 8}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Projected stock for ${result.sku_id} over ${after.length - 1} days`}
+      >
+        <polyline
+          points={curvePoints(before, maxStock, CHART_WIDTH, CHART_HEIGHT)}
+          fill="none"
+          stroke={BEFORE_COLOR}
+          strokeWidth="1.5"
+          strokeDasharray="4 3"
+        />
+        <polyline
+          points={curvePoints(after, maxStock, CHART_WIDTH, CHART_HEIGHT)}
+          fill="none"
+          stroke={AFTER_COLOR}
+          strokeWidth="2"
+        />
+        {after.map((p, idx) =>
+          p.received > 0 ? (
+            <circle key={p.day} cx={idx * step} cy={CHART_HEIGHT} r="3" fill={RECEIPT_COLOR}>
+              <title>
+                {p.day}: {p.received} received
+              </title>
+            </circle>
+          ) : null
+        )}
+      </svg>
+      <div style={styles.legend}>
+        <span style={{ color: BEFORE_COLOR }}>-- before</span>
+        <span style={{ color: AFTER_COLOR }}>— after (max {Math.round(maxStock)})</span>
+        <span style={{ color: RECEIPT_COLOR }}>● receipt</span>
+      </div>
+    </div>
+  );
+}
+
+function ResultCard({ result }) {
+  return (
+    <div style={styles.card}>
+      <div style={styles.cardHeader}>
+        <span>{result.sku_id}</span>
+        <span style={styles.muted}>{result.store_id}</span>
+      </div>
+      <div style={styles.result}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th} />
+              <th style={styles.th}>Before</th>
+              <th style={styles.th}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {compareResult(result).map((line) => (
+              <tr key={line.label}>
+                <td style={{ ...styles.td, ...styles.muted }}>{line.label}</td>
+                {line.label === "Status" ? (
+                  <>
+                    <td style={styles.td}>
+                      <StatusBadge status={line.before} />
+                    </td>
+                    <td style={styles.td}>
+                      <StatusBadge status={line.after} />
+                    </td>
+                  </>
+                ) : (
+                  <>
+                    <td style={styles.td}>{line.before}</td>
+                    <td style={{ ...styles.td, ...(line.changed && styles.changed) }}>
+                      {line.after}
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <ProjectionChart result={result} />
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+export default function SimulatorPanel({ selectedRows, onClose }) {
+  const [drafts, setDrafts] = useState(() => scenarioDrafts(selectedRows));
+  const [days, setDays] = useState(30);
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const updateDraft = (key, update) =>
+    setDrafts(drafts.map((d) => (d.key === key ? { ...d, ...update } : d)));
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      setResults(await inventoryApi.simulate(toScenarios(drafts), { days }));
+    } catch (err) {
+      setError(err.message || "Simulation failed");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="simulator-title"
+      >
+        <div style={styles.title} id="simulator-title">
+          What-if simulator
+        </div>
+
+        {drafts.length === 0 ? (
+          <p style={styles.text}>Select rows in the table to simulate them.</p>
+        ) : (
+          <>
+            <p style={styles.text}>
+              Change stock, add receipts or scale demand, then run. Predictions are recomputed
+              with the current thresholds; receipts count as stock on order for the reorder
+              quantity and show up in the stock curve on their day. Nothing is saved.
+            </p>
+            {drafts.map((draft) => (
+              <ScenarioEditor
+                key={draft.key}
+                draft={draft}
+                onChange={(update) => updateDraft(draft.key, update)}
+              />
+            ))}
+          </>
+        )}
+
+        {error && <div style={styles.errorText}>⚠️ {error}</div>}
+
+        {results &&
+          results.map((result) => <ResultCard key={scenarioKey(result)} result={result} />)}
+
+        <div style={styles.actions}>
+          <label style={styles.muted}>
+            Project{" "}
+            <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+              {SIMULATION_DAYS.map((n) => (
+                <option key={n} value={n}>
+                  {n} days
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            style={{ ...styles.button, ...styles.buttonPrimary }}
+            onClick={handleRun}
+            disabled={running || drafts.length === 0}
+          >
+            {running ? "Running…" : "Run simulation"}
+          </button>
+          <button style={styles.button} onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
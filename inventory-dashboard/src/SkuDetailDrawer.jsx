@@ -0,0 +1,350 @@
+/**
+ * SkuDetailDrawer.jsx
+ *
+ * Side drawer for one sku_id/store_id pair, opened from a table row or the
+ * Top Critical list:
+ * - Every field of the Prediction
+ * - Step-by-step breakdown of the compute_prediction math
+ * - The same SKU's status in other stores (click to switch)
+ * - Trend across prediction runs
+ * - Units actually sold per day (POST /sales history)
+ * - "Back to table" restores the filters and sort the drawer was opened from
+ */
+
+import React, { useEffect } from "react";
+import SkuSalesChart from "./SkuSalesChart";
+import SkuTrendChart from "./SkuTrendChart";
+import StatusBadge from "./StatusBadge";
+import { explainPrediction } from "./predictionExplain";
+import {
+  STOCKOUT_REASONS,
+  compareStockout,
+  formatStockoutDays,
+  formatStockoutProbability,
+} from "./stockout";
+
+const FIELD_LABELS = {
+  sku_id: "SKU",
+  sku_name: "Name",
+  store_id: "Store",
+  category: "Category",
+  city: "City",
+  current_stock: "Current Stock",
+  avg_daily_sales: "Avg Daily Sales",
+  days_to_stockout: "Days to Stockout",
+  stockout_reason: "No Stockout Because",
+  days_to_stockout_p10: "Days to Stockout (P10)",
+  days_to_stockout_p90: "Days to Stockout (P90)",
+  stockout_probability: "Stockout Probability",
+  stockout_horizon_days: "Risk Horizon (days)",
+  demand_std: "Demand Std Dev (per day)",
+  baseline_daily_sales: "Baseline Daily Sales",
+  baseline_days_to_stockout: "Baseline Days to Stockout",
+  promotion_active: "Promotion",
+  price: "Price",
+  regular_price: "Regular Price",
+  demand_multiplier: "Demand Multiplier",
+  forecast_method: "Forecast Method",
+  status: "Status",
+  recommended_reorder_quantity: "Reorder Qty",
+  base_reorder_quantity: "Reorder Qty (before MOQ/pack)",
+  excess_units: "Excess Units",
+  capital_at_risk: "Capital at Risk",
+  lead_time_days: "Lead Time (days)",
+  supplier: "Supplier",
+  on_order_quantity: "On Order",
+  open_po_quantity: "On Submitted POs",
+  service_level: "Service Level",
+  safety_stock: "Safety Stock",
+  reorder_point: "Reorder Point",
+  moq: "MOQ",
+  pack_size: "Pack Size",
+  last_updated: "Last Updated",
+};
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+    zIndex: 1000,
+  },
+
+  drawer: {
+    position: "fixed",
+    top: 0,
+    right: 0,
+    bottom: 0,
+    width: "min(480px, 100vw)",
+    overflowY: "auto",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    boxShadow: "-4px 0 16px rgba(0, 0, 0, 0.15)",
+    padding: "24px",
+    boxSizing: "border-box",
+  },
+
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    gap: "12px",
+    marginBottom: "8px",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    margin: 0,
+  },
+
+  subtitle: {
+    fontSize: "13px",
+    color: "var(--text-secondary, #6b7280)",
+    marginTop: "4px",
+  },
+
+  backLink: {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: "#3b82f6",
+    fontSize: "13px",
+    cursor: "pointer",
+    textAlign: "left",
+    marginBottom: "20px",
+  },
+
+  closeButton: {
+    background: "none",
+    border: "none",
+    fontSize: "20px",
+    lineHeight: 1,
+    cursor: "pointer",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  section: {
+    marginBottom: "24px",
+  },
+
+  sectionTitle: {
+    fontSize: "13px",
+    fontWeight: "600",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "12px",
+    textTransform: "uppercase",
+    letterSpacing: "0.5px",
+  },
+
+  fieldGrid: {
+    display: "grid",
+    gridTemplateColumns: "auto 1fr",
+    gap: "6px 16px",
+    fontSize: "13px",
+  },
+
+  fieldLabel: {
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  step: {
+    padding: "10px 12px",
+    borderRadius: "6px",
+    backgroundColor: "var(--bg-tertiary, #f9fafb)",
+    marginBottom: "8px",
+    fontSize: "13px",
+  },
+
+  stepHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontWeight: "600",
+    marginBottom: "4px",
+  },
+
+  stepFormula: {
+    fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
+    fontSize: "12px",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  mismatch: {
+    marginTop: "4px",
+    fontSize: "12px",
+    color: "#b45309",
+  },
+
+  storeTable: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+
+  storeCell: {
+    padding: "8px",
+    borderBottom: "1px solid #f3f4f6",
+  },
+
+  storeRow: {
+    cursor: "pointer",
+  },
+};
+
+const formatField = (key, value) => {
+  // null here means no stockout expected, not a missing value
+  if (key === "days_to_stockout") return formatStockoutDays(value);
+  if (key === "stockout_probability") return formatStockoutProbability(value);
+  if (key === "stockout_reason" && value) return STOCKOUT_REASONS[value] || value;
+  if (value === null || value === undefined || value === "") return "-";
+  if (key === "last_updated") return new Date(value).toLocaleString();
+  if (key === "status") return <StatusBadge status={value} />;
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return "∞";
+    return Number.isInteger(value) ? value : value.toFixed(2);
+  }
+  return String(value);
+};
+
+export default function SkuDetailDrawer({
+  prediction,
+  policy,
+  records,
+  originLabel,
+  onBack,
+  onClose,
+  onSelect,
+}) {
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKey);
+    return () => document.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const steps = explainPrediction(prediction, policy);
+  const otherStores = records
+    .filter((r) => r.sku_id === prediction.sku_id && r.store_id !== prediction.store_id)
+    .sort(compareStockout);
+
+  // Known fields first in a fixed order, then anything newer the API sends.
+  const fieldKeys = [
+    ...Object.keys(FIELD_LABELS).filter((k) => k in prediction),
+    ...Object.keys(prediction).filter((k) => !(k in FIELD_LABELS)),
+  ];
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <aside
+        style={styles.drawer}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sku-drawer-title"
+      >
+        <div style={styles.header}>
+          <div>
+            <h2 style={styles.title} id="sku-drawer-title">
+              {prediction.sku_id}
+            </h2>
+            {prediction.sku_name && <div style={styles.subtitle}>{prediction.sku_name}</div>}
+            <div style={styles.subtitle}>
+              {prediction.store_id}
+              {prediction.city ? ` · ${prediction.city}` : ""}
+              {prediction.category ? ` · ${prediction.category}` : ""}
+            </div>
+          </div>
+          <button style={styles.closeButton} onClick={onClose} aria-label="Close details">
+            ×
+          </button>
+        </div>
+
+        <button style={styles.backLink} onClick={onBack}>
+          ← Back to table{originLabel ? ` (${originLabel})` : ""}
+        </button>
+
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Prediction</div>
+          <div style={styles.fieldGrid}>
+            {fieldKeys.map((key) => (
+              <React.Fragment key={key}>
+                <div style={styles.fieldLabel}>{FIELD_LABELS[key] || key}</div>
+                <div>{formatField(key, prediction[key])}</div>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>How it was calculated</div>
+          {steps.map((step) => (
+            <div key={step.label} style={styles.step}>
+              <div style={styles.stepHeader}>
+                <span>{step.label}</span>
+                <span>{step.value}</span>
+              </div>
+              <div style={styles.stepFormula}>{step.formula}</div>
+              {step.matches === false && (
+                <div style={styles.mismatch}>
+                  Reported value is {String(step.reported)}. This row was computed with
+                  different rules (an earlier policy or the Boltic workflow).
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Other stores</div>
+          {otherStores.length === 0 ? (
+            <div style={{ fontSize: "13px", color: "var(--text-secondary, #6b7280)" }}>
+              This SKU is not stocked in any other store.
+            </div>
+          ) : (
+            <table style={styles.storeTable}>
+              <tbody>
+                {otherStores.map((row) => (
+                  <tr
+                    key={row.store_id}
+                    style={styles.storeRow}
+                    onClick={() => onSelect(row)}
+                    title={`Show ${row.sku_id} in ${row.store_id}`}
+                  >
+                    <td style={styles.storeCell}>
+                      {row.store_id}
+                      {row.city ? ` · ${row.city}` : ""}
+                    </td>
+                    <td style={styles.storeCell}>{row.current_stock} in stock</td>
+                    <td style={styles.storeCell}>
+                      {Number.isFinite(row.days_to_stockout)
+                        ? `${row.days_to_stockout.toFixed(1)} days`
+                        : "∞"}
+                    </td>
+                    <td style={styles.storeCell}>
+                      <StatusBadge status={row.status} />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Trend across runs</div>
+          <SkuTrendChart skuId={prediction.sku_id} storeId={prediction.store_id} />
+        </div>
+
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Daily sales</div>
+          <SkuSalesChart skuId={prediction.sku_id} storeId={prediction.store_id} />
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * SkuSalesChart.jsx
+ *
+ * Per-SKU drill-down: units actually sold each day for one sku_id/store_id
+ * pair (GET /sales/{store}/{sku}), as bars, with the stock on hand where it
+ * was counted and the last 7 / 30 day totals the forecasts start from.
+ */
+
+import React, { useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+const SALES_COLOR = "#10b981";
+const STOCK_COLOR = "#3b82f6";
+
+const styles = {
+  header: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: "12px",
+    fontWeight: "600",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "4px",
+  },
+
+  axisLabel: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: "11px",
+    color: "var(--text-secondary, #9ca3af)",
+  },
+
+  legend: {
+    display: "flex",
+    gap: "12px",
+    fontSize: "11px",
+    color: "var(--text-secondary, #6b7280)",
+    marginTop: "4px",
+  },
+
+  message: {
+    fontSize: "13px",
+    color: "var(--text-secondary, #6b7280)",
+    padding: "12px 0",
+  },
+};
+
+// Sales dates are calendar days, not instants: format them in UTC so the
+// label doesn't slip a day in timezones behind UTC.
+const formatDay = (isoDate) =>
+  new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric", timeZone: "UTC" }).format(
+    new Date(isoDate)
+  );
+
+export default function SkuSalesChart({ skuId, storeId, days = 60 }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setHistory(null);
+    setError(null);
+
+    inventoryApi
+      .getSalesHistory(storeId, skuId, { days }, { signal: controller.signal })
+      .then(setHistory)
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message || "Failed to load daily sales");
+      });
+
+    return () => controller.abort();
+  }, [skuId, storeId, days]);
+
+  if (error) {
+    return <div style={styles.message}>⚠️ {error}</div>;
+  }
+
+  if (!history) {
+    return <div style={styles.message}>Loading daily sales...</div>;
+  }
+
+  const points = history.days;
+  if (points.length === 0) {
+    return (
+      <div style={styles.message}>
+        No daily sales recorded for this SKU in this store. Send them to POST /sales to chart
+        them and forecast from them.
+      </div>
+    );
+  }
+
+  const stocked = points.filter((p) => p.stock_on_hand != null);
+  const maxUnits = Math.max(...points.map((p) => p.units), 1);
+  const maxStock = Math.max(...stocked.map((p) => p.stock_on_hand), 1);
+  const slot = CHART_WIDTH / points.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const stockLine = points
+    .map((p, idx) =>
+      p.stock_on_hand == null
+        ? null
+        : `${idx * slot + slot / 2},${CHART_HEIGHT - (p.stock_on_hand / maxStock) * CHART_HEIGHT}`
+    )
+    .filter(Boolean);
+
+  return (
+    <div>
+      <div style={styles.header}>
+        <span>Units sold per day</span>
+        <span style={{ color: SALES_COLOR }}>
+          7 days: {history.last_7_days} · 30 days: {history.last_30_days}
+        </span>
+      </div>
+      <svg
+        width="100%"
+        height={CHART_HEIGHT}
+        viewBox={`0 -4 ${CHART_WIDTH} ${CHART_HEIGHT + 4}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Units sold per day over the last ${points.length} days`}
+      >
+        {points.map((p, idx) => {
+          const height = (Math.max(0, p.units) / maxUnits) * CHART_HEIGHT;
+          return (
+            <rect
+              key={p.sales_date}
+              x={idx * slot + (slot - barWidth) / 2}
+              y={CHART_HEIGHT - height}
+              width={barWidth}
+              height={height}
+              fill={SALES_COLOR}
+            >
+              <title>
+                {formatDay(p.sales_date)}: {p.units} sold
+                {p.stock_on_hand != null ? `, ${p.stock_on_hand} on hand` : ""}
+              </title>
+            </rect>
+          );
+        })}
+        {stockLine.length > 1 && (
+          <polyline points={stockLine.join(" ")} fill="none" stroke={STOCK_COLOR} strokeWidth="1.5" />
+        )}
+      </svg>
+      <div style={styles.axisLabel}>
+        <span>{formatDay(points[0].sales_date)}</span>
+        <span>max {maxUnits}/day</span>
+        <span>{formatDay(points[points.length - 1].sales_date)}</span>
+      </div>
+      {stocked.length > 1 && (
+        <div style={styles.legend}>
+          <span style={{ color: SALES_COLOR }}>■ units sold</span>
+          <span style={{ color: STOCK_COLOR }}>— stock on hand (max {maxStock})</span>
+        </div>
+      )}
+    </div>
+  );
+}
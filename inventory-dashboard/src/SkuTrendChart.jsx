@@ -0,0 +1,156 @@
+/**
+ * SkuTrendChart.jsx
+ *
+ * Per-SKU drill-down: how days_to_stockout and current_stock changed across
+ * prediction runs for one sku_id/store_id pair (GET /history/{store}/{sku}).
+ */
+
+import React, { useEffect, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+const styles = {
+  series: {
+    marginBottom: "16px",
+  },
+
+  seriesHeader: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: "12px",
+    fontWeight: "600",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "4px",
+  },
+
+  axisLabel: {
+    display: "flex",
+    justifyContent: "space-between",
+    fontSize: "11px",
+    color: "var(--text-secondary, #9ca3af)",
+  },
+
+  message: {
+    fontSize: "13px",
+    color: "var(--text-secondary, #6b7280)",
+    padding: "12px 0",
+  },
+};
+
+const formatRunDate = (dateStr) =>
+  new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric" }).format(new Date(dateStr));
+
+function TrendSeries({ label, points, valueKey, color, format }) {
+  // Zero-sales runs have no finite days_to_stockout; leave a gap for them.
+  const values = points.map((p) => p[valueKey]).filter(Number.isFinite);
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const step = points.length > 1 ? CHART_WIDTH / (points.length - 1) : 0;
+
+  const coords = points
+    .map((p, idx) =>
+      Number.isFinite(p[valueKey])
+        ? { x: idx * step, y: CHART_HEIGHT - ((p[valueKey] - min) / range) * CHART_HEIGHT }
+        : null
+    )
+    .filter(Boolean);
+  const latest = points[points.length - 1][valueKey];
+
+  return (
+    <div style={styles.series}>
+      <div style={styles.seriesHeader}>
+        <span>{label}</span>
+        <span style={{ color }}>Latest: {Number.isFinite(latest) ? format(latest) : "∞"}</span>
+      </div>
+      <svg
+        width="100%"
+        height={CHART_HEIGHT}
+        viewBox={`-4 -4 ${CHART_WIDTH + 8} ${CHART_HEIGHT + 8}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`${label} over the last ${points.length} runs`}
+      >
+        <polyline
+          points={coords.map((c) => `${c.x},${c.y}`).join(" ")}
+          fill="none"
+          stroke={color}
+          strokeWidth="2"
+        />
+        {coords.map((c, idx) => (
+          <circle key={idx} cx={c.x} cy={c.y} r="3" fill={color} />
+        ))}
+      </svg>
+      <div style={styles.axisLabel}>
+        <span>
+          {formatRunDate(points[0].taken_at)} · min {format(min)}
+        </span>
+        <span>
+          max {format(max)} · {formatRunDate(points[points.length - 1].taken_at)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default function SkuTrendChart({ skuId, storeId, runs = 30 }) {
+  const [points, setPoints] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setPoints(null);
+    setError(null);
+
+    inventoryApi
+      .getSkuHistory(storeId, skuId, { limit: runs }, { signal: controller.signal })
+      .then((data) => setPoints(data.points))
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message || "Failed to load history");
+      });
+
+    return () => controller.abort();
+  }, [skuId, storeId, runs]);
+
+  if (error) {
+    return <div style={styles.message}>⚠️ {error}</div>;
+  }
+
+  if (!points) {
+    return <div style={styles.message}>Loading history...</div>;
+  }
+
+  if (points.length < 2) {
+    return (
+      <div style={styles.message}>
+        Not enough history yet. Trends appear after this SKU shows up in two or more runs.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <TrendSeries
+        label="Days to Stockout"
+        points={points}
+        valueKey="days_to_stockout"
+        color="#dc2626"
+        format={(v) => v.toFixed(1)}
+      />
+      <TrendSeries
+        label="Current Stock"
+        points={points}
+        valueKey="current_stock"
+        color="#3b82f6"
+        format={(v) => String(Math.round(v))}
+      />
+    </div>
+  );
+}
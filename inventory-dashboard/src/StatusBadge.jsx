@@ -0,0 +1,55 @@
+/**
+ * StatusBadge.jsx
+ *
+ * Colored pill for a prediction status (Critical / Warning / Safe /
+ * Overstock / Dead Stock). Shared by the main table, the SKU detail drawer
+ * and the Rebalance panel.
+ */
+
+import React from "react";
+
+// Every status compute_prediction can assign, most urgent first.
+export const STATUSES = ["Critical", "Warning", "Safe", "Overstock", "Dead Stock"];
+
+// Accent color per status for cards, legends and charts.
+export const STATUS_COLORS = {
+  Critical: "#dc2626",
+  Warning: "#f97316",
+  Safe: "#16a34a",
+  Overstock: "#2563eb",
+  "Dead Stock": "#6b7280",
+};
+
+const styles = {
+  statusBadge: {
+    display: "inline-block",
+    padding: "4px 8px",
+    borderRadius: "4px",
+    fontSize: "12px",
+    fontWeight: "600",
+    textTransform: "uppercase",
+    letterSpacing: "0.3px",
+    whiteSpace: "nowrap",
+  },
+};
+
+const BADGE_COLORS = {
+  Critical: { backgroundColor: "#fee2e2", color: "#991b1b" },
+  Warning: { backgroundColor: "#fef3c7", color: "#92400e" },
+  Safe: { backgroundColor: "#dcfce7", color: "#166534" },
+  Overstock: { backgroundColor: "#dbeafe", color: "#1e40af" },
+  "Dead Stock": { backgroundColor: "#e5e7eb", color: "#374151" },
+};
+
+export default function StatusBadge({ status }) {
+  const badgeStyle = {
+    ...styles.statusBadge,
+    ...(BADGE_COLORS[status] || BADGE_COLORS.Safe),
+  };
+
+  return (
+    <span style={badgeStyle} aria-label={`Status: ${status}`}>
+      {status}
+    </span>
+  );
+}
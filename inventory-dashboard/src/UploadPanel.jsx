@@ -0,0 +1,536 @@
+/**
+ * UploadPanel.jsx
+ *
+ * Modal that scores a buyer's CSV/XLSX sheet through /predict-bulk:
+ *   1. Choose file   - parsed in the browser (uploadParsing.js)
+ *   2. Map columns   - sheet headers → ItemInput fields
+ *   3. Validate      - row-level errors (negative stock, missing store_id,
+ *                      duplicate SKU/store pairs)
+ *   4. Preview       - dry-run predictions, nothing stored yet
+ *   5. Submit        - replaces the current predictions, or only updates
+ *                      the SKU/store pairs in the sheet
+ *
+ * Preview and submit go up in batches of UPLOAD_BATCH_SIZE with a progress bar.
+ * Submitted batches share one run_id and are committed together at the end,
+ * so a failed upload leaves the dashboard untouched.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { inventoryApi } from "./inventoryApi";
+import StatusBadge from "./StatusBadge";
+import {
+  ITEM_FIELDS,
+  guessMapping,
+  parseFile,
+  unmappedRequiredFields,
+  validateRows,
+} from "./uploadParsing";
+
+const UPLOAD_BATCH_SIZE = 500;
+const MAX_LISTED_ROWS = 100; // errors / preview rows shown before truncating
+
+const STEPS = ["file", "map", "validate", "preview", "done"];
+const SUBMIT_MODES = [
+  { value: "replace", label: "Replace all predictions" },
+  { value: "upsert", label: "Only update the SKU/store pairs in this sheet" },
+];
+
+const newRunId = () =>
+  `upload-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const STEP_LABELS = {
+  file: "Choose file",
+  map: "Map columns",
+  validate: "Validate",
+  preview: "Preview",
+  done: "Done",
+};
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+
+  content: {
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    borderRadius: "8px",
+    padding: "32px",
+    width: "min(760px, 95vw)",
+    maxHeight: "90vh",
+    overflowY: "auto",
+    boxShadow: "0 10px 25px rgba(0, 0, 0, 0.15)",
+    boxSizing: "border-box",
+  },
+
+  title: {
+    fontSize: "20px",
+    fontWeight: "700",
+    marginBottom: "16px",
+  },
+
+  steps: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "24px",
+    fontSize: "12px",
+    flexWrap: "wrap",
+  },
+
+  step: {
+    padding: "4px 10px",
+    borderRadius: "999px",
+    backgroundColor: "var(--bg-tertiary, #f3f4f6)",
+    color: "var(--text-secondary, #6b7280)",
+  },
+
+  stepActive: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+  },
+
+  text: {
+    fontSize: "14px",
+    lineHeight: "1.6",
+    color: "var(--text-secondary, #6b7280)",
+    marginBottom: "16px",
+  },
+
+  mappingGrid: {
+    display: "grid",
+    gridTemplateColumns: "200px 1fr",
+    gap: "8px 16px",
+    alignItems: "center",
+    marginBottom: "16px",
+    fontSize: "13px",
+  },
+
+  select: {
+    padding: "8px 12px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "13px",
+  },
+
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "12px",
+    marginBottom: "16px",
+  },
+
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    borderBottom: "1px solid #e5e7eb",
+    color: "var(--text-secondary, #6b7280)",
+    textTransform: "uppercase",
+    fontSize: "11px",
+  },
+
+  td: {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f3f4f6",
+  },
+
+  errorText: {
+    color: "#991b1b",
+    fontSize: "13px",
+    marginBottom: "16px",
+  },
+
+  progressTrack: {
+    height: "8px",
+    borderRadius: "4px",
+    backgroundColor: "var(--bg-tertiary, #f3f4f6)",
+    overflow: "hidden",
+    marginBottom: "6px",
+  },
+
+  progressBar: {
+    height: "100%",
+    backgroundColor: "#3b82f6",
+    transition: "width 0.2s ease",
+  },
+
+  actions: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: "8px",
+    marginTop: "8px",
+  },
+
+  button: {
+    padding: "8px 16px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    backgroundColor: "var(--bg-secondary, #ffffff)",
+    color: "var(--text-primary, #111827)",
+    fontSize: "14px",
+    fontWeight: "500",
+    cursor: "pointer",
+  },
+
+  buttonPrimary: {
+    backgroundColor: "#3b82f6",
+    color: "white",
+    border: "none",
+  },
+};
+
+function ProgressBar({ progress }) {
+  const pct = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+  return (
+    <div style={{ marginBottom: "16px" }}>
+      <div
+        style={styles.progressTrack}
+        role="progressbar"
+        aria-valuenow={pct}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div style={{ ...styles.progressBar, width: `${pct}%` }} />
+      </div>
+      <div style={{ fontSize: "12px", color: "var(--text-secondary, #6b7280)" }}>
+        {progress.label}: {progress.done} / {progress.total} rows
+      </div>
+    </div>
+  );
+}
+
+// Send items to /predict-bulk in batches, reporting progress after each one.
+// With a runId the batches are only staged until commitRun.
+async function sendInBatches(items, { dryRun, mode, runId, signal, onProgress }) {
+  const results = [];
+  for (let start = 0; start < items.length; start += UPLOAD_BATCH_SIZE) {
+    const batch = items.slice(start, start + UPLOAD_BATCH_SIZE);
+    const data = await inventoryApi.predictBulk(batch, { dryRun, mode, runId }, { signal });
+    results.push(...data.predictions);
+    onProgress(Math.min(start + batch.length, items.length));
+  }
+  return results;
+}
+
+export default function UploadPanel({ onClose, onUploaded }) {
+  const [step, setStep] = useState("file");
+  const [fileName, setFileName] = useState("");
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [validation, setValidation] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [mode, setMode] = useState("replace");
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const abortRef = useRef(null);
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const validItems = validation ? validation.items.map((r) => r.item) : [];
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const parsed = await parseFile(file);
+      if (parsed.rows.length === 0) throw new Error("The file has no data rows.");
+      setFileName(file.name);
+      setTable(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep("map");
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleValidate = () => {
+    setValidation(validateRows(table.rows, mapping));
+    setStep("validate");
+  };
+
+  const runBatches = async (dryRun) => {
+    abortRef.current = new AbortController();
+    setBusy(true);
+    setError(null);
+    const label = dryRun ? "Computing preview" : "Uploading";
+    setProgress({ label, done: 0, total: validItems.length });
+
+    const signal = abortRef.current.signal;
+    const runId = dryRun ? undefined : newRunId();
+    try {
+      const results = await sendInBatches(validItems, {
+        dryRun,
+        mode,
+        runId,
+        signal,
+        onProgress: (done) => setProgress({ label, done, total: validItems.length }),
+      });
+      if (runId) setOutcome(await inventoryApi.commitRun(runId, { signal }));
+      return results;
+    } catch (err) {
+      if (runId) inventoryApi.discardRun(runId).catch(() => {});
+      if (err.name !== "AbortError") setError(err.message || "Upload failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setStep("preview");
+    setPreview(null);
+    const results = await runBatches(true);
+    if (results) setPreview(results);
+  };
+
+  const handleSubmit = async () => {
+    const results = await runBatches(false);
+    if (results) {
+      setStep("done");
+      onUploaded();
+    }
+  };
+
+  const previewCounts = (preview || []).reduce((acc, p) => {
+    acc[p.status] = (acc[p.status] || 0) + 1;
+    return acc;
+  }, {});
+  const missingFields = unmappedRequiredFields(mapping);
+
+  return (
+    <div style={styles.overlay} onClick={busy ? undefined : onClose}>
+      <div
+        style={styles.content}
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="upload-title"
+      >
+        <div style={styles.title} id="upload-title">
+          Upload inventory sheet{fileName ? `: ${fileName}` : ""}
+        </div>
+
+        <div style={styles.steps}>
+          {STEPS.map((s) => (
+            <span key={s} style={{ ...styles.step, ...(s === step && styles.stepActive) }}>
+              {STEPS.indexOf(s) + 1}. {STEP_LABELS[s]}
+            </span>
+          ))}
+        </div>
+
+        {error && <div style={styles.errorText}>⚠️ {error}</div>}
+
+        {step === "file" && (
+          <>
+            <p style={styles.text}>
+              Choose a CSV or Excel file with one row per SKU and store, like{" "}
+              <code>inventory_data.csv</code>. Nothing is sent until you confirm the preview.
+            </p>
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls,text/csv"
+              onChange={(e) => handleFile(e.target.files[0])}
+              aria-label="Choose inventory file"
+            />
+          </>
+        )}
+
+        {step === "map" && (
+          <>
+            <p style={styles.text}>
+              {table.rows.length} rows found. Match each field to a column in your sheet.
+            </p>
+            <div style={styles.mappingGrid}>
+              {ITEM_FIELDS.map((field) => (
+                <React.Fragment key={field.key}>
+                  <label htmlFor={`map-${field.key}`}>
+                    {field.label}
+                    {field.required ? " *" : ""}
+                  </label>
+                  <select
+                    id={`map-${field.key}`}
+                    style={styles.select}
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  >
+                    <option value="">(not mapped)</option>
+                    {table.headers.map((h) => (
+                      <option key={h} value={h}>
+                        {h}
+                      </option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              ))}
+            </div>
+            <div style={styles.actions}>
+              <button style={styles.button} onClick={() => setStep("file")}>
+                Back
+              </button>
+              <button
+                style={{ ...styles.button, ...styles.buttonPrimary }}
+                onClick={handleValidate}
+                disabled={missingFields.length > 0}
+                title={
+                  missingFields.length > 0
+                    ? `Map ${missingFields.map((f) => f.label).join(", ")} first`
+                    : undefined
+                }
+              >
+                Validate
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "validate" && (
+          <>
+            <p style={styles.text}>
+              {validation.items.length} valid rows, {validation.errors.length} problems.
+              {validation.errors.length > 0 && " Rows with problems will be skipped."}
+            </p>
+            {validation.errors.length > 0 && (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Row</th>
+                    <th style={styles.th}>Field</th>
+                    <th style={styles.th}>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {validation.errors.slice(0, MAX_LISTED_ROWS).map((e, idx) => (
+                    <tr key={idx}>
+                      <td style={styles.td}>{e.rowNumber}</td>
+                      <td style={styles.td}>{e.field}</td>
+                      <td style={styles.td}>{e.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {validation.errors.length > MAX_LISTED_ROWS && (
+              <p style={styles.text}>
+                …and {validation.errors.length - MAX_LISTED_ROWS} more.
+              </p>
+            )}
+            <div style={styles.actions}>
+              <button style={styles.button} onClick={() => setStep("map")}>
+                Back to mapping
+              </button>
+              <button
+                style={{ ...styles.button, ...styles.buttonPrimary }}
+                onClick={handlePreview}
+                disabled={validation.items.length === 0}
+              >
+                Preview {validation.items.length} rows
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "preview" && (
+          <>
+            {progress && (busy || !preview) && <ProgressBar progress={progress} />}
+            {preview && !busy && (
+              <>
+                <p style={styles.text}>
+                  Critical: {previewCounts.Critical || 0} · Warning: {previewCounts.Warning || 0}{" "}
+                  · Safe: {previewCounts.Safe || 0} · Overstock: {previewCounts.Overstock || 0}{" "}
+                  · Dead Stock: {previewCounts["Dead Stock"] || 0}.
+                </p>
+                <div style={styles.text} role="radiogroup" aria-label="Submit mode">
+                  {SUBMIT_MODES.map((m) => (
+                    <label key={m.value} style={{ display: "block", cursor: "pointer" }}>
+                      <input
+                        type="radio"
+                        name="submit-mode"
+                        value={m.value}
+                        checked={mode === m.value}
+                        onChange={() => setMode(m.value)}
+                      />{" "}
+                      {m.label}
+                    </label>
+                  ))}
+                </div>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>SKU</th>
+                      <th style={styles.th}>Store</th>
+                      <th style={styles.th}>Stock</th>
+                      <th style={styles.th}>Days</th>
+                      <th style={styles.th}>Status</th>
+                      <th style={styles.th}>Reorder</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.slice(0, MAX_LISTED_ROWS).map((p) => (
+                      <tr key={`${p.store_id}-${p.sku_id}`}>
+                        <td style={styles.td}>{p.sku_id}</td>
+                        <td style={styles.td}>{p.store_id}</td>
+                        <td style={styles.td}>{p.current_stock}</td>
+                        <td style={styles.td}>
+                          {Number.isFinite(p.days_to_stockout) ? p.days_to_stockout.toFixed(1) : "∞"}
+                        </td>
+                        <td style={styles.td}>
+                          <StatusBadge status={p.status} />
+                        </td>
+                        <td style={styles.td}>{p.recommended_reorder_quantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {preview.length > MAX_LISTED_ROWS && (
+                  <p style={styles.text}>…and {preview.length - MAX_LISTED_ROWS} more rows.</p>
+                )}
+              </>
+            )}
+            <div style={styles.actions}>
+              <button style={styles.button} onClick={() => setStep("validate")} disabled={busy}>
+                Back
+              </button>
+              <button
+                style={{ ...styles.button, ...styles.buttonPrimary }}
+                onClick={handleSubmit}
+                disabled={busy || !preview}
+              >
+                Submit {validItems.length} items
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === "done" && (
+          <>
+            <p style={styles.text}>
+              Uploaded {validItems.length} items. The dashboard now shows the new predictions.
+            </p>
+            {outcome && (
+              <p style={styles.text}>
+                Added {outcome.inserted} · Updated {outcome.updated} · Unchanged{" "}
+                {outcome.unchanged} · Removed {outcome.deleted}
+              </p>
+            )}
+            <div style={styles.actions}>
+              <button style={{ ...styles.button, ...styles.buttonPrimary }} onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
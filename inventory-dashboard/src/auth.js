@@ -0,0 +1,85 @@
+/**
+ * auth.js
+ *
+ * Dashboard session and role helpers. The backend (inventory-backend/auth.py)
+ * decides what each role may do; the dashboard only hides what would be
+ * refused anyway:
+ *   viewer - read-only
+ *   buyer  - also upload sheets, create POs/transfers, edit thresholds
+ *   admin  - also manage users and API keys
+ *
+ * The session returned by POST /auth/login is kept in localStorage so a
+ * reload doesn't log the user out; it is dropped once it expires. The
+ * selected tenant (organization) is kept next to it and sent with every
+ * request by inventoryApi.js.
+ */
+
+export const ROLES = ["viewer", "buyer", "admin"];
+
+export const ROLE_LABELS = {
+  viewer: "Viewer",
+  buyer: "Buyer",
+  admin: "Admin",
+};
+
+const SESSION_KEY = "inventory.session";
+const TENANT_KEY = "inventory.tenant";
+const DEFAULT_TENANT = "default";
+
+/** True when `role` includes everything `required` may do. */
+export function roleAllows(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/** @param {{ role: string }|null} session */
+export const canEdit = (session) => Boolean(session) && roleAllows(session.role, "buyer");
+
+/** @param {{ role: string }|null} session */
+export const canAdmin = (session) => Boolean(session) && roleAllows(session.role, "admin");
+
+// Backend timestamps are UTC without an offset.
+export const asUtc = (iso) => new Date(/(Z|[+-]\d\d:\d\d)$/.test(iso) ? iso : `${iso}Z`);
+
+/**
+ * @returns {{ token: string, username: string, role: string, expires_at: string }|null}
+ */
+export function loadSession(now = new Date()) {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+    if (session && asUtc(session.expires_at) > now) return session;
+  } catch (err) {
+    // Missing or corrupt entry: treat as logged out.
+  }
+  clearSession();
+  return null;
+}
+
+export function saveSession(session) {
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  window.localStorage.removeItem(SESSION_KEY);
+}
+
+/** Tenant id chosen in the switcher, or null (the backend picks a default). */
+export function loadTenant() {
+  return window.localStorage.getItem(TENANT_KEY);
+}
+
+export function saveTenant(tenantId) {
+  window.localStorage.setItem(TENANT_KEY, tenantId);
+}
+
+/**
+ * Tenant to show after login: the last one chosen if the user still has
+ * it, else the default tenant, else their first.
+ * @param {{ tenants?: string[] }} session
+ */
+export function initialTenant(session) {
+  const tenants = session?.tenants || [];
+  const stored = loadTenant();
+  if (stored && tenants.includes(stored)) return stored;
+  if (tenants.includes(DEFAULT_TENANT)) return DEFAULT_TENANT;
+  return tenants[0] ?? null;
+}
@@ -0,0 +1,46 @@
+import {
+  canAdmin,
+  canEdit,
+  initialTenant,
+  loadSession,
+  roleAllows,
+  saveSession,
+  saveTenant,
+} from "./auth";
+
+const SESSION = {
+  token: "sess_abc",
+  username: "maya",
+  role: "buyer",
+  expires_at: "2025-12-10T22:30:00",
+};
+
+afterEach(() => window.localStorage.clear());
+
+test("roles include everything below them", () => {
+  expect(roleAllows("admin", "buyer")).toBe(true);
+  expect(roleAllows("buyer", "buyer")).toBe(true);
+  expect(roleAllows("viewer", "buyer")).toBe(false);
+  expect(roleAllows("owner", "viewer")).toBe(false);
+  expect(canEdit(SESSION)).toBe(true);
+  expect(canAdmin(SESSION)).toBe(false);
+  expect(canEdit(null)).toBe(false);
+});
+
+test("loadSession drops expired sessions", () => {
+  saveSession(SESSION);
+
+  expect(loadSession(new Date("2025-12-10T22:00:00Z"))).toEqual(SESSION);
+  expect(loadSession(new Date("2025-12-10T23:00:00Z"))).toBeNull();
+  expect(loadSession(new Date("2025-12-10T22:00:00Z"))).toBeNull();
+});
+
+test("initialTenant keeps the last choice only while the user still has it", () => {
+  expect(initialTenant({ tenants: ["acme", "default"] })).toBe("default");
+  expect(initialTenant({ tenants: ["acme", "zen"] })).toBe("acme");
+
+  saveTenant("zen");
+  expect(initialTenant({ tenants: ["acme", "zen"] })).toBe("zen");
+  expect(initialTenant({ tenants: ["acme"] })).toBe("acme");
+  expect(initialTenant({})).toBeNull();
+});
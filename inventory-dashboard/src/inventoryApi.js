@@ -0,0 +1,1980 @@
+/**
+ * inventoryApi.js
+ *
+ * Client for the Smart Inventory Prediction API (inventory-backend/main.py).
+ *
+ * - One method per backend route: /health, /latest, /predict-bulk, /ingest,
+ *   /history, /sales, /policy, /views, /alerts, /digests (queryLatest for filtered,
+ *   sorted and paged /latest)
+ * - Live update subscription over /stream (SSE) with a polling fallback
+ * - Request and response bodies are checked against the backend's Pydantic
+ *   models (ItemInput, PredictionIn, Prediction, LatestResponse)
+ * - Per-request timeout; GETs are retried with exponential backoff on
+ *   transient failures. Writes are sent once: a POST whose answer was lost
+ *   may still have run, and sending it again would ingest or order twice
+ * - Failures surface as ApiError subclasses so callers can tell a bad
+ *   response from an unreachable server
+ * - Sends the logged-in session token (auth.js) as a Bearer header;
+ *   onUnauthorized() listeners hear about 401s so the app can log out.
+ *   /stream and download links get one-use tickets instead (openLink)
+ * - Sends the selected tenant as X-Tenant-ID, so every call reads and
+ *   writes that organization's data only
+ *
+ * USAGE:
+ *   import { inventoryApi } from "./inventoryApi";
+ *   const { predictions, last_updated } = await inventoryApi.getLatest();
+ *
+ * Scripts and tests can build their own client with a different base URL,
+ * retry policy or fetch implementation via createInventoryClient().
+ */
+
+import { loadSession, loadTenant } from "./auth";
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const API_URL = process.env.REACT_APP_API_URL || "http://127.0.0.1:8000";
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BACKOFF_MS = 300;
+const DEFAULT_POLL_INTERVAL_MS =
+  Number(process.env.REACT_APP_POLL_INTERVAL_MS) || 30000;
+// Reconnect delays for a dropped /stream: doubled per failure, up to the max.
+const DEFAULT_RECONNECT_MS = 2000;
+const MAX_RECONNECT_MS = 60000;
+
+// HTTP statuses worth retrying: timeouts, rate limiting and server errors.
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// ============================================================================
+// TYPES (mirror the Pydantic models in inventory-backend/main.py)
+// ============================================================================
+
+/**
+ * Optional per-SKU supply parameters (SupplyParams).
+ * @typedef {Object} SupplyParams
+ * @property {number|null} [lead_time_days]
+ * @property {number|null} [on_order_quantity]
+ * @property {number|null} [moq]
+ * @property {number|null} [pack_size]
+ * @property {number|null} [service_level] - Between 0 and 1, e.g. 0.95
+ */
+
+/**
+ * Optional product and pricing columns (ProductInfo).
+ * @typedef {Object} ProductInfo
+ * @property {string|null} [sku_name]
+ * @property {number|null} [price]
+ * @property {number|null} [regular_price]
+ * @property {boolean} [promotion_active]
+ * @property {string|null} [supplier]
+ */
+
+/**
+ * @typedef {SupplyParams & ProductInfo & Object} ItemInput
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {number} current_stock
+ * @property {number} sales_last_30_days
+ * @property {string|null} [category]
+ * @property {string|null} [city]
+ * @property {number[]|null} [daily_sales] - Units per day, oldest first and ending
+ *   yesterday; demand is then forecast with the policy's forecast_method
+ */
+
+/**
+ * @typedef {SupplyParams & ProductInfo & Object} PredictionIn
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {number} current_stock
+ * @property {number} avg_daily_sales
+ * @property {number|null} days_to_stockout - null when no stockout is expected
+ *   (never Infinity, see stockout.js)
+ * @property {"no_sales"|"zero_forecast"|"no_demand"|null} [stockout_reason] - Why
+ *   days_to_stockout is null (labels in stockout.js)
+ * @property {string} status
+ * @property {number} recommended_reorder_quantity
+ * @property {string|null} [category]
+ * @property {string|null} [city]
+ * @property {number|null} [safety_stock]
+ * @property {number|null} [reorder_point]
+ * @property {number|null} [base_reorder_quantity] - Before MOQ / pack rounding
+ * @property {number|null} [excess_units] - Overstock / Dead Stock only
+ * @property {number|null} [capital_at_risk] - excess_units × price
+ * @property {number|null} [open_po_quantity] - On submitted purchase orders
+ * @property {number|null} [baseline_daily_sales] - Before promotion/price adjustment
+ * @property {number|null} [baseline_days_to_stockout]
+ * @property {number|null} [demand_multiplier]
+ * @property {string|null} [forecast_method] - Set when baseline_daily_sales was
+ *   forecast from daily_sales
+ * @property {number|null} [demand_std] - Day-to-day spread of demand (units/day)
+ * @property {number|null} [stockout_probability] - 0..1, chance of running out
+ *   within stockout_horizon_days
+ * @property {number|null} [stockout_horizon_days]
+ * @property {number|null} [days_to_stockout_p10] - Early end (demand spike);
+ *   null when no stockout is expected
+ * @property {number|null} [days_to_stockout_p90] - Late end (demand lull)
+ */
+
+/**
+ * @typedef {PredictionIn & { last_updated: string }} Prediction
+ */
+
+/**
+ * @typedef {Object} LatestResponse
+ * @property {Prediction[]} predictions
+ * @property {string|null} last_updated
+ * @property {number|null} version - Latest prediction run, as in /stream events
+ */
+
+/**
+ * Filters, sort and page for GET /latest. Empty values are left out; a
+ * list accepts any of its values.
+ * @typedef {Object} LatestQuery
+ * @property {string|string[]} [skuId]
+ * @property {string|string[]} [storeId]
+ * @property {string|string[]} [city]
+ * @property {string|string[]} [category]
+ * @property {string|string[]} [status]
+ * @property {string} [search] - Part of the sku_id, sku_name or category, any case
+ * @property {Object<string, {min?: number|null, max?: number|null}>} [ranges] - Inclusive
+ *   bounds on days_to_stockout, current_stock or recommended_reorder_quantity
+ * @property {string} [sort] - A Prediction field, e.g. "days_to_stockout"
+ * @property {"asc"|"desc"} [order]
+ * @property {number} [limit] - Page size (at most 1000)
+ * @property {number} [offset]
+ */
+
+/**
+ * Row counts per value, each ignoring its own filter (LatestFacets).
+ * @typedef {Object} LatestFacets
+ * @property {Object<string, number>} store_id
+ * @property {Object<string, number>} city
+ * @property {Object<string, number>} category
+ * @property {Object<string, number>} status
+ */
+
+/**
+ * @typedef {LatestResponse & {
+ *   total: number,
+ *   offset: number,
+ *   limit: number|null,
+ *   next_offset: number|null,
+ *   facets: LatestFacets,
+ *   capital_at_risk: Object<string, number>
+ * }} LatestPage - capital_at_risk is summed per status over the matching rows
+ */
+
+/**
+ * @typedef {Object} IngestResponse
+ * @property {string} status - "ok", or "staged" for one chunk of a run
+ * @property {number} count
+ * @property {string} message
+ * @property {string|null} [run_id] - Chunked upload this belongs to
+ * @property {number|null} [staged] - Keys staged so far for run_id
+ * @property {number} [inserted]
+ * @property {number} [updated]
+ * @property {number} [unchanged]
+ * @property {number} [deleted]
+ * @property {number|null} [version] - Prediction run written (null if nothing changed)
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} taken_at
+ * @property {string} source - "predict-bulk" or "ingest"
+ * @property {number} total
+ * @property {Object<string, number>} counts - Predictions per status
+ */
+
+/**
+ * @typedef {Object} SkuHistoryPoint
+ * @property {string} taken_at
+ * @property {number} current_stock
+ * @property {number} avg_daily_sales
+ * @property {number|null} days_to_stockout - null when no stockout is expected
+ *   (never Infinity, see stockout.js)
+ * @property {"no_sales"|"zero_forecast"|"no_demand"|null} [stockout_reason] - Why
+ *   days_to_stockout is null (labels in stockout.js)
+ * @property {string} status
+ * @property {number} recommended_reorder_quantity
+ */
+
+/**
+ * @typedef {Object} SkuHistoryResponse
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {SkuHistoryPoint[]} points
+ */
+
+/**
+ * One complete day of a SKU/store pair's sales history (POST /sales).
+ * @typedef {Object} SalesDay
+ * @property {string} sales_date - ISO date
+ * @property {number} units - 0 for days without a record
+ * @property {number|null} [stock_on_hand]
+ */
+
+/**
+ * @typedef {Object} SalesHistoryResponse
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {SalesDay[]} days - Oldest first; [] without any history
+ * @property {number} last_7_days - Units sold
+ * @property {number} last_30_days
+ */
+
+/**
+ * What-if changes for one stored prediction (POST /simulate).
+ * @typedef {Object} Scenario
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {number|null} [current_stock] - Left out: keep the stored one
+ * @property {{ receipt_date: string, quantity: number }[]} [receipts] - Units
+ *   arriving on a day (YYYY-MM-DD, today or later)
+ * @property {number} [demand_multiplier] - On top of promotion/price, e.g. 1.3
+ */
+
+/**
+ * @typedef {Object} StockProjection
+ * @property {{ day: string, stock: number, received: number }[]} points - Stock
+ *   on hand at the end of each day, today first
+ * @property {string|null} stockout_date - First day stock hits 0, within the curve
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {Prediction} before - Recomputed without the changes
+ * @property {Prediction} after
+ * @property {StockProjection} before_projection
+ * @property {StockProjection} after_projection
+ */
+
+/**
+ * @typedef {Object} RiskPolicy
+ * @property {number} critical_days
+ * @property {number} warning_days
+ * @property {number} target_days
+ * @property {number} promo_uplift - Demand multiplier while a promotion runs
+ * @property {number} price_elasticity
+ * @property {number} overstock_days - Coverage at or above this = Overstock
+ * @property {number} dead_stock_days - Coverage at or above this (or no sales) = Dead Stock
+ * @property {string} forecast_method - For items sent with daily_sales, e.g. "holt_winters"
+ * @property {number} stockout_horizon_days - stockout_probability is for this many days ahead
+ */
+
+/**
+ * @typedef {Object} PolicyConfig
+ * @property {RiskPolicy} defaults
+ * @property {Object<string, Partial<RiskPolicy>>} categories - Overrides per category
+ * @property {Object<string, Partial<RiskPolicy>>} stores - Overrides per store_id
+ */
+
+/**
+ * @typedef {Object} PurchaseOrderLine
+ * @property {string} sku_id
+ * @property {number} quantity
+ * @property {string|null} [sku_name]
+ * @property {number|null} [unit_price]
+ */
+
+/**
+ * Body for creating or editing a draft PO.
+ * @typedef {Object} PurchaseOrderDraft
+ * @property {string} store_id
+ * @property {string|null} [supplier]
+ * @property {string|null} [notes]
+ * @property {PurchaseOrderLine[]} lines
+ */
+
+/**
+ * @typedef {PurchaseOrderDraft & Object} PurchaseOrder
+ * @property {string} po_id
+ * @property {"draft"|"submitted"|"received"} status
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string|null} [submitted_at]
+ * @property {string|null} [received_at]
+ */
+
+/**
+ * @typedef {Object} TransferSuggestion
+ * @property {string} sku_id
+ * @property {string} from_store_id
+ * @property {string} to_store_id
+ * @property {number} quantity
+ * @property {string|null} [from_city]
+ * @property {string|null} [to_city]
+ * @property {boolean} same_city
+ * @property {number} from_days_before
+ * @property {number} from_days_after
+ * @property {number} to_days_before
+ * @property {number} to_days_after
+ * @property {string} to_status
+ */
+
+/**
+ * @typedef {Object} TransferOrderDraft
+ * @property {string} from_store_id
+ * @property {string} to_store_id
+ * @property {string|null} [notes]
+ * @property {{ sku_id: string, quantity: number }[]} lines
+ */
+
+/**
+ * @typedef {TransferOrderDraft & Object} TransferOrder
+ * @property {string} transfer_id
+ * @property {"draft"|"shipped"|"received"} status
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string|null} [shipped_at]
+ * @property {string|null} [received_at]
+ */
+
+/**
+ * Returned by POST /auth/login; `token` goes in the Authorization header.
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {string} expires_at
+ * @property {string} username
+ * @property {"viewer"|"buyer"|"admin"} role
+ * @property {string[]} tenants - Tenants the user may switch between
+ */
+
+/**
+ * Returned by POST /auth/tickets: works once, for a GET of `path`, as ?ticket=.
+ * @typedef {Object} Ticket
+ * @property {string} ticket
+ * @property {string} path
+ * @property {string} expires_at
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} username
+ * @property {"viewer"|"buyer"|"admin"} role
+ * @property {string} created_at
+ * @property {string[]} tenants
+ */
+
+/**
+ * An organization sharing the deployment; its data is kept apart.
+ * @typedef {Object} Tenant
+ * @property {string} tenant_id
+ * @property {string} name
+ * @property {string} created_at
+ */
+
+/**
+ * A dashboard view a user saved by name (SavedView).
+ * @typedef {Object} SavedView
+ * @property {number} view_id
+ * @property {string} name
+ * @property {string} query - Dashboard URL query, e.g. "?store=MUM_01&critical=1"
+ * @property {string} created_at
+ */
+
+/**
+ * A notification rule (AlertRule); see inventory-backend/alerts.py.
+ * @typedef {Object} AlertRule
+ * @property {number} rule_id
+ * @property {string} name
+ * @property {"item_status"|"status_count"} kind - An item goes `status` /
+ *   more than `threshold` items have `status`
+ * @property {string} status
+ * @property {string|null} [store_id] - Scope; unset means every store
+ * @property {string|null} [city]
+ * @property {string|null} [category]
+ * @property {number} threshold
+ * @property {string|null} [webhook_url]
+ * @property {string[]} email_to
+ * @property {number} dedupe_minutes
+ * @property {string|null} [quiet_start] - "HH:MM" in `timezone`
+ * @property {string|null} [quiet_end]
+ * @property {string} timezone
+ * @property {boolean} enabled
+ * @property {string} created_at
+ */
+
+/**
+ * One alert a rule raised (AlertEvent).
+ * @typedef {Object} AlertEvent
+ * @property {number} event_id
+ * @property {number|null} rule_id - null once the rule is deleted
+ * @property {string} rule_name
+ * @property {string} subject
+ * @property {string} text
+ * @property {number} item_count
+ * @property {"sent"|"failed"|"held"} status - held: waiting for quiet hours to end
+ * @property {string|null} [error]
+ * @property {string} created_at
+ * @property {string|null} [delivered_at]
+ */
+
+/**
+ * A daily digest subscription (DigestSubscription); see inventory-backend/digest.py.
+ * @typedef {Object} DigestSubscription
+ * @property {number} subscription_id
+ * @property {string} name
+ * @property {string[]} store_ids - Empty means every store
+ * @property {string[]} email_to
+ * @property {boolean} archive - Keep a copy, downloadable as HTML / PDF
+ * @property {string} send_at - "HH:MM" in `timezone`
+ * @property {string} timezone
+ * @property {number} top_items - Most urgent items listed
+ * @property {boolean} enabled
+ * @property {string} created_at
+ */
+
+/**
+ * One digest built for a subscription (DigestRecord).
+ * @typedef {Object} DigestRecord
+ * @property {number} digest_id
+ * @property {number|null} subscription_id - null once the subscription is deleted
+ * @property {string} name
+ * @property {string} digest_date - In the subscription's timezone
+ * @property {"schedule"|"manual"} trigger
+ * @property {{critical: number, warning: number, total: number, reorder_value: number,
+ *   unpriced_reorders: number}|null} [totals]
+ * @property {boolean} archived - Only archived digests can be downloaded
+ * @property {"pending"|"sent"|"archived"|"failed"} status
+ * @property {string|null} [error]
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {number} key_id
+ * @property {string} name
+ * @property {string} prefix - First characters, to tell keys apart
+ * @property {"viewer"|"buyer"|"admin"} role
+ * @property {string} tenant_id - The only tenant the key works for
+ * @property {string} created_at
+ * @property {string|null} [last_used_at]
+ * @property {string|null} [revoked_at]
+ * @property {string} [key] - Full key, only in the create response
+ */
+
+/**
+ * @typedef {Object} UpdateEvent
+ * @property {number} version - Latest prediction run; every write that changes an item bumps it
+ * @property {string|null} last_updated
+ * @property {number} count - Predictions stored
+ */
+
+/**
+ * @typedef {Object} HealthResponse
+ * @property {string} status
+ * @property {string} service
+ */
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export class ApiError extends Error {
+  constructor(message, { status = null, body = null, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** The server answered with a non-2xx status. */
+export class ApiHttpError extends ApiError {
+  constructor(status, body) {
+    let detail = body && typeof body === "object" && body.detail;
+    // Lists of problems (ours) or FastAPI validation errors ({ msg, ... }).
+    if (Array.isArray(detail)) {
+      detail = detail.map((d) => (typeof d === "string" ? d : d?.msg)).filter(Boolean).join("; ");
+    }
+    super(
+      `API error: ${status}${typeof detail === "string" && detail ? ` (${detail})` : ""}`,
+      { status, body }
+    );
+    this.name = "ApiHttpError";
+  }
+}
+
+/** The request did not complete within the configured timeout. */
+export class ApiTimeoutError extends ApiError {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.name = "ApiTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/** The server could not be reached at all (DNS, CORS, connection refused). */
+export class ApiNetworkError extends ApiError {
+  constructor(cause) {
+    super(`Network error: ${cause?.message || "request failed"}`, { cause });
+    this.name = "ApiNetworkError";
+  }
+}
+
+/** A request or response body does not match the backend models. */
+export class ApiValidationError extends ApiError {
+  constructor(issues, body = null) {
+    const first = issues[0];
+    super(
+      `Invalid data at ${first.path}: ${first.message}` +
+        (issues.length > 1 ? ` (+${issues.length - 1} more)` : ""),
+      { body }
+    );
+    this.name = "ApiValidationError";
+    this.issues = issues;
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Field specs: a type name, optionally suffixed with "?" for nullable fields.
+const SUPPLY_FIELDS = {
+  lead_time_days: "number?",
+  on_order_quantity: "integer?",
+  moq: "integer?",
+  pack_size: "integer?",
+  service_level: "number?",
+};
+
+const PRODUCT_FIELDS = {
+  sku_name: "string?",
+  supplier: "string?",
+  price: "number?",
+  regular_price: "number?",
+  promotion_active: "boolean?",
+};
+
+const ITEM_INPUT_FIELDS = {
+  sku_id: "string",
+  store_id: "string",
+  current_stock: "integer",
+  sales_last_30_days: "integer",
+  category: "string?",
+  city: "string?",
+  daily_sales: "array?",
+  ...SUPPLY_FIELDS,
+  ...PRODUCT_FIELDS,
+};
+
+const PREDICTION_IN_FIELDS = {
+  sku_id: "string",
+  store_id: "string",
+  current_stock: "integer",
+  avg_daily_sales: "number",
+  days_to_stockout: "number?",
+  stockout_reason: "string?",
+  status: "string",
+  recommended_reorder_quantity: "integer",
+  category: "string?",
+  city: "string?",
+  ...SUPPLY_FIELDS,
+  ...PRODUCT_FIELDS,
+  safety_stock: "number?",
+  reorder_point: "number?",
+  base_reorder_quantity: "integer?",
+  excess_units: "integer?",
+  capital_at_risk: "number?",
+  baseline_daily_sales: "number?",
+  baseline_days_to_stockout: "number?",
+  demand_multiplier: "number?",
+  forecast_method: "string?",
+  demand_std: "number?",
+  stockout_probability: "number?",
+  stockout_horizon_days: "number?",
+  days_to_stockout_p10: "number?",
+  days_to_stockout_p90: "number?",
+};
+
+const PREDICTION_FIELDS = {
+  ...PREDICTION_IN_FIELDS,
+  open_po_quantity: "integer?",
+  last_updated: "datetime",
+};
+
+const HEALTH_FIELDS = {
+  status: "string",
+  service: "string",
+};
+
+const INGEST_RESPONSE_FIELDS = {
+  status: "string",
+  count: "integer",
+  message: "string",
+  run_id: "string?",
+  staged: "integer?",
+  inserted: "integer?",
+  updated: "integer?",
+  unchanged: "integer?",
+  deleted: "integer?",
+  version: "integer?",
+};
+
+// Query string shared by the write endpoints (/predict-bulk, /ingest).
+function writeQuery({ dryRun, mode, runId } = {}) {
+  const query = new URLSearchParams();
+  if (dryRun) query.set("dry_run", "true");
+  if (mode) query.set("mode", mode);
+  if (runId) query.set("run_id", runId);
+  return query.toString() ? `?${query}` : "";
+}
+
+const LATEST_PAGE_FIELDS = {
+  total: "integer",
+  offset: "integer",
+  limit: "integer?",
+  next_offset: "integer?",
+  facets: "object",
+  capital_at_risk: "object?",
+};
+
+const FACET_FIELDS = {
+  store_id: "object",
+  city: "object",
+  category: "object",
+  status: "object",
+};
+
+// Query string for GET /latest (see LatestQuery).
+function latestQuery(params = {}) {
+  const {
+    skuId,
+    storeId,
+    city,
+    category,
+    status,
+    search,
+    ranges = {},
+    sort,
+    order,
+    limit,
+    offset,
+  } = params;
+  const query = new URLSearchParams();
+  const addAll = (name, values) =>
+    [].concat(values ?? []).forEach((value) => value && query.append(name, value));
+
+  addAll("sku_id", skuId);
+  addAll("store_id", storeId);
+  addAll("city", city);
+  addAll("category", category);
+  addAll("status", status);
+  if (search) query.set("search", search);
+  Object.entries(ranges).forEach(([field, { min, max }]) => {
+    if (min != null) query.set(`${field}_min`, min);
+    if (max != null) query.set(`${field}_max`, max);
+  });
+  if (sort) query.set("sort", sort);
+  if (order) query.set("order", order);
+  if (limit) query.set("limit", limit);
+  if (offset) query.set("offset", offset);
+  return query.toString() ? `?${query}` : "";
+}
+
+const HISTORY_ENTRY_FIELDS = {
+  taken_at: "datetime",
+  source: "string",
+  total: "integer",
+  counts: "object",
+};
+
+const SKU_HISTORY_POINT_FIELDS = {
+  taken_at: "datetime",
+  current_stock: "integer",
+  avg_daily_sales: "number",
+  days_to_stockout: "number?",
+  stockout_reason: "string?",
+  status: "string",
+  recommended_reorder_quantity: "integer",
+};
+
+const SALES_DAY_FIELDS = {
+  sales_date: "string",
+  units: "number",
+  stock_on_hand: "integer?",
+};
+
+const STOCK_POINT_FIELDS = {
+  day: "string",
+  stock: "number",
+  received: "integer",
+};
+
+const SCENARIO_FIELDS = {
+  sku_id: "string",
+  store_id: "string",
+  current_stock: "integer?",
+  receipts: "array?",
+  demand_multiplier: "number?",
+};
+
+const RECEIPT_FIELDS = {
+  receipt_date: "string",
+  quantity: "integer",
+};
+
+const RISK_POLICY_FIELDS = {
+  critical_days: "number",
+  warning_days: "number",
+  target_days: "number",
+  promo_uplift: "number",
+  price_elasticity: "number",
+  overstock_days: "number",
+  dead_stock_days: "number",
+  forecast_method: "string",
+  stockout_horizon_days: "number",
+};
+
+const RISK_POLICY_OVERRIDE_FIELDS = {
+  critical_days: "number?",
+  warning_days: "number?",
+  target_days: "number?",
+  promo_uplift: "number?",
+  price_elasticity: "number?",
+  overstock_days: "number?",
+  dead_stock_days: "number?",
+  forecast_method: "string?",
+  stockout_horizon_days: "number?",
+};
+
+const PO_LINE_FIELDS = {
+  sku_id: "string",
+  quantity: "integer",
+  sku_name: "string?",
+  unit_price: "number?",
+};
+
+const PO_DRAFT_FIELDS = {
+  store_id: "string",
+  supplier: "string?",
+  notes: "string?",
+};
+
+const PO_FIELDS = {
+  ...PO_DRAFT_FIELDS,
+  po_id: "string",
+  status: "string",
+  created_at: "datetime",
+  updated_at: "datetime",
+  submitted_at: "datetime?",
+  received_at: "datetime?",
+};
+
+// Days can be null when there are no sales (the backend can't send Infinity).
+const TRANSFER_SUGGESTION_FIELDS = {
+  sku_id: "string",
+  from_store_id: "string",
+  to_store_id: "string",
+  quantity: "integer",
+  from_city: "string?",
+  to_city: "string?",
+  same_city: "boolean",
+  from_days_before: "number?",
+  from_days_after: "number?",
+  to_days_before: "number",
+  to_days_after: "number",
+  to_status: "string",
+};
+
+const TRANSFER_LINE_FIELDS = {
+  sku_id: "string",
+  quantity: "integer",
+};
+
+const TRANSFER_DRAFT_FIELDS = {
+  from_store_id: "string",
+  to_store_id: "string",
+  notes: "string?",
+};
+
+const TRANSFER_FIELDS = {
+  ...TRANSFER_DRAFT_FIELDS,
+  transfer_id: "string",
+  status: "string",
+  created_at: "datetime",
+  updated_at: "datetime",
+  shipped_at: "datetime?",
+  received_at: "datetime?",
+};
+
+const SESSION_FIELDS = {
+  token: "string",
+  expires_at: "datetime",
+  username: "string",
+  role: "string",
+  tenants: "array",
+};
+
+const TICKET_FIELDS = {
+  ticket: "string",
+  path: "string",
+  expires_at: "datetime",
+};
+
+const USER_FIELDS = {
+  username: "string",
+  role: "string",
+  created_at: "datetime",
+  tenants: "array",
+};
+
+const TENANT_FIELDS = {
+  tenant_id: "string",
+  name: "string",
+  created_at: "datetime",
+};
+
+const VIEW_FIELDS = {
+  view_id: "integer",
+  name: "string",
+  query: "string",
+  created_at: "datetime",
+};
+
+const ALERT_RULE_FIELDS = {
+  rule_id: "integer",
+  name: "string",
+  kind: "string",
+  status: "string",
+  threshold: "integer",
+  email_to: "array",
+  dedupe_minutes: "integer",
+  timezone: "string",
+  enabled: "boolean",
+  created_at: "datetime",
+};
+
+const ALERT_EVENT_FIELDS = {
+  event_id: "integer",
+  rule_id: "integer?",
+  rule_name: "string",
+  subject: "string",
+  text: "string",
+  item_count: "integer",
+  status: "string",
+  created_at: "datetime",
+  delivered_at: "datetime?",
+};
+
+const DIGEST_SUBSCRIPTION_FIELDS = {
+  subscription_id: "integer",
+  name: "string",
+  store_ids: "array",
+  email_to: "array",
+  archive: "boolean",
+  send_at: "string",
+  timezone: "string",
+  top_items: "integer",
+  enabled: "boolean",
+  created_at: "datetime",
+};
+
+const DIGEST_FIELDS = {
+  digest_id: "integer",
+  subscription_id: "integer?",
+  name: "string",
+  digest_date: "string",
+  trigger: "string",
+  archived: "boolean",
+  status: "string",
+  created_at: "datetime",
+};
+
+const API_KEY_FIELDS = {
+  key_id: "integer",
+  name: "string",
+  prefix: "string",
+  role: "string",
+  tenant_id: "string",
+  created_at: "datetime",
+  last_used_at: "datetime?",
+  revoked_at: "datetime?",
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && !Number.isNaN(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+  datetime: (v) => typeof v === "string" && !Number.isNaN(Date.parse(v)),
+};
+
+function validateFields(value, fields, path, issues) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    issues.push({ path, message: "expected an object" });
+    return;
+  }
+
+  Object.entries(fields).forEach(([key, spec]) => {
+    const nullable = spec.endsWith("?");
+    const type = nullable ? spec.slice(0, -1) : spec;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (!nullable) issues.push({ path: `${path}.${key}`, message: "is required" });
+      return;
+    }
+
+    if (!TYPE_CHECKS[type](fieldValue)) {
+      issues.push({ path: `${path}.${key}`, message: `expected ${type}` });
+    }
+  });
+}
+
+function validateList(value, fields, path, issues) {
+  if (!Array.isArray(value)) {
+    issues.push({ path, message: "expected an array" });
+    return;
+  }
+  value.forEach((entry, idx) => validateFields(entry, fields, `${path}[${idx}]`, issues));
+}
+
+function assertValid(check, body = null) {
+  const issues = [];
+  check(issues);
+  if (issues.length > 0) throw new ApiValidationError(issues, body);
+}
+
+/**
+ * Validate a /latest (or /predict-bulk) response body.
+ * @returns {LatestResponse}
+ */
+export function validateLatestResponse(data) {
+  assertValid((issues) => {
+    validateFields(data, { last_updated: "datetime?", version: "integer?" }, "response", issues);
+    if (issues.length === 0) {
+      validateList(data.predictions, PREDICTION_FIELDS, "response.predictions", issues);
+    }
+  }, data);
+  return {
+    predictions: data.predictions,
+    last_updated: data.last_updated ?? null,
+    version: data.version ?? null,
+  };
+}
+
+/**
+ * Validate a filtered / paged /latest response body.
+ * @returns {LatestPage}
+ */
+export function validateLatestPage(data) {
+  const latest = validateLatestResponse(data);
+  assertValid((issues) => {
+    validateFields(data, LATEST_PAGE_FIELDS, "response", issues);
+    if (issues.length === 0) validateFields(data.facets, FACET_FIELDS, "response.facets", issues);
+  }, data);
+  const { total, offset, limit, next_offset, facets, capital_at_risk } = data;
+  return {
+    ...latest,
+    total,
+    offset,
+    limit: limit ?? null,
+    next_offset: next_offset ?? null,
+    facets,
+    capital_at_risk: capital_at_risk ?? {},
+  };
+}
+
+/**
+ * Validate a /policy body (request or response).
+ * @returns {PolicyConfig}
+ */
+export function validatePolicyConfig(data) {
+  assertValid((issues) => {
+    validateFields(data, { defaults: "object", categories: "object", stores: "object" }, "policy", issues);
+    if (issues.length > 0) return;
+    validateFields(data.defaults, RISK_POLICY_FIELDS, "policy.defaults", issues);
+    ["categories", "stores"].forEach((scope) =>
+      Object.entries(data[scope]).forEach(([key, override]) =>
+        validateFields(override, RISK_POLICY_OVERRIDE_FIELDS, `policy.${scope}.${key}`, issues)
+      )
+    );
+  }, data);
+  return data;
+}
+
+/** Validate items before sending them to /predict-bulk. */
+export function validateItemInputs(items) {
+  assertValid((issues) => validateList(items, ITEM_INPUT_FIELDS, "items", issues));
+  return items;
+}
+
+/** Validate predictions before sending them to /ingest. */
+export function validatePredictionInputs(predictions) {
+  assertValid((issues) =>
+    validateList(predictions, PREDICTION_IN_FIELDS, "predictions", issues)
+  );
+  return predictions;
+}
+
+function validatePurchaseOrderFields(po, fields, path, issues) {
+  validateFields(po, fields, path, issues);
+  if (issues.length === 0) validateList(po.lines, PO_LINE_FIELDS, `${path}.lines`, issues);
+}
+
+/** @returns {IngestResponse} */
+function validateIngestResponse(data) {
+  assertValid((issues) => validateFields(data, INGEST_RESPONSE_FIELDS, "response", issues), data);
+  return data;
+}
+
+/** Validate a draft before POST/PUT /purchase-orders. */
+export function validatePurchaseOrderDraft(draft) {
+  assertValid((issues) => validatePurchaseOrderFields(draft, PO_DRAFT_FIELDS, "draft", issues));
+  return draft;
+}
+
+/** @returns {PurchaseOrder} */
+function validatePurchaseOrder(data) {
+  assertValid((issues) => validatePurchaseOrderFields(data, PO_FIELDS, "response", issues), data);
+  return data;
+}
+
+function validateTransferOrderFields(order, fields, path, issues) {
+  validateFields(order, fields, path, issues);
+  if (issues.length === 0) validateList(order.lines, TRANSFER_LINE_FIELDS, `${path}.lines`, issues);
+}
+
+/** @returns {TransferOrder} */
+function validateTransferOrder(data) {
+  assertValid((issues) => validateTransferOrderFields(data, TRANSFER_FIELDS, "response", issues), data);
+  return data;
+}
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason || new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+function parseBody(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function fetchOnce(fetchImpl, url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const forwardAbort = () => controller.abort();
+
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener("abort", forwardAbort);
+  }
+
+  try {
+    const res = await fetchImpl(url, { ...init, signal: controller.signal });
+    const body = parseBody(await res.text());
+    return { res, body };
+  } catch (err) {
+    // Caller-initiated aborts propagate unchanged (err.name === "AbortError").
+    if (signal?.aborted) throw err;
+    if (timedOut) throw new ApiTimeoutError(timeoutMs);
+    throw new ApiNetworkError(err);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", forwardAbort);
+  }
+}
+
+function isRetryable(err) {
+  if (err instanceof ApiTimeoutError || err instanceof ApiNetworkError) return true;
+  return err instanceof ApiHttpError && RETRYABLE_STATUSES.includes(err.status);
+}
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Build an API client.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Backend base URL (defaults to REACT_APP_API_URL)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Extra attempts after a transient failure
+ *   (GET only)
+ * @param {number} [options.backoffMs] - First retry delay, doubled per attempt
+ * @param {Function} [options.fetchImpl] - fetch replacement (tests, Node scripts)
+ * @param {Function} [options.getToken] - Current session token (defaults to the
+ *   stored login, see auth.js); return null to send no credentials
+ * @param {Function} [options.getTenant] - Selected tenant id (defaults to the
+ *   stored choice, see auth.js); null lets the backend pick the caller's default
+ */
+export function createInventoryClient({
+  baseUrl = API_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  backoffMs = DEFAULT_BACKOFF_MS,
+  fetchImpl,
+  getToken = () => loadSession()?.token ?? null,
+  getTenant = () => loadTenant(),
+} = {}) {
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+  const root = baseUrl.replace(/\/+$/, "");
+  const unauthorizedListeners = new Set();
+
+  async function request(path, { method = "GET", body, signal, ...overrides } = {}) {
+    const attempts = method === "GET" ? (overrides.retries ?? retries) + 1 : 1;
+    const attemptTimeout = overrides.timeoutMs ?? timeoutMs;
+    const init = { method, headers: { Accept: "application/json" } };
+    const token = getToken();
+    const tenant = getTenant();
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (tenant) init.headers["X-Tenant-ID"] = tenant;
+
+    if (body !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(body);
+    }
+
+    let lastError;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) {
+        await sleep(backoffMs * 2 ** (attempt - 1), signal);
+      }
+
+      try {
+        const { res, body: resBody } = await fetchOnce(
+          doFetch,
+          `${root}${path}`,
+          init,
+          attemptTimeout,
+          signal
+        );
+        if (!res.ok) {
+          if (res.status === 401 && token) unauthorizedListeners.forEach((fn) => fn());
+          throw new ApiHttpError(res.status, resBody);
+        }
+        return resBody;
+      } catch (err) {
+        if (!isRetryable(err)) throw err;
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  // EventSource and download links can't send headers. Instead of the
+  // session token, which would end up in logs and browser history, they
+  // carry a one-use ticket for their path (POST /auth/tickets) and ?tenant=.
+  async function ticketUrl(path) {
+    const [pathname, query] = path.split("?");
+    const params = new URLSearchParams(query);
+    if (getToken()) {
+      const data = await request("/auth/tickets", {
+        method: "POST",
+        body: { path: pathname },
+      });
+      assertValid((issues) => validateFields(data, TICKET_FIELDS, "response", issues), data);
+      params.set("ticket", data.ticket);
+    }
+    const tenant = getTenant();
+    if (tenant) params.set("tenant", tenant);
+    const search = params.toString();
+    return `${root}${pathname}${search ? `?${search}` : ""}`;
+  }
+
+  async function getLatest(options) {
+    return validateLatestResponse(await request("/latest", options));
+  }
+
+  async function queryLatest(query, options) {
+    return validateLatestPage(await request(`/latest${latestQuery(query)}`, options));
+  }
+
+  return {
+    /** GET /health @returns {Promise<HealthResponse>} */
+    async health(options) {
+      const data = await request("/health", options);
+      assertValid((issues) => validateFields(data, HEALTH_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** GET /latest @returns {Promise<LatestResponse>} */
+    getLatest,
+
+    /**
+     * GET /latest with filters, sort and paging, plus totals and facet counts
+     * @param {LatestQuery} query
+     * @returns {Promise<LatestPage>}
+     */
+    queryLatest,
+
+    /**
+     * POST /auth/login - the caller stores the session (auth.js saveSession)
+     * @returns {Promise<Session>}
+     */
+    async login(username, password, options) {
+      const data = await request("/auth/login", {
+        ...options,
+        method: "POST",
+        body: { username, password },
+      });
+      assertValid((issues) => validateFields(data, SESSION_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** POST /auth/logout - end the current session on the server */
+    async logout(options) {
+      return request("/auth/logout", { ...options, method: "POST" });
+    },
+
+    /**
+     * Call `listener` whenever a request made with a token gets 401
+     * (expired or revoked session). Returns an unsubscribe function.
+     */
+    onUnauthorized(listener) {
+      unauthorizedListeners.add(listener);
+      return () => unauthorizedListeners.delete(listener);
+    },
+
+    /** GET /auth/users (admin) @returns {Promise<User[]>} */
+    async listUsers(options) {
+      const data = await request("/auth/users", options);
+      assertValid((issues) => validateList(data?.users, USER_FIELDS, "response.users", issues), data);
+      return data.users;
+    },
+
+    /**
+     * POST /auth/users (admin)
+     * @param {{ username: string, password: string, role: string, tenants?: string[] }} user
+     * @returns {Promise<User>}
+     */
+    async createUser(user, options) {
+      const data = await request("/auth/users", { ...options, method: "POST", body: user });
+      assertValid((issues) => validateFields(data, USER_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /**
+     * PUT /auth/users/{username} (admin) - new role, password and/or tenants
+     * @param {{ role?: string, password?: string, tenants?: string[] }} changes
+     * @returns {Promise<User>}
+     */
+    async updateUser(username, changes, options) {
+      const data = await request(`/auth/users/${encodeURIComponent(username)}`, {
+        ...options,
+        method: "PUT",
+        body: changes,
+      });
+      assertValid((issues) => validateFields(data, USER_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** DELETE /auth/users/{username} (admin) */
+    async deleteUser(username, options) {
+      return request(`/auth/users/${encodeURIComponent(username)}`, {
+        ...options,
+        method: "DELETE",
+      });
+    },
+
+    /** GET /auth/api-keys (admin) @returns {Promise<ApiKey[]>} */
+    async listApiKeys(options) {
+      const data = await request("/auth/api-keys", options);
+      assertValid(
+        (issues) => validateList(data?.api_keys, API_KEY_FIELDS, "response.api_keys", issues),
+        data
+      );
+      return data.api_keys;
+    },
+
+    /**
+     * POST /auth/api-keys (admin) - the full key is only in this response
+     * @param {{ name: string, role: string, tenant_id?: string }} key
+     * @returns {Promise<ApiKey>}
+     */
+    async createApiKey(key, options) {
+      const data = await request("/auth/api-keys", { ...options, method: "POST", body: key });
+      assertValid(
+        (issues) => validateFields(data, { ...API_KEY_FIELDS, key: "string" }, "response", issues),
+        data
+      );
+      return data;
+    },
+
+    /** DELETE /auth/api-keys/{key_id} (admin) - revoke */
+    async revokeApiKey(keyId, options) {
+      return request(`/auth/api-keys/${keyId}`, { ...options, method: "DELETE" });
+    },
+
+    /** GET /tenants - the tenants the caller may switch to @returns {Promise<Tenant[]>} */
+    async listTenants(options) {
+      const data = await request("/tenants", options);
+      assertValid(
+        (issues) => validateList(data?.tenants, TENANT_FIELDS, "response.tenants", issues),
+        data
+      );
+      return data.tenants;
+    },
+
+    /**
+     * POST /tenants (admin)
+     * @param {{ tenant_id: string, name: string }} tenant
+     * @returns {Promise<Tenant>}
+     */
+    async createTenant(tenant, options) {
+      const data = await request("/tenants", { ...options, method: "POST", body: tenant });
+      assertValid((issues) => validateFields(data, TENANT_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** GET /views - the user's saved views in this tenant @returns {Promise<SavedView[]>} */
+    async listViews(options) {
+      const data = await request("/views", options);
+      assertValid(
+        (issues) => validateList(data?.views, VIEW_FIELDS, "response.views", issues),
+        data
+      );
+      return data.views;
+    },
+
+    /**
+     * POST /views - save a view; an existing name is overwritten
+     * @param {{ name: string, query: string }} view
+     * @returns {Promise<SavedView>}
+     */
+    async saveView(view, options) {
+      const data = await request("/views", { ...options, method: "POST", body: view });
+      assertValid((issues) => validateFields(data, VIEW_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** DELETE /views/{view_id} */
+    async deleteView(viewId, options) {
+      return request(`/views/${viewId}`, { ...options, method: "DELETE" });
+    },
+
+    /** GET /alerts/rules - the tenant's alert rules @returns {Promise<AlertRule[]>} */
+    async listAlertRules(options) {
+      const data = await request("/alerts/rules", options);
+      assertValid(
+        (issues) => validateList(data?.rules, ALERT_RULE_FIELDS, "response.rules", issues),
+        data
+      );
+      return data.rules;
+    },
+
+    /**
+     * POST /alerts/rules (buyer), or PUT /alerts/rules/{rule_id} with a ruleId
+     * @param {Omit<AlertRule, "rule_id"|"created_at">} rule
+     * @param {number} [ruleId] - Rule to replace
+     * @returns {Promise<AlertRule>}
+     */
+    async saveAlertRule(rule, ruleId, options) {
+      const data = await request(ruleId ? `/alerts/rules/${ruleId}` : "/alerts/rules", {
+        ...options,
+        method: ruleId ? "PUT" : "POST",
+        body: rule,
+      });
+      assertValid((issues) => validateFields(data, ALERT_RULE_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /** DELETE /alerts/rules/{rule_id} (buyer) */
+    async deleteAlertRule(ruleId, options) {
+      return request(`/alerts/rules/${ruleId}`, { ...options, method: "DELETE" });
+    },
+
+    /**
+     * POST /alerts/rules/{rule_id}/test (buyer) - send a test message on the
+     * rule's channels. A failed channel answers 502 with the channel's error.
+     */
+    async testAlertRule(ruleId, options) {
+      return request(`/alerts/rules/${ruleId}/test`, { ...options, method: "POST" });
+    },
+
+    /**
+     * GET /alerts/history - alerts sent, failed or held, newest first
+     * @param {{ limit?: number }} [params]
+     * @returns {Promise<AlertEvent[]>}
+     */
+    async getAlertHistory({ limit = 100 } = {}, options) {
+      const data = await request(`/alerts/history?limit=${limit}`, options);
+      assertValid(
+        (issues) => validateList(data?.events, ALERT_EVENT_FIELDS, "response.events", issues),
+        data
+      );
+      return data.events;
+    },
+
+    /**
+     * GET /digests/subscriptions - the tenant's daily digest subscriptions
+     * @returns {Promise<DigestSubscription[]>}
+     */
+    async listDigestSubscriptions(options) {
+      const data = await request("/digests/subscriptions", options);
+      assertValid(
+        (issues) =>
+          validateList(data?.subscriptions, DIGEST_SUBSCRIPTION_FIELDS, "response.subscriptions", issues),
+        data
+      );
+      return data.subscriptions;
+    },
+
+    /**
+     * POST /digests/subscriptions (buyer), or PUT /digests/subscriptions/{id}
+     * with a subscriptionId
+     * @param {Omit<DigestSubscription, "subscription_id"|"created_at">} subscription
+     * @param {number} [subscriptionId] - Subscription to replace
+     * @returns {Promise<DigestSubscription>}
+     */
+    async saveDigestSubscription(subscription, subscriptionId, options) {
+      const path = subscriptionId
+        ? `/digests/subscriptions/${subscriptionId}`
+        : "/digests/subscriptions";
+      const data = await request(path, {
+        ...options,
+        method: subscriptionId ? "PUT" : "POST",
+        body: subscription,
+      });
+      assertValid(
+        (issues) => validateFields(data, DIGEST_SUBSCRIPTION_FIELDS, "response", issues),
+        data
+      );
+      return data;
+    },
+
+    /** DELETE /digests/subscriptions/{id} (buyer) */
+    async deleteDigestSubscription(subscriptionId, options) {
+      return request(`/digests/subscriptions/${subscriptionId}`, { ...options, method: "DELETE" });
+    },
+
+    /**
+     * POST /digests/subscriptions/{id}/send (buyer) - build and send the digest
+     * now. A failed email answers 502 and is already archived.
+     * @returns {Promise<DigestRecord>}
+     */
+    async sendDigest(subscriptionId, options) {
+      const data = await request(`/digests/subscriptions/${subscriptionId}/send`, {
+        ...options,
+        method: "POST",
+      });
+      assertValid((issues) => validateFields(data, DIGEST_FIELDS, "response", issues), data);
+      return data;
+    },
+
+    /**
+     * GET /digests - digests sent, archived or failed, newest first
+     * @param {{ limit?: number }} [params]
+     * @returns {Promise<DigestRecord[]>}
+     */
+    async listDigests({ limit = 100 } = {}, options) {
+      const data = await request(`/digests?limit=${limit}`, options);
+      assertValid(
+        (issues) => validateList(data?.digests, DIGEST_FIELDS, "response.digests", issues),
+        data
+      );
+      return data.digests;
+    },
+
+    /**
+     * One-use URL of an archived digest, for openLink (not fetched here).
+     * @param {"html"|"pdf"} format
+     * @returns {Promise<string>}
+     */
+    digestExportUrl(digestId, format) {
+      return ticketUrl(`/digests/${digestId}/export.${format}`);
+    },
+
+    /**
+     * One-use URL of today's digest for some stores (all when empty), not
+     * sent or archived.
+     * @param {string[]} storeIds
+     * @param {"html"|"pdf"} format
+     * @returns {Promise<string>}
+     */
+    digestPreviewUrl(storeIds, format) {
+      const params = new URLSearchParams();
+      storeIds.forEach((id) => params.append("store_id", id));
+      const query = params.toString();
+      return ticketUrl(`/digests/preview.${format}${query ? `?${query}` : ""}`);
+    },
+
+    /**
+     * GET /history - status counts per prediction run, oldest first
+     * @param {{ limit?: number }} [params]
+     * @returns {Promise<HistoryEntry[]>}
+     */
+    async getHistory({ limit = 30 } = {}, options) {
+      const data = await request(`/history?limit=${limit}`, options);
+      assertValid(
+        (issues) => validateList(data?.snapshots, HISTORY_ENTRY_FIELDS, "response.snapshots", issues),
+        data
+      );
+      return data.snapshots;
+    },
+
+    /**
+     * GET /history/{store_id}/{sku_id} - one SKU/store pair across runs
+     * @returns {Promise<SkuHistoryResponse>}
+     */
+    async getSkuHistory(storeId, skuId, { limit = 30 } = {}, options) {
+      const path = `/history/${encodeURIComponent(storeId)}/${encodeURIComponent(skuId)}`;
+      const data = await request(`${path}?limit=${limit}`, options);
+      assertValid(
+        (issues) => validateList(data?.points, SKU_HISTORY_POINT_FIELDS, "response.points", issues),
+        data
+      );
+      return data;
+    },
+
+    /**
+     * GET /sales/{store_id}/{sku_id} - daily sales of one SKU/store pair
+     * @returns {Promise<SalesHistoryResponse>}
+     */
+    async getSalesHistory(storeId, skuId, { days = 90 } = {}, options) {
+      const path = `/sales/${encodeURIComponent(storeId)}/${encodeURIComponent(skuId)}`;
+      const data = await request(`${path}?days=${days}`, options);
+      assertValid((issues) => {
+        validateFields(data, { last_7_days: "number", last_30_days: "number" }, "response", issues);
+        validateList(data?.days, SALES_DAY_FIELDS, "response.days", issues);
+      }, data);
+      return data;
+    },
+
+    /**
+     * POST /simulate - what-if predictions; nothing is stored
+     * @param {Scenario[]} scenarios
+     * @param {Object} [params]
+     * @param {number} [params.days] - Length of the stock curves
+     * @returns {Promise<SimulationResult[]>}
+     */
+    async simulate(scenarios, { days = 30 } = {}, options) {
+      assertValid((issues) => {
+        validateList(scenarios, SCENARIO_FIELDS, "scenarios", issues);
+        (scenarios || []).forEach((scenario, idx) => {
+          if (scenario?.receipts) {
+            validateList(scenario.receipts, RECEIPT_FIELDS, `scenarios[${idx}].receipts`, issues);
+          }
+        });
+      });
+      const data = await request("/simulate", {
+        ...options,
+        method: "POST",
+        body: { scenarios, days },
+      });
+      assertValid((issues) => {
+        validateFields(data, { as_of: "datetime" }, "response", issues);
+        validateList(data?.results, { sku_id: "string", store_id: "string" }, "response.results", issues);
+        (data?.results || []).forEach((result, idx) => {
+          const path = `response.results[${idx}]`;
+          validateFields(result.before, PREDICTION_FIELDS, `${path}.before`, issues);
+          validateFields(result.after, PREDICTION_FIELDS, `${path}.after`, issues);
+          ["before_projection", "after_projection"].forEach((key) =>
+            validateList(result[key]?.points, STOCK_POINT_FIELDS, `${path}.${key}.points`, issues)
+          );
+        });
+      }, data);
+      return data.results;
+    },
+
+    /** GET /policy @returns {Promise<PolicyConfig>} */
+    async getPolicy(options) {
+      return validatePolicyConfig(await request("/policy", options));
+    },
+
+    /**
+     * PUT /policy - replace thresholds; applies to the next prediction run
+     * @param {PolicyConfig} config
+     * @returns {Promise<PolicyConfig>}
+     */
+    async updatePolicy(config, options) {
+      validatePolicyConfig(config);
+      const data = await request("/policy", { ...options, method: "PUT", body: config });
+      return validatePolicyConfig(data);
+    },
+
+    /**
+     * POST /predict-bulk
+     * @param {ItemInput[]} items
+     * @param {Object} [params]
+     * @param {boolean} [params.dryRun] - Compute without storing (previews)
+     * @param {"replace"|"upsert"} [params.mode] - Replace everything (default) or
+     *   only insert/update these SKU/store pairs
+     * @param {string} [params.runId] - Stage as one chunk until commitRun(runId)
+     * @returns {Promise<LatestResponse>} Predictions for the items sent
+     */
+    async predictBulk(items, { dryRun = false, mode, runId } = {}, options) {
+      validateItemInputs(items);
+      const query = writeQuery({ dryRun, mode, runId });
+
+      const data = await request(`/predict-bulk${query}`, {
+        ...options,
+        method: "POST",
+        body: { items },
+      });
+      return validateLatestResponse(data);
+    },
+
+    /**
+     * POST /ingest
+     * @param {PredictionIn[]} predictions
+     * @param {Object} [params]
+     * @param {"replace"|"upsert"} [params.mode]
+     * @param {string} [params.runId] - Stage as one chunk until commitRun(runId)
+     * @param {{ sku_id: string, store_id: string }[]} [params.remove] - Keys to
+     *   delete (mode "upsert" only)
+     * @returns {Promise<IngestResponse>} inserted / updated / unchanged / deleted counts
+     */
+    async ingest(predictions, { mode, runId, remove = [] } = {}, options) {
+      validatePredictionInputs(predictions);
+      const data = await request(`/ingest${writeQuery({ mode, runId })}`, {
+        ...options,
+        method: "POST",
+        body: { predictions, delete: remove },
+      });
+      return validateIngestResponse(data);
+    },
+
+    /**
+     * POST /ingest/runs/{runId}/commit - apply every staged chunk at once
+     * @returns {Promise<IngestResponse>}
+     */
+    async commitRun(runId, options) {
+      const data = await request(`/ingest/runs/${encodeURIComponent(runId)}/commit`, {
+        ...options,
+        method: "POST",
+      });
+      return validateIngestResponse(data);
+    },
+
+    /** DELETE /ingest/runs/{runId} - abandon a chunked upload */
+    async discardRun(runId, options) {
+      return request(`/ingest/runs/${encodeURIComponent(runId)}`, {
+        ...options,
+        method: "DELETE",
+      });
+    },
+
+    /**
+     * GET /purchase-orders - newest first
+     * @param {{ status?: string, storeId?: string }} [params]
+     * @returns {Promise<PurchaseOrder[]>}
+     */
+    async listPurchaseOrders({ status, storeId } = {}, options) {
+      const query = new URLSearchParams();
+      if (status) query.set("status", status);
+      if (storeId) query.set("store_id", storeId);
+      const path = query.toString() ? `/purchase-orders?${query}` : "/purchase-orders";
+      const data = await request(path, options);
+      assertValid(
+        (issues) => {
+          if (!Array.isArray(data?.purchase_orders)) {
+            issues.push({ path: "response.purchase_orders", message: "expected an array" });
+            return;
+          }
+          data.purchase_orders.forEach((po, idx) =>
+            validatePurchaseOrderFields(po, PO_FIELDS, `response.purchase_orders[${idx}]`, issues)
+          );
+        },
+        data
+      );
+      return data.purchase_orders;
+    },
+
+    /**
+     * POST /purchase-orders - save a draft PO
+     * @param {PurchaseOrderDraft} draft
+     * @returns {Promise<PurchaseOrder>}
+     */
+    async createPurchaseOrder(draft, options) {
+      validatePurchaseOrderDraft(draft);
+      const data = await request("/purchase-orders", { ...options, method: "POST", body: draft });
+      return validatePurchaseOrder(data);
+    },
+
+    /**
+     * PUT /purchase-orders/{po_id} - replace a draft's lines/supplier/notes
+     * @returns {Promise<PurchaseOrder>}
+     */
+    async updatePurchaseOrder(poId, draft, options) {
+      validatePurchaseOrderDraft(draft);
+      const data = await request(`/purchase-orders/${encodeURIComponent(poId)}`, {
+        ...options,
+        method: "PUT",
+        body: draft,
+      });
+      return validatePurchaseOrder(data);
+    },
+
+    /** DELETE /purchase-orders/{po_id} - discard a draft */
+    async deletePurchaseOrder(poId, options) {
+      return request(`/purchase-orders/${encodeURIComponent(poId)}`, {
+        ...options,
+        method: "DELETE",
+      });
+    },
+
+    /**
+     * POST /purchase-orders/{po_id}/status - draft -> submitted -> received
+     * @param {"submitted"|"received"} status
+     * @returns {Promise<PurchaseOrder>}
+     */
+    async setPurchaseOrderStatus(poId, status, options) {
+      const data = await request(`/purchase-orders/${encodeURIComponent(poId)}/status`, {
+        ...options,
+        method: "POST",
+        body: { status },
+      });
+      return validatePurchaseOrder(data);
+    },
+
+    /**
+     * One-use URL of a PO export, for openLink (not fetched here).
+     * @param {"csv"|"pdf"} format
+     * @returns {Promise<string>}
+     */
+    purchaseOrderExportUrl(poId, format) {
+      return ticketUrl(`/purchase-orders/${encodeURIComponent(poId)}/export.${format}`);
+    },
+
+    /**
+     * GET /transfers/suggestions - stock moves that even out coverage
+     * @returns {Promise<TransferSuggestion[]>}
+     */
+    async getTransferSuggestions(options) {
+      const data = await request("/transfers/suggestions", options);
+      assertValid(
+        (issues) =>
+          validateList(data?.suggestions, TRANSFER_SUGGESTION_FIELDS, "response.suggestions", issues),
+        data
+      );
+      return data.suggestions;
+    },
+
+    /**
+     * GET /transfer-orders - newest first
+     * @returns {Promise<TransferOrder[]>}
+     */
+    async listTransferOrders(options) {
+      const data = await request("/transfer-orders", options);
+      assertValid(
+        (issues) => {
+          if (!Array.isArray(data?.transfer_orders)) {
+            issues.push({ path: "response.transfer_orders", message: "expected an array" });
+            return;
+          }
+          data.transfer_orders.forEach((order, idx) =>
+            validateTransferOrderFields(
+              order,
+              TRANSFER_FIELDS,
+              `response.transfer_orders[${idx}]`,
+              issues
+            )
+          );
+        },
+        data
+      );
+      return data.transfer_orders;
+    },
+
+    /**
+     * POST /transfer-orders - save a draft transfer between two stores
+     * @param {TransferOrderDraft} draft
+     * @returns {Promise<TransferOrder>}
+     */
+    async createTransferOrder(draft, options) {
+      assertValid((issues) =>
+        validateTransferOrderFields(draft, TRANSFER_DRAFT_FIELDS, "draft", issues)
+      );
+      const data = await request("/transfer-orders", { ...options, method: "POST", body: draft });
+      return validateTransferOrder(data);
+    },
+
+    /**
+     * POST /transfer-orders/{transfer_id}/status - draft -> shipped -> received
+     * @param {"shipped"|"received"} status
+     * @returns {Promise<TransferOrder>}
+     */
+    async setTransferOrderStatus(transferId, status, options) {
+      const data = await request(`/transfer-orders/${encodeURIComponent(transferId)}/status`, {
+        ...options,
+        method: "POST",
+        body: { status },
+      });
+      return validateTransferOrder(data);
+    },
+
+    /** DELETE /transfer-orders/{transfer_id} - discard a draft */
+    async deleteTransferOrder(transferId, options) {
+      return request(`/transfer-orders/${encodeURIComponent(transferId)}`, {
+        ...options,
+        method: "DELETE",
+      });
+    },
+
+    /**
+     * Watch for new predictions. Listens on GET /stream (Server-Sent Events)
+     * and polls /latest?limit=1 for its version while the stream is
+     * unavailable; callers fetch what they show themselves. A dropped stream is
+     * reopened with a fresh ticket after reconnectMs, doubled per failure
+     * (up to a minute); polling stops once it is live again.
+     *
+     * @param {Object} handlers
+     * @param {(event: UpdateEvent) => void} handlers.onUpdate - Called when
+     *   the version changes (not for the state at subscribe time). Stream
+     *   events and polled /latest responses carry the same version, so
+     *   switching between them reports nothing by itself.
+     * @param {(mode: "connecting"|"live"|"polling") => void} [handlers.onModeChange]
+     * @param {number} [handlers.pollIntervalMs] - Polling interval for the fallback
+     * @param {number} [handlers.reconnectMs] - First delay before reopening the stream
+     * @param {boolean} [handlers.forcePolling] - Skip SSE entirely
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe({
+      onUpdate,
+      onModeChange = () => {},
+      pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+      reconnectMs = DEFAULT_RECONNECT_MS,
+      forcePolling = false,
+    }) {
+      let closed = false;
+      let source = null;
+      let polling = false;
+      let pollTimer = null;
+      let reconnectTimer = null;
+      let reconnectDelay = reconnectMs;
+      let lastSeen;
+
+      const notify = (event) => {
+        const changed = lastSeen !== undefined && event.version !== lastSeen;
+        lastSeen = event.version;
+        if (changed && !closed) onUpdate(event);
+      };
+
+      const poll = async () => {
+        try {
+          const page = await queryLatest({ limit: 1 }, { retries: 0 });
+          notify({ version: page.version, last_updated: page.last_updated, count: page.total });
+        } catch (err) {
+          // Keep polling; the next tick may succeed.
+        }
+        if (polling && !closed) pollTimer = setTimeout(poll, pollIntervalMs);
+      };
+
+      const startPolling = () => {
+        if (polling) return;
+        polling = true;
+        onModeChange("polling");
+        poll();
+      };
+
+      const stopPolling = () => {
+        polling = false;
+        clearTimeout(pollTimer);
+      };
+
+      // Poll until the stream is back, then try it again a bit later.
+      const retryLater = () => {
+        if (closed) return;
+        startPolling();
+        reconnectTimer = setTimeout(openStream, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_MS);
+      };
+
+      const connect = (url) => {
+        if (closed) return;
+        source = new EventSource(url);
+        const handleEvent = (e) => {
+          try {
+            notify(JSON.parse(e.data));
+          } catch {
+            // Ignore malformed events; the next one carries the full state.
+          }
+        };
+        source.addEventListener("ready", (e) => {
+          stopPolling();
+          reconnectDelay = reconnectMs;
+          onModeChange("live");
+          handleEvent(e);
+        });
+        source.addEventListener("update", handleEvent);
+        source.onerror = () => {
+          source.close();
+          source = null;
+          retryLater();
+        };
+      };
+
+      // Each attempt needs a new ticket: the last one was used up.
+      const openStream = () => {
+        if (closed) return;
+        ticketUrl("/stream").then(connect, retryLater);
+      };
+
+      if (forcePolling || typeof EventSource === "undefined") {
+        startPolling();
+      } else {
+        onModeChange("connecting");
+        openStream();
+      }
+
+      return () => {
+        closed = true;
+        if (source) source.close();
+        stopPolling();
+        clearTimeout(reconnectTimer);
+      };
+    },
+  };
+}
+
+/**
+ * Follow a link whose URL is still being made (the one-use *Url methods).
+ * The new tab opens right away, while the click still counts as the
+ * user's, so popup blockers let it through. Attachments such as CSV
+ * exports download in place instead (newTab: false).
+ *
+ * @param {Promise<string>} urlPromise
+ * @param {{ newTab?: boolean }} [options]
+ * @returns {Promise<void>} Rejects, after closing the tab, if the URL can't be made
+ */
+export async function openLink(urlPromise, { newTab = true } = {}) {
+  const tab = newTab ? window.open("", "_blank") : null;
+  if (tab) tab.opener = null;
+  try {
+    const url = await urlPromise;
+    if (tab) tab.location.href = url;
+    else if (newTab) window.open(url, "_blank", "noopener");
+    else window.location.assign(url);
+  } catch (err) {
+    if (tab) tab.close();
+    throw err;
+  }
+}
+
+/** Shared client for the dashboard, configured from REACT_APP_API_URL. */
+export const inventoryApi = createInventoryClient();
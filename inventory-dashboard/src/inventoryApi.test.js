@@ -0,0 +1,514 @@
+import {
+  createInventoryClient,
+  openLink,
+  ApiHttpError,
+  ApiNetworkError,
+  ApiTimeoutError,
+  ApiValidationError,
+} from "./inventoryApi";
+
+const PREDICTION = {
+  sku_id: "TS_RED_M",
+  store_id: "MUM_01",
+  current_stock: 8,
+  avg_daily_sales: 4,
+  days_to_stockout: 2,
+  status: "Critical",
+  recommended_reorder_quantity: 48,
+  category: "T-Shirts",
+  city: "Mumbai",
+  last_updated: "2025-12-10T10:30:00",
+};
+
+// Minimal stand-in for the backend: each call pops the next canned response.
+function mockServer(...responses) {
+  const fetchImpl = jest.fn(() => {
+    const next = responses.shift();
+    if (next instanceof Error) return Promise.reject(next);
+    return Promise.resolve({
+      ok: next.status >= 200 && next.status < 300,
+      status: next.status,
+      text: () => Promise.resolve(next.body === undefined ? "" : JSON.stringify(next.body)),
+    });
+  });
+  return fetchImpl;
+}
+
+function client(fetchImpl, options = {}) {
+  return createInventoryClient({
+    baseUrl: "http://api.test/",
+    backoffMs: 1,
+    fetchImpl,
+    ...options,
+  });
+}
+
+test("getLatest returns validated predictions", async () => {
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { predictions: [PREDICTION], last_updated: "2025-12-10T10:30:00" },
+  });
+
+  const data = await client(fetchImpl).getLatest();
+
+  expect(fetchImpl).toHaveBeenCalledWith(
+    "http://api.test/latest",
+    expect.objectContaining({ method: "GET" })
+  );
+  expect(data.predictions).toEqual([PREDICTION]);
+  expect(data.last_updated).toBe("2025-12-10T10:30:00");
+});
+
+test("getLatest rejects responses that do not match LatestResponse", async () => {
+  const { current_stock, ...missingStock } = PREDICTION;
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { predictions: [missingStock], last_updated: null },
+  });
+
+  const err = await client(fetchImpl).getLatest().catch((e) => e);
+
+  expect(err).toBeInstanceOf(ApiValidationError);
+  expect(err.issues).toEqual([
+    { path: "response.predictions[0].current_stock", message: "is required" },
+  ]);
+});
+
+test("getLatest accepts zero-sales rows: null days with a reason", async () => {
+  const noSales = {
+    ...PREDICTION,
+    sku_id: "TS_GRN_S",
+    avg_daily_sales: 0,
+    days_to_stockout: null,
+    stockout_reason: "no_sales",
+    status: "Dead Stock",
+  };
+  const outOfStock = { ...PREDICTION, current_stock: 0, days_to_stockout: 0, stockout_reason: null };
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { predictions: [noSales, outOfStock], last_updated: "2025-12-10T10:30:00" },
+  });
+
+  const data = await client(fetchImpl).getLatest();
+
+  expect(data.predictions).toEqual([noSales, outOfStock]);
+});
+
+test("queryLatest sends filters and paging and returns totals and facets", async () => {
+  const facets = {
+    store_id: { MUM_01: 1, MUM_02: 3 },
+    city: { Mumbai: 4 },
+    category: {},
+    status: { Critical: 1 },
+  };
+  const fetchImpl = mockServer({
+    status: 200,
+    body: {
+      predictions: [PREDICTION],
+      last_updated: "2025-12-10T10:30:00",
+      total: 51,
+      offset: 50,
+      limit: 50,
+      next_offset: null,
+      facets,
+      capital_at_risk: { Critical: 120.5 },
+    },
+  });
+
+  const page = await client(fetchImpl).queryLatest({
+    skuId: "TS_RED_M",
+    storeId: "MUM_01",
+    status: ["Critical", "Warning"],
+    search: "TS RED",
+    ranges: { current_stock: { min: 0, max: null }, days_to_stockout: { min: null, max: 7 } },
+    sort: "days_to_stockout",
+    order: "desc",
+    limit: 50,
+    offset: 50,
+  });
+
+  expect(fetchImpl.mock.calls[0][0]).toBe(
+    "http://api.test/latest?sku_id=TS_RED_M&store_id=MUM_01&status=Critical&status=Warning" +
+      "&search=TS+RED" +
+      "&current_stock_min=0&days_to_stockout_max=7&sort=days_to_stockout&order=desc" +
+      "&limit=50&offset=50"
+  );
+  expect(page).toMatchObject({
+    total: 51,
+    next_offset: null,
+    facets,
+    capital_at_risk: { Critical: 120.5 },
+  });
+  expect(page.predictions).toEqual([PREDICTION]);
+});
+
+test("queryLatest rejects responses without facets", async () => {
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { predictions: [], last_updated: null, total: 0, offset: 0 },
+  });
+
+  const err = await client(fetchImpl).queryLatest({}).catch((e) => e);
+
+  expect(err).toBeInstanceOf(ApiValidationError);
+  expect(err.issues).toEqual([{ path: "response.facets", message: "is required" }]);
+});
+
+test("retries transient failures with backoff", async () => {
+  const fetchImpl = mockServer(
+    { status: 503, body: { detail: "starting" } },
+    new TypeError("Failed to fetch"),
+    { status: 200, body: { status: "healthy", service: "Smart Inventory API" } }
+  );
+
+  const data = await client(fetchImpl).health();
+
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(data.status).toBe("healthy");
+});
+
+test("gives up after the configured retries", async () => {
+  const fetchImpl = mockServer(new TypeError("Failed to fetch"), new TypeError("Failed to fetch"));
+
+  const err = await client(fetchImpl, { retries: 1 }).health().catch((e) => e);
+
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+  expect(err).toBeInstanceOf(ApiNetworkError);
+});
+
+test("sends writes once, even after a transient failure", async () => {
+  const fetchImpl = mockServer(
+    { status: 503, body: { detail: "starting" } },
+    { status: 200, body: { stored: 0, last_updated: null } }
+  );
+
+  const err = await client(fetchImpl).ingest([]).catch((e) => e);
+
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(err).toBeInstanceOf(ApiHttpError);
+  expect(err.status).toBe(503);
+});
+
+test("does not retry client errors", async () => {
+  const fetchImpl = mockServer({ status: 422, body: { detail: "bad payload" } });
+
+  const err = await client(fetchImpl).ingest([]).catch((e) => e);
+
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(err).toBeInstanceOf(ApiHttpError);
+  expect(err.status).toBe(422);
+  expect(err.message).toBe("API error: 422 (bad payload)");
+});
+
+test("times out requests that never answer", async () => {
+  const fetchImpl = jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+      })
+  );
+
+  const err = await client(fetchImpl, { timeoutMs: 5, retries: 0 }).getLatest().catch((e) => e);
+
+  expect(err).toBeInstanceOf(ApiTimeoutError);
+});
+
+test("predictBulk validates items before sending", async () => {
+  const fetchImpl = mockServer();
+
+  const err = await client(fetchImpl)
+    .predictBulk([{ sku_id: "TS_RED_M", store_id: "MUM_01", current_stock: "8" }])
+    .catch((e) => e);
+
+  expect(fetchImpl).not.toHaveBeenCalled();
+  expect(err).toBeInstanceOf(ApiValidationError);
+  expect(err.issues.map((i) => i.path)).toEqual([
+    "items[0].current_stock",
+    "items[0].sales_last_30_days",
+  ]);
+});
+
+test("predictBulk posts items and returns the new predictions", async () => {
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { predictions: [PREDICTION], last_updated: "2025-12-10T10:30:00" },
+  });
+  const items = [{ sku_id: "TS_RED_M", store_id: "MUM_01", current_stock: 8, sales_last_30_days: 120 }];
+
+  const data = await client(fetchImpl).predictBulk(items);
+
+  const [, init] = fetchImpl.mock.calls[0];
+  expect(init.method).toBe("POST");
+  expect(JSON.parse(init.body)).toEqual({ items });
+  expect(data.predictions).toHaveLength(1);
+});
+
+test("ingest upserts chunks under a run_id and commits them", async () => {
+  const counts = { inserted: 1, updated: 0, unchanged: 0, deleted: 1 };
+  const fetchImpl = mockServer(
+    { status: 200, body: { status: "staged", count: 1, message: "staged", run_id: "r1", staged: 2 } },
+    { status: 200, body: { status: "ok", count: 1, message: "done", run_id: "r1", version: 7, ...counts } }
+  );
+  const api = client(fetchImpl);
+  const remove = [{ sku_id: "TS_BLUE_L", store_id: "MUM_01" }];
+
+  await api.ingest([PREDICTION], { mode: "upsert", runId: "r1", remove });
+  const result = await api.commitRun("r1");
+
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe("http://api.test/ingest?mode=upsert&run_id=r1");
+  expect(JSON.parse(init.body).delete).toEqual(remove);
+  expect(fetchImpl.mock.calls[1][0]).toBe("http://api.test/ingest/runs/r1/commit");
+  expect(result).toMatchObject({ version: 7, ...counts });
+});
+
+test("saveView posts the view and validates the saved copy", async () => {
+  const view = { name: "Mumbai criticals", query: "?store=MUM_01&critical=1" };
+  const fetchImpl = mockServer(
+    { status: 200, body: { ...view, view_id: 3, created_at: "2025-12-10T10:30:00" } },
+    { status: 200, body: { views: [{ ...view, view_id: 3 }] } }
+  );
+  const api = client(fetchImpl);
+
+  const saved = await api.saveView(view);
+  const err = await api.listViews().catch((e) => e);
+
+  expect(fetchImpl.mock.calls[0][0]).toBe("http://api.test/views");
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual(view);
+  expect(saved.view_id).toBe(3);
+  expect(err).toBeInstanceOf(ApiValidationError);
+  expect(err.issues).toEqual([{ path: "response.views[0].created_at", message: "is required" }]);
+});
+
+test("saveAlertRule updates an existing rule; a failed test message is not resent", async () => {
+  const rule = {
+    name: "MUM_01 criticals",
+    kind: "item_status",
+    status: "Critical",
+    store_id: "MUM_01",
+    threshold: 0,
+    webhook_url: "https://hooks.example.com/T0",
+    email_to: [],
+    dedupe_minutes: 1440,
+    timezone: "Asia/Kolkata",
+    enabled: false,
+  };
+  const fetchImpl = mockServer(
+    { status: 200, body: { ...rule, rule_id: 4, created_at: "2025-12-10T10:30:00" } },
+    { status: 502, body: { detail: "webhook: HTTP 404" } }
+  );
+  const api = client(fetchImpl);
+
+  const saved = await api.saveAlertRule(rule, 4);
+  const err = await api.testAlertRule(4).catch((e) => e);
+
+  expect(fetchImpl.mock.calls[0][0]).toBe("http://api.test/alerts/rules/4");
+  expect(fetchImpl.mock.calls[0][1].method).toBe("PUT");
+  expect(saved).toMatchObject({ rule_id: 4, enabled: false });
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+  expect(err.message).toBe("API error: 502 (webhook: HTTP 404)");
+});
+
+const ticket = (path, value) => ({
+  status: 200,
+  body: { ticket: value, path, expires_at: "2025-12-10T10:31:00" },
+});
+
+test("sendDigest is not retried and digest URLs carry stores and a one-use ticket", async () => {
+  const fetchImpl = mockServer(
+    { status: 502, body: { detail: "email: Connection refused" } },
+    ticket("/digests/preview.pdf", "tk_1"),
+    ticket("/digests/9/export.html", "tk_2")
+  );
+  const api = client(fetchImpl, { getToken: () => "sess_abc" });
+
+  const err = await api.sendDigest(2).catch((e) => e);
+
+  expect(fetchImpl.mock.calls[0][0]).toBe("http://api.test/digests/subscriptions/2/send");
+  expect(err.status).toBe(502);
+  expect(await api.digestPreviewUrl(["MUM_01", "MUM_02"], "pdf")).toBe(
+    "http://api.test/digests/preview.pdf?store_id=MUM_01&store_id=MUM_02&ticket=tk_1"
+  );
+  expect(JSON.parse(fetchImpl.mock.calls[1][1].body)).toEqual({ path: "/digests/preview.pdf" });
+  expect(await api.digestExportUrl(9, "html")).toBe(
+    "http://api.test/digests/9/export.html?ticket=tk_2"
+  );
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+});
+
+test("getSalesHistory asks for a number of days and checks each day", async () => {
+  const days = [
+    { sales_date: "2025-12-08", units: 0, stock_on_hand: null },
+    { sales_date: "2025-12-09", units: 7, stock_on_hand: 93 },
+  ];
+  const fetchImpl = mockServer(
+    { status: 200, body: { sku_id: "TS_RED_M", store_id: "MUM_01", days, last_7_days: 7, last_30_days: 7 } },
+    { status: 200, body: { sku_id: "TS_RED_M", store_id: "MUM 01", days: [{ units: "7" }] } }
+  );
+  const api = client(fetchImpl);
+
+  const history = await api.getSalesHistory("MUM_01", "TS_RED_M", { days: 30 });
+  const err = await api.getSalesHistory("MUM 01", "TS_RED_M").catch((e) => e);
+
+  expect(fetchImpl.mock.calls[0][0]).toBe("http://api.test/sales/MUM_01/TS_RED_M?days=30");
+  expect(history.days).toEqual(days);
+  expect(fetchImpl.mock.calls[1][0]).toBe("http://api.test/sales/MUM%2001/TS_RED_M?days=90");
+  expect(err).toBeInstanceOf(ApiValidationError);
+  expect(err.issues.map((i) => i.path)).toEqual([
+    "response.last_7_days",
+    "response.last_30_days",
+    "response.days[0].sales_date",
+    "response.days[0].units",
+  ]);
+});
+
+test("simulate checks scenarios before sending and returns before/after results", async () => {
+  const projection = {
+    points: [{ day: "2025-12-10", stock: 8, received: 0 }],
+    stockout_date: "2025-12-12",
+  };
+  const result = {
+    sku_id: "TS_RED_M",
+    store_id: "MUM_01",
+    before: PREDICTION,
+    after: { ...PREDICTION, current_stock: 30, status: "Safe" },
+    before_projection: projection,
+    after_projection: { ...projection, stockout_date: null },
+  };
+  const fetchImpl = mockServer({
+    status: 200,
+    body: { results: [result], as_of: "2025-12-10T10:30:00" },
+  });
+  const api = client(fetchImpl);
+  const scenario = {
+    sku_id: "TS_RED_M",
+    store_id: "MUM_01",
+    receipts: [{ receipt_date: "2025-12-12", quantity: 22 }],
+  };
+
+  const bad = await api
+    .simulate([{ ...scenario, receipts: [{ receipt_date: "2025-12-12", quantity: "22" }] }])
+    .catch((e) => e);
+  const results = await api.simulate([scenario], { days: 14 });
+
+  expect(bad).toBeInstanceOf(ApiValidationError);
+  expect(bad.issues.map((i) => i.path)).toEqual(["scenarios[0].receipts[0].quantity"]);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body)).toEqual({ scenarios: [scenario], days: 14 });
+  expect(results).toEqual([result]);
+});
+
+test("sends the session token and tenant, and reports rejected tokens", async () => {
+  const fetchImpl = mockServer(
+    { status: 200, body: { predictions: [], last_updated: null } },
+    ticket("/purchase-orders/PO-0001/export.pdf", "tk_1"),
+    { status: 401, body: { detail: "Session expired" } }
+  );
+  const api = client(fetchImpl, { getToken: () => "sess_abc", getTenant: () => "acme" });
+  const onUnauthorized = jest.fn();
+  api.onUnauthorized(onUnauthorized);
+
+  await api.getLatest();
+  const exportUrl = await api.purchaseOrderExportUrl("PO-0001", "pdf");
+  await expect(api.getLatest()).rejects.toMatchObject({ status: 401 });
+
+  expect(fetchImpl.mock.calls[0][1].headers).toMatchObject({
+    Authorization: "Bearer sess_abc",
+    "X-Tenant-ID": "acme",
+  });
+  expect(exportUrl).toBe(
+    "http://api.test/purchase-orders/PO-0001/export.pdf?ticket=tk_1&tenant=acme"
+  );
+  expect(exportUrl).not.toContain("sess_abc");
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+});
+
+test("openLink opens the tab at once and closes it when no URL comes", async () => {
+  const tab = { location: {}, close: jest.fn() };
+  const open = jest.spyOn(window, "open").mockReturnValue(tab);
+
+  const pending = openLink(Promise.resolve("http://api.test/digests/9/export.pdf?ticket=tk_1"));
+  expect(open).toHaveBeenCalledWith("", "_blank");
+  await pending;
+  await expect(openLink(Promise.reject(new Error("API error: 401")))).rejects.toThrow("401");
+
+  expect(tab.location.href).toBe("http://api.test/digests/9/export.pdf?ticket=tk_1");
+  expect(tab.opener).toBeNull();
+  expect(tab.close).toHaveBeenCalledTimes(1);
+  open.mockRestore();
+});
+
+// One-row /latest page, as subscribe polls it
+const versionPage = (version, total = 40) => ({
+  status: 200,
+  body: {
+    predictions: [PREDICTION],
+    last_updated: "2025-12-10T10:30:00",
+    version,
+    total,
+    offset: 0,
+    limit: 1,
+    next_offset: total > 1 ? 1 : null,
+    facets: { store_id: {}, city: {}, category: {}, status: {} },
+  },
+});
+
+test("subscribe falls back to polling and reports only changes", async () => {
+  // Version 8 only deleted items: last_updated stays the same
+  const fetchImpl = mockServer(versionPage(7), versionPage(7), versionPage(8, 39));
+  const onUpdate = jest.fn();
+  const onModeChange = jest.fn();
+
+  const unsubscribe = client(fetchImpl).subscribe({ onUpdate, onModeChange, pollIntervalMs: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  unsubscribe();
+
+  expect(onModeChange).toHaveBeenCalledWith("polling");
+  expect(onUpdate).toHaveBeenCalledTimes(1);
+  expect(onUpdate.mock.calls[0][0]).toMatchObject({ version: 8, count: 39 });
+  expect(fetchImpl.mock.calls[0][0]).toBe("http://api.test/latest?limit=1");
+});
+
+test("subscribe polls while the stream is down and reopens it with a new ticket", async () => {
+  const sources = [];
+  global.EventSource = class {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.close = jest.fn();
+      sources.push(this);
+    }
+
+    addEventListener(type, fn) {
+      this.listeners[type] = fn;
+    }
+  };
+  const fetchImpl = mockServer(
+    ticket("/stream", "tk_1"),
+    versionPage(7),
+    ticket("/stream", "tk_2")
+  );
+  const onUpdate = jest.fn();
+  const onModeChange = jest.fn();
+  const api = client(fetchImpl, { getToken: () => "sess_abc" });
+
+  const unsubscribe = api.subscribe({ onUpdate, onModeChange, reconnectMs: 5 });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  sources[0].onerror();
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  // The stream's last_updated is the run time, not /latest's: only the version counts
+  sources[1].listeners.ready({
+    data: JSON.stringify({ version: 7, last_updated: "2025-12-10T10:31:00" }),
+  });
+  unsubscribe();
+  delete global.EventSource;
+
+  expect(sources.map((s) => s.url)).toEqual([
+    "http://api.test/stream?ticket=tk_1",
+    "http://api.test/stream?ticket=tk_2",
+  ]);
+  expect(onModeChange.mock.calls.map(([mode]) => mode)).toEqual(["connecting", "polling", "live"]);
+  expect(onUpdate).not.toHaveBeenCalled();
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(sources[1].close).toHaveBeenCalled();
+});
@@ -0,0 +1,256 @@
+/**
+ * predictionExplain.js
+ *
+ * Step-by-step breakdown of how compute_prediction (inventory-backend/main.py)
+ * arrives at a Prediction's numbers. Used by the SKU detail drawer.
+ *
+ * Predictions only carry daily averages, so the 30-day sales total is
+ * reconstructed from baseline_daily_sales (or avg_daily_sales for rows
+ * without a demand adjustment). Items sent with daily sales history
+ * (forecast_method set) take the forecast as reported instead; it needs the
+ * history, which predictions don't carry. Safety stock is taken as reported (it needs the
+ * inverse normal CDF); reorder point and quantity are recomputed from it. Each step reports both the recomputed value and the
+ * value the backend (or Boltic) actually sent, so rows ingested with a
+ * different algorithm are easy to spot.
+ */
+
+// Must match DAYS_WINDOW in main.py.
+export const DAYS_WINDOW = 30;
+
+// Must match the RiskPolicy defaults in main.py; used until /policy loads.
+export const DEFAULT_POLICY = {
+  critical_days: 3,
+  warning_days: 7,
+  target_days: 14,
+  promo_uplift: 1.25,
+  price_elasticity: -1.5,
+  overstock_days: 60,
+  dead_stock_days: 180,
+  forecast_method: "moving_average",
+  stockout_horizon_days: 7,
+};
+
+export const DEFAULT_POLICY_CONFIG = {
+  defaults: DEFAULT_POLICY,
+  categories: {},
+  stores: {},
+};
+
+/**
+ * Thresholds for one item, resolved like resolve_policy in main.py:
+ * defaults <- category override <- store override.
+ */
+export function resolvePolicy(config, category, storeId) {
+  const resolved = { ...config.defaults };
+  [config.categories[category], config.stores[storeId]].forEach((override) => {
+    Object.entries(override || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) resolved[key] = value;
+    });
+  });
+  return resolved;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * @typedef {Object} ExplainStep
+ * @property {string} label
+ * @property {string} formula - Human-readable formula with the numbers filled in
+ * @property {number|string} value - Recomputed result
+ * @property {number|string} [reported] - What the prediction actually says
+ * @property {boolean} [matches] - Whether value and reported agree
+ */
+
+/**
+ * @param {import("./inventoryApi").Prediction} prediction
+ * @param {typeof DEFAULT_POLICY} [policy] - Resolved thresholds for this item
+ * @returns {ExplainStep[]}
+ */
+export function explainPrediction(prediction, policy = DEFAULT_POLICY) {
+  const daysWindow = DAYS_WINDOW;
+  const {
+    critical_days: criticalDays,
+    warning_days: warningDays,
+    target_days: targetDays,
+    promo_uplift: promoUplift = DEFAULT_POLICY.promo_uplift,
+    price_elasticity: priceElasticity = DEFAULT_POLICY.price_elasticity,
+    overstock_days: overstockDays = DEFAULT_POLICY.overstock_days,
+    dead_stock_days: deadStockDays = DEFAULT_POLICY.dead_stock_days,
+  } = policy;
+  const stock = prediction.current_stock;
+  const baseline = prediction.baseline_daily_sales ?? prediction.avg_daily_sales;
+  const sales = Math.round(baseline * daysWindow);
+
+  // Same as demand_multiplier in main.py.
+  const { price, regular_price: regularPrice, promotion_active: promoted } = prediction;
+  const priceChanged = Boolean(price && regularPrice && price !== regularPrice);
+  let multiplier = promoted ? promoUplift : 1;
+  if (priceChanged) multiplier *= (price / regularPrice) ** priceElasticity;
+  const adjusted = promoted || priceChanged || (prediction.demand_multiplier ?? 1) !== 1;
+  const avg = adjusted ? baseline * multiplier : prediction.avg_daily_sales;
+
+  const days = avg === 0 ? Infinity : stock / avg;
+  // Same as stock_status in main.py.
+  const status =
+    days < criticalDays
+      ? "Critical"
+      : days < warningDays
+      ? "Warning"
+      : stock === 0
+      ? "Safe"
+      : days >= deadStockDays
+      ? "Dead Stock"
+      : days >= overstockDays
+      ? "Overstock"
+      : "Safe";
+  const leadTime = prediction.lead_time_days || 0;
+  // Supplier on-order stock plus submitted purchase orders.
+  const onOrder = (prediction.on_order_quantity || 0) + (prediction.open_po_quantity || 0);
+  const safetyStock = prediction.safety_stock || 0;
+  const hasSupply = leadTime > 0 || onOrder > 0 || safetyStock > 0;
+  const reorderPoint = avg * leadTime + safetyStock;
+  const desired = avg * (leadTime + targetDays) + safetyStock;
+  const baseReorder = avg === 0 ? 0 : Math.max(0, Math.round(desired - stock - onOrder));
+
+  const moq = prediction.moq || 0;
+  const packSize = prediction.pack_size || 1;
+  let reorder = baseReorder;
+  if (reorder > 0) {
+    reorder = Math.max(reorder, moq);
+    reorder = Math.ceil(reorder / packSize) * packSize;
+  }
+
+  const reportedDays = prediction.days_to_stockout;
+  const daysMatch =
+    days === Infinity
+      ? !Number.isFinite(reportedDays)
+      : Number.isFinite(reportedDays) && Math.abs(days - reportedDays) < 0.05;
+
+  const supplySteps = hasSupply
+    ? [
+        {
+          label: "Safety stock",
+          formula: prediction.service_level
+            ? `z(${Math.round(prediction.service_level * 100)}%) × √${avg.toFixed(2)}/day × √${leadTime} days`
+            : "No service level set",
+          value: round(safetyStock, 2),
+        },
+        {
+          label: "Reorder point",
+          formula: `${leadTime} days × ${avg.toFixed(2)}/day + ${round(safetyStock, 2)} safety stock`,
+          value: round(reorderPoint, 2),
+          reported: prediction.reorder_point ?? "-",
+          matches:
+            prediction.reorder_point == null ||
+            Math.abs(reorderPoint - prediction.reorder_point) < 0.05,
+        },
+      ]
+    : [];
+
+  const baseFormula = hasSupply
+    ? `max(0, (${leadTime} + ${targetDays}) days × ${avg.toFixed(2)}/day + ${round(safetyStock, 2)}` +
+      ` − ${stock} in stock − ${onOrder} on order) = max(0, ${(desired - stock - onOrder).toFixed(1)})`
+    : `max(0, ${targetDays} days × ${avg.toFixed(2)}/day − ${stock} in stock)` +
+      ` = max(0, ${desired.toFixed(1)} − ${stock})`;
+
+  const roundingSteps =
+    baseReorder > 0 && (moq > baseReorder || packSize > 1)
+      ? [
+          {
+            label: "Order rounding",
+            formula: `at least ${moq} (MOQ), rounded up to packs of ${packSize}`,
+            value: reorder,
+          },
+        ]
+      : [];
+
+  const baselineSteps = prediction.forecast_method
+    ? [
+        {
+          label: "Forecast daily sales",
+          formula: `${prediction.forecast_method} forecast from daily sales over ${targetDays} days`,
+          value: round(baseline, 2),
+        },
+      ]
+    : [
+        {
+          label: `Sales in the last ${daysWindow} days`,
+          formula: `${avg.toFixed(2)}/day × ${daysWindow} days`,
+          value: sales,
+        },
+        {
+          label: "Average daily sales",
+          formula: `${sales} units ÷ ${daysWindow} days`,
+          value: round(sales / daysWindow, 2),
+          reported: round(baseline, 2),
+          matches: true,
+        },
+      ];
+
+  return [
+    ...baselineSteps,
+    ...(adjusted
+      ? [
+          {
+            label: "Forecast daily demand",
+            formula:
+              [
+                `${baseline.toFixed(2)}/day`,
+                promoted && `${promoUplift} promo uplift`,
+                priceChanged && `(${price} ÷ ${regularPrice}) ^ ${priceElasticity} price effect`,
+              ]
+                .filter(Boolean)
+                .join(" × ") + (promoted || priceChanged ? "" : " (no promotion or price change)"),
+            value: round(avg, 2),
+            reported: round(prediction.avg_daily_sales, 2),
+            matches: Math.abs(avg - prediction.avg_daily_sales) < 0.005,
+          },
+        ]
+      : []),
+    {
+      label: "Days to stockout",
+      formula:
+        avg === 0
+          ? "No sales, so stock never runs out"
+          : `${stock} in stock ÷ ${avg.toFixed(2)}/day`,
+      value: days === Infinity ? "∞" : round(days, 1),
+      reported: Number.isFinite(reportedDays) ? round(reportedDays, 1) : "∞",
+      matches: daysMatch,
+    },
+    {
+      label: "Status",
+      formula: {
+        Critical: `${days.toFixed(1)} < ${criticalDays} days`,
+        Warning: `${criticalDays} ≤ ${days.toFixed(1)} < ${warningDays} days`,
+        Safe:
+          stock === 0
+            ? "No stock and no sales"
+            : `${warningDays} ≤ ${days.toFixed(1)} < ${overstockDays} days`,
+        Overstock: `${overstockDays} ≤ ${days.toFixed(1)} < ${deadStockDays} days`,
+        "Dead Stock":
+          days === Infinity
+            ? `${stock} in stock and no sales`
+            : `${days.toFixed(1)} ≥ ${deadStockDays} days`,
+      }[status],
+      value: status,
+      reported: prediction.status,
+      matches: status === prediction.status,
+    },
+    ...supplySteps,
+    {
+      label: roundingSteps.length > 0 ? "Reorder quantity needed" : "Recommended reorder quantity",
+      formula: avg === 0 ? "No sales, so nothing to reorder" : baseFormula,
+      value: baseReorder,
+      ...(roundingSteps.length === 0 && {
+        reported: prediction.recommended_reorder_quantity,
+        matches: reorder === prediction.recommended_reorder_quantity,
+      }),
+    },
+    ...roundingSteps.map((step) => ({
+      ...step,
+      label: "Recommended reorder quantity",
+      reported: prediction.recommended_reorder_quantity,
+      matches: reorder === prediction.recommended_reorder_quantity,
+    })),
+  ];
+}
@@ -0,0 +1,161 @@
+import { DEFAULT_POLICY_CONFIG, explainPrediction, resolvePolicy } from "./predictionExplain";
+
+const byLabel = (steps, label) => steps.find((s) => s.label === label);
+
+test("recomputes the backend math for a critical item", () => {
+  const steps = explainPrediction({
+    sku_id: "TS_RED_M",
+    store_id: "MUM_01",
+    current_stock: 8,
+    avg_daily_sales: 4,
+    days_to_stockout: 2,
+    status: "Critical",
+    recommended_reorder_quantity: 48,
+  });
+
+  expect(byLabel(steps, "Sales in the last 30 days").value).toBe(120);
+  expect(byLabel(steps, "Days to stockout")).toMatchObject({ value: 2, matches: true });
+  expect(byLabel(steps, "Status")).toMatchObject({ value: "Critical", matches: true });
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({
+    value: 48,
+    matches: true,
+  });
+});
+
+test("flags ingested values that disagree with the rules", () => {
+  const steps = explainPrediction({
+    current_stock: 45,
+    avg_daily_sales: 1.5,
+    days_to_stockout: 30,
+    status: "Warning",
+    recommended_reorder_quantity: 20,
+  });
+
+  expect(byLabel(steps, "Status")).toMatchObject({ value: "Safe", matches: false });
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({
+    value: 0,
+    matches: false,
+  });
+});
+
+test("resolvePolicy layers category then store overrides", () => {
+  const config = {
+    ...DEFAULT_POLICY_CONFIG,
+    categories: {
+      "T-Shirts": {
+        critical_days: 5,
+        target_days: 21,
+        warning_days: null,
+        forecast_method: "holt_winters",
+      },
+    },
+    stores: { MUM_01: { target_days: 10, stockout_horizon_days: 3 } },
+  };
+
+  expect(resolvePolicy(config, "T-Shirts", "MUM_01")).toEqual({
+    critical_days: 5,
+    warning_days: 7,
+    target_days: 10,
+    promo_uplift: 1.25,
+    price_elasticity: -1.5,
+    overstock_days: 60,
+    dead_stock_days: 180,
+    forecast_method: "holt_winters",
+    stockout_horizon_days: 3,
+  });
+  expect(resolvePolicy(config, "Jeans", "DEL_01")).toEqual(DEFAULT_POLICY_CONFIG.defaults);
+});
+
+test("explains status with the item's own thresholds", () => {
+  const steps = explainPrediction(
+    { current_stock: 8, avg_daily_sales: 2, days_to_stockout: 4, status: "Critical", recommended_reorder_quantity: 34 },
+    { critical_days: 5, warning_days: 7, target_days: 21 }
+  );
+
+  expect(byLabel(steps, "Status")).toMatchObject({ value: "Critical", matches: true });
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({ value: 34, matches: true });
+});
+
+test("includes lead time, safety stock, on-order stock and pack rounding", () => {
+  const steps = explainPrediction({
+    current_stock: 8,
+    avg_daily_sales: 4,
+    days_to_stockout: 2,
+    status: "Critical",
+    lead_time_days: 5,
+    service_level: 0.95,
+    on_order_quantity: 20,
+    moq: 24,
+    pack_size: 12,
+    safety_stock: 7.36,
+    reorder_point: 27.36,
+    base_reorder_quantity: 55,
+    recommended_reorder_quantity: 60,
+  });
+
+  expect(byLabel(steps, "Reorder point")).toMatchObject({ value: 27.36, matches: true });
+  expect(byLabel(steps, "Reorder quantity needed").value).toBe(55);
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({
+    value: 60,
+    matches: true,
+  });
+});
+
+test("applies the promotion uplift and price effect before days to stockout", () => {
+  const steps = explainPrediction({
+    current_stock: 20,
+    avg_daily_sales: 5.856,
+    baseline_daily_sales: 4,
+    days_to_stockout: 3.42,
+    status: "Warning",
+    promotion_active: true,
+    price: 360,
+    regular_price: 400,
+    demand_multiplier: 1.4641,
+    recommended_reorder_quantity: 62,
+  });
+
+  expect(byLabel(steps, "Sales in the last 30 days").value).toBe(120);
+  expect(byLabel(steps, "Forecast daily demand")).toMatchObject({ value: 5.86, matches: true });
+  expect(byLabel(steps, "Days to stockout")).toMatchObject({ value: 3.4, matches: true });
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({
+    value: 62,
+    matches: true,
+  });
+});
+
+test("separates Overstock from Dead Stock and idle empty shelves", () => {
+  const statusOf = (stock, avg) =>
+    byLabel(explainPrediction({ current_stock: stock, avg_daily_sales: avg }), "Status");
+
+  expect(statusOf(70, 1).value).toBe("Overstock");
+  expect(statusOf(200, 1).value).toBe("Dead Stock");
+  expect(statusOf(20, 0)).toMatchObject({
+    value: "Dead Stock",
+    formula: "20 in stock and no sales",
+  });
+  expect(statusOf(0, 0).value).toBe("Safe");
+});
+
+test("takes a daily-sales forecast as reported instead of a 30-day total", () => {
+  const steps = explainPrediction({
+    current_stock: 30,
+    avg_daily_sales: 6.25,
+    baseline_daily_sales: 6.25,
+    forecast_method: "holt_winters",
+    days_to_stockout: 4.8,
+    status: "Warning",
+    recommended_reorder_quantity: 58,
+  });
+
+  expect(byLabel(steps, "Sales in the last 30 days")).toBeUndefined();
+  expect(byLabel(steps, "Forecast daily sales")).toMatchObject({
+    value: 6.25,
+    formula: "holt_winters forecast from daily sales over 14 days",
+  });
+  expect(byLabel(steps, "Days to stockout")).toMatchObject({ value: 4.8, matches: true });
+  expect(byLabel(steps, "Recommended reorder quantity")).toMatchObject({
+    value: 58,
+    matches: true,
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * purchaseOrders.js
+ *
+ * Turns rows selected in the inventory table into draft purchase orders for
+ * the PO builder (PurchaseOrderPanel.jsx): one PO per supplier and store,
+ * quantities starting at recommended_reorder_quantity.
+ */
+
+export const PO_STATUS_LABELS = {
+  draft: "Draft",
+  submitted: "Submitted",
+  received: "Received",
+};
+
+// Next status for the action button on each PO (none once received).
+export const PO_NEXT_STATUS = {
+  draft: { status: "submitted", label: "Submit" },
+  submitted: { status: "received", label: "Mark received" },
+};
+
+/**
+ * @typedef {Object} BuilderLine
+ * @property {string} sku_id
+ * @property {string|null} sku_name
+ * @property {number|null} unit_price
+ * @property {number} suggested - recommended_reorder_quantity at selection time
+ * @property {number} quantity
+ */
+
+/**
+ * @typedef {Object} BuilderGroup
+ * @property {string} key
+ * @property {string} store_id
+ * @property {string} supplier - "" when the sheet has no supplier column
+ * @property {BuilderLine[]} lines
+ */
+
+/**
+ * Group selected predictions by supplier and store, sorted by store, then
+ * supplier, then SKU.
+ *
+ * @param {import("./inventoryApi").Prediction[]} rows
+ * @returns {BuilderGroup[]}
+ */
+export function groupSelectedRows(rows) {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const supplier = row.supplier || "";
+    const key = `${row.store_id}|${supplier}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, store_id: row.store_id, supplier, lines: [] });
+    }
+    groups.get(key).lines.push({
+      sku_id: row.sku_id,
+      sku_name: row.sku_name ?? null,
+      unit_price: row.price ?? null,
+      suggested: row.recommended_reorder_quantity,
+      quantity: row.recommended_reorder_quantity,
+    });
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.store_id.localeCompare(b.store_id) || a.supplier.localeCompare(b.supplier))
+    .map((group) => ({
+      ...group,
+      lines: group.lines.sort((a, b) => a.sku_id.localeCompare(b.sku_id)),
+    }));
+}
+
+/**
+ * PurchaseOrderDraft bodies for POST /purchase-orders. Lines with a zero
+ * quantity are left out, and so are groups with no lines left.
+ *
+ * @param {BuilderGroup[]} groups
+ * @returns {import("./inventoryApi").PurchaseOrderDraft[]}
+ */
+export function toPurchaseOrderDrafts(groups) {
+  return groups
+    .map((group) => ({
+      store_id: group.store_id,
+      supplier: group.supplier.trim() || null,
+      lines: group.lines
+        .filter((line) => line.quantity > 0)
+        .map(({ sku_id, sku_name, unit_price, quantity }) => ({
+          sku_id,
+          sku_name,
+          unit_price,
+          quantity,
+        })),
+    }))
+    .filter((draft) => draft.lines.length > 0);
+}
+
+/** Total units and value (lines with a unit price) of a PO or draft. */
+export function purchaseOrderTotals(lines) {
+  return lines.reduce(
+    (totals, line) => ({
+      units: totals.units + line.quantity,
+      value: totals.value + (line.unit_price != null ? line.quantity * line.unit_price : 0),
+    }),
+    { units: 0, value: 0 }
+  );
+}
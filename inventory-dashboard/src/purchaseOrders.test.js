@@ -0,0 +1,40 @@
+import { groupSelectedRows, purchaseOrderTotals, toPurchaseOrderDrafts } from "./purchaseOrders";
+
+const ROWS = [
+  { sku_id: "TS_RED_M", store_id: "MUM_01", supplier: "Acme", price: 399, recommended_reorder_quantity: 48 },
+  { sku_id: "JN_BLUE_32", store_id: "MUM_01", recommended_reorder_quantity: 12 },
+  { sku_id: "TS_BLUE_L", store_id: "MUM_01", supplier: "Acme", price: 449, recommended_reorder_quantity: 0 },
+  { sku_id: "TS_RED_M", store_id: "DEL_01", supplier: "Acme", price: 399, recommended_reorder_quantity: 20 },
+];
+
+test("groupSelectedRows makes one group per store and supplier", () => {
+  const groups = groupSelectedRows(ROWS);
+
+  expect(groups.map((g) => [g.store_id, g.supplier, g.lines.map((l) => l.sku_id)])).toEqual([
+    ["DEL_01", "Acme", ["TS_RED_M"]],
+    ["MUM_01", "", ["JN_BLUE_32"]],
+    ["MUM_01", "Acme", ["TS_BLUE_L", "TS_RED_M"]],
+  ]);
+  expect(groups[2].lines[1]).toMatchObject({ quantity: 48, suggested: 48, unit_price: 399 });
+});
+
+test("toPurchaseOrderDrafts drops zero-quantity lines and empty groups", () => {
+  const groups = groupSelectedRows(ROWS);
+  groups[0].lines[0].quantity = 0;
+
+  const drafts = toPurchaseOrderDrafts(groups);
+
+  expect(drafts).toEqual([
+    {
+      store_id: "MUM_01",
+      supplier: null,
+      lines: [{ sku_id: "JN_BLUE_32", sku_name: null, unit_price: null, quantity: 12 }],
+    },
+    {
+      store_id: "MUM_01",
+      supplier: "Acme",
+      lines: [{ sku_id: "TS_RED_M", sku_name: null, unit_price: 399, quantity: 48 }],
+    },
+  ]);
+  expect(purchaseOrderTotals(drafts[1].lines)).toEqual({ units: 48, value: 19152 });
+});
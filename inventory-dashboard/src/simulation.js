@@ -0,0 +1,145 @@
+/**
+ * simulation.js
+ *
+ * Helpers for the what-if simulator (SimulatorPanel.jsx): editable
+ * scenarios for the rows selected in the table, the POST /simulate body
+ * they turn into, and the before/after comparison and stock curves shown
+ * for each result. Nothing here (or in /simulate) is stored.
+ */
+
+import { formatStockoutDays, formatStockoutProbability } from "./stockout";
+
+export const SIMULATION_DAYS = [14, 30, 60];
+
+export const scenarioKey = (s) => `${s.sku_id}|${s.store_id}`;
+
+/**
+ * @typedef {Object} ScenarioDraft
+ * @property {string} key
+ * @property {string} sku_id
+ * @property {string} store_id
+ * @property {string|null} sku_name
+ * @property {number} stored_stock - current_stock of the stored prediction
+ * @property {string} current_stock - Form value
+ * @property {string} demand_multiplier - Form value, "1" for no change
+ * @property {{ receipt_date: string, quantity: string }[]} receipts - Form values
+ */
+
+/**
+ * One unchanged draft per selected prediction, sorted by store then SKU.
+ *
+ * @param {import("./inventoryApi").Prediction[]} rows
+ * @returns {ScenarioDraft[]}
+ */
+export function scenarioDrafts(rows) {
+  return rows
+    .map((row) => ({
+      key: scenarioKey(row),
+      sku_id: row.sku_id,
+      store_id: row.store_id,
+      sku_name: row.sku_name ?? null,
+      stored_stock: row.current_stock,
+      current_stock: String(row.current_stock),
+      demand_multiplier: "1",
+      receipts: [],
+    }))
+    .sort((a, b) => a.store_id.localeCompare(b.store_id) || a.sku_id.localeCompare(b.sku_id));
+}
+
+/**
+ * Scenario bodies for POST /simulate. Only what changed is sent: stock
+ * when it differs from the stored one, receipts with a date and a
+ * positive quantity, a multiplier other than 1. Blank or invalid form
+ * values count as unchanged.
+ *
+ * @param {ScenarioDraft[]} drafts
+ * @returns {import("./inventoryApi").Scenario[]}
+ */
+export function toScenarios(drafts) {
+  return drafts.map((draft) => {
+    const scenario = { sku_id: draft.sku_id, store_id: draft.store_id };
+
+    const stock = Number(draft.current_stock);
+    if (draft.current_stock.trim() !== "" && Number.isInteger(stock) && stock >= 0) {
+      if (stock !== draft.stored_stock) scenario.current_stock = stock;
+    }
+
+    const receipts = draft.receipts
+      .map((r) => ({ receipt_date: r.receipt_date, quantity: Number(r.quantity) }))
+      .filter((r) => r.receipt_date && Number.isInteger(r.quantity) && r.quantity > 0);
+    if (receipts.length > 0) scenario.receipts = receipts;
+
+    const multiplier = Number(draft.demand_multiplier);
+    if (Number.isFinite(multiplier) && multiplier > 0 && multiplier !== 1) {
+      scenario.demand_multiplier = multiplier;
+    }
+    return scenario;
+  });
+}
+
+const formatDate = (isoDate) =>
+  isoDate
+    ? new Intl.DateTimeFormat("en-US", { month: "short", day: "numeric", timeZone: "UTC" }).format(
+        new Date(isoDate)
+      )
+    : "Not in range";
+
+/**
+ * Before/after lines for one SimulationResult, with `changed` set where
+ * the scenario made a difference.
+ *
+ * @param {import("./inventoryApi").SimulationResult} result
+ * @returns {{ label: string, before: string|number, after: string|number, changed: boolean }[]}
+ */
+export function compareResult(result) {
+  const { before, after } = result;
+  return [
+    { label: "Status", before: before.status, after: after.status },
+    { label: "Stock", before: before.current_stock, after: after.current_stock },
+    {
+      label: "Avg daily sales",
+      before: before.avg_daily_sales.toFixed(2),
+      after: after.avg_daily_sales.toFixed(2),
+    },
+    {
+      label: "Days to stockout",
+      before: formatStockoutDays(before.days_to_stockout),
+      after: formatStockoutDays(after.days_to_stockout),
+    },
+    {
+      label: "Runs out on",
+      before: formatDate(result.before_projection.stockout_date),
+      after: formatDate(result.after_projection.stockout_date),
+    },
+    {
+      label: "Stockout risk",
+      before: formatStockoutProbability(before.stockout_probability),
+      after: formatStockoutProbability(after.stockout_probability),
+    },
+    {
+      label: "Reorder qty",
+      before: before.recommended_reorder_quantity,
+      after: after.recommended_reorder_quantity,
+    },
+  ].map((line) => ({ ...line, changed: line.before !== line.after }));
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * SVG polyline points for stock curves drawn on one scale: x spreads the
+ * days over `width`, y puts 0 at the bottom and `maxStock` at the top.
+ *
+ * @param {{ stock: number }[]} points
+ * @param {number} maxStock
+ * @param {number} width
+ * @param {number} height
+ * @returns {string}
+ */
+export function curvePoints(points, maxStock, width, height) {
+  const step = points.length > 1 ? width / (points.length - 1) : 0;
+  const scale = maxStock > 0 ? height / maxStock : 0;
+  return points
+    .map((p, idx) => `${round(idx * step)},${round(height - p.stock * scale)}`)
+    .join(" ");
+}
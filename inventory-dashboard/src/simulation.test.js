@@ -0,0 +1,76 @@
+import { compareResult, curvePoints, scenarioDrafts, toScenarios } from "./simulation";
+
+const ROWS = [
+  { sku_id: "TS_RED_M", store_id: "MUM_02", current_stock: 40, sku_name: "Red tee M" },
+  { sku_id: "TS_BLUE_L", store_id: "MUM_01", current_stock: 20 },
+];
+
+test("drafts start unchanged, one per selected row, by store then SKU", () => {
+  const drafts = scenarioDrafts(ROWS);
+
+  expect(drafts.map((d) => d.key)).toEqual(["TS_BLUE_L|MUM_01", "TS_RED_M|MUM_02"]);
+  expect(drafts[1]).toMatchObject({ current_stock: "40", demand_multiplier: "1", receipts: [] });
+  expect(toScenarios(drafts)).toEqual([
+    { sku_id: "TS_BLUE_L", store_id: "MUM_01" },
+    { sku_id: "TS_RED_M", store_id: "MUM_02" },
+  ]);
+});
+
+test("only real changes are sent", () => {
+  const [blue, red] = scenarioDrafts(ROWS);
+  const edited = [
+    {
+      ...blue,
+      current_stock: "35",
+      demand_multiplier: "1.3",
+      receipts: [
+        { receipt_date: "2025-12-16", quantity: "50" },
+        { receipt_date: "", quantity: "10" }, // no date yet
+        { receipt_date: "2025-12-18", quantity: "0" },
+      ],
+    },
+    { ...red, current_stock: " ", demand_multiplier: "-2" },
+  ];
+
+  expect(toScenarios(edited)).toEqual([
+    {
+      sku_id: "TS_BLUE_L",
+      store_id: "MUM_01",
+      current_stock: 35,
+      receipts: [{ receipt_date: "2025-12-16", quantity: 50 }],
+      demand_multiplier: 1.3,
+    },
+    { sku_id: "TS_RED_M", store_id: "MUM_02" },
+  ]);
+});
+
+test("comparison flags what the scenario changed", () => {
+  const before = {
+    status: "Warning",
+    current_stock: 20,
+    avg_daily_sales: 5,
+    days_to_stockout: 4,
+    stockout_probability: 0.9,
+    recommended_reorder_quantity: 50,
+  };
+  const lines = compareResult({
+    before,
+    after: { ...before, recommended_reorder_quantity: 0 },
+    before_projection: { points: [], stockout_date: "2025-12-14" },
+    after_projection: { points: [], stockout_date: null },
+  });
+  const changed = lines.filter((l) => l.changed);
+
+  expect(changed.map((l) => [l.label, l.before, l.after])).toEqual([
+    ["Runs out on", "Dec 14", "Not in range"],
+    ["Reorder qty", 50, 0],
+  ]);
+  expect(lines.find((l) => l.label === "Stockout risk").after).toBe("90%");
+});
+
+test("curves share one scale with 0 at the bottom", () => {
+  const points = [{ stock: 20 }, { stock: 10 }, { stock: 0 }];
+
+  expect(curvePoints(points, 40, 100, 50)).toBe("0,25 50,37.5 100,50");
+  expect(curvePoints([{ stock: 0 }], 0, 100, 50)).toBe("0,50");
+});
@@ -0,0 +1,70 @@
+/**
+ * stockout.js
+ *
+ * days_to_stockout as the API sends it: a number of days, or null when no
+ * stockout is expected, with the reason in stockout_reason (see
+ * STOCKOUT_REASONS). JSON has no Infinity, so null is the
+ * only "never runs out" value that arrives; numbers computed in the
+ * browser (predictionExplain.js) may still be Infinity and are treated the
+ * same way.
+ *
+ * The table, CSV export, SKU drawer and client-side sorts all go through
+ * these helpers so they agree with the backend's /latest sort and filters.
+ */
+
+export const STOCKOUT_REASONS = {
+  no_sales: "No sales in the last 30 days",
+  zero_forecast: "Demand forecast is zero",
+  no_demand: "No demand expected",
+};
+
+const expectsStockout = (days) => days != null && Number.isFinite(days);
+
+/** Days of cover as a number to compare: Infinity when no stockout is expected. */
+export const coverDays = (days) => (expectsStockout(days) ? days : Infinity);
+
+/** Comparator for predictions: soonest stockout first, no stockout expected last. */
+export function compareStockout(a, b) {
+  const x = coverDays(a.days_to_stockout);
+  const y = coverDays(b.days_to_stockout);
+  return x === y ? 0 : x < y ? -1 : 1;
+}
+
+/** "2.5", or "∞" when no stockout is expected. */
+export const formatStockoutDays = (days) => (expectsStockout(days) ? days.toFixed(1) : "∞");
+
+/** Why a prediction has no stockout date, e.g. "No sales in the last 30 days"; null if it has one. */
+export function stockoutReasonLabel(prediction) {
+  if (expectsStockout(prediction.days_to_stockout)) return null;
+  return STOCKOUT_REASONS[prediction.stockout_reason] || STOCKOUT_REASONS.no_demand;
+}
+
+/**
+ * CSV cells for the days and the reason: the days are left blank when no
+ * stockout is expected (a spreadsheet can't sum "∞") and the reason code
+ * says why, as in the API.
+ */
+export function stockoutCsvCells(prediction) {
+  if (expectsStockout(prediction.days_to_stockout)) {
+    return [prediction.days_to_stockout.toFixed(1), ""];
+  }
+  return ["", prediction.stockout_reason || "no_demand"];
+}
+
+/**
+ * "7.3–8.8": the P10–P90 days to stockout once demand varies (the early
+ * end is a demand spike, the late end a lull); null for rows sent without
+ * them (e.g. older /ingest rows) or with no stockout expected.
+ */
+export function formatStockoutRange(prediction) {
+  const { days_to_stockout_p10: early, days_to_stockout_p90: late } = prediction;
+  if (!expectsStockout(early)) return null;
+  return `${early.toFixed(1)}–${formatStockoutDays(late)}`;
+}
+
+/** stockout_probability as "38%" ("<1%" for a small but real risk); "-" when not sent. */
+export function formatStockoutProbability(probability) {
+  if (probability == null) return "-";
+  if (probability > 0 && probability < 0.005) return "<1%";
+  return `${Math.round(probability * 100)}%`;
+}
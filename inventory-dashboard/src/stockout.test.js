@@ -0,0 +1,54 @@
+import {
+  compareStockout,
+  coverDays,
+  formatStockoutDays,
+  formatStockoutProbability,
+  formatStockoutRange,
+  stockoutCsvCells,
+  stockoutReasonLabel,
+} from "./stockout";
+
+// As /latest sends them: zero sales arrive as null + a reason, never Infinity.
+const SELLING = { sku_id: "SELLING", current_stock: 20, days_to_stockout: 10, stockout_reason: null };
+const NO_SALES = { sku_id: "NO_SALES", current_stock: 12, days_to_stockout: null, stockout_reason: "no_sales" };
+const EMPTY = { sku_id: "EMPTY", current_stock: 0, days_to_stockout: 0, stockout_reason: null };
+const NOTHING = { sku_id: "NOTHING", current_stock: 0, days_to_stockout: null, stockout_reason: "no_sales" };
+
+test("zero sales sort after every real stockout, zero stock first", () => {
+  const sorted = [NO_SALES, SELLING, NOTHING, EMPTY].sort(compareStockout);
+
+  expect(sorted.map((p) => p.sku_id)).toEqual(["EMPTY", "SELLING", "NO_SALES", "NOTHING"]);
+  expect(coverDays(null)).toBe(Infinity);
+  expect(coverDays(0)).toBe(0);
+});
+
+test("table shows ∞ with the reason for zero sales and 0.0 for zero stock", () => {
+  expect(formatStockoutDays(NO_SALES.days_to_stockout)).toBe("∞");
+  expect(formatStockoutDays(Infinity)).toBe("∞"); // computed in the browser
+  expect(formatStockoutDays(EMPTY.days_to_stockout)).toBe("0.0");
+  expect(stockoutReasonLabel(NO_SALES)).toBe("No sales in the last 30 days");
+  expect(stockoutReasonLabel(EMPTY)).toBeNull();
+  expect(stockoutReasonLabel({ ...NO_SALES, stockout_reason: "zero_forecast" })).toBe(
+    "Demand forecast is zero"
+  );
+  expect(stockoutReasonLabel({ days_to_stockout: Infinity })).toBe("No demand expected");
+});
+
+test("CSV leaves the days blank and gives the reason code", () => {
+  expect(stockoutCsvCells(NO_SALES)).toEqual(["", "no_sales"]);
+  expect(stockoutCsvCells(NOTHING)).toEqual(["", "no_sales"]);
+  expect(stockoutCsvCells(EMPTY)).toEqual(["0.0", ""]);
+  expect(stockoutCsvCells(SELLING)).toEqual(["10.0", ""]);
+});
+
+test("risk shows as a P10–P90 range and a rounded probability", () => {
+  const risky = { ...SELLING, days_to_stockout_p10: 6.42, days_to_stockout_p90: 14.05 };
+
+  expect(formatStockoutRange(risky)).toBe("6.4–14.1");
+  expect(formatStockoutRange({ ...NO_SALES, days_to_stockout_p10: null })).toBeNull();
+  expect(formatStockoutRange(SELLING)).toBeNull(); // ingested without a range
+  expect(formatStockoutProbability(0.3764)).toBe("38%");
+  expect(formatStockoutProbability(0.0002)).toBe("<1%");
+  expect(formatStockoutProbability(0)).toBe("0%");
+  expect(formatStockoutProbability(undefined)).toBe("-");
+});
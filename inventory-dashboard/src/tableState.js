@@ -0,0 +1,211 @@
+/**
+ * tableState.js
+ *
+ * The dashboard table's filters, sort and page, and how they map to
+ *   - the page URL (?store=MUM_01&store=MUM_02&status=Critical&days_max=7),
+ *     so a filtered view survives a reload, can be shared as a link and is
+ *     restored by the browser's back/forward buttons. The SKU open in the
+ *     detail drawer, if any, is part of the URL too (&sku=TS_RED_M&sku_store=MUM_01).
+ *   - a GET /latest query (inventoryApi.queryLatest), which filters, sorts
+ *     and pages on the server
+ *   - saved views (/views), which keep the filters and sort but start at
+ *     the first page with no SKU open
+ *   - the removable chips shown for active filters (filterChips)
+ *
+ * Values equal to the defaults are left out of the URL.
+ */
+
+export const PAGE_SIZE = 50;
+
+// Sort fields /latest accepts (LatestSort in inventory-backend/main.py).
+export const SORTABLE_FIELDS = [
+  "sku_id",
+  "store_id",
+  "category",
+  "status",
+  "current_stock",
+  "days_to_stockout",
+  "recommended_reorder_quantity",
+  "capital_at_risk",
+  "stockout_probability",
+];
+
+// Multi-select filters: state key, URL parameter, Prediction field (= facet).
+export const LIST_FILTERS = [
+  { key: "stores", param: "store", field: "store_id", label: "Store" },
+  { key: "cities", param: "city", field: "city", label: "City" },
+  { key: "categories", param: "category", field: "category", label: "Category" },
+  { key: "statuses", param: "status", field: "status", label: "Status" },
+];
+
+// Numeric range filters; URL parameters are <param>_min / <param>_max.
+export const RANGE_FILTERS = [
+  { field: "days_to_stockout", param: "days", label: "Days to stockout" },
+  { field: "current_stock", param: "stock", label: "Stock" },
+  { field: "recommended_reorder_quantity", param: "reorder", label: "Reorder qty" },
+];
+
+export const DEFAULT_TABLE_STATE = {
+  stores: [],
+  cities: [],
+  categories: [],
+  statuses: [],
+  search: "",
+  ranges: {}, // field -> { min, max }, either null; only fields with a bound
+  sortField: "sku_id",
+  sortOrder: "asc",
+  page: 0, // zero-based; shown and stored in the URL as page=1, 2, ...
+};
+
+const readBound = (params, name) => {
+  const raw = params.get(name);
+  const value = raw === null || raw.trim() === "" ? NaN : Number(raw);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Table state from a location.search string. Unknown or malformed values
+ * fall back to the defaults. Links from before multi-select filters
+ * (critical=1) still open the same rows.
+ */
+export function readTableState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_TABLE_STATE, ranges: {} };
+
+  LIST_FILTERS.forEach(({ key, param }) => {
+    state[key] = [...new Set(params.getAll(param).filter(Boolean))];
+  });
+  if (params.get("critical") === "1" && state.statuses.length === 0) {
+    state.statuses = ["Critical"];
+  }
+
+  state.search = params.get("q") || "";
+
+  RANGE_FILTERS.forEach(({ field, param }) => {
+    const min = readBound(params, `${param}_min`);
+    const max = readBound(params, `${param}_max`);
+    if (min !== null || max !== null) state.ranges[field] = { min, max };
+  });
+
+  const sortField = params.get("sort");
+  if (SORTABLE_FIELDS.includes(sortField)) state.sortField = sortField;
+
+  const sortOrder = params.get("order");
+  if (sortOrder === "asc" || sortOrder === "desc") state.sortOrder = sortOrder;
+
+  const page = Number(params.get("page"));
+  if (Number.isInteger(page) && page > 1) state.page = page - 1;
+
+  return state;
+}
+
+/** The { sku_id, store_id } open in the detail drawer per location.search, or null. */
+export function readDetailKey(search) {
+  const params = new URLSearchParams(search);
+  const skuId = params.get("sku");
+  const storeId = params.get("sku_store");
+  return skuId && storeId ? { sku_id: skuId, store_id: storeId } : null;
+}
+
+/**
+ * location.search for a table state and the SKU open in the drawer
+ * ("" when everything is at its default).
+ */
+export function tableStateSearch(state, detailKey = null) {
+  const params = new URLSearchParams();
+
+  LIST_FILTERS.forEach(({ key, param }) => {
+    state[key].forEach((value) => params.append(param, value));
+  });
+  if (state.search) params.set("q", state.search);
+  RANGE_FILTERS.forEach(({ field, param }) => {
+    const { min = null, max = null } = state.ranges[field] || {};
+    if (min !== null) params.set(`${param}_min`, min);
+    if (max !== null) params.set(`${param}_max`, max);
+  });
+  if (state.sortField !== DEFAULT_TABLE_STATE.sortField) params.set("sort", state.sortField);
+  if (state.sortOrder !== DEFAULT_TABLE_STATE.sortOrder) params.set("order", state.sortOrder);
+  if (state.page > 0) params.set("page", String(state.page + 1));
+
+  if (detailKey) {
+    params.set("sku", detailKey.sku_id);
+    params.set("sku_store", detailKey.store_id);
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+/** Query stored for a saved view of this table state. */
+export const viewQuery = (state) => tableStateSearch({ ...state, page: 0 });
+
+/** The range with one bound changed (null clears it); drops ranges left empty. */
+export function withRange(ranges, field, bound, value) {
+  const next = { ...ranges, [field]: { min: null, max: null, ...ranges[field], [bound]: value } };
+  if (next[field].min === null && next[field].max === null) delete next[field];
+  return next;
+}
+
+const describeRange = ({ min, max }) => {
+  if (min !== null && max !== null) return min === max ? `= ${min}` : `${min}–${max}`;
+  return min !== null ? `≥ ${min}` : `≤ ${max}`;
+};
+
+/**
+ * One removable chip per active filter value:
+ * [{ id, label, remove(state) -> state without that filter }]
+ */
+export function filterChips(state) {
+  const chips = [];
+
+  LIST_FILTERS.forEach(({ key, label }) => {
+    state[key].forEach((value) => {
+      chips.push({
+        id: `${key}:${value}`,
+        label: `${label}: ${value}`,
+        remove: (s) => ({ ...s, [key]: s[key].filter((v) => v !== value), page: 0 }),
+      });
+    });
+  });
+
+  if (state.search.trim()) {
+    chips.push({
+      id: "search",
+      label: `Search: "${state.search.trim()}"`,
+      remove: (s) => ({ ...s, search: "", page: 0 }),
+    });
+  }
+
+  RANGE_FILTERS.forEach(({ field, label }) => {
+    if (!state.ranges[field]) return;
+    chips.push({
+      id: `range:${field}`,
+      label: `${label} ${describeRange(state.ranges[field])}`,
+      remove: (s) => {
+        const ranges = { ...s.ranges };
+        delete ranges[field];
+        return { ...s, ranges, page: 0 };
+      },
+    });
+  });
+
+  return chips;
+}
+
+/**
+ * The /latest query (LatestQuery) for a table state. With pageSize 0 every
+ * matching row is requested (used for CSV export).
+ */
+export function latestQueryFor(state, pageSize = PAGE_SIZE) {
+  return {
+    storeId: state.stores,
+    city: state.cities,
+    category: state.categories,
+    status: state.statuses,
+    search: state.search.trim() || undefined,
+    ranges: state.ranges,
+    sort: state.sortField,
+    order: state.sortOrder,
+    ...(pageSize > 0 && { limit: pageSize, offset: state.page * pageSize }),
+  };
+}
@@ -0,0 +1,105 @@
+import {
+  DEFAULT_TABLE_STATE,
+  filterChips,
+  latestQueryFor,
+  readDetailKey,
+  readTableState,
+  tableStateSearch,
+  viewQuery,
+  withRange,
+} from "./tableState";
+
+const FILTERED = {
+  ...DEFAULT_TABLE_STATE,
+  stores: ["MUM_01", "MUM_02"],
+  statuses: ["Critical", "Warning"],
+  search: " ts_red ",
+  ranges: { days_to_stockout: { min: null, max: 7 }, current_stock: { min: 0, max: 20 } },
+  sortField: "days_to_stockout",
+  sortOrder: "desc",
+  page: 2,
+};
+
+test("default state keeps the URL clean", () => {
+  expect(tableStateSearch(DEFAULT_TABLE_STATE)).toBe("");
+  expect(readTableState("")).toEqual(DEFAULT_TABLE_STATE);
+});
+
+test("table state round-trips through the URL", () => {
+  const search = tableStateSearch(FILTERED);
+
+  expect(search).toBe(
+    "?store=MUM_01&store=MUM_02&status=Critical&status=Warning&q=+ts_red+" +
+      "&days_max=7&stock_min=0&stock_max=20&sort=days_to_stockout&order=desc&page=3"
+  );
+  expect(readTableState(search)).toEqual(FILTERED);
+});
+
+test("malformed URL values fall back to the defaults", () => {
+  expect(readTableState("?sort=price;drop&order=up&page=-4&days_min=soon&stock_max=")).toEqual(
+    DEFAULT_TABLE_STATE
+  );
+});
+
+test("links from before multi-select filters still work", () => {
+  expect(readTableState("?store=MUM_01&critical=1")).toMatchObject({
+    stores: ["MUM_01"],
+    statuses: ["Critical"],
+  });
+});
+
+test("builds one page of /latest, or every row for export", () => {
+  expect(latestQueryFor(FILTERED)).toEqual({
+    storeId: ["MUM_01", "MUM_02"],
+    city: [],
+    category: [],
+    status: ["Critical", "Warning"],
+    search: "ts_red",
+    ranges: FILTERED.ranges,
+    sort: "days_to_stockout",
+    order: "desc",
+    limit: 50,
+    offset: 100,
+  });
+
+  const exportQuery = latestQueryFor(FILTERED, 0);
+  expect(exportQuery).not.toHaveProperty("limit");
+  expect(exportQuery).not.toHaveProperty("offset");
+});
+
+test("the SKU open in the drawer is part of the URL but not of saved views", () => {
+  const detailKey = { sku_id: "TS RED/M", store_id: "MUM_01" };
+  const search = tableStateSearch(FILTERED, detailKey);
+
+  expect(readDetailKey(search)).toEqual(detailKey);
+  expect(readTableState(search)).toEqual(FILTERED);
+  expect(readDetailKey("?sku=TS_RED_M")).toBeNull();
+  expect(viewQuery(FILTERED)).not.toMatch(/page=/);
+});
+
+test("withRange sets one bound and drops emptied ranges", () => {
+  const ranges = withRange({}, "current_stock", "min", 5);
+  expect(ranges).toEqual({ current_stock: { min: 5, max: null } });
+  expect(withRange(ranges, "current_stock", "min", null)).toEqual({});
+});
+
+test("each active filter becomes a removable chip", () => {
+  const chips = filterChips(FILTERED);
+
+  expect(chips.map((c) => c.label)).toEqual([
+    "Store: MUM_01",
+    "Store: MUM_02",
+    "Status: Critical",
+    "Status: Warning",
+    'Search: "ts_red"',
+    "Days to stockout ≤ 7",
+    "Stock 0–20",
+  ]);
+
+  const afterStore = chips[1].remove(FILTERED);
+  expect(afterStore.stores).toEqual(["MUM_01"]);
+  expect(afterStore.page).toBe(0);
+  expect(chips[6].remove(FILTERED).ranges).toEqual({
+    days_to_stockout: { min: null, max: 7 },
+  });
+});
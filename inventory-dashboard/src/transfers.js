@@ -0,0 +1,83 @@
+/**
+ * transfers.js
+ *
+ * Helpers for the Rebalance panel (RebalancePanel.jsx): turning accepted
+ * transfer suggestions into transfer orders and a CSV export.
+ */
+
+export const TRANSFER_STATUS_LABELS = {
+  draft: "Draft",
+  shipped: "Shipped",
+  received: "Received",
+};
+
+// Next status for the action button on each transfer (none once received).
+export const TRANSFER_NEXT_STATUS = {
+  draft: { status: "shipped", label: "Mark shipped" },
+  shipped: { status: "received", label: "Mark received" },
+};
+
+export const suggestionKey = (s) => `${s.sku_id}|${s.from_store_id}|${s.to_store_id}`;
+
+const formatDays = (days) => (Number.isFinite(days) ? days.toFixed(1) : "∞");
+
+/**
+ * One TransferOrderDraft per source/destination pair. Quantities can be
+ * overridden by suggestionKey; zero quantities are left out.
+ *
+ * @param {import("./inventoryApi").TransferSuggestion[]} suggestions
+ * @param {Object<string, number>} [quantities]
+ * @returns {import("./inventoryApi").TransferOrderDraft[]}
+ */
+export function toTransferOrderDrafts(suggestions, quantities = {}) {
+  const drafts = new Map();
+
+  suggestions.forEach((s) => {
+    const quantity = quantities[suggestionKey(s)] ?? s.quantity;
+    if (quantity <= 0) return;
+
+    const key = `${s.from_store_id}|${s.to_store_id}`;
+    if (!drafts.has(key)) {
+      drafts.set(key, { from_store_id: s.from_store_id, to_store_id: s.to_store_id, lines: [] });
+    }
+    const lines = drafts.get(key).lines;
+    const existing = lines.find((line) => line.sku_id === s.sku_id);
+    if (existing) existing.quantity += quantity;
+    else lines.push({ sku_id: s.sku_id, quantity });
+  });
+
+  return [...drafts.values()];
+}
+
+/** CSV text for a list of suggestions, one line per move. */
+export function transfersCsv(suggestions, quantities = {}) {
+  const headers = [
+    "SKU",
+    "From Store",
+    "From City",
+    "To Store",
+    "To City",
+    "Quantity",
+    "Same City",
+    "From Days Before",
+    "From Days After",
+    "To Days Before",
+    "To Days After",
+    "To Status",
+  ];
+  const rows = suggestions.map((s) => [
+    s.sku_id,
+    s.from_store_id,
+    s.from_city || "-",
+    s.to_store_id,
+    s.to_city || "-",
+    quantities[suggestionKey(s)] ?? s.quantity,
+    s.same_city ? "Yes" : "No",
+    formatDays(s.from_days_before),
+    formatDays(s.from_days_after),
+    formatDays(s.to_days_before),
+    formatDays(s.to_days_after),
+    s.to_status,
+  ]);
+  return [headers, ...rows].map((row) => row.map((cell) => `"${cell}"`).join(",")).join("\n");
+}
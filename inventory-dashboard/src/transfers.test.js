@@ -0,0 +1,66 @@
+import { suggestionKey, toTransferOrderDrafts, transfersCsv } from "./transfers";
+
+const SUGGESTIONS = [
+  {
+    sku_id: "TS_RED_M",
+    from_store_id: "MUM_02",
+    to_store_id: "MUM_01",
+    from_city: "Mumbai",
+    to_city: "Mumbai",
+    quantity: 28,
+    same_city: true,
+    from_days_before: 150,
+    from_days_after: 136,
+    to_days_before: 2,
+    to_days_after: 9,
+    to_status: "Critical",
+  },
+  {
+    sku_id: "TS_BLUE_L",
+    from_store_id: "MUM_02",
+    to_store_id: "MUM_01",
+    quantity: 10,
+    same_city: true,
+    from_days_before: null,
+    from_days_after: null,
+    to_days_before: 4,
+    to_days_after: 8,
+    to_status: "Warning",
+  },
+  {
+    sku_id: "TS_RED_M",
+    from_store_id: "DEL_01",
+    to_store_id: "MUM_01",
+    quantity: 5,
+    same_city: false,
+    from_days_before: 90,
+    from_days_after: 80,
+    to_days_before: 9,
+    to_days_after: 10,
+    to_status: "Critical",
+  },
+];
+
+test("toTransferOrderDrafts groups by store pair and applies edited quantities", () => {
+  const drafts = toTransferOrderDrafts(SUGGESTIONS, { [suggestionKey(SUGGESTIONS[2])]: 0 });
+
+  expect(drafts).toEqual([
+    {
+      from_store_id: "MUM_02",
+      to_store_id: "MUM_01",
+      lines: [
+        { sku_id: "TS_RED_M", quantity: 28 },
+        { sku_id: "TS_BLUE_L", quantity: 10 },
+      ],
+    },
+  ]);
+});
+
+test("transfersCsv writes one row per move with ∞ for missing coverage", () => {
+  const lines = transfersCsv(SUGGESTIONS).split("\n");
+
+  expect(lines).toHaveLength(4);
+  expect(lines[2]).toBe(
+    '"TS_BLUE_L","MUM_02","-","MUM_01","-","10","Yes","∞","∞","4.0","8.0","Warning"'
+  );
+});
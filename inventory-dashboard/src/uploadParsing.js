@@ -0,0 +1,306 @@
+/**
+ * uploadParsing.js
+ *
+ * Browser-side parsing and validation for the dashboard's file upload
+ * (UploadPanel.jsx). Turns a CSV or XLSX sheet shaped like
+ * inventory-backend/inventory_data.csv into ItemInput objects for
+ * /predict-bulk, collecting row-level errors along the way.
+ */
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * ItemInput fields a sheet column can be mapped to. `aliases` are extra
+ * header spellings recognised by guessMapping (after normalizeHeader).
+ */
+export const ITEM_FIELDS = [
+  { key: "sku_id", label: "SKU ID", required: true, type: "string", aliases: ["sku", "item_id"] },
+  { key: "store_id", label: "Store ID", required: true, type: "string", aliases: ["store", "location_id"] },
+  {
+    key: "current_stock",
+    label: "Current Stock",
+    required: true,
+    type: "integer",
+    aliases: ["stock", "on_hand", "stock_on_hand"],
+  },
+  {
+    key: "sales_last_30_days",
+    label: "Sales (last 30 days)",
+    required: true,
+    type: "integer",
+    aliases: ["sales_30d", "sales_30_days", "units_sold_30d"],
+  },
+  { key: "sku_name", label: "SKU Name", required: false, type: "string", aliases: ["name", "product_name"] },
+  { key: "supplier", label: "Supplier", required: false, type: "string", aliases: ["vendor"] },
+  { key: "category", label: "Category", required: false, type: "string", aliases: [] },
+  { key: "city", label: "City", required: false, type: "string", aliases: [] },
+  { key: "price", label: "Price", required: false, type: "number", aliases: ["selling_price"] },
+  {
+    key: "regular_price",
+    label: "Regular Price",
+    required: false,
+    type: "number",
+    aliases: ["list_price", "base_price", "mrp"],
+    check: (n) => (n > 0 ? null : "regular_price must be greater than 0"),
+  },
+  {
+    key: "promotion_active",
+    label: "Promotion Active",
+    required: false,
+    type: "boolean",
+    aliases: ["promotion", "on_promotion", "promo"],
+  },
+  {
+    key: "lead_time_days",
+    label: "Lead Time (days)",
+    required: false,
+    type: "number",
+    aliases: ["lead_time", "supplier_lead_time"],
+  },
+  {
+    key: "on_order_quantity",
+    label: "On Order",
+    required: false,
+    type: "integer",
+    aliases: ["on_order", "open_po_qty"],
+  },
+  {
+    key: "moq",
+    label: "MOQ",
+    required: false,
+    type: "integer",
+    aliases: ["min_order_qty", "minimum_order_quantity"],
+  },
+  {
+    key: "pack_size",
+    label: "Pack Size",
+    required: false,
+    type: "integer",
+    aliases: ["case_pack", "case_size"],
+    check: (n) => (n >= 1 ? null : "pack_size must be at least 1"),
+  },
+  {
+    key: "service_level",
+    label: "Service Level",
+    required: false,
+    type: "number",
+    aliases: ["target_service_level"],
+    check: (n) =>
+      n > 0 && n < 1 ? null : `service_level must be between 0 and 1, e.g. 0.95 (got ${n})`,
+  },
+];
+
+const BOOLEAN_VALUES = {
+  1: true,
+  true: true,
+  yes: true,
+  y: true,
+  0: false,
+  false: false,
+  no: false,
+  n: false,
+};
+
+const FIELD_NAMES = {
+  sku_id: "SKU",
+  store_id: "store_id",
+  current_stock: "stock",
+  sales_last_30_days: "sales",
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+export const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell strings).
+ * Handles quoted cells, escaped quotes (""), CRLF line endings and a BOM.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Turn raw rows (first row = headers) into objects keyed by header.
+ * Blank lines are dropped; rowNumber is the 1-based line in the sheet.
+ */
+export function toTable(rawRows) {
+  const [headerRow = [], ...body] = rawRows;
+  const headers = headerRow.map((h) => String(h).trim());
+
+  const rows = body
+    .map((cells, idx) => {
+      const values = {};
+      headers.forEach((h, col) => {
+        values[h] = cells[col] === undefined ? "" : String(cells[col]).trim();
+      });
+      return { rowNumber: idx + 2, values };
+    })
+    .filter((r) => Object.values(r.values).some((v) => v !== ""));
+
+  return { headers, rows };
+}
+
+/**
+ * Read a File chosen in the browser. XLSX/XLS go through SheetJS (loaded on
+ * demand, first sheet only); everything else is treated as CSV.
+ */
+export async function parseFile(file) {
+  if (/\.xlsx?$/i.test(file.name)) {
+    const XLSX = await import("xlsx");
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: "array" });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return toTable(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", raw: false }));
+  }
+  return toTable(parseCsv(await file.text()));
+}
+
+// ============================================================================
+// MAPPING & VALIDATION
+// ============================================================================
+
+/** Pick a sheet column for each ItemInput field by header name. */
+export function guessMapping(headers) {
+  const mapping = {};
+  ITEM_FIELDS.forEach((field) => {
+    const candidates = [field.key, ...field.aliases];
+    mapping[field.key] =
+      headers.find((h) => candidates.includes(normalizeHeader(h))) || "";
+  });
+  return mapping;
+}
+
+/** Required fields that have no column mapped. */
+export const unmappedRequiredFields = (mapping) =>
+  ITEM_FIELDS.filter((f) => f.required && !mapping[f.key]);
+
+/**
+ * @typedef {Object} RowError
+ * @property {number} rowNumber
+ * @property {string} field
+ * @property {string} message
+ */
+
+/**
+ * Build ItemInput objects from mapped rows.
+ * Rows with any error are left out of `items`.
+ *
+ * @returns {{ items: { rowNumber: number, item: Object }[], errors: RowError[] }}
+ */
+export function validateRows(rows, mapping) {
+  const items = [];
+  const errors = [];
+  const seen = new Map();
+
+  rows.forEach(({ rowNumber, values }) => {
+    const rowErrors = [];
+    const item = {};
+
+    ITEM_FIELDS.forEach((field) => {
+      const column = mapping[field.key];
+      const raw = column ? values[column] ?? "" : "";
+
+      if (raw === "") {
+        if (field.required) {
+          rowErrors.push({ rowNumber, field: field.key, message: `Missing ${field.key}` });
+        }
+        return;
+      }
+
+      if (field.type === "integer" || field.type === "number") {
+        const num = Number(raw);
+        const name = FIELD_NAMES[field.key] || field.key;
+        const problem =
+          field.type === "integer" && !Number.isInteger(num)
+            ? `${name} must be a whole number (got "${raw}")`
+            : !Number.isFinite(num)
+            ? `${name} must be a number (got "${raw}")`
+            : num < 0
+            ? `Negative ${name} (${num})`
+            : field.check && field.check(num);
+        if (problem) {
+          rowErrors.push({ rowNumber, field: field.key, message: problem });
+        } else {
+          item[field.key] = num;
+        }
+      } else if (field.type === "boolean") {
+        const flag = BOOLEAN_VALUES[raw.toLowerCase()];
+        if (flag === undefined) {
+          rowErrors.push({
+            rowNumber,
+            field: field.key,
+            message: `${field.key} must be yes/no or 1/0 (got "${raw}")`,
+          });
+        } else {
+          item[field.key] = flag;
+        }
+      } else {
+        item[field.key] = raw;
+      }
+    });
+
+    if (item.sku_id && item.store_id) {
+      const key = `${item.sku_id}|${item.store_id}`;
+      if (seen.has(key)) {
+        rowErrors.push({
+          rowNumber,
+          field: "sku_id",
+          message: `Duplicate of row ${seen.get(key)} (same SKU and store)`,
+        });
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+    } else {
+      items.push({ rowNumber, item });
+    }
+  });
+
+  return { items, errors };
+}
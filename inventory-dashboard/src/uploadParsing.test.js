@@ -0,0 +1,106 @@
+import { guessMapping, parseCsv, toTable, validateRows } from "./uploadParsing";
+
+const SAMPLE = [
+  "sku_id,sku_name,category,store_id,city,current_stock,sales_last_30_days,price,promotion_active",
+  'TS_RED_M,"Red Crew Tee, Classic",T-Shirts,MUM_01,Mumbai,8,120,399,1',
+  "TS_BLUE_L,Blue Crew Tee,T-Shirts,MUM_01,Mumbai,-5,110,449,0",
+  "TS_BLACK_S,Black V-Neck,T-Shirts,,Mumbai,5,95,449,1",
+  "TS_RED_M,Red Crew Tee,T-Shirts,MUM_01,Mumbai,9,120,399,1",
+  "",
+].join("\r\n");
+
+test("parseCsv handles quoted commas and CRLF", () => {
+  const rows = parseCsv(SAMPLE);
+
+  expect(rows).toHaveLength(5);
+  expect(rows[1][1]).toBe("Red Crew Tee, Classic");
+});
+
+test("guessMapping matches inventory_data.csv headers", () => {
+  const { headers } = toTable(parseCsv(SAMPLE));
+
+  expect(guessMapping(headers)).toEqual({
+    sku_id: "sku_id",
+    store_id: "store_id",
+    current_stock: "current_stock",
+    sales_last_30_days: "sales_last_30_days",
+    sku_name: "sku_name",
+    supplier: "",
+    category: "category",
+    city: "city",
+    price: "price",
+    regular_price: "",
+    promotion_active: "promotion_active",
+    lead_time_days: "",
+    on_order_quantity: "",
+    moq: "",
+    pack_size: "",
+    service_level: "",
+  });
+});
+
+test("validateRows reports negative stock, missing store_id and duplicates", () => {
+  const { headers, rows } = toTable(parseCsv(SAMPLE));
+
+  const { items, errors } = validateRows(rows, guessMapping(headers));
+
+  expect(items).toEqual([
+    {
+      rowNumber: 2,
+      item: {
+        sku_id: "TS_RED_M",
+        store_id: "MUM_01",
+        current_stock: 8,
+        sales_last_30_days: 120,
+        sku_name: "Red Crew Tee, Classic",
+        category: "T-Shirts",
+        city: "Mumbai",
+        price: 399,
+        promotion_active: true,
+      },
+    },
+  ]);
+  expect(errors).toEqual([
+    { rowNumber: 3, field: "current_stock", message: "Negative stock (-5)" },
+    { rowNumber: 4, field: "store_id", message: "Missing store_id" },
+    { rowNumber: 5, field: "sku_id", message: "Duplicate of row 2 (same SKU and store)" },
+  ]);
+});
+
+test("validateRows reads optional supply columns and checks their ranges", () => {
+  const { headers, rows } = toTable(
+    parseCsv(
+      [
+        "sku_id,store_id,current_stock,sales_last_30_days,lead_time,moq,case_pack,service_level",
+        "TS_RED_M,MUM_01,8,120,5,24,12,0.95",
+        "TS_BLUE_L,MUM_01,8,120,2.5,,0,95",
+      ].join("\n")
+    )
+  );
+
+  const { items, errors } = validateRows(rows, guessMapping(headers));
+
+  expect(items).toEqual([
+    {
+      rowNumber: 2,
+      item: {
+        sku_id: "TS_RED_M",
+        store_id: "MUM_01",
+        current_stock: 8,
+        sales_last_30_days: 120,
+        lead_time_days: 5,
+        moq: 24,
+        pack_size: 12,
+        service_level: 0.95,
+      },
+    },
+  ]);
+  expect(errors).toEqual([
+    { rowNumber: 3, field: "pack_size", message: "pack_size must be at least 1" },
+    {
+      rowNumber: 3,
+      field: "service_level",
+      message: "service_level must be between 0 and 1, e.g. 0.95 (got 95)",
+    },
+  ]);
+});